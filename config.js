@@ -1,29 +1,530 @@
 /**
- * Centralized configuration from environment variables.
- * All config is validated at startup — fail fast on missing required values.
+ * Centralized configuration from environment variables and the optional
+ * CONFIG_FILE. All config is validated at startup — fail fast on missing
+ * required values.
+ *
+ * Routing settings (webhooks, app names and icons, branches, notify
+ * classes, sinks, mention rules, quiet hours, log level) are `let`
+ * bindings that reloadConfig() replaces once the new values are valid, so
+ * importers always see the current values. Everything else is fixed until
+ * restart.
  */
 
+import { readFileSync, existsSync } from "node:fs";
+import { hostname } from "node:os";
+import { readConfigFile, checkConfigFile, getSetting } from "./src/config-file.js";
+
+/**
+ * Optional YAML or JSON configuration file. Settings it contains take
+ * precedence over the matching env vars; its sinks and mention rules are
+ * added to those from env vars. See config.example.yml.
+ */
+export const CONFIG_FILE = process.env.CONFIG_FILE || "";
+
+/** Parsed CONFIG_FILE — replaced by reloadConfig() */
+let fileConfig = {};
+
+/** Problems with CONFIG_FILE at startup, reported by validateConfig() */
+let fileConfigErrors = [];
+
+if (CONFIG_FILE) {
+   ({ config: fileConfig, errors: fileConfigErrors } = loadConfigFile(CONFIG_FILE));
+}
+
+/** CONFIG_FILE as read at startup, for the settings fixed until restart */
+const startupFileConfig = fileConfig;
+
 /** Dota 2 App ID on Steam */
 export const DOTA2_APP_ID = 570;
 
-/** Discord webhook URLs (comma-separated, at least one required) */
-export const DISCORD_WEBHOOK_URLS = (process.env.DISCORD_WEBHOOK_URLS || process.env.DISCORD_WEBHOOK_URL || "")
-  .split(',')
-  .map(url => url.trim())
-  .filter(Boolean);
+/** Default icon used for apps without an APP_<id>_ICON override */
+export const DEFAULT_APP_ICON = "https://cdn.ardysamods.my.id/image/ardysa.png";
+
+/**
+ * Discord webhook URLs (comma-separated, at least one required).
+ * Config file: `webhooks`. Set by applyRoutingSettings().
+ * @type {string[]}
+ */
+export let DISCORD_WEBHOOK_URLS;
+
+/**
+ * Watched app IDs, in configuration order (comma-separated, defaults to
+ * Dota 2). Config file: `apps[].id`. Fixed until restart.
+ */
+export const WATCHED_APP_IDS = watchedAppIds(fileConfig);
+
+/**
+ * Watched Steam apps. Per-app overrides come from the config file's `apps`
+ * or APP_<id>_NAME, APP_<id>_ICON and APP_<id>_WEBHOOKS — apps without
+ * their own webhooks use DISCORD_WEBHOOK_URLS. Set by applyRoutingSettings().
+ * @type {Array<{appId: number, name: string|null, icon: string, webhookUrls: string[]}>}
+ */
+export let WATCHED_APPS;
+
+/**
+ * Look up the configuration for a watched app.
+ * @param {number} appId
+ * @returns {{appId: number, name: string|null, icon: string, webhookUrls: string[]}|undefined}
+ */
+export function getAppConfig(appId) {
+   return WATCHED_APPS.find(app => app.appId === Number(appId));
+}
+
+/**
+ * Branches whose build changes trigger a notification (comma-separated,
+ * "*" = every branch). Updates that move only other branches are not sent.
+ * Config file: `branches.alert`. Set by applyRoutingSettings().
+ * @type {string[]}
+ */
+export let ALERT_BRANCHES;
+
+/**
+ * Whether a build change on the given branch should notify.
+ * @param {string} branch
+ * @returns {boolean}
+ */
+export function isAlertBranch(branch) {
+   return ALERT_BRANCHES.includes("*") || ALERT_BRANCHES.includes(branch);
+}
+
+/** Changelist classes assigned by UpdateProcessor (see src/release-class.js) */
+export const RELEASE_CLASSES = ["public", "prerelease", "branch", "depot", "metadata"];
+
+/**
+ * Changelist classes that trigger a notification (comma-separated,
+ * "*" = every class). Config file: `notifyClasses`. Set by applyRoutingSettings().
+ * @type {string[]}
+ */
+export let NOTIFY_CLASSES;
+
+/**
+ * Whether a changelist of the given class should notify.
+ * @param {string} releaseClass
+ * @returns {boolean}
+ */
+export function isNotifyClass(releaseClass) {
+   return NOTIFY_CLASSES.includes("*") || NOTIFY_CLASSES.includes(releaseClass);
+}
+
+/**
+ * Dedicated webhooks for a branch (config file `branches.webhooks.<name>`,
+ * else BRANCH_<name>_WEBHOOKS, comma-separated). Empty when the branch
+ * uses its app's webhooks.
+ * @param {string} branch
+ * @returns {string[]}
+ */
+export function getBranchWebhooks(branch) {
+   return fileConfig.branches?.webhooks?.[branch] ?? parseList(process.env[`BRANCH_${branch}_WEBHOOKS`]);
+}
+
+/**
+ * Every branch with dedicated webhooks, from the config file and
+ * BRANCH_<name>_WEBHOOKS.
+ * @returns {Object<string, string[]>} Webhook URLs keyed by branch
+ */
+export function listBranchWebhooks() {
+   const branches = Object.keys(process.env)
+      .map(key => /^BRANCH_(.+)_WEBHOOKS$/.exec(key)?.[1])
+      .filter(Boolean);
+   const names = new Set([...branches, ...Object.keys(fileConfig.branches?.webhooks ?? {})]);
+
+   return Object.fromEntries([...names]
+      .map(name => [name, getBranchWebhooks(name)])
+      .filter(([, urls]) => urls.length > 0));
+}
+
+/** Discord bot token — enables the gateway bot with /dota slash commands */
+export const DISCORD_BOT_TOKEN = process.env.DISCORD_BOT_TOKEN || "";
+
+/** Guild to register slash commands in (instant); blank = global registration */
+export const DISCORD_GUILD_ID = process.env.DISCORD_GUILD_ID || "";
+
+/** Whether to run the gateway bot */
+export const BOT_ENABLED = Boolean(DISCORD_BOT_TOKEN);
+
+/** Path of the bot's channel subscriptions */
+export const SUBSCRIPTIONS_FILE = process.env.SUBSCRIPTIONS_FILE || "subscriptions.json";
+
+/** Slack incoming webhook URLs (comma-separated) */
+export const SLACK_WEBHOOK_URLS = parseList(process.env.SLACK_WEBHOOK_URLS);
+
+/** Telegram Bot API token and target chats (comma-separated IDs or @channels) */
+export const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || "";
+export const TELEGRAM_CHAT_IDS = parseList(process.env.TELEGRAM_CHAT_IDS);
+
+/** Matrix homeserver, bot access token and target rooms (comma-separated room IDs) */
+export const MATRIX_HOMESERVER_URL = process.env.MATRIX_HOMESERVER_URL || "";
+export const MATRIX_ACCESS_TOKEN = process.env.MATRIX_ACCESS_TOKEN || "";
+export const MATRIX_ROOM_IDS = parseList(process.env.MATRIX_ROOM_IDS);
+
+/** Generic JSON POST endpoints (comma-separated) */
+export const HTTP_SINK_URLS = parseList(process.env.HTTP_SINK_URLS);
+
+/** Optional JSON file with additional sink definitions */
+export const SINKS_FILE = process.env.SINKS_FILE || "";
+
+/** Sink types that can be configured besides the built-in Discord sink */
+export const SINK_TYPES = ["slack", "telegram", "matrix", "http"];
+
+/**
+ * Collect non-Discord sink definitions from env vars, SINKS_FILE and the
+ * config file's `sinks`, in that order.
+ * Each definition is `{ type, name?, ...options }` with the options of
+ * the matching sink class (urls, token + chatIds, homeserver +
+ * accessToken + roomIds, urls + headers).
+ * @param {object} [config] - Parsed config file (defaults to the current one)
+ * @returns {Array<object>}
+ */
+export function loadSinkDefinitions(config = fileConfig) {
+   const definitions = [];
+
+   if (SLACK_WEBHOOK_URLS.length > 0) {
+      definitions.push({ type: "slack", urls: SLACK_WEBHOOK_URLS });
+   }
+   if (TELEGRAM_BOT_TOKEN && TELEGRAM_CHAT_IDS.length > 0) {
+      definitions.push({ type: "telegram", token: TELEGRAM_BOT_TOKEN, chatIds: TELEGRAM_CHAT_IDS });
+   }
+   if (MATRIX_HOMESERVER_URL && MATRIX_ACCESS_TOKEN && MATRIX_ROOM_IDS.length > 0) {
+      definitions.push({ type: "matrix", homeserver: MATRIX_HOMESERVER_URL, accessToken: MATRIX_ACCESS_TOKEN, roomIds: MATRIX_ROOM_IDS });
+   }
+   if (HTTP_SINK_URLS.length > 0) {
+      definitions.push({ type: "http", urls: HTTP_SINK_URLS });
+   }
+
+   if (SINKS_FILE) {
+      const fromFile = JSON.parse(readFileSync(SINKS_FILE, "utf-8"));
+      if (!Array.isArray(fromFile)) {
+         throw new Error(`${SINKS_FILE} must contain a JSON array of sink definitions`);
+      }
+      definitions.push(...fromFile);
+   }
+
+   definitions.push(...(config.sinks ?? []));
+   return definitions;
+}
+
+/**
+ * Check a sink definition for missing or malformed options.
+ * @param {object} definition
+ * @param {string} label - Where the definition came from, for error messages
+ * @returns {string[]} Error messages
+ */
+function validateSinkDefinition(definition, label) {
+   const errors = [];
+   const requireList = (key) => {
+      if (!Array.isArray(definition[key]) || definition[key].length === 0) {
+         errors.push(`${label}.${key} must be a non-empty array`);
+      }
+   };
+   const requireString = (key) => {
+      if (typeof definition[key] !== "string" || !definition[key]) {
+         errors.push(`${label}.${key} is required`);
+      }
+   };
+
+   switch (definition?.type) {
+      case "slack":
+         requireList("urls");
+         break;
+      case "telegram":
+         requireString("token");
+         requireList("chatIds");
+         break;
+      case "matrix":
+         requireString("homeserver");
+         requireString("accessToken");
+         requireList("roomIds");
+         break;
+      case "http":
+         requireList("urls");
+         break;
+      default:
+         errors.push(`${label}.type must be one of: ${SINK_TYPES.join(", ")}`);
+   }
+
+   return errors;
+}
+
+/** Discord role IDs pinged on public releases (comma-separated) */
+export const MENTION_ROLE_IDS = parseList(process.env.MENTION_ROLE_IDS);
+
+/** Optional JSON file with mention rules */
+export const MENTION_RULES_FILE = process.env.MENTION_RULES_FILE || "";
+
+/**
+ * Daily window without pings, "HH:MM-HH:MM" in QUIET_HOURS_TZ (may wrap
+ * past midnight). Notifications are still sent, just without mentions.
+ * Config file: `mentions.quietHours` and `mentions.timeZone`. Set by
+ * applyRoutingSettings().
+ * @type {string}
+ */
+export let QUIET_HOURS;
+/** @type {string} */
+export let QUIET_HOURS_TZ;
+
+/**
+ * Collect mention rules from MENTION_ROLE_IDS, MENTION_RULES_FILE and the
+ * config file's `mentions.rules`, in that order.
+ * Each rule is `{ classes?, branches?, depots?, apps?, roles?, users? }`:
+ * an update matches when it fits every criterion the rule lists, and
+ * pings the rule's role and user IDs.
+ * @param {object} [config] - Parsed config file (defaults to the current one)
+ * @returns {Array<object>}
+ */
+export function loadMentionRules(config = fileConfig) {
+   const rules = [];
+
+   if (MENTION_ROLE_IDS.length > 0) {
+      rules.push({ classes: ["public"], roles: MENTION_ROLE_IDS });
+   }
+
+   if (MENTION_RULES_FILE) {
+      const fromFile = JSON.parse(readFileSync(MENTION_RULES_FILE, "utf-8"));
+      if (!Array.isArray(fromFile)) {
+         throw new Error(`${MENTION_RULES_FILE} must contain a JSON array of mention rules`);
+      }
+      rules.push(...fromFile);
+   }
+
+   rules.push(...(config.mentions?.rules ?? []));
+   return rules;
+}
+
+/**
+ * Check a mention rule for malformed criteria or IDs.
+ * @param {object} rule
+ * @param {string} label - Where the rule came from, for error messages
+ * @returns {string[]} Error messages
+ */
+function validateMentionRule(rule, label) {
+   const errors = [];
+   const isSnowflake = (id) => /^\d{17,20}$/.test(String(id));
+
+   for (const key of ["classes", "branches", "depots", "apps", "roles", "users"]) {
+      if (rule?.[key] !== undefined && !Array.isArray(rule[key])) {
+         errors.push(`${label}.${key} must be an array`);
+      }
+   }
+   for (const releaseClass of Array.isArray(rule?.classes) ? rule.classes : []) {
+      if (!RELEASE_CLASSES.includes(releaseClass)) {
+         errors.push(`${label}.classes contains an unknown class: "${releaseClass}"`);
+      }
+   }
+   for (const key of ["roles", "users"]) {
+      if (Array.isArray(rule?.[key]) && !rule[key].every(isSnowflake)) {
+         errors.push(`${label}.${key} must contain Discord IDs`);
+      }
+   }
+   if (!(rule?.roles?.length > 0) && !(rule?.users?.length > 0)) {
+      errors.push(`${label} must list roles or users to mention`);
+   }
+
+   return errors;
+}
+
+/**
+ * Parse a QUIET_HOURS window.
+ * @param {string} value - "HH:MM-HH:MM"
+ * @returns {{start: number, end: number}|null} Minutes after midnight, or null if malformed
+ */
+export function parseQuietHours(value) {
+   const match = /^(\d{1,2}):(\d{2})\s*-\s*(\d{1,2}):(\d{2})$/.exec(value.trim());
+   if (!match) return null;
+
+   const [, startHour, startMinute, endHour, endMinute] = match.map(Number);
+   if (startHour > 23 || endHour > 23 || startMinute > 59 || endMinute > 59) return null;
+
+   return { start: startHour * 60 + startMinute, end: endHour * 60 + endMinute };
+}
 
 /** Steam credentials (optional — blank = anonymous login) */
 export const STEAM_USERNAME = process.env.STEAM_USERNAME || "";
 export const STEAM_PASSWORD = process.env.STEAM_PASSWORD || "";
 
+/**
+ * Steam refresh token from `npm run login`. A token in STEAM_TOKEN_FILE
+ * (written by the login command and on every renewal) takes precedence.
+ */
+export const STEAM_REFRESH_TOKEN = process.env.STEAM_REFRESH_TOKEN || "";
+
+/** Where the refresh token is stored and renewed */
+export const STEAM_TOKEN_FILE = process.env.STEAM_TOKEN_FILE || "steam-token.json";
+
+/** Base64 shared secret of the account's mobile authenticator, for Steam Guard TOTP codes */
+export const STEAM_SHARED_SECRET = process.env.STEAM_SHARED_SECRET || "";
+
 /** Whether to use anonymous Steam login */
-export const STEAM_ANONYMOUS = !STEAM_USERNAME;
+export const STEAM_ANONYMOUS = !STEAM_USERNAME && !STEAM_REFRESH_TOKEN && !existsSync(STEAM_TOKEN_FILE);
+
+/**
+ * Where the dedup state is kept: "file" (STATE_FILE), "sqlite"
+ * (STATE_DB_FILE) or "redis" (REDIS_URL). Config file: `stateBackend`.
+ */
+export const STATE_BACKEND = fileConfig.stateBackend ?? (process.env.STATE_BACKEND || "file");
+
+/** Path to persist last known changenumber per app (config file: `stateFile`) */
+export const STATE_FILE = fileConfig.stateFile ?? (process.env.STATE_FILE || "state.json");
+
+/** SQLite database of the "sqlite" state backend */
+export const STATE_DB_FILE = process.env.STATE_DB_FILE || "state.db";
+
+/** Redis (or compatible) server of the "redis" state backend, e.g. redis://:password@host:6379/0 */
+export const REDIS_URL = process.env.REDIS_URL || "";
+
+/** Key of the state in Redis; the previous state is kept under `<key>:backup` */
+export const STATE_REDIS_KEY = process.env.STATE_REDIS_KEY || "dota-2-updater:state";
+
+/**
+ * Run as one of several redundant instances: all of them follow Steam,
+ * and only the holder of a lease in the state backend notifies.
+ */
+export const LEADER_ELECTION = process.env.LEADER_ELECTION === "true";
+
+/** Seconds a leader lease lasts without renewal (renewed every third of it) */
+export const LEADER_LEASE_TTL = Number(process.env.LEADER_LEASE_TTL || 30) * 1000;
+
+/** Name of this instance in the leader lease and logs */
+export const INSTANCE_ID = process.env.INSTANCE_ID || `${hostname()}-${process.pid}`;
+
+/** Path of the append-only update history (JSON lines) */
+export const HISTORY_FILE = process.env.HISTORY_FILE || "history.jsonl";
 
-/** Path to persist last known changenumber */
-export const STATE_FILE = "state.json";
+/**
+ * Status HTTP API port. Falls back to PORT (set by Railway); the API is
+ * disabled when neither is set.
+ */
+export const STATUS_PORT = Number(process.env.STATUS_PORT || process.env.PORT || 0);
+export const STATUS_ENABLED = Boolean(process.env.STATUS_PORT || process.env.PORT);
+
+/**
+ * Status HTTP API bind address. Loopback only by default: the read-only
+ * routes have no authentication.
+ */
+export const STATUS_HOST = process.env.STATUS_HOST || "127.0.0.1";
+
+/**
+ * Bearer token required by the status API's mutating routes
+ * (POST /outbox/replay); they are disabled when unset.
+ */
+export const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+
+/** Path of the persistent webhook outbox (pending + dead-lettered messages) */
+export const OUTBOX_FILE = process.env.OUTBOX_FILE || "outbox.json";
+
+/**
+ * Edit sent Discord notifications in place when a changelist is reported
+ * again with more detail (and to add patch notes) instead of leaving the
+ * first, thinner message as is.
+ */
+export const EDIT_NOTIFICATIONS = process.env.EDIT_NOTIFICATIONS !== "false";
 
-/** PICS cache update interval in ms (steam-user default is 60s) */
-export const CHANGELIST_UPDATE_INTERVAL = 60_000;
+/** Path of the IDs of recently sent Discord messages, for editing them */
+export const MESSAGES_FILE = process.env.MESSAGES_FILE || "messages.json";
+
+/**
+ * Game file diffing — downloads selected files of every new public build
+ * and attaches hero, ability, item and patch version changes to the
+ * notification. Requires a Steam account that owns the content depots.
+ */
+export const CONTENT_DIFF_ENABLED = process.env.CONTENT_DIFF === "true";
+
+/** Dota 2 depots searched for CONTENT_FILES (comma-separated) */
+export const CONTENT_DEPOT_IDS = parseList(process.env.CONTENT_DEPOT_IDS || "373301");
+
+/**
+ * Depot paths of the files to diff (comma-separated). Files packed in a
+ * VPK are looked up in the `pak01_dir.vpk` of their directory.
+ */
+export const CONTENT_FILES = parseList(process.env.CONTENT_FILES || [
+   "game/dota/steam.inf",
+   "game/dota/scripts/npc/npc_heroes.txt",
+   "game/dota/scripts/npc/npc_abilities.txt",
+   "game/dota/scripts/npc/items.txt",
+   "game/dota/resource/localization/abilities_english.txt",
+].join(","));
+
+/** Path of the game file snapshot of the last analyzed build */
+export const CONTENT_SNAPSHOT_FILE = process.env.CONTENT_SNAPSHOT_FILE || "content-snapshot.json";
+
+/** How long a notification waits for the game file diff, in ms */
+export const CONTENT_DIFF_TIMEOUT = Number(process.env.CONTENT_DIFF_TIMEOUT || 120) * 1000;
+
+/**
+ * Look up the patch notes of new public builds (Steam news, and the
+ * Dota 2 patch datafeed for Dota 2) and post them as a follow-up, or add
+ * them to the Discord notification when EDIT_NOTIFICATIONS is on.
+ */
+export const PATCH_NOTES_ENABLED = process.env.PATCH_NOTES === "true";
+
+/** How far a patch notes post may be from the build's update time, in ms */
+export const PATCH_NOTES_WINDOW = Number(process.env.PATCH_NOTES_WINDOW || 180) * 60_000;
+
+/** How often patch note sources are polled while waiting, in ms (config file: `intervals.patchNotesPoll`) */
+export const PATCH_NOTES_POLL_INTERVAL = Number(fileConfig.intervals?.patchNotesPoll ?? (process.env.PATCH_NOTES_POLL_INTERVAL || 120)) * 1000;
+
+/** Capture Steam events to this JSONL file for offline replay (blank = off) */
+export const RECORD_FILE = process.env.RECORD_FILE || "";
+
+/**
+ * Seconds without any PICS changelist after which the watchdog relogs into
+ * Steam (0 = off). Steam produces changelists constantly, so a long gap
+ * means polling silently stopped. Config file: `intervals.picsStallTimeout`.
+ */
+export const PICS_STALL_TIMEOUT = Number(fileConfig.intervals?.picsStallTimeout ?? (process.env.PICS_STALL_TIMEOUT || 600)) * 1000;
+
+/** Discord webhook for operator alerts about Steam connectivity (blank = off) */
+export const ADMIN_WEBHOOK_URL = process.env.ADMIN_WEBHOOK_URL || "";
+
+/** Log levels, most verbose first */
+export const LOG_LEVELS = ["debug", "info", "warn", "error"];
+
+/**
+ * Minimum level logged, optionally overridden per module:
+ * "info,steam-monitor=debug" adds the debug lines of steam-monitor only.
+ * Config file: `logLevel`. Set by applyRoutingSettings().
+ * @type {string}
+ */
+export let LOG_LEVEL;
+
+/** Console log format: "pretty" (colored on a terminal) or "json" (one object per line) */
+export const LOG_FORMAT = process.env.LOG_FORMAT || "pretty";
+
+/** Also write JSON log lines to this file, rotated by size (blank = off) */
+export const LOG_FILE = process.env.LOG_FILE || "";
+
+/** Size at which LOG_FILE is rotated, in bytes */
+export const LOG_FILE_MAX_SIZE = Number(process.env.LOG_FILE_MAX_SIZE || 10) * 1024 * 1024;
+
+/** Rotated log files kept as LOG_FILE.1 … LOG_FILE.<n> */
+export const LOG_FILE_MAX_FILES = Number(process.env.LOG_FILE_MAX_FILES || 5);
+
+/**
+ * Parse a LOG_LEVEL value.
+ * @param {string} value - e.g. "info" or "warn,steam-monitor=debug"
+ * @returns {{level: string, modules: Object<string, string>}|null} Null if malformed
+ */
+export function parseLogLevel(value) {
+   let level = "info";
+   const modules = {};
+
+   for (const part of parseList(value.toLowerCase())) {
+      const [name, moduleLevel] = part.includes("=") ? part.split("=").map(s => s.trim()) : [null, part];
+      if (!LOG_LEVELS.includes(moduleLevel) || name === "") return null;
+
+      if (name) {
+         modules[name] = moduleLevel;
+      } else {
+         level = moduleLevel;
+      }
+   }
+   return { level, modules };
+}
+
+/**
+ * PICS cache update interval in ms (steam-user default is 60s).
+ * Config file: `intervals.changelistUpdate`.
+ */
+export const CHANGELIST_UPDATE_INTERVAL = Number(fileConfig.intervals?.changelistUpdate ?? (process.env.CHANGELIST_UPDATE_INTERVAL || 60)) * 1000;
 
 /**
  * Validate required configuration at startup.
@@ -31,13 +532,296 @@ export const CHANGELIST_UPDATE_INTERVAL = 60_000;
  * @param {boolean} options.isTest - Skip webhook validation in test mode
  */
 export function validateConfig({ isTest = false } = {}) {
+   const errors = [...fileConfigErrors, ...routingErrors(routingSettings(fileConfig), { isTest })];
+
+   if (WATCHED_APPS.length === 0) {
+      errors.push(`${settingName(fileConfig, "apps", "WATCHED_APP_IDS")} must list at least one Steam app ID.`);
+   }
+
+   // Report invalid IDs as written, not as the NaN they parse to
+   const rawAppIds = fileConfig.apps ? WATCHED_APP_IDS.map(String) : parseList(process.env.WATCHED_APP_IDS || String(DOTA2_APP_ID));
+   WATCHED_APPS.forEach((app, index) => {
+      if (!Number.isInteger(app.appId) || app.appId <= 0) {
+         errors.push(`WATCHED_APP_IDS contains an invalid app ID: "${rawAppIds[index]}"`);
+      }
+   });
+
+   if (new Set(WATCHED_APP_IDS).size !== WATCHED_APP_IDS.length) {
+      errors.push(`${settingName(fileConfig, "apps", "WATCHED_APP_IDS")} lists an app more than once.`);
+   }
+
+   if (STEAM_USERNAME && !STEAM_PASSWORD && !STEAM_REFRESH_TOKEN && !existsSync(STEAM_TOKEN_FILE)) {
+      errors.push("STEAM_USERNAME needs STEAM_PASSWORD or a refresh token — run `npm run login` or set STEAM_REFRESH_TOKEN.");
+   }
+
+   if (CONTENT_DIFF_ENABLED && STEAM_ANONYMOUS) {
+      errors.push("CONTENT_DIFF requires a Steam login (refresh token or STEAM_USERNAME and STEAM_PASSWORD) — anonymous accounts cannot download game depots.");
+   }
+
+   if (CONTENT_DIFF_ENABLED && CONTENT_DEPOT_IDS.some(id => !/^\d+$/.test(id))) {
+      errors.push(`CONTENT_DEPOT_IDS contains an invalid depot ID: "${CONTENT_DEPOT_IDS.join(",")}"`);
+   }
+
+   if (!Number.isFinite(CONTENT_DIFF_TIMEOUT) || CONTENT_DIFF_TIMEOUT <= 0) {
+      errors.push("CONTENT_DIFF_TIMEOUT must be a positive number of seconds.");
+   }
+
+   if (!Number.isFinite(PATCH_NOTES_WINDOW) || PATCH_NOTES_WINDOW <= 0) {
+      errors.push("PATCH_NOTES_WINDOW must be a positive number of minutes.");
+   }
+
+   if (!Number.isFinite(PATCH_NOTES_POLL_INTERVAL) || PATCH_NOTES_POLL_INTERVAL < 10_000) {
+      errors.push(`${settingName(fileConfig, "intervals.patchNotesPoll", "PATCH_NOTES_POLL_INTERVAL")} must be at least 10 seconds.`);
+   }
+
+   if (!Number.isFinite(PICS_STALL_TIMEOUT) || (PICS_STALL_TIMEOUT !== 0 && PICS_STALL_TIMEOUT < 120_000)) {
+      errors.push(`${settingName(fileConfig, "intervals.picsStallTimeout", "PICS_STALL_TIMEOUT")} must be 0 (off) or at least 120 seconds.`);
+   }
+
+   if (!Number.isFinite(CHANGELIST_UPDATE_INTERVAL) || CHANGELIST_UPDATE_INTERVAL < 5_000) {
+      errors.push(`${settingName(fileConfig, "intervals.changelistUpdate", "CHANGELIST_UPDATE_INTERVAL")} must be at least 5 seconds.`);
+   }
+
+   if (ADMIN_WEBHOOK_URL && !/^https:\/\/(\w+\.)?discord(app)?\.com\/api\/webhooks\/\d+\//.test(ADMIN_WEBHOOK_URL)) {
+      errors.push("ADMIN_WEBHOOK_URL must be a Discord webhook URL.");
+   }
+
+   if (!["file", "sqlite", "redis"].includes(STATE_BACKEND)) {
+      errors.push(`${settingName(fileConfig, "stateBackend", "STATE_BACKEND")} must be "file", "sqlite" or "redis", got "${STATE_BACKEND}"`);
+   }
+
+   if (STATE_BACKEND === "redis" && !/^rediss?:\/\/[^/\s]+/.test(REDIS_URL)) {
+      errors.push("REDIS_URL must be a redis:// or rediss:// URL when the state backend is redis.");
+   }
+
+   if (LEADER_ELECTION && (!Number.isFinite(LEADER_LEASE_TTL) || LEADER_LEASE_TTL < 5000)) {
+      errors.push("LEADER_LEASE_TTL must be at least 5 seconds.");
+   }
+
+   if (!["pretty", "json"].includes(LOG_FORMAT)) {
+      errors.push(`LOG_FORMAT must be "pretty" or "json", got "${LOG_FORMAT}"`);
+   }
+
+   if (LOG_FILE && (!Number.isFinite(LOG_FILE_MAX_SIZE) || LOG_FILE_MAX_SIZE <= 0)) {
+      errors.push("LOG_FILE_MAX_SIZE must be a positive number of megabytes.");
+   }
+
+   if (LOG_FILE && (!Number.isInteger(LOG_FILE_MAX_FILES) || LOG_FILE_MAX_FILES < 1)) {
+      errors.push("LOG_FILE_MAX_FILES must be a whole number of at least 1.");
+   }
+
+   if (errors.length > 0) {
+      throw new Error(`Configuration errors:\n  - ${errors.join("\n  - ")}`);
+   }
+}
+
+/**
+ * Check routing settings, before they are applied on reload.
+ * @param {RoutingSettings} settings
+ * @param {object} [options]
+ * @param {boolean} [options.isTest] - Skip webhook validation in test mode
+ * @returns {string[]} Error messages
+ */
+function routingErrors(settings, { isTest = false } = {}) {
    const errors = [];
+   const { fileConfig: config } = settings;
+
+   let sinkDefinitions = [];
+   try {
+      sinkDefinitions = loadSinkDefinitions(config);
+      sinkDefinitions.forEach((definition, index) => {
+         errors.push(...validateSinkDefinition(definition, fileEntryLabel(config, "sinks", index, sinkDefinitions.length)));
+      });
+   } catch (err) {
+      errors.push(`Failed to load sink definitions: ${err.message}`);
+   }
+
+   const hasOtherTarget = BOT_ENABLED || sinkDefinitions.length > 0;
+   if (!isTest && !hasOtherTarget && settings.webhookUrls.length === 0 && settings.apps.some(app => app.webhookUrls.length === 0)) {
+      errors.push("DISCORD_WEBHOOK_URL (or DISCORD_WEBHOOK_URLS, or `webhooks` in the config file) is required unless DISCORD_BOT_TOKEN or another sink is configured. Set it in your .env file as a comma-separated list of URLs.");
+   }
+
+   try {
+      const rules = loadMentionRules(config);
+      rules.forEach((rule, index) => {
+         errors.push(...validateMentionRule(rule, fileEntryLabel(config, "mentions.rules", index, rules.length, "mentionRules")));
+      });
+   } catch (err) {
+      errors.push(`Failed to load mention rules: ${err.message}`);
+   }
+
+   if (settings.quietHours && !parseQuietHours(settings.quietHours)) {
+      errors.push(`${settingName(config, "mentions.quietHours", "QUIET_HOURS")} must look like "23:00-07:00", got "${settings.quietHours}"`);
+   }
+
+   try {
+      new Intl.DateTimeFormat("en-US", { timeZone: settings.quietHoursTz });
+   } catch {
+      errors.push(`${settingName(config, "mentions.timeZone", "QUIET_HOURS_TZ")} is not a valid time zone: "${settings.quietHoursTz}"`);
+   }
 
-   if (!isTest && DISCORD_WEBHOOK_URLS.length === 0) {
-      errors.push("DISCORD_WEBHOOK_URL (or DISCORD_WEBHOOK_URLS) is required. Set it in your .env file as a comma-separated list of URLs.");
+   if (!parseLogLevel(settings.logLevel)) {
+      errors.push(`${settingName(config, "logLevel", "LOG_LEVEL")} must be one of ${LOG_LEVELS.join(", ")}, optionally with module=level overrides, got "${settings.logLevel}"`);
    }
 
+   for (const releaseClass of settings.notifyClasses) {
+      if (releaseClass !== "*" && !RELEASE_CLASSES.includes(releaseClass)) {
+         errors.push(`${settingName(config, "notifyClasses", "NOTIFY_CLASSES")} contains an unknown class: "${releaseClass}" (expected ${RELEASE_CLASSES.join(", ")} or *)`);
+      }
+   }
+
+   return errors;
+}
+
+// ── Configuration file ───────────────────────────────────────────────
+
+/** Config file settings read once at startup; changing them needs a restart */
+const RESTART_SETTINGS = ["stateBackend", "stateFile", "intervals.changelistUpdate", "intervals.picsStallTimeout", "intervals.patchNotesPoll"];
+
+/**
+ * Read and check a configuration file.
+ * @param {string} file
+ * @returns {{config: object, errors: string[]}} Empty config when there are errors
+ */
+function loadConfigFile(file) {
+   let config;
+   try {
+      config = readConfigFile(file);
+   } catch (err) {
+      return { config: {}, errors: [`Failed to read ${file}: ${err.message}`] };
+   }
+
+   const errors = checkConfigFile(config).map(error => `${file}: ${error}`);
+   return errors.length > 0 ? { config: {}, errors } : { config, errors: [] };
+}
+
+/**
+ * Watched app IDs from the config file's `apps`, else WATCHED_APP_IDS.
+ * @param {object} config - Parsed config file
+ * @returns {number[]}
+ */
+function watchedAppIds(config) {
+   return config.apps?.map(app => app.id) ?? parseList(process.env.WATCHED_APP_IDS || String(DOTA2_APP_ID)).map(Number);
+}
+
+/**
+ * @typedef {object} RoutingSettings
+ * @property {object} fileConfig - Parsed config file they come from
+ * @property {string[]} webhookUrls - DISCORD_WEBHOOK_URLS
+ * @property {Array<{appId: number, name: string|null, icon: string, webhookUrls: string[]}>} apps - WATCHED_APPS
+ * @property {string[]} alertBranches - ALERT_BRANCHES
+ * @property {string[]} notifyClasses - NOTIFY_CLASSES
+ * @property {string} quietHours - QUIET_HOURS
+ * @property {string} quietHoursTz - QUIET_HOURS_TZ
+ * @property {string} logLevel - LOG_LEVEL
+ */
+
+/**
+ * Routing settings of a parsed config file, falling back to the env vars
+ * for every setting the file leaves out.
+ * @param {object} config
+ * @returns {RoutingSettings}
+ */
+function routingSettings(config) {
+   return {
+      fileConfig: config,
+      webhookUrls: config.webhooks ?? parseList(process.env.DISCORD_WEBHOOK_URLS || process.env.DISCORD_WEBHOOK_URL),
+      apps: WATCHED_APP_IDS.map(appId => {
+         const app = config.apps?.find(entry => entry.id === appId) ?? {};
+         return {
+            appId,
+            name: app.name ?? (process.env[`APP_${appId}_NAME`] || (appId === DOTA2_APP_ID ? "Dota 2" : null)),
+            icon: app.icon ?? (process.env[`APP_${appId}_ICON`] || DEFAULT_APP_ICON),
+            webhookUrls: app.webhooks ?? parseList(process.env[`APP_${appId}_WEBHOOKS`]),
+         };
+      }),
+      alertBranches: config.branches?.alert ?? parseList(process.env.ALERT_BRANCHES || "*"),
+      notifyClasses: config.notifyClasses ?? parseList(process.env.NOTIFY_CLASSES || "*"),
+      quietHours: config.mentions?.quietHours ?? (process.env.QUIET_HOURS || ""),
+      quietHoursTz: config.mentions?.timeZone ?? (process.env.QUIET_HOURS_TZ || "UTC"),
+      logLevel: config.logLevel ?? (process.env.LOG_LEVEL || "info"),
+   };
+}
+
+/**
+ * Replace the routing bindings.
+ * @param {RoutingSettings} settings
+ */
+function applyRoutingSettings(settings) {
+   fileConfig = settings.fileConfig;
+   DISCORD_WEBHOOK_URLS = settings.webhookUrls;
+   WATCHED_APPS = settings.apps;
+   ALERT_BRANCHES = settings.alertBranches;
+   NOTIFY_CLASSES = settings.notifyClasses;
+   QUIET_HOURS = settings.quietHours;
+   QUIET_HOURS_TZ = settings.quietHoursTz;
+   LOG_LEVEL = settings.logLevel;
+}
+
+applyRoutingSettings(routingSettings(fileConfig));
+
+/**
+ * Re-read CONFIG_FILE, SINKS_FILE and MENTION_RULES_FILE and apply the
+ * routing settings once they are checked. An invalid configuration
+ * changes nothing.
+ * @returns {{restartRequired: string[]}} Settings that differ from startup but only apply after a restart
+ * @throws {Error} Listing every configuration error
+ */
+export function reloadConfig() {
+   const { config, errors } = CONFIG_FILE ? loadConfigFile(CONFIG_FILE) : { config: {}, errors: [] };
+   const settings = routingSettings(config);
+   if (errors.length === 0) {
+      errors.push(...routingErrors(settings));
+   }
    if (errors.length > 0) {
       throw new Error(`Configuration errors:\n  - ${errors.join("\n  - ")}`);
    }
+
+   applyRoutingSettings(settings);
+
+   const restartRequired = RESTART_SETTINGS.filter(path => getSetting(startupFileConfig, path) !== getSetting(config, path));
+   if (watchedAppIds(config).join() !== WATCHED_APP_IDS.join()) {
+      restartRequired.unshift("apps");
+   }
+   return { restartRequired };
+}
+
+/**
+ * Name a setting in error messages: its config file path when the file
+ * sets it, else its env var.
+ * @param {object} config - Parsed config file
+ * @param {string} path - e.g. "intervals.picsStallTimeout"
+ * @param {string} envName - e.g. "PICS_STALL_TIMEOUT"
+ * @returns {string}
+ */
+function settingName(config, path, envName) {
+   return getSetting(config, path) !== undefined ? `${CONFIG_FILE}: ${path}` : envName;
+}
+
+/**
+ * Label of a merged sink definition or mention rule in error messages.
+ * Entries from the config file come last and are labelled with their
+ * path there.
+ * @param {object} config - Parsed config file
+ * @param {string} path - Config file list, e.g. "sinks"
+ * @param {number} index - Index in the merged list
+ * @param {number} total - Length of the merged list
+ * @param {string} [label] - Label of the other entries (defaults to path)
+ * @returns {string}
+ */
+function fileEntryLabel(config, path, index, total, label = path) {
+   const fromFile = index - (total - (getSetting(config, path)?.length ?? 0));
+   return fromFile >= 0 ? `${CONFIG_FILE}: ${path}[${fromFile}]` : `${label}[${index}]`;
+}
+
+/**
+ * Split a comma-separated env value into trimmed, non-empty entries.
+ * @param {string|undefined} value
+ * @returns {string[]}
+ */
+function parseList(value) {
+   return (value || "")
+      .split(',')
+      .map(item => item.trim())
+      .filter(Boolean);
 }
@@ -0,0 +1,88 @@
+/**
+ * AdminAlerts — Operator alerts about the bot itself (Steam connectivity,
+ * PICS stalls), posted to ADMIN_WEBHOOK_URL apart from the update
+ * notifications.
+ *
+ * Alerts are best effort: they are sent once, without the outbox, and a
+ * failed alert is only logged.
+ */
+
+import { EmbedBuilder, WebhookClient } from 'discord.js';
+import { createLogger } from './logger.js';
+import { ADMIN_WEBHOOK_URL, DEFAULT_APP_ICON } from '../config.js';
+
+const logger = createLogger('admin-alerts');
+
+/** Embed accent per alert severity */
+const SEVERITY_COLORS = {
+  critical: 0xE5484D,
+  warning: 0xE3A53C,
+  resolved: 0x46A758,
+};
+
+export default class AdminAlerts {
+  /** @type {WebhookClient|null} */
+  #webhook = null;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.url] - Discord webhook URL (defaults to ADMIN_WEBHOOK_URL; blank = off)
+   * @param {string} [options.api] - Discord API base URL override
+   */
+  constructor({ url = ADMIN_WEBHOOK_URL, api } = {}) {
+    if (!url) return;
+
+    try {
+      this.#webhook = new WebhookClient({ url }, api ? { rest: { api } } : {});
+      logger.info('Admin alerts enabled');
+    } catch (err) {
+      logger.error(`Failed to initialize admin webhook: ${err.message}`);
+    }
+  }
+
+  /** Whether an admin webhook is configured */
+  get enabled() {
+    return this.#webhook !== null;
+  }
+
+  /**
+   * Post an alert.
+   *
+   * @param {'critical'|'warning'|'resolved'} severity
+   * @param {string} title
+   * @param {string} description
+   * @returns {Promise<boolean>} Whether the webhook accepted it
+   */
+  async send(severity, title, description) {
+    logger.info(`Admin alert (${severity}): ${title}`);
+    if (!this.#webhook) return false;
+
+    const embed = new EmbedBuilder()
+      .setTitle(title)
+      .setDescription(description)
+      .setColor(SEVERITY_COLORS[severity])
+      .setTimestamp(new Date())
+      .setFooter({ text: 'Dota 2 Update Monitor' });
+
+    try {
+      await this.#webhook.send({
+        username: 'AMT Bot',
+        avatarURL: DEFAULT_APP_ICON,
+        allowedMentions: { parse: [] },
+        embeds: [embed.toJSON()],
+      });
+      return true;
+    } catch (err) {
+      logger.error(`Failed to send admin alert: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Destroy the webhook client.
+   */
+  destroy() {
+    this.#webhook?.destroy();
+    this.#webhook = null;
+  }
+}
@@ -0,0 +1,91 @@
+/**
+ * AppInfo diff — Structured comparison of two PICS appinfo KeyValues trees.
+ *
+ * Produces the added, removed and changed key paths between two snapshots,
+ * similar to the SteamDB history view. Paths are joined with '/'
+ * (e.g. `common/store_tags/3`).
+ */
+
+/**
+ * @typedef {object} AppInfoDiff
+ * @property {Array<{path: string, value: any}>} added
+ * @property {Array<{path: string, value: any}>} removed
+ * @property {Array<{path: string, oldValue: any, newValue: any}>} changed
+ */
+
+/**
+ * Compute the diff between two appinfo trees.
+ *
+ * @param {object} before - Previous appinfo tree
+ * @param {object} after - Current appinfo tree
+ * @returns {AppInfoDiff}
+ */
+export function diffAppInfo(before, after) {
+  const diff = { added: [], removed: [], changed: [] };
+  walk(before ?? {}, after ?? {}, [], diff);
+  return diff;
+}
+
+/**
+ * Whether a diff contains no changes.
+ * @param {AppInfoDiff|null} diff
+ * @returns {boolean}
+ */
+export function isEmptyDiff(diff) {
+  return !diff || (diff.added.length === 0 && diff.removed.length === 0 && diff.changed.length === 0);
+}
+
+/**
+ * Count the changed key paths of a diff per top-level appinfo section.
+ *
+ * @param {AppInfoDiff} diff
+ * @returns {Map<string, number>} Section name → number of changed paths
+ */
+export function countBySection(diff) {
+  const counts = new Map();
+  for (const entry of [...diff.added, ...diff.removed, ...diff.changed]) {
+    const section = entry.path.split('/')[0];
+    counts.set(section, (counts.get(section) ?? 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Recursively compare two KeyValues nodes.
+ * Leaves are compared as strings since PICS values are untyped.
+ *
+ * @param {any} before
+ * @param {any} after
+ * @param {string[]} path
+ * @param {AppInfoDiff} diff
+ */
+function walk(before, after, path, diff) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const key of keys) {
+    const keyPath = [...path, key];
+    const hasBefore = Object.hasOwn(before, key);
+    const hasAfter = Object.hasOwn(after, key);
+    const oldValue = before[key];
+    const newValue = after[key];
+
+    if (!hasBefore) {
+      diff.added.push({ path: keyPath.join('/'), value: newValue });
+    } else if (!hasAfter) {
+      diff.removed.push({ path: keyPath.join('/'), value: oldValue });
+    } else if (isNode(oldValue) && isNode(newValue)) {
+      walk(oldValue, newValue, keyPath, diff);
+    } else if (isNode(oldValue) || isNode(newValue) || String(oldValue) !== String(newValue)) {
+      diff.changed.push({ path: keyPath.join('/'), oldValue, newValue });
+    }
+  }
+}
+
+/**
+ * Whether a KeyValues value is a nested node rather than a leaf.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isNode(value) {
+  return value !== null && typeof value === 'object';
+}
@@ -0,0 +1,430 @@
+/**
+ * Admin CLI — Inspect and manage the stored state, the update history and
+ * notifications without starting the monitor.
+ *
+ * Usage:
+ *   npm run cli -- status [--json]                        # Stored state of every app
+ *   npm run cli -- set-last <changenumber> [--app <id>]   # Treat changelists up to <changenumber> as seen
+ *   npm run cli -- reset [--app <id>]                     # Forget the state of one or every app
+ *   npm run cli -- history [--app <id>] [--branch <name>] [--since <date>] [--limit <n>] [--json]
+ *   npm run cli -- resend <changenumber> [--app <id>] [--sink <name,...>]
+ *   npm run cli -- preview <fixture.json>                 # Print the Discord message body, send nothing
+ *   npm run cli -- verify-webhooks                        # Check every configured Discord webhook
+ *
+ * set-last and reset rewrite the stored state: stop the monitor first, or
+ * it overwrites them with its own state. Module logs are limited to warnings
+ * unless LOG_LEVEL is set.
+ */
+
+import 'dotenv/config';
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// Config is read on import, so the quieter default must be set first
+process.env.LOG_LEVEL ??= 'warn';
+
+const { default: logger } = await import('./logger.js');
+const { default: UpdateProcessor } = await import('./update-processor.js');
+const { default: FileBackend } = await import('./state/file-backend.js');
+const { default: HistoryStore, reviveRecord } = await import('./history-store.js');
+const { listUpdates, findByChangenumber } = await import('./history-query.js');
+const { default: SinkRegistry } = await import('./sinks/sink-registry.js');
+const { default: DiscordNotifier } = await import('./discord-notifier.js');
+const { default: DeliveryQueue } = await import('./delivery-queue.js');
+const { default: MessageStore } = await import('./message-store.js');
+const {
+  WATCHED_APP_IDS,
+  WATCHED_APPS,
+  DISCORD_WEBHOOK_URLS,
+  ADMIN_WEBHOOK_URL,
+  getAppConfig,
+  listBranchWebhooks,
+} = await import('../config.js');
+
+/** Default number of records listed by `history` */
+const DEFAULT_HISTORY_LIMIT = 20;
+
+const USAGE = `Usage: npm run cli -- <command> [options]
+
+Commands:
+  status [--json]                        Stored state of every app
+  set-last <changenumber> [--app <id>]   Treat changelists up to <changenumber> as seen
+  reset [--app <id>]                     Forget the state of one or every app
+  history [--app <id>] [--branch <name>] [--since <date>] [--limit <n>] [--json]
+                                         List past updates, newest first
+  resend <changenumber> [--app <id>] [--sink <name,...>]
+                                         Send a stored update again (all sinks by default)
+  preview <fixture.json>                 Print the Discord message body of an update
+  verify-webhooks                        Check every configured Discord webhook`;
+
+// ── CLI arguments ──────────────────────────────────────────────────
+const [command, ...args] = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1] ?? null;
+};
+const flag = (name) => args.includes(name);
+const positional = args.find((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+
+/** @type {Object<string, () => number|Promise<number>>} */
+const COMMANDS = {
+  status: showStatus,
+  'set-last': setLast,
+  reset: resetState,
+  history: showHistory,
+  resend: resendUpdate,
+  preview: previewUpdate,
+  'verify-webhooks': verifyWebhooks,
+};
+
+if (!COMMANDS[command]) {
+  console.log(USAGE);
+  process.exit(command && command !== 'help' ? 2 : 0);
+}
+
+try {
+  process.exit(await COMMANDS[command]());
+} catch (err) {
+  logger.error(`${command} failed: ${err.message}`);
+  process.exit(1);
+}
+
+// ── Commands ───────────────────────────────────────────────────────
+
+/**
+ * status — Last changenumber and branch builds of every app in the state.
+ * @returns {Promise<number>} Process exit code
+ */
+async function showStatus() {
+  const processor = new UpdateProcessor();
+  await processor.load();
+  await processor.close();
+  const appIds = [...new Set([...WATCHED_APP_IDS, ...processor.lastChangenumbers.keys()])];
+  const apps = appIds.map((appId) => ({
+    appId,
+    name: getAppConfig(appId)?.name ?? null,
+    watched: WATCHED_APP_IDS.includes(appId),
+    ...(processor.getAppSummary(appId) ?? { lastChangenumber: null, revision: 0, branches: {}, depotCount: 0 }),
+  }));
+
+  if (flag('--json')) {
+    console.log(JSON.stringify({ location: processor.location, apps }, null, 2));
+    return 0;
+  }
+
+  console.log(`State: ${processor.location}`);
+  for (const app of apps) {
+    console.log();
+    console.log(`AppID ${app.appId}${app.name ? ` (${app.name})` : ''}${app.watched ? '' : ' — not watched'}`);
+    if (app.lastChangenumber === null) {
+      console.log('  No state yet — the next update is processed like the first one');
+      continue;
+    }
+
+    console.log(`  Last changenumber  ${app.lastChangenumber}${app.revision > 0 ? ` (revision ${app.revision})` : ''}`);
+    console.log(`  Depots             ${app.depotCount}`);
+    for (const [name, branch] of Object.entries(app.branches)) {
+      const updated = branch.timeUpdated ? `  updated ${formatTime(new Date(branch.timeUpdated * 1000))}` : '';
+      console.log(`  ${`Branch ${name}`.padEnd(19)}build ${branch.buildId ?? 'unknown'}${updated}`);
+    }
+  }
+  return 0;
+}
+
+/**
+ * set-last — Override the last processed changenumber of an app.
+ * @returns {Promise<number>} Process exit code
+ */
+async function setLast() {
+  const changenumber = Number(positional);
+  if (!Number.isInteger(changenumber) || changenumber < 0) {
+    logger.error('Usage: npm run cli -- set-last <changenumber> [--app <id>]');
+    return 2;
+  }
+
+  const appId = appOption({ required: true });
+  if (appId === null) return 2;
+
+  const processor = new UpdateProcessor();
+  await processor.load();
+  const previous = processor.getLastChangenumber(appId);
+  processor.setLastChangenumber(appId, changenumber);
+  await processor.close();
+  console.log(`AppID ${appId}: last changenumber ${previous ?? 'none'} → ${changenumber}`);
+  return 0;
+}
+
+/**
+ * reset — Forget the stored state of one app (--app) or of every app.
+ * Resetting every app does not read the stored state, so it also clears a
+ * state that cannot be loaded any more.
+ * @returns {Promise<number>} Process exit code
+ */
+async function resetState() {
+  const appId = appOption();
+  if (appId === null) return 2;
+
+  const processor = new UpdateProcessor();
+  if (appId !== undefined) await processor.load();
+  processor.reset(appId);
+  await processor.close();
+  console.log(appId === undefined ? 'State reset for every app' : `State reset for AppID ${appId}`);
+  return 0;
+}
+
+/**
+ * history — Past updates from the history store, newest first.
+ * @returns {number} Process exit code
+ */
+function showHistory() {
+  const appId = appOption();
+  if (appId === null) return 2;
+
+  const since = option('--since') ? new Date(option('--since')) : undefined;
+  const limit = Number(option('--limit') ?? DEFAULT_HISTORY_LIMIT);
+  if (Number.isNaN(since?.getTime()) || !Number.isInteger(limit) || limit < 1) {
+    logger.error('--since must be a date (e.g. 2026-01-31) and --limit a positive whole number');
+    return 2;
+  }
+
+  const history = new HistoryStore();
+  const records = listUpdates(history, { appId, since, branch: option('--branch') ?? undefined, limit });
+
+  if (flag('--json')) {
+    console.log(JSON.stringify(records, null, 2));
+    return 0;
+  }
+
+  if (records.length === 0) {
+    console.log(`No updates in ${history.file}`);
+    return 0;
+  }
+
+  for (const record of records) {
+    const branches = record.changedBranches.map((branch) => branch.name).join(', ') || '—';
+    console.log([
+      formatTime(record.timestamp),
+      `AppID ${record.appId}`.padEnd(12),
+      `#${record.changenumber}`.padEnd(11),
+      (record.releaseClass ?? '').padEnd(11),
+      `build ${record.buildId ?? '?'}`.padEnd(16),
+      branches.padEnd(20),
+      record.notified ? deliverySummary(record.delivery) : 'not notified',
+    ].join('  '));
+  }
+  return 0;
+}
+
+/**
+ * resend — Send a stored update again through every sink, or the ones
+ * named with --sink, regardless of the alert rules. Failed messages are
+ * reported, not retried.
+ * @returns {Promise<number>} Process exit code
+ */
+async function resendUpdate() {
+  const changenumber = Number(positional);
+  if (!Number.isInteger(changenumber)) {
+    logger.error('Usage: npm run cli -- resend <changenumber> [--app <id>] [--sink <name,...>]');
+    return 2;
+  }
+
+  const appId = appOption();
+  if (appId === null) return 2;
+
+  const history = new HistoryStore();
+  const record = findByChangenumber(history, changenumber, appId);
+  if (!record) {
+    logger.error(`No update with changenumber ${changenumber} in ${history.file}`);
+    return 1;
+  }
+
+  return withWorkDir(async (workDir) => {
+    // A private outbox, so the running monitor's outbox is never touched
+    const sinks = SinkRegistry.fromConfig({ outboxFile: join(workDir, 'outbox.json') });
+
+    try {
+      const only = option('--sink')?.split(',').map((name) => name.trim()) ?? sinks.names;
+      const unknown = only.filter((name) => !sinks.get(name));
+      if (unknown.length > 0) {
+        logger.error(`Unknown sink(s): ${unknown.join(', ')} — configured: ${sinks.names.join(', ')}`);
+        return 2;
+      }
+
+      const { notified, delivery, recordedAt, ...update } = record;
+      const results = await sinks.deliverUpdate(update, { only });
+
+      for (const result of results) {
+        console.log(`${result.ok ? '✅' : '❌'} ${result.sink} → ${result.webhookId}${result.error ? `: ${result.error}` : ''}`);
+      }
+      if (results.length === 0) logger.error('The update has no targets in the selected sinks');
+      return results.length > 0 && results.every((result) => result.ok) ? 0 : 1;
+    } finally {
+      sinks.destroy();
+    }
+  });
+}
+
+/**
+ * preview — Render the Discord message body of an update without sending
+ * it. The fixture holds a processed update (e.g. a record from
+ * `history --json`) or a raw `appUpdate` event (e.g. a line of a
+ * RECORD_FILE fixture), which is processed against an empty state.
+ * @returns {Promise<number>} Process exit code
+ */
+async function previewUpdate() {
+  if (!positional) {
+    logger.error('Usage: npm run cli -- preview <fixture.json>');
+    return 2;
+  }
+
+  const fixture = JSON.parse(readFileSync(positional, 'utf-8'));
+
+  return withWorkDir(async (workDir) => {
+    let update;
+    if (fixture.appId !== undefined) {
+      update = reviveRecord(fixture);
+    } else if (fixture.appid !== undefined && fixture.data) {
+      const processor = new UpdateProcessor({ backend: new FileBackend(join(workDir, 'state.json')) });
+      update = processor.process({ ...fixture, timestamp: new Date(fixture.at ?? fixture.timestamp ?? Date.now()) });
+      await processor.close();
+    } else {
+      logger.error(`${positional} must hold a processed update (with appId) or an appUpdate event (with appid and data)`);
+      return 1;
+    }
+
+    const notifier = offlineNotifier(workDir);
+    try {
+      console.log(JSON.stringify(notifier.format(update), null, 2));
+    } finally {
+      notifier.destroy();
+    }
+    return 0;
+  });
+}
+
+/**
+ * verify-webhooks — Check every configured Discord webhook (defaults,
+ * per-app, per-branch and admin) without posting to it.
+ * @returns {Promise<number>} Process exit code
+ */
+async function verifyWebhooks() {
+  const webhooks = configuredWebhooks();
+  if (webhooks.size === 0) {
+    logger.error('No Discord webhooks configured');
+    return 1;
+  }
+
+  return withWorkDir(async (workDir) => {
+    const notifier = offlineNotifier(workDir);
+    let failed = 0;
+
+    try {
+      for (const [url, usages] of webhooks) {
+        const result = await notifier.verifyWebhook(url);
+        const target = result.webhookId ? `webhook ${result.webhookId}` : 'webhook';
+        const detail = result.ok ? `"${result.name}" in channel ${result.channelId}` : result.error;
+        console.log(`${result.ok ? '✅' : '❌'} ${target} (${usages.join(', ')}): ${detail}`);
+        if (!result.ok) failed++;
+      }
+    } finally {
+      notifier.destroy();
+    }
+
+    console.log(`${webhooks.size - failed} of ${webhooks.size} webhook(s) OK`);
+    return failed === 0 ? 0 : 1;
+  });
+}
+
+// ── Helpers ────────────────────────────────────────────────────────
+
+/**
+ * Read --app. Without it, commands act on every app, or on the only
+ * watched app when `required`.
+ * @param {object} [options]
+ * @param {boolean} [options.required]
+ * @returns {number|undefined|null} App ID, undefined for every app, null after a usage error
+ */
+function appOption({ required = false } = {}) {
+  const value = option('--app');
+  if (value === null) {
+    if (!required) return undefined;
+    if (WATCHED_APP_IDS.length === 1) return WATCHED_APP_IDS[0];
+    logger.error('--app <id> is required when several apps are watched');
+    return null;
+  }
+
+  const appId = Number(value);
+  if (!Number.isInteger(appId) || appId <= 0) {
+    logger.error(`--app must be a Steam app ID, got "${value}"`);
+    return null;
+  }
+  return appId;
+}
+
+/**
+ * Every configured Discord webhook URL with where it is used.
+ * @returns {Map<string, string[]>}
+ */
+function configuredWebhooks() {
+  const webhooks = new Map();
+  const add = (url, usage) => webhooks.set(url, [...(webhooks.get(url) ?? []), usage]);
+
+  for (const url of DISCORD_WEBHOOK_URLS) add(url, 'default');
+  for (const app of WATCHED_APPS) {
+    for (const url of app.webhookUrls) add(url, `app ${app.appId}`);
+  }
+  for (const [branch, urls] of Object.entries(listBranchWebhooks())) {
+    for (const url of urls) add(url, `branch ${branch}`);
+  }
+  if (ADMIN_WEBHOOK_URL) add(ADMIN_WEBHOOK_URL, 'admin alerts');
+
+  return webhooks;
+}
+
+/**
+ * A DiscordNotifier whose outbox and message IDs live in a scratch
+ * directory, for commands that must not touch the monitor's files.
+ * @param {string} workDir
+ * @returns {DiscordNotifier}
+ */
+function offlineNotifier(workDir) {
+  return new DiscordNotifier({
+    queue: new DeliveryQueue({ file: join(workDir, 'outbox.json'), send: async () => {} }),
+    messages: new MessageStore({ file: join(workDir, 'messages.json') }),
+  });
+}
+
+/**
+ * Run a function with a scratch directory that is removed afterwards.
+ * @template T
+ * @param {(workDir: string) => T} fn
+ * @returns {Promise<Awaited<T>>}
+ */
+async function withWorkDir(fn) {
+  const workDir = mkdtempSync(join(tmpdir(), 'dota-cli-'));
+  try {
+    return await fn(workDir);
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Summarize delivery results, e.g. "delivered 2/3".
+ * @param {Array<{ok: boolean}>} delivery
+ * @returns {string}
+ */
+function deliverySummary(delivery) {
+  const delivered = delivery.filter((result) => result.ok).length;
+  return `delivered ${delivered}/${delivery.length}`;
+}
+
+/**
+ * Format a date as "YYYY-MM-DD HH:mm" (UTC).
+ * @param {Date|null} date
+ * @returns {string}
+ */
+function formatTime(date) {
+  return date ? date.toISOString().slice(0, 16).replace('T', ' ') : '—'.padEnd(16);
+}
@@ -0,0 +1,182 @@
+/**
+ * Configuration file — Reads the optional CONFIG_FILE (YAML or JSON) and
+ * checks it against CONFIG_SCHEMA.
+ *
+ * Only the shape is checked here: unknown keys, wrong types, malformed
+ * URLs and IDs, each reported with its path (e.g. `apps[1].webhooks[0]`).
+ * Values such as release classes, log levels or sink options are checked
+ * by validateConfig() once they are merged with the env vars. This module
+ * is imported by config.js, so it must not import config.js or the logger.
+ */
+
+import { readFileSync } from 'node:fs';
+import { extname } from 'node:path';
+import { parse as parseYaml } from 'yaml';
+
+/**
+ * Shape of the configuration file. A string names a value type, `[shape]`
+ * is an array of that shape, and an object lists the known keys (`*` =
+ * any key, for maps).
+ *
+ * Value types: string, url, appId (positive whole number), seconds
+ * (number ≥ 0) and object (checked by validateConfig()).
+ */
+export const CONFIG_SCHEMA = {
+  apps: [{
+    id: 'appId',
+    name: 'string',
+    icon: 'url',
+    webhooks: ['url'],
+  }],
+  webhooks: ['url'],
+  branches: {
+    alert: ['string'],
+    webhooks: { '*': ['url'] },
+  },
+  notifyClasses: ['string'],
+  sinks: ['object'],
+  mentions: {
+    rules: ['object'],
+    quietHours: 'string',
+    timeZone: 'string',
+  },
+  intervals: {
+    changelistUpdate: 'seconds',
+    picsStallTimeout: 'seconds',
+    patchNotesPoll: 'seconds',
+  },
+  stateBackend: 'string',
+  stateFile: 'string',
+  logLevel: 'string',
+};
+
+/** What each value type must be, for error messages */
+const TYPE_DESCRIPTIONS = {
+  string: 'a string',
+  url: 'an http(s) URL',
+  appId: 'a positive whole number',
+  seconds: 'a number of seconds (0 or more)',
+  object: 'an object',
+};
+
+/**
+ * Whether a value is a plain object (not an array or null).
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Whether a value matches a value type.
+ * @param {any} value
+ * @param {string} type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string';
+    case 'url':
+      return typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+    case 'appId':
+      return Number.isInteger(value) && value > 0;
+    case 'seconds':
+      return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    case 'object':
+      return isObject(value);
+    default:
+      return false;
+  }
+}
+
+/**
+ * Parse a configuration file; the format follows the extension.
+ *
+ * @param {string} file - `.yml`, `.yaml` or `.json` path
+ * @returns {object} Parsed settings (empty for an empty file)
+ * @throws {Error} If the file cannot be read or parsed
+ */
+export function readConfigFile(file) {
+  const text = readFileSync(file, 'utf-8');
+
+  switch (extname(file).toLowerCase()) {
+    case '.yml':
+    case '.yaml':
+      return parseYaml(text) ?? {};
+    case '.json':
+      return JSON.parse(text);
+    default:
+      throw new Error('the file must end in .yml, .yaml or .json');
+  }
+}
+
+/**
+ * Check parsed settings against CONFIG_SCHEMA.
+ *
+ * @param {any} config - From readConfigFile()
+ * @returns {string[]} Error messages, each starting with the setting's path
+ */
+export function checkConfigFile(config) {
+  if (!isObject(config)) return ['the file must contain a map of settings'];
+
+  const errors = [];
+  checkShape(config, CONFIG_SCHEMA, '', errors);
+
+  if (Array.isArray(config.apps)) {
+    config.apps.forEach((app, index) => {
+      if (isObject(app) && app.id == null) errors.push(`apps[${index}].id is required`);
+    });
+  }
+  return errors;
+}
+
+/**
+ * Check a value against a shape, collecting errors.
+ * @param {any} value
+ * @param {string|Array|object} shape
+ * @param {string} path - Path of the value ('' for the root)
+ * @param {string[]} errors
+ */
+function checkShape(value, shape, path, errors) {
+  if (typeof shape === 'string') {
+    if (!matchesType(value, shape)) errors.push(`${path} must be ${TYPE_DESCRIPTIONS[shape]}`);
+    return;
+  }
+
+  if (Array.isArray(shape)) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be a list`);
+      return;
+    }
+    value.forEach((item, index) => checkShape(item, shape[0], `${path}[${index}]`, errors));
+    return;
+  }
+
+  if (!isObject(value)) {
+    errors.push(`${path} must be a map`);
+    return;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    const itemPath = path ? `${path}.${key}` : key;
+    const itemShape = shape[key] ?? shape['*'];
+
+    if (itemShape === undefined) {
+      errors.push(`${itemPath} is not a known setting`);
+    } else if (item !== null) {
+      checkShape(item, itemShape, itemPath, errors);
+    }
+  }
+}
+
+/**
+ * Look up a setting by its dotted path.
+ * @param {object} config
+ * @param {string} path - e.g. 'intervals.picsStallTimeout'
+ * @returns {any} Undefined when not set
+ */
+export function getSetting(config, path) {
+  return path.split('.').reduce((value, key) => value?.[key], config) ?? undefined;
+}
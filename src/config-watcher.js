@@ -0,0 +1,104 @@
+/**
+ * ConfigWatcher — Reloads the configuration on SIGHUP, and whenever
+ * CONFIG_FILE changes on disk.
+ *
+ * A reload re-reads the config file (and SINKS_FILE / MENTION_RULES_FILE),
+ * validates it and swaps in the new routing settings without touching the
+ * Steam session. An invalid file is rejected as a whole and the running
+ * configuration stays in place.
+ *
+ * Events:
+ *   reload {restartRequired}   New settings applied; restartRequired lists
+ *                              changed settings that need a restart
+ */
+
+import { EventEmitter } from 'node:events';
+import { watch } from 'node:fs';
+import { basename, dirname } from 'node:path';
+import { createLogger } from './logger.js';
+import { CONFIG_FILE, reloadConfig } from '../config.js';
+
+const logger = createLogger('config-watcher');
+
+/** Wait for an editor to finish writing before reading the file, in ms */
+const RELOAD_DEBOUNCE = 500;
+
+export default class ConfigWatcher extends EventEmitter {
+  /** @type {string} */
+  #file;
+
+  /** @type {import('node:fs').FSWatcher|null} */
+  #watcher = null;
+
+  /** @type {NodeJS.Timeout|null} */
+  #timer = null;
+
+  /** Bound SIGHUP handler, kept to remove it again */
+  #onSignal = () => {
+    logger.info('Received SIGHUP — reloading configuration');
+    this.reload();
+  };
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - Config file to watch (defaults to CONFIG_FILE; blank = SIGHUP only)
+   */
+  constructor({ file = CONFIG_FILE } = {}) {
+    super();
+    this.#file = file;
+  }
+
+  /**
+   * Listen for SIGHUP and watch the config file.
+   */
+  start() {
+    process.on('SIGHUP', this.#onSignal);
+    if (!this.#file) return;
+
+    // Watch the directory: editors often replace the file, which ends a watch on the file itself
+    try {
+      this.#watcher = watch(dirname(this.#file), (event, name) => {
+        if (name !== basename(this.#file)) return;
+        clearTimeout(this.#timer);
+        this.#timer = setTimeout(() => {
+          logger.info(`${this.#file} changed — reloading configuration`);
+          this.reload();
+        }, RELOAD_DEBOUNCE);
+      });
+      logger.info(`Watching ${this.#file} for changes`);
+    } catch (err) {
+      logger.warn(`Cannot watch ${this.#file} (${err.message}) — reload with SIGHUP instead`);
+    }
+  }
+
+  /**
+   * Stop listening for changes.
+   */
+  stop() {
+    process.off('SIGHUP', this.#onSignal);
+    clearTimeout(this.#timer);
+    this.#watcher?.close();
+    this.#watcher = null;
+  }
+
+  /**
+   * Reload and apply the configuration.
+   * @returns {boolean} Whether the new configuration was applied
+   */
+  reload() {
+    let result;
+    try {
+      result = reloadConfig();
+    } catch (err) {
+      logger.error(`Configuration not reloaded, keeping the current settings. ${err.message}`);
+      return false;
+    }
+
+    logger.info('Configuration reloaded');
+    if (result.restartRequired.length > 0) {
+      logger.warn(`Changes to ${result.restartRequired.join(', ')} apply after a restart`);
+    }
+    this.emit('reload', result);
+    return true;
+  }
+}
@@ -0,0 +1,360 @@
+/**
+ * ContentAnalyzer — Diffs selected game files between public builds.
+ *
+ * When a new public Dota 2 build is detected, the analyzer downloads the
+ * depot manifests of CONTENT_DEPOT_IDS, fetches the files listed in
+ * CONTENT_FILES (straight from the depot, or out of the VPK archive of
+ * their directory) and compares them with the previous build.
+ *
+ * Only the depot chunks that hold the wanted bytes are downloaded, and
+ * files whose hash did not change are reused from the last snapshot, which
+ * is persisted to CONTENT_SNAPSHOT_FILE.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { createLogger } from './logger.js';
+import { diffGameFiles } from './content-diff.js';
+import {
+  parseVpkHeader,
+  parseVpkTree,
+  vpkArchivePath,
+  VPK_DIR_ARCHIVE,
+  VPK_MAX_HEADER_SIZE,
+} from './vpk.js';
+import {
+  DOTA2_APP_ID,
+  CONTENT_DEPOT_IDS,
+  CONTENT_FILES,
+  CONTENT_SNAPSHOT_FILE,
+  CONTENT_DIFF_TIMEOUT,
+} from '../config.js';
+
+const logger = createLogger('content-analyzer');
+
+/**
+ * @typedef {object} ContentSnapshot
+ * @property {string} buildId - Public build the files belong to
+ * @property {Object<string, string>} manifests - Depot ID → manifest ID
+ * @property {Object<string, {hash: string, text: string}>} files - Depot path → contents
+ */
+
+export default class ContentAnalyzer {
+  /** @type {import('./steam-monitor.js').default} */
+  #monitor;
+
+  /** @type {import('./update-processor.js').default} */
+  #processor;
+
+  /** @type {string} */
+  #file;
+
+  /** @type {ContentSnapshot|null} */
+  #snapshot = null;
+
+  /** Analyses run one at a time, in build order */
+  #pending = Promise.resolve();
+
+  /**
+   * @param {object} components
+   * @param {import('./steam-monitor.js').default} components.monitor
+   * @param {import('./update-processor.js').default} components.processor
+   * @param {string} [components.file] - Snapshot path (defaults to CONTENT_SNAPSHOT_FILE)
+   */
+  constructor({ monitor, processor, file = CONTENT_SNAPSHOT_FILE }) {
+    this.#monitor = monitor;
+    this.#processor = processor;
+    this.#file = file;
+    this.#load();
+  }
+
+  /**
+   * Load the last snapshot from disk.
+   */
+  #load() {
+    try {
+      if (existsSync(this.#file)) {
+        this.#snapshot = JSON.parse(readFileSync(this.#file, 'utf-8'));
+        logger.info(`Loaded game file snapshot of build ${this.#snapshot.buildId}`);
+      }
+    } catch (err) {
+      logger.warn(`Failed to load game file snapshot: ${err.message}`);
+      this.#snapshot = null;
+    }
+  }
+
+  /**
+   * Write the current snapshot to disk.
+   */
+  #save() {
+    try {
+      writeFileSync(this.#file, JSON.stringify(this.#snapshot), 'utf-8');
+    } catch (err) {
+      logger.error(`Failed to save game file snapshot: ${err.message}`);
+    }
+  }
+
+  /**
+   * Whether an update carries a new public Dota 2 build.
+   * @param {object} update - Processed update data
+   * @returns {boolean}
+   */
+  shouldAnalyze(update) {
+    return update.appId === DOTA2_APP_ID
+      && (update.changedBranches ?? []).some((b) => b.name === 'public' && b.newBuildId);
+  }
+
+  /**
+   * Diff the game files of a new public build against the previous one.
+   *
+   * Resolves with null when the update has no new public build, the diff
+   * failed, or it took longer than `timeout` — in that case the analysis
+   * keeps running so the snapshot still advances to the new build.
+   *
+   * @param {object} update - Processed update data
+   * @param {object} [options]
+   * @param {number} [options.timeout] - Milliseconds to wait (defaults to CONTENT_DIFF_TIMEOUT)
+   * @returns {Promise<import('./content-diff.js').ContentDiff|null>}
+   */
+  async analyze(update, { timeout = CONTENT_DIFF_TIMEOUT } = {}) {
+    if (!this.shouldAnalyze(update)) return null;
+
+    const run = this.#pending.then(() => this.#analyze(update));
+    this.#pending = run.catch(() => {});
+
+    let timer;
+    const expired = new Promise((resolve) => {
+      timer = setTimeout(() => {
+        logger.warn(`Game file diff for build ${update.buildId} is taking longer than ${timeout / 1000}s — sending without it`);
+        resolve(null);
+      }, timeout);
+    });
+
+    try {
+      return await Promise.race([run, expired]);
+    } catch (err) {
+      logger.error(`Game file diff for build ${update.buildId} failed: ${err.message}`);
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @param {object} update
+   * @returns {Promise<import('./content-diff.js').ContentDiff|null>}
+   */
+  async #analyze(update) {
+    const publicBranch = update.changedBranches.find((b) => b.name === 'public');
+    const started = Date.now();
+
+    const newManifests = {};
+    const oldManifests = {};
+    for (const depotId of CONTENT_DEPOT_IDS) {
+      const gid = this.#processor.getDepotManifest(update.appId, depotId);
+      if (!gid) continue;
+      const changed = update.changedDepots.find((d) => d.id === depotId && d.branch === 'public');
+      newManifests[depotId] = gid;
+      oldManifests[depotId] = changed ? changed.oldGid : gid;
+    }
+
+    if (Object.keys(newManifests).length === 0) {
+      logger.warn(`No public manifest known for depot(s) ${CONTENT_DEPOT_IDS.join(', ')} — skipping game file diff`);
+      return null;
+    }
+
+    // The previous build's files come from the snapshot when it matches,
+    // otherwise from the previous manifests (e.g. on the first run)
+    let before = null;
+    if (this.#snapshot?.buildId === publicBranch.oldBuildId) {
+      before = this.#snapshot.files;
+    } else if (publicBranch.oldBuildId && Object.values(oldManifests).every(Boolean)) {
+      try {
+        before = await this.#fetchFiles(update.appId, oldManifests, this.#snapshot?.files ?? {});
+      } catch (err) {
+        logger.warn(`Could not fetch game files of build ${publicBranch.oldBuildId}: ${err.message}`);
+      }
+    }
+
+    const after = await this.#fetchFiles(update.appId, newManifests, before ?? this.#snapshot?.files ?? {});
+    this.#snapshot = { buildId: publicBranch.newBuildId, manifests: newManifests, files: after };
+    this.#save();
+
+    if (!before) {
+      logger.info(`Stored game files of build ${publicBranch.newBuildId} — changes are reported from the next build`);
+      return null;
+    }
+
+    const diff = diffGameFiles(textsOf(before), textsOf(after));
+    for (const error of diff.errors) {
+      logger.warn(`Game file diff: ${error}`);
+    }
+    logger.info(`Game file diff for build ${publicBranch.newBuildId}: ${diff.files.length} changed file(s) in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+    return diff;
+  }
+
+  /**
+   * Fetch every CONTENT_FILES entry found in the given manifests.
+   * Files whose hash matches `previous` are reused instead of downloaded.
+   *
+   * @param {number} appId
+   * @param {Object<string, string>} manifests - Depot ID → manifest ID
+   * @param {Object<string, {hash: string, text: string}>} previous
+   * @returns {Promise<Object<string, {hash: string, text: string}>>}
+   */
+  async #fetchFiles(appId, manifests, previous) {
+    // Depot path (lowercase) → { depotId, file } across all manifests
+    const index = new Map();
+    for (const [depotId, manifestId] of Object.entries(manifests)) {
+      const manifest = await this.#monitor.getManifest(appId, depotId, manifestId);
+      for (const file of manifest.files ?? []) {
+        index.set(normalizePath(file.filename), { depotId, file });
+      }
+    }
+
+    const vpks = new Map();
+    const files = {};
+
+    for (const wanted of CONTENT_FILES) {
+      const path = normalizePath(wanted);
+      const loose = index.get(path);
+
+      if (loose) {
+        const hash = loose.file.sha_content;
+        files[wanted] = previous[wanted]?.hash === hash
+          ? previous[wanted]
+          : { hash, text: decodeText(await this.#read(appId, loose, 0, Number(loose.file.size))) };
+        continue;
+      }
+
+      const dirPath = findVpkDirectory(index, path);
+      if (!dirPath) {
+        logger.debug(`Game file ${wanted} not found in depot(s) ${Object.keys(manifests).join(', ')}`);
+        continue;
+      }
+
+      if (!vpks.has(dirPath)) {
+        vpks.set(dirPath, await this.#readVpkDirectory(appId, index.get(dirPath)));
+      }
+      const vpk = vpks.get(dirPath);
+      const entryPath = path.slice(dirPath.lastIndexOf('/') + 1);
+      const entry = vpk.entries.get(entryPath);
+      if (!entry) {
+        logger.debug(`Game file ${wanted} not found in ${dirPath}`);
+        continue;
+      }
+
+      const hash = `crc32:${entry.crc}`;
+      if (previous[wanted]?.hash === hash) {
+        files[wanted] = previous[wanted];
+        continue;
+      }
+
+      let data = entry.preload;
+      if (entry.length > 0) {
+        const archive = entry.archiveIndex === VPK_DIR_ARCHIVE
+          ? { location: index.get(dirPath), offset: vpk.dataOffset + entry.offset }
+          : { location: index.get(vpkArchivePath(dirPath, entry.archiveIndex)), offset: entry.offset };
+        if (!archive.location) {
+          throw new Error(`Archive ${entry.archiveIndex} of ${dirPath} is missing from the manifest`);
+        }
+        data = Buffer.concat([data, await this.#read(appId, archive.location, archive.offset, entry.length)]);
+      }
+      files[wanted] = { hash, text: decodeText(data) };
+    }
+
+    return files;
+  }
+
+  /**
+   * Read the header and file tree of a VPK directory file.
+   * @param {number} appId
+   * @param {{depotId: string, file: object}} location
+   * @returns {Promise<{entries: Map<string, import('./vpk.js').VpkEntry>, dataOffset: number}>}
+   */
+  async #readVpkDirectory(appId, location) {
+    const header = parseVpkHeader(await this.#read(appId, location, 0, VPK_MAX_HEADER_SIZE));
+    const tree = await this.#read(appId, location, header.headerSize, header.treeSize);
+    return {
+      entries: parseVpkTree(tree),
+      dataOffset: header.headerSize + header.treeSize,
+    };
+  }
+
+  /**
+   * Read a byte range of a depot file, downloading only the chunks it spans.
+   *
+   * @param {number} appId
+   * @param {{depotId: string, file: object}} location - Manifest file entry and its depot
+   * @param {number} offset
+   * @param {number} length
+   * @returns {Promise<Buffer>}
+   */
+  async #read(appId, { depotId, file }, offset, length) {
+    const end = Math.min(offset + length, Number(file.size));
+    const result = Buffer.alloc(Math.max(end - offset, 0));
+
+    const chunks = (file.chunks ?? [])
+      .map((chunk) => ({ sha: chunk.sha, start: Number(chunk.offset), size: Number(chunk.cb_original) }))
+      .filter((chunk) => chunk.start < end && chunk.start + chunk.size > offset);
+
+    for (const chunk of chunks) {
+      const data = await this.#monitor.downloadChunk(appId, depotId, chunk.sha);
+      const from = Math.max(offset, chunk.start);
+      const to = Math.min(end, chunk.start + chunk.size);
+      data.copy(result, from - offset, from - chunk.start, to - chunk.start);
+    }
+
+    return result;
+  }
+}
+
+/**
+ * Lowercase a depot path and use forward slashes.
+ * @param {string} path
+ * @returns {string}
+ */
+function normalizePath(path) {
+  return path.replace(/\\/g, '/').toLowerCase();
+}
+
+/**
+ * Find the VPK directory file whose folder contains a path, preferring
+ * the deepest one (e.g. `game/dota/pak01_dir.vpk` for
+ * `game/dota/scripts/npc/items.txt`).
+ *
+ * @param {Map<string, object>} index
+ * @param {string} path
+ * @returns {string|null}
+ */
+function findVpkDirectory(index, path) {
+  let best = null;
+  for (const candidate of index.keys()) {
+    if (!candidate.endsWith('_dir.vpk')) continue;
+    const folder = candidate.slice(0, candidate.lastIndexOf('/') + 1);
+    if (path.startsWith(folder) && (!best || folder.length > best.lastIndexOf('/') + 1)) {
+      best = candidate;
+    }
+  }
+  return best;
+}
+
+/**
+ * Decode a text file, honoring the UTF-16 byte order mark of older
+ * localization files.
+ * @param {Buffer} data
+ * @returns {string}
+ */
+function decodeText(data) {
+  if (data[0] === 0xFF && data[1] === 0xFE) {
+    return data.subarray(2).toString('utf16le');
+  }
+  return data.toString('utf-8').replace(/^﻿/, '');
+}
+
+/**
+ * @param {Object<string, {hash: string, text: string}>} files
+ * @returns {Object<string, string>}
+ */
+function textsOf(files) {
+  return Object.fromEntries(Object.entries(files).map(([path, file]) => [path, file.text]));
+}
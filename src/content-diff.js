@@ -0,0 +1,245 @@
+/**
+ * Content diff — What changed in the game files between two builds.
+ *
+ * Compares the text of selected depot files (see CONTENT_FILES) and turns
+ * them into player-facing changes: the patch version from `steam.inf`,
+ * and the heroes, abilities and items whose script entries were added,
+ * removed or modified. Localization files provide display names.
+ */
+
+import { parseKeyValues, parseInf } from './keyvalues.js';
+import { diffAppInfo } from './appinfo-diff.js';
+
+/**
+ * @typedef {object} EntityChanges
+ * @property {Array<{id: string, name: string}>} added
+ * @property {Array<{id: string, name: string}>} removed
+ * @property {Array<{id: string, name: string, keys: string[]}>} changed - With the changed key paths
+ */
+
+/**
+ * @typedef {object} ContentDiff
+ * @property {{old: string|null, new: string|null}|null} patchVersion - Set when steam.inf changed
+ * @property {EntityChanges} heroes
+ * @property {EntityChanges} abilities
+ * @property {EntityChanges} items
+ * @property {number} localizationChanges - Added, removed or reworded strings
+ * @property {string[]} files - Paths of every changed file
+ * @property {string[]} errors - Files that could not be parsed
+ */
+
+/**
+ * Compare two sets of game files.
+ *
+ * @param {Object<string, string>} before - Depot path → file text of the previous build
+ * @param {Object<string, string>} after - Depot path → file text of the new build
+ * @returns {ContentDiff}
+ */
+export function diffGameFiles(before, after) {
+  const diff = {
+    patchVersion: null,
+    heroes: emptyChanges(),
+    abilities: emptyChanges(),
+    items: emptyChanges(),
+    localizationChanges: 0,
+    files: [],
+    errors: [],
+  };
+
+  const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  const changedPaths = paths.filter((path) => before[path] !== after[path]);
+  diff.files = changedPaths;
+
+  // Display names come from the new build's localization, falling back to the old one
+  const names = {
+    ...collectTokens(before, paths, diff.errors),
+    ...collectTokens(after, paths, diff.errors),
+  };
+
+  for (const path of changedPaths) {
+    const kind = classifyFile(path);
+
+    try {
+      if (kind === 'version') {
+        diff.patchVersion = {
+          old: readVersion(before[path]),
+          new: readVersion(after[path]),
+        };
+      } else if (kind === 'localization') {
+        diff.localizationChanges += countChanges(readTokens(before[path]), readTokens(after[path]));
+      } else if (kind) {
+        mergeChanges(diff[kind], diffEntities(readEntities(before[path]), readEntities(after[path]), kind, names));
+      }
+    } catch (err) {
+      diff.errors.push(`${path}: ${err.message}`);
+    }
+  }
+
+  return diff;
+}
+
+/**
+ * Whether a content diff reports nothing worth showing.
+ * @param {ContentDiff|null} diff
+ * @returns {boolean}
+ */
+export function isEmptyContentDiff(diff) {
+  return !diff || diff.files.length === 0;
+}
+
+/**
+ * Total number of added, removed and changed entries of an EntityChanges.
+ * @param {EntityChanges} changes
+ * @returns {number}
+ */
+export function countEntityChanges(changes) {
+  return changes.added.length + changes.removed.length + changes.changed.length;
+}
+
+/**
+ * Decide what a file describes from its path.
+ * @param {string} path
+ * @returns {'version'|'heroes'|'abilities'|'items'|'localization'|null}
+ */
+function classifyFile(path) {
+  const lower = path.toLowerCase();
+  const file = lower.split('/').pop();
+
+  if (file === 'steam.inf') return 'version';
+  if (lower.includes('/localization/')) return 'localization';
+  if (file === 'npc_heroes.txt') return 'heroes';
+  if (file === 'items.txt' || file.startsWith('item_')) return 'items';
+  if (file === 'npc_abilities.txt' || lower.includes('/npc/heroes/')) return 'abilities';
+  return null;
+}
+
+/**
+ * @param {string|undefined} text - steam.inf contents
+ * @returns {string|null} PatchVersion, or ClientVersion for builds without one
+ */
+function readVersion(text) {
+  if (text === undefined) return null;
+  const inf = parseInf(text);
+  return inf.PatchVersion ?? inf.ClientVersion ?? null;
+}
+
+/**
+ * Script entries (heroes, abilities or items) keyed by their internal name.
+ * Scalar top-level keys such as "Version" are not entries.
+ *
+ * @param {string|undefined} text
+ * @returns {Object<string, object>}
+ */
+function readEntities(text) {
+  if (text === undefined) return {};
+  const root = Object.values(parseKeyValues(text))[0] ?? {};
+  return Object.fromEntries(Object.entries(root).filter(([, value]) => typeof value === 'object'));
+}
+
+/**
+ * Localization tokens of a file.
+ * @param {string|undefined} text
+ * @returns {Object<string, string>}
+ */
+function readTokens(text) {
+  if (text === undefined) return {};
+  const root = parseKeyValues(text);
+  return (root.lang ?? Object.values(root)[0])?.Tokens ?? {};
+}
+
+/**
+ * Lowercased token → string across every localization file of a build.
+ * @param {Object<string, string>} files
+ * @param {string[]} paths
+ * @param {string[]} errors - Collects parse failures
+ * @returns {Object<string, string>}
+ */
+function collectTokens(files, paths, errors) {
+  const tokens = {};
+  for (const path of paths) {
+    if (files[path] === undefined || classifyFile(path) !== 'localization') continue;
+    try {
+      for (const [key, value] of Object.entries(readTokens(files[path]))) {
+        if (typeof value === 'string') tokens[key.toLowerCase()] = value;
+      }
+    } catch (err) {
+      if (!errors.some((e) => e.startsWith(`${path}:`))) errors.push(`${path}: ${err.message}`);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Compare the entries of one script file.
+ *
+ * @param {Object<string, object>} before
+ * @param {Object<string, object>} after
+ * @param {'heroes'|'abilities'|'items'} kind
+ * @param {Object<string, string>} names - Lowercased localization tokens
+ * @returns {EntityChanges}
+ */
+function diffEntities(before, after, kind, names) {
+  const changes = emptyChanges();
+  const displayName = (id) => localizedName(id, kind, names);
+
+  for (const id of Object.keys(after)) {
+    if (!(id in before)) changes.added.push({ id, name: displayName(id) });
+  }
+
+  for (const [id, entry] of Object.entries(before)) {
+    if (!(id in after)) {
+      changes.removed.push({ id, name: displayName(id) });
+      continue;
+    }
+
+    const entryDiff = diffAppInfo(entry, after[id]);
+    const keys = [...entryDiff.added, ...entryDiff.removed, ...entryDiff.changed].map((e) => e.path);
+    if (keys.length > 0) {
+      changes.changed.push({ id, name: displayName(id), keys: [...new Set(keys)].sort() });
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Player-facing name of a hero, ability or item, or its internal name.
+ * @param {string} id
+ * @param {'heroes'|'abilities'|'items'} kind
+ * @param {Object<string, string>} names
+ * @returns {string}
+ */
+function localizedName(id, kind, names) {
+  const token = kind === 'heroes' ? id : `DOTA_Tooltip_ability_${id}`;
+  return names[token.toLowerCase()] ?? id;
+}
+
+/**
+ * Number of tokens added, removed or reworded.
+ * @param {Object<string, string>} before
+ * @param {Object<string, string>} after
+ * @returns {number}
+ */
+function countChanges(before, after) {
+  const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+  let count = 0;
+  for (const key of keys) {
+    if (before[key] !== after[key]) count++;
+  }
+  return count;
+}
+
+/**
+ * @param {EntityChanges} target
+ * @param {EntityChanges} source
+ */
+function mergeChanges(target, source) {
+  target.added.push(...source.added);
+  target.removed.push(...source.removed);
+  target.changed.push(...source.changed);
+}
+
+/** @returns {EntityChanges} */
+function emptyChanges() {
+  return { added: [], removed: [], changed: [] };
+}
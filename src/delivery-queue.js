@@ -0,0 +1,433 @@
+/**
+ * DeliveryQueue — Persistent outbox for webhook messages.
+ *
+ * Holds one entry per webhook per update. Entries are retried with
+ * exponential backoff (honouring Discord's 429 retry_after), survive
+ * restarts through the outbox file, or the `outbox` document of the state
+ * backend so redundant instances share it, and are only removed once the
+ * webhook accepts the message. Entries that exhaust their attempts or hit a
+ * permanent error are dead-lettered and can be inspected and replayed.
+ * With redundant instances, `canSend` confirms leadership before every
+ * attempt; refused entries stay pending without using up an attempt, and
+ * a stopped queue no longer writes the shared outbox.
+ *
+ * Events:
+ *   'delivered'    (entry) — an entry was accepted by its webhook
+ *   'deadLettered' (entry) — an entry gave up and moved to the dead letters
+ */
+
+import { EventEmitter } from 'node:events';
+import { randomUUID } from 'node:crypto';
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { createLogger } from './logger.js';
+import { OUTBOX_FILE } from '../config.js';
+
+const logger = createLogger('delivery-queue');
+
+/**
+ * @typedef {object} OutboxEntry
+ * @property {string} id
+ * @property {string} sink - Name of the NotificationSink that delivers the entry
+ * @property {string} webhookUrl - Target key (webhook URL, or a chat/room ID for chat sinks)
+ * @property {string} webhookId - Target identifier safe to log and expose
+ * @property {'update'|'patchNotes'|'edit'|'missed'} kind - What the message carries
+ * @property {number} appId
+ * @property {number|string} changenumber
+ * @property {object} payload - Webhook message body (JSON-serializable)
+ * @property {'pending'|'dead'} status
+ * @property {number} attempts
+ * @property {number} nextAttemptAt - Epoch ms
+ * @property {string|null} lastError
+ * @property {string} createdAt - ISO timestamp
+ */
+
+export default class DeliveryQueue extends EventEmitter {
+  /** @type {Map<string, OutboxEntry>} */
+  #entries = new Map();
+
+  /** @type {(entry: OutboxEntry) => Promise<void>} */
+  #send;
+
+  /** @type {(() => Promise<boolean>)|null} Checked before every attempt */
+  #canSend;
+
+  /** @type {string} */
+  #file;
+
+  /** @type {import('./state/state-backend.js').default|null} Holds the outbox instead of the file */
+  #backend;
+
+  /** @type {Promise<void>} Tail of the backend write chain */
+  #writing = Promise.resolve();
+
+  /** @type {NodeJS.Timeout|null} Timer for the next due entry */
+  #timer = null;
+
+  /** Whether a drain pass is running */
+  #draining = false;
+
+  /** Whether stop() was called (or, with canSend, start() not yet) — no further timers are armed */
+  #stopped = false;
+
+  /** Resolvers waiting on the first attempt of an entry */
+  #firstAttempt = new Map();
+
+  /** Maximum attempts before an entry is dead-lettered */
+  static MAX_ATTEMPTS = 8;
+
+  /** Base retry delay in ms */
+  static BASE_RETRY_DELAY = 5_000;
+
+  /** Maximum retry delay in ms (10 minutes) */
+  static MAX_RETRY_DELAY = 600_000;
+
+  /**
+   * @param {object} options
+   * @param {(entry: OutboxEntry) => Promise<void>} options.send - Deliver one entry; throw on failure
+   * @param {string} [options.file] - Outbox file path (defaults to OUTBOX_FILE)
+   * @param {() => Promise<boolean>} [options.canSend] - Whether this instance may send right now
+   * @param {import('./state/state-backend.js').default} [options.backend] - Keep the outbox there (read by load())
+   */
+  constructor({ send, file = OUTBOX_FILE, canSend = null, backend = null }) {
+    super();
+    this.#send = send;
+    this.#canSend = canSend;
+    this.#file = file;
+    this.#backend = backend;
+    // A standby waits for start() on election
+    this.#stopped = Boolean(canSend);
+
+    if (!backend) {
+      try {
+        this.#restore(existsSync(file) ? readFileSync(file, 'utf-8') : null);
+      } catch (err) {
+        logger.warn(`Failed to load outbox file: ${err.message}`);
+      }
+    }
+  }
+
+  // ── Persistence ────────────────────────────────────────────────────
+
+  /**
+   * Replace the entries with the stored outbox, e.g. the one the previous
+   * leader left behind. Called while the queue is stopped. An outbox never
+   * stored in the backend is taken over from the outbox file.
+   * @returns {Promise<void>}
+   * @throws {Error} If the backend cannot be read
+   */
+  async load() {
+    let text = null;
+    if (this.#backend) {
+      text = await this.#backend.readDocument('outbox');
+    }
+    if (text === null && existsSync(this.#file)) {
+      text = readFileSync(this.#file, 'utf-8');
+    }
+
+    this.#restore(text);
+  }
+
+  /**
+   * Replace the entries with serialized ones.
+   * @param {string|null} text - Stored outbox, or null for none
+   */
+  #restore(text) {
+    this.#entries.clear();
+    for (const entry of text ? JSON.parse(text) : []) {
+      // Entries written before sinks existed were always Discord webhooks
+      this.#entries.set(entry.id, { sink: 'discord', kind: 'update', ...entry });
+    }
+
+    const pending = this.pending().length;
+    const dead = this.deadLetters().length;
+    if (pending > 0 || dead > 0) {
+      logger.info(`Loaded outbox: ${pending} pending, ${dead} dead-lettered message(s)`);
+    }
+  }
+
+  /**
+   * Write every entry to the outbox file or backend.
+   */
+  #save() {
+    const text = JSON.stringify([...this.#entries.values()], null, 2);
+
+    if (!this.#backend) {
+      try {
+        writeFileSync(this.#file, text, 'utf-8');
+      } catch (err) {
+        logger.error(`Failed to save outbox: ${err.message}`);
+      }
+      return;
+    }
+
+    // Once stopped, another instance may lead and own the shared outbox
+    if (this.#stopped && this.#canSend) return;
+
+    this.#writing = this.#writing
+      .then(() => this.#backend.writeDocument('outbox', text))
+      .catch((err) => logger.error(`Failed to save outbox: ${err.message}`));
+  }
+
+  /**
+   * Wait for outbox writes to the backend.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.#writing;
+  }
+
+  // ── Queueing ───────────────────────────────────────────────────────
+
+  /**
+   * Add one entry per webhook and attempt them right away.
+   * Resolves once every entry has had its first attempt; while the queue
+   * is stopped, right away with the entries pending.
+   *
+   * @param {object} message
+   * @param {string} [message.sink] - Delivering sink name
+   * @param {'update'|'patchNotes'|'edit'|'missed'} [message.kind] - What the message carries
+   * @param {number} message.appId
+   * @param {number|string} message.changenumber
+   * @param {object} message.payload - Webhook message body
+   * @param {Array<{url: string, id: string}>} webhooks
+   * @returns {Promise<Array<{entryId: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  enqueue({ sink = 'discord', kind = 'update', appId, changenumber, payload }, webhooks) {
+    const firstAttempts = webhooks.map((webhook) => {
+      const entry = {
+        id: randomUUID(),
+        sink,
+        webhookUrl: webhook.url,
+        webhookId: webhook.id,
+        kind,
+        appId,
+        changenumber,
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        createdAt: new Date().toISOString(),
+      };
+      this.#entries.set(entry.id, entry);
+      if (this.#stopped) return pendingResult(entry);
+      return new Promise((resolve) => this.#firstAttempt.set(entry.id, resolve));
+    });
+
+    this.#save();
+    this.#schedule(0);
+    return Promise.all(firstAttempts);
+  }
+
+  /**
+   * Start delivering entries left over from a previous run.
+   */
+  start() {
+    this.#stopped = false;
+    this.#schedule(0);
+  }
+
+  /**
+   * Stop the retry timer. Pending entries stay in the outbox file, and
+   * enqueue() calls still waiting for a first attempt resolve as pending.
+   */
+  stop() {
+    this.#stopped = true;
+    clearTimeout(this.#timer);
+    this.#timer = null;
+
+    for (const id of this.#firstAttempt.keys()) {
+      const entry = this.#entries.get(id);
+      if (entry?.attempts === 0) this.#resolvePending(entry);
+    }
+  }
+
+  /**
+   * Arm the timer for the next drain pass.
+   * @param {number} [delay] - Override; defaults to the earliest due entry
+   */
+  #schedule(delay) {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+
+    const pending = this.pending();
+    if (this.#stopped || pending.length === 0) return;
+
+    const next = delay ?? Math.max(0, Math.min(...pending.map((e) => e.nextAttemptAt)) - Date.now());
+    this.#timer = setTimeout(() => this.#drain(), next);
+  }
+
+  /**
+   * Attempt every due entry once, then re-arm the timer. When canSend
+   * refuses, the rest waits for the next pass.
+   */
+  async #drain() {
+    if (this.#draining) return;
+    this.#draining = true;
+    let delay;
+
+    try {
+      const due = this.pending().filter((entry) => entry.nextAttemptAt <= Date.now());
+      for (const [index, entry] of due.entries()) {
+        if (this.#canSend && !(await this.#canSend().catch(() => false))) {
+          logger.warn(`Leadership not confirmed — holding back ${due.length - index} queued message(s)`);
+          due.slice(index).forEach((held) => this.#resolvePending(held));
+          delay = DeliveryQueue.BASE_RETRY_DELAY;
+          break;
+        }
+        await this.#attempt(entry);
+      }
+    } finally {
+      this.#draining = false;
+      this.#schedule(delay);
+    }
+  }
+
+  /**
+   * Attempt a single entry and record the outcome.
+   * @param {OutboxEntry} entry
+   */
+  async #attempt(entry) {
+    entry.attempts++;
+
+    try {
+      await this.#send(entry);
+      this.#entries.delete(entry.id);
+      this.#save();
+
+      if (entry.attempts > 1) {
+        logger.info(`Delivered queued message for changelist #${entry.changenumber} to webhook ${entry.webhookId} (attempt ${entry.attempts})`, entryFields(entry));
+      }
+      this.#resolveFirstAttempt(entry, true);
+      this.emit('delivered', entry);
+    } catch (err) {
+      entry.lastError = err.message;
+
+      if (isPermanentError(err) || entry.attempts >= DeliveryQueue.MAX_ATTEMPTS) {
+        entry.status = 'dead';
+        this.#save();
+        logger.error(`Dead-lettered message for changelist #${entry.changenumber} to webhook ${entry.webhookId} after ${entry.attempts} attempt(s): ${err.message}`, entryFields(entry));
+        this.#resolveFirstAttempt(entry, false);
+        this.emit('deadLettered', entry);
+        return;
+      }
+
+      const delay = retryDelay(err, entry.attempts);
+      entry.nextAttemptAt = Date.now() + delay;
+      this.#save();
+      logger.warn(`Delivery to webhook ${entry.webhookId} failed (${err.message}) — retrying in ${(delay / 1000).toFixed(0)}s (attempt ${entry.attempts}/${DeliveryQueue.MAX_ATTEMPTS})`, entryFields(entry));
+      this.#resolveFirstAttempt(entry, false);
+    }
+  }
+
+  /**
+   * Report an entry that was not attempted to enqueue() as pending.
+   * @param {OutboxEntry} entry
+   */
+  #resolvePending(entry) {
+    const resolve = this.#firstAttempt.get(entry.id);
+    if (!resolve) return;
+
+    this.#firstAttempt.delete(entry.id);
+    resolve(pendingResult(entry));
+  }
+
+  /**
+   * Report the outcome of an entry's first attempt to enqueue().
+   * @param {OutboxEntry} entry
+   * @param {boolean} ok
+   */
+  #resolveFirstAttempt(entry, ok) {
+    const resolve = this.#firstAttempt.get(entry.id);
+    if (!resolve) return;
+
+    this.#firstAttempt.delete(entry.id);
+    resolve({
+      entryId: entry.id,
+      webhookId: entry.webhookId,
+      ok,
+      error: ok ? null : entry.lastError,
+      pending: !ok && entry.status === 'pending',
+    });
+  }
+
+  // ── Inspection & replay ────────────────────────────────────────────
+
+  /** @returns {OutboxEntry[]} Entries still waiting for delivery */
+  pending() {
+    return [...this.#entries.values()].filter((entry) => entry.status === 'pending');
+  }
+
+  /** @returns {OutboxEntry[]} Entries that gave up */
+  deadLetters() {
+    return [...this.#entries.values()].filter((entry) => entry.status === 'dead');
+  }
+
+  /**
+   * Move dead-lettered entries back to pending and retry them now.
+   * @param {string} [id] - Replay a single entry; all dead letters if omitted
+   * @returns {number} Number of entries replayed
+   */
+  replay(id) {
+    const entries = this.deadLetters().filter((entry) => !id || entry.id === id);
+
+    for (const entry of entries) {
+      entry.status = 'pending';
+      entry.attempts = 0;
+      entry.nextAttemptAt = Date.now();
+      entry.lastError = null;
+    }
+
+    if (entries.length > 0) {
+      this.#save();
+      this.#schedule(0);
+      logger.info(`Replaying ${entries.length} dead-lettered message(s)`);
+    }
+    return entries.length;
+  }
+}
+
+/**
+ * enqueue() result of an entry that was not attempted yet.
+ * @param {OutboxEntry} entry
+ * @returns {{entryId: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}}
+ */
+function pendingResult(entry) {
+  return { entryId: entry.id, webhookId: entry.webhookId, ok: false, error: null, pending: true };
+}
+
+/**
+ * Contextual log fields of an entry.
+ * @param {OutboxEntry} entry
+ * @returns {object}
+ */
+function entryFields(entry) {
+  return { appId: entry.appId, changenumber: entry.changenumber, sink: entry.sink, webhookId: entry.webhookId, kind: entry.kind };
+}
+
+/**
+ * Whether a failure will never succeed on retry: Discord 4xx responses
+ * other than 429 (unknown webhook, invalid payload, …).
+ * @param {Error & {status?: number}} err
+ * @returns {boolean}
+ */
+function isPermanentError(err) {
+  return typeof err.status === 'number' && err.status >= 400 && err.status < 500 && err.status !== 429;
+}
+
+/**
+ * Delay before the next attempt. Rate limits wait exactly retry_after;
+ * other failures back off exponentially.
+ * @param {Error & {retryAfter?: number}} err
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in ms
+ */
+function retryDelay(err, attempts) {
+  if (typeof err.retryAfter === 'number' && err.retryAfter > 0) {
+    return err.retryAfter;
+  }
+  return Math.min(
+    DeliveryQueue.BASE_RETRY_DELAY * Math.pow(2, attempts - 1),
+    DeliveryQueue.MAX_RETRY_DELAY
+  );
+}
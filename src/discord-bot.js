@@ -0,0 +1,337 @@
+/**
+ * DiscordBot — Gateway bot with `/dota` slash commands.
+ *
+ * Runs alongside the webhook notifier and reuses its embed builder:
+ *   /dota latest [app]               Current build and changelist from the PICS cache
+ *   /dota history [count]            Recent processed updates
+ *   /dota subscribe <channel> [branch]   Post notifications to a channel
+ *   /dota unsubscribe [channel] [branch] Stop posting to a channel
+ *
+ * Subscriptions are kept in the SubscriptionStore, and updates are posted
+ * to the subscribed channels by a DiscordChannelSink on the shared outbox.
+ */
+
+import {
+  Client,
+  ChannelType,
+  Events,
+  GatewayIntentBits,
+  MessageFlags,
+  PermissionFlagsBits,
+  SlashCommandBuilder,
+  EmbedBuilder,
+} from 'discord.js';
+import { createLogger } from './logger.js';
+import { listUpdates } from './history-query.js';
+import DiscordChannelSink from './sinks/discord-channel-sink.js';
+import {
+  DISCORD_BOT_TOKEN,
+  DISCORD_GUILD_ID,
+  DOTA2_APP_ID,
+  WATCHED_APPS,
+  getAppConfig,
+} from '../config.js';
+
+const logger = createLogger('discord-bot');
+
+/** Default and maximum number of entries for /dota history */
+const DEFAULT_HISTORY_COUNT = 5;
+const MAX_HISTORY_COUNT = 25;
+
+/** Accent shared with the webhook embeds */
+const EMBED_COLOR = 0xF5F5F5;
+
+export default class DiscordBot {
+  /** @type {Client} */
+  #client;
+
+  /** Pipeline components used by the commands */
+  #monitor;
+  #notifier;
+  #history;
+  #subscriptions;
+
+  /** @type {DiscordChannelSink} Posts updates to the subscribed channels */
+  #sink;
+
+  /** @type {() => boolean} Whether this instance answers commands */
+  #isLeader;
+
+  /**
+   * @param {object} components
+   * @param {import('./steam-monitor.js').default} components.monitor
+   * @param {import('./discord-notifier.js').default} components.notifier
+   * @param {import('./history-store.js').default} components.history
+   * @param {import('./subscription-store.js').default} components.subscriptions
+   * @param {import('./delivery-queue.js').default} [components.queue] - Shared outbox for channel messages
+   * @param {() => boolean} [components.isLeader] - With redundant instances, only the leader answers commands
+   */
+  constructor({ monitor, notifier, history, subscriptions, queue, isLeader = () => true }) {
+    this.#monitor = monitor;
+    this.#notifier = notifier;
+    this.#history = history;
+    this.#subscriptions = subscriptions;
+    this.#isLeader = isLeader;
+
+    this.#client = new Client({ intents: [GatewayIntentBits.Guilds] });
+    this.#client.once(Events.ClientReady, (client) => this.#onReady(client));
+    this.#client.on(Events.InteractionCreate, (interaction) => this.#onInteraction(interaction));
+    this.#client.on(Events.Error, (err) => logger.error(`Discord bot error: ${err.message}`));
+
+    this.#sink = new DiscordChannelSink({ client: this.#client, notifier, subscriptions, queue });
+  }
+
+  /** Sink posting to the subscribed channels; register it with the SinkRegistry */
+  get sink() {
+    return this.#sink;
+  }
+
+  /**
+   * Log in to the Discord gateway.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    logger.info('Logging in Discord bot...');
+    await this.#client.login(DISCORD_BOT_TOKEN);
+  }
+
+  /**
+   * Disconnect from the gateway.
+   */
+  destroy() {
+    this.#client.destroy();
+    logger.info('Discord bot disconnected');
+  }
+
+  // ── Setup ──────────────────────────────────────────────────────────
+
+  /**
+   * Register the slash commands once the gateway is ready.
+   * Guild registration (DISCORD_GUILD_ID) is instant; global
+   * registration can take up to an hour to propagate.
+   * @param {Client<true>} client
+   */
+  async #onReady(client) {
+    logger.info(`Discord bot logged in as ${client.user.tag}`);
+
+    try {
+      const commands = [DiscordBot.#buildCommand().toJSON()];
+      if (DISCORD_GUILD_ID) {
+        await client.application.commands.set(commands, DISCORD_GUILD_ID);
+        logger.info(`Slash commands registered in guild ${DISCORD_GUILD_ID}`);
+      } else {
+        await client.application.commands.set(commands);
+        logger.info('Slash commands registered globally');
+      }
+    } catch (err) {
+      logger.error(`Failed to register slash commands: ${err.message}`);
+    }
+  }
+
+  /**
+   * Build the `/dota` command definition.
+   * @returns {SlashCommandBuilder}
+   */
+  static #buildCommand() {
+    const appChoices = WATCHED_APPS.slice(0, 25).map((app) => ({
+      name: app.name ?? `App ${app.appId}`,
+      value: app.appId,
+    }));
+
+    return new SlashCommandBuilder()
+      .setName('dota')
+      .setDescription('Dota 2 update monitor')
+      .addSubcommand((sub) => sub
+        .setName('latest')
+        .setDescription('Show the current build and changelist')
+        .addIntegerOption((opt) => opt
+          .setName('app')
+          .setDescription('Watched app (defaults to Dota 2)')
+          .addChoices(...appChoices)))
+      .addSubcommand((sub) => sub
+        .setName('history')
+        .setDescription('List recent updates')
+        .addIntegerOption((opt) => opt
+          .setName('count')
+          .setDescription(`Number of updates (default ${DEFAULT_HISTORY_COUNT})`)
+          .setMinValue(1)
+          .setMaxValue(MAX_HISTORY_COUNT)))
+      .addSubcommand((sub) => sub
+        .setName('subscribe')
+        .setDescription('Post update notifications to a channel')
+        .addChannelOption((opt) => opt
+          .setName('channel')
+          .setDescription('Channel to post in')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+          .setRequired(true))
+        .addStringOption((opt) => opt
+          .setName('branch')
+          .setDescription('Only updates that move this branch (e.g. dota2experimental)')))
+      .addSubcommand((sub) => sub
+        .setName('unsubscribe')
+        .setDescription('Stop posting update notifications to a channel')
+        .addChannelOption((opt) => opt
+          .setName('channel')
+          .setDescription('Channel to stop posting in (defaults to this one)')
+          .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+        .addStringOption((opt) => opt
+          .setName('branch')
+          .setDescription('Only remove this branch subscription')));
+  }
+
+  // ── Commands ───────────────────────────────────────────────────────
+
+  /**
+   * Dispatch a `/dota` interaction to its subcommand.
+   * @param {import('discord.js').Interaction} interaction
+   */
+  async #onInteraction(interaction) {
+    if (!interaction.isChatInputCommand() || interaction.commandName !== 'dota') return;
+    if (!this.#isLeader()) return;
+
+    const subcommand = interaction.options.getSubcommand();
+    try {
+      switch (subcommand) {
+        case 'latest':
+          return await this.#latest(interaction);
+        case 'history':
+          return await this.#historyCommand(interaction);
+        case 'subscribe':
+          return await this.#subscribe(interaction);
+        case 'unsubscribe':
+          return await this.#unsubscribe(interaction);
+      }
+    } catch (err) {
+      logger.error(`/dota ${subcommand} failed: ${err.message}`);
+      const reply = { content: 'Something went wrong handling that command.', flags: MessageFlags.Ephemeral };
+      if (interaction.replied || interaction.deferred) {
+        await interaction.followUp(reply).catch(() => {});
+      } else {
+        await interaction.reply(reply).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * /dota latest — Current build and changelist from the PICS cache.
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async #latest(interaction) {
+    const appId = interaction.options.getInteger('app') ?? DOTA2_APP_ID;
+    const appData = this.#monitor.picsCache?.apps?.[appId];
+
+    if (!appData) {
+      return interaction.reply({
+        content: `No PICS data for AppID ${appId} yet — the bot may still be connecting to Steam.`,
+        flags: MessageFlags.Ephemeral,
+      });
+    }
+
+    const branches = appData.appinfo?.depots?.branches ?? {};
+    const timeUpdated = branches.public?.timeupdated;
+
+    const appName = getAppConfig(appId)?.name ?? appData.appinfo?.common?.name ?? `App ${appId}`;
+
+    const embed = this.#notifier.buildEmbed({
+      appId,
+      appName,
+      changenumber: appData.changenumber ?? 'Unknown',
+      buildId: branches.public?.buildid ?? null,
+      timestamp: timeUpdated ? new Date(timeUpdated * 1000) : new Date(),
+      branches: [],
+      changedBranches: [],
+      changedDepots: [],
+      depotCount: 0,
+      appInfoDiff: null,
+    });
+    embed.setTitle(`${appName} — Latest Build`);
+
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  /**
+   * /dota history [count] — Recent processed updates.
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async #historyCommand(interaction) {
+    const count = interaction.options.getInteger('count') ?? DEFAULT_HISTORY_COUNT;
+    const updates = listUpdates(this.#history, { limit: count });
+
+    if (updates.length === 0) {
+      return interaction.reply({ content: 'No updates recorded yet.', flags: MessageFlags.Ephemeral });
+    }
+
+    const lines = updates.map((update) => {
+      const time = Math.floor(update.timestamp.getTime() / 1000);
+      const branches = update.changedBranches.length > 0
+        ? ` · ${update.changedBranches.map((b) => b.name).join(', ')}`
+        : '';
+      return `**${update.appName}** [#${update.changenumber}](https://steamdb.info/changelist/${update.changenumber}/) · build \`${update.buildId ?? 'unknown'}\`${branches} · <t:${time}:R>`;
+    });
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Recent updates (${updates.length})`)
+      .setColor(EMBED_COLOR)
+      .setDescription(lines.join('\n'));
+
+    return interaction.reply({ embeds: [embed] });
+  }
+
+  /**
+   * /dota subscribe <channel> [branch] — Requires Manage Server.
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async #subscribe(interaction) {
+    if (!this.#canManage(interaction)) return this.#denyManage(interaction);
+
+    const channel = interaction.options.getChannel('channel', true);
+    const branch = interaction.options.getString('branch') ?? null;
+    const added = this.#subscriptions.add(interaction.guildId, channel.id, branch);
+
+    const target = branch ? `\`${branch}\` updates` : 'updates';
+    return interaction.reply({
+      content: added
+        ? `${channel} will now receive ${target}.`
+        : `${channel} already receives ${target}.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * /dota unsubscribe [channel] [branch] — Requires Manage Server.
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  async #unsubscribe(interaction) {
+    if (!this.#canManage(interaction)) return this.#denyManage(interaction);
+
+    const channel = interaction.options.getChannel('channel') ?? interaction.channel;
+    const branch = interaction.options.getString('branch') ?? undefined;
+    const removed = this.#subscriptions.remove(channel.id, branch);
+
+    return interaction.reply({
+      content: removed > 0
+        ? `${channel} will no longer receive ${branch ? `\`${branch}\` ` : ''}updates.`
+        : `${channel} had no matching subscription.`,
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+
+  /**
+   * Whether the invoking member may manage subscriptions.
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   * @returns {boolean}
+   */
+  #canManage(interaction) {
+    return interaction.inGuild() && Boolean(interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild));
+  }
+
+  /**
+   * @param {import('discord.js').ChatInputCommandInteraction} interaction
+   */
+  #denyManage(interaction) {
+    return interaction.reply({
+      content: 'You need the **Manage Server** permission to change subscriptions.',
+      flags: MessageFlags.Ephemeral,
+    });
+  }
+}
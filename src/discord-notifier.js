@@ -1,99 +1,391 @@
 /**
  * DiscordNotifier — Sends rich embed notifications to Discord via webhook.
  * Embeds replicate the SteamDB app update style.
+ *
+ * The Discord implementation of NotificationSink. The ID of every sent
+ * notification is kept in a MessageStore, so the message can be edited in
+ * place when a richer revision of its changelist or its patch notes arrive.
  */
 
-import { EmbedBuilder, WebhookClient } from 'discord.js';
-import logger from './logger.js';
-import { DISCORD_WEBHOOK_URLS, DOTA2_APP_ID } from '../config.js';
+import { EmbedBuilder, WebhookClient, Routes, embedLength } from 'discord.js';
+import { createLogger } from './logger.js';
+import NotificationSink, { alertBranches } from './sinks/notification-sink.js';
+import { isEmptyDiff } from './appinfo-diff.js';
+import { isEmptyContentDiff, countEntityChanges } from './content-diff.js';
+import { updateTitle, groupByChangelist, describeMissedUpdate } from './sinks/update-summary.js';
+import { resolveMentions, isQuietTime, mentionContent } from './mentions.js';
+import MessageStore from './message-store.js';
+import {
+  DISCORD_WEBHOOK_URLS,
+  DOTA2_APP_ID,
+  DEFAULT_APP_ICON,
+  EDIT_NOTIFICATIONS,
+  WATCHED_APPS,
+  getAppConfig,
+  getBranchWebhooks,
+  loadMentionRules,
+} from '../config.js';
 
+const logger = createLogger('discord-notifier');
 
 /** Constants */
 const STEAMDB_ICON = 'https://steamdb.info/static/logos/512px.png';
-const DOTA2_ICON = 'https://cdn.ardysamods.my.id/image/ardysa.png';
 const EMBED_COLOR = 0xF5F5F5; // Clean white accent — minimalist monochrome
-const STEAMDB_APP_URL = `https://steamdb.info/app/${DOTA2_APP_ID}/`;
+const RELEASE_CLASS_COLORS = { // Accent per release class; public releases keep the white accent
+  public: EMBED_COLOR,
+  prerelease: 0xE3A53C,
+  branch: 0x7F9CF5,
+  depot: 0x9AA0A6,
+  metadata: 0x5C6066,
+};
+const STEAMDB_APP_URL = (appId) => `https://steamdb.info/app/${appId}/`;
 const STEAMDB_CHANGELIST_URL = (n) => `https://steamdb.info/changelist/${n}/`;
 const STEAMDB_PATCHNOTES_URL = (buildId) => `https://steamdb.info/patchnotes/${buildId}/`;
+const STEAMDB_DEPOT_URL = (depotId) => `https://steamdb.info/depot/${depotId}/`;
+const APP_ICON = (appId) => getAppConfig(appId)?.icon ?? DEFAULT_APP_ICON; // APP_<id>_ICON or the config file's icon
+const FIELD_VALUE_LIMIT = 1024; // Discord embed field value limit
+const DESCRIPTION_LIMIT = 4096; // Discord embed description limit
+const EMBED_LIMIT = 6000; // Discord limit on all text of an embed together
+const TRIM_ORDER = ['App info changes', 'Game files', 'Changed depots', 'Items', 'Abilities', 'Heroes', 'Branch']; // List fields shortened to fit EMBED_LIMIT, lowest priority first
+const DIFF_VALUE_PREVIEW = 60; // Max characters shown per changed KeyValues value
+const CONTENT_FIELD_LIMIT = 512; // Game file fields share the embed's 6000 character budget
+const CONTENT_KEYS_PREVIEW = 3; // Changed script keys listed per hero, ability or item
+const PATCH_NOTES_PREVIEW = 400; // Characters of the patch notes body shown in the notification
+const UNKNOWN_NO_ACCESS = 'Unknown (access token required)'; // Fields Steam withheld from this account
 
-export default class DiscordNotifier {
-  /** @type {WebhookClient[]} */
-  #webhooks = [];
+export default class DiscordNotifier extends NotificationSink {
+  /** @type {Map<string, WebhookClient>} One client per unique webhook URL */
+  #webhooks = new Map();
+
+  /** @type {string|undefined} Discord API base URL override */
+  #api;
+
+  /** @type {Array<object>} Rules deciding which roles and users an update pings */
+  #mentionRules;
+
+  /** @type {MessageStore} IDs of sent notifications, for editing them */
+  #messages;
+
+  /** @type {boolean} Whether sent notifications are edited with richer revisions */
+  #editMessages;
 
   /**
    * Initialize the webhook clients.
-   * Parses the webhook URLs to extract id and token.
+   * Parses the default and per-app webhook URLs to extract id and token.
+   *
+   * @param {object} [options]
+   * @param {import('./delivery-queue.js').default} [options.queue] - Shared outbox; a private one is created if omitted
+   * @param {string} [options.api] - Discord API base URL override (used by the offline replay)
+   * @param {Array<object>} [options.mentionRules] - Defaults to loadMentionRules()
+   * @param {MessageStore} [options.messages] - Sent message IDs (defaults to MESSAGES_FILE)
+   * @param {boolean} [options.editMessages] - Defaults to EDIT_NOTIFICATIONS
    */
-  constructor() {
-    if (DISCORD_WEBHOOK_URLS.length === 0) {
+  constructor({ queue, api, mentionRules = loadMentionRules(), messages = new MessageStore(), editMessages = EDIT_NOTIFICATIONS } = {}) {
+    super({ name: 'discord', queue });
+    this.#api = api;
+    this.#mentionRules = mentionRules;
+    this.#messages = messages;
+    this.#editMessages = editMessages;
+
+    const urls = new Set([
+      ...DISCORD_WEBHOOK_URLS,
+      ...WATCHED_APPS.flatMap(app => app.webhookUrls),
+    ]);
+
+    if (urls.size === 0) {
       logger.warn('No Discord webhook URLs configured — notifications disabled');
       return;
     }
 
-    try {
-      this.#webhooks = DISCORD_WEBHOOK_URLS.map(url => new WebhookClient({ url }));
-      logger.info(`Discord webhook clients initialized (${this.#webhooks.length} webhooks configured)`);
-    } catch (err) {
-      logger.error(`Failed to initialize webhooks: ${err.message}`);
+    for (const url of urls) {
+      this.#clientFor(url);
     }
+
+    logger.info(`Discord webhook clients initialized (${this.#webhooks.size} webhooks configured)`);
   }
 
   /**
-   * Send an update notification embed to Discord.
+   * Replace the mention rules, e.g. after a configuration reload.
+   * @param {Array<object>} rules
+   */
+  setMentionRules(rules) {
+    this.#mentionRules = rules;
+  }
+
+  /**
+   * Get the client for a webhook URL, creating it on first use
+   * (branch webhooks are only known once a branch moves).
    *
-   * @param {object} update - Processed update data from UpdateProcessor
-   * @returns {Promise<boolean>} Whether the send succeeded for at least one webhook
+   * @param {string} url
+   * @returns {WebhookClient|null}
    */
-  async sendUpdate(update) {
-    if (this.#webhooks.length === 0) {
-      logger.warn('Webhooks not configured — skipping notification');
-      return false;
+  #clientFor(url) {
+    if (!this.#webhooks.has(url)) {
+      try {
+        // Rate limits are surfaced as errors so the queue can honour retry_after
+        const rest = { rejectOnRateLimit: () => true, ...(this.#api ? { api: this.#api } : {}) };
+        this.#webhooks.set(url, new WebhookClient({ url }, { rest }));
+      } catch (err) {
+        logger.error(`Failed to initialize webhook: ${err.message}`);
+        return null;
+      }
     }
+    return this.#webhooks.get(url);
+  }
 
-    try {
-      const embed = this.#buildEmbed(update);
-      
-      const promises = this.#webhooks.map(webhook =>
-        webhook.send({
-          username: 'AMT Bot',
-          avatarURL: DOTA2_ICON,
-          embeds: [embed],
-        }).catch(err => {
-          logger.error(`Failed to send to a Discord webhook: ${err.message}`);
-          return false;
-        })
-      );
-
-      await Promise.all(promises);
-
-      logger.info(`Discord notification sent for changelist #${update.changenumber}`);
-      return true;
-    } catch (err) {
-      logger.error(`Failed to send Discord notification: ${err.message}`);
-      return false;
+  /**
+   * Resolve the webhook URLs an update is routed to.
+   * Each moved branch goes to its BRANCH_<name>_WEBHOOKS if set, else to
+   * the app's webhooks; apps without their own webhooks fall back to
+   * DISCORD_WEBHOOK_URLS.
+   *
+   * @param {object} update - Processed update data
+   * @returns {string[]} URLs with a valid webhook client
+   */
+  #webhooksFor(update) {
+    const appUrls = getAppConfig(update.appId)?.webhookUrls ?? [];
+    const defaultUrls = appUrls.length > 0 ? appUrls : DISCORD_WEBHOOK_URLS;
+
+    const branches = alertBranches(update);
+    const urls = branches.length > 0
+      ? new Set(branches.flatMap((branch) => {
+        const branchUrls = getBranchWebhooks(branch.name);
+        return branchUrls.length > 0 ? branchUrls : defaultUrls;
+      }))
+      : new Set(defaultUrls);
+
+    return [...urls].filter(url => this.#clientFor(url));
+  }
+
+  /**
+   * Webhooks an update is routed to.
+   * @override
+   * @param {object} update - Processed update data
+   * @returns {Array<{url: string, id: string}>}
+   */
+  targets(update) {
+    return this.#webhooksFor(update).map((url) => ({ url, id: this.#clientFor(url).id }));
+  }
+
+  /**
+   * Webhook message body carrying the update embed, and the pings of
+   * matching mention rules outside quiet hours. allowedMentions only lets
+   * those roles and users through, whatever else the message contains.
+   * @override
+   * @param {object} update - Processed update data
+   * @returns {object}
+   */
+  format(update) {
+    const mentions = this.#mentionsFor(update);
+    const content = mentionContent(mentions);
+
+    return {
+      username: 'AMT Bot',
+      avatarURL: APP_ICON(update.appId),
+      ...(content ? { content } : {}),
+      allowedMentions: { parse: [], ...mentions },
+      embeds: [this.buildEmbed(update).toJSON()],
+    };
+  }
+
+  /**
+   * The notification, re-rendered from a richer revision of its changelist.
+   * Edits carry no mentions and never ping, even if the revision matches
+   * more mention rules than the message it replaces.
+   * @override
+   * @param {object} update - Processed update data, with `revision` > 0
+   * @returns {object|null} Null when EDIT_NOTIFICATIONS is off
+   */
+  formatEdit(update) {
+    if (!this.#editMessages) return null;
+
+    return {
+      username: 'AMT Bot',
+      avatarURL: APP_ICON(update.appId),
+      allowedMentions: { parse: [] },
+      embeds: [this.buildEmbed(update).toJSON()],
+    };
+  }
+
+  /**
+   * Add the patch notes to the sent notification when editing is on;
+   * otherwise post them as a follow-up message.
+   * @override
+   * @param {object} update - Processed update data, with `patchNotes` set
+   * @param {import('./patch-notes.js').PatchNotes} notes
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async deliverPatchNotes(update, notes) {
+    return this.#editMessages
+      ? this.reviseUpdate({ ...update, patchNotes: notes })
+      : super.deliverPatchNotes(update, notes);
+  }
+
+  /**
+   * Follow-up message carrying the patch notes found for an update.
+   * @override
+   * @param {object} update - Processed update data
+   * @param {import('./patch-notes.js').PatchNotes} notes
+   * @returns {object}
+   */
+  formatPatchNotes(update, notes) {
+    const embed = new EmbedBuilder()
+      .setAuthor({ name: notes.source === 'datafeed' ? 'Dota 2 Patch Notes' : 'Steam News', url: notes.url })
+      .setTitle(notes.title.slice(0, 256))
+      .setURL(notes.url)
+      .setColor(RELEASE_CLASS_COLORS.public)
+      .setTimestamp(notes.date)
+      .setFooter({ text: `${update.appName} \u2022 Build ${update.buildId ?? 'unknown'}` });
+
+    if (notes.body) {
+      embed.setDescription(notes.body);
+    }
+
+    return {
+      username: 'AMT Bot',
+      avatarURL: APP_ICON(update.appId),
+      allowedMentions: { parse: [] },
+      embeds: [embed.toJSON()],
+    };
+  }
+
+  /**
+   * One embed listing the changelists missed while offline, each with the
+   * apps it changed. A catch-up never pings.
+   * @override
+   * @param {import('./sinks/update-summary.js').MissedUpdates} missed
+   * @returns {object}
+   */
+  formatMissedUpdates(missed) {
+    const changelists = groupByChangelist(missed.updates);
+    const [latest, latestUpdates] = changelists.at(-1);
+
+    const embed = new EmbedBuilder()
+      .setTitle(`Missed while offline — ${changelists.length} changelist${changelists.length === 1 ? '' : 's'}`)
+      .setURL(STEAMDB_CHANGELIST_URL(latest))
+      .setColor(EMBED_COLOR)
+      .setDescription(fitLines(changelists.map(([changenumber, updates]) =>
+        `[#${changenumber}](${STEAMDB_CHANGELIST_URL(changenumber)}) — ${updates.map(describeMissedUpdate).join('; ')}`), DESCRIPTION_LIMIT))
+      .setFooter({ text: `Changes since #${missed.since}` })
+      .setTimestamp(missed.timestamp);
+
+    return {
+      username: 'AMT Bot',
+      avatarURL: APP_ICON(latestUpdates[0].appId),
+      allowedMentions: { parse: [] },
+      embeds: [embed.toJSON()],
+    };
+  }
+
+  /**
+   * Reload the IDs of sent messages too, so edits reach messages another
+   * instance sent.
+   * @override
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await super.load();
+    await this.#messages.load();
+  }
+
+  /**
+   * @override
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await super.flush();
+    await this.#messages.flush();
+  }
+
+  /**
+   * Roles and users to ping for an update.
+   * @param {object} update - Processed update data
+   * @returns {import('./mentions.js').Mentions}
+   */
+  #mentionsFor(update) {
+    const mentions = resolveMentions(update, this.#mentionRules);
+    if (mentions.roles.length + mentions.users.length === 0) return mentions;
+
+    if (isQuietTime()) {
+      logger.info(`Quiet hours — not pinging ${mentions.roles.length} role(s) and ${mentions.users.length} user(s) for changelist #${update.changenumber}`);
+      return { roles: [], users: [] };
+    }
+    return mentions;
+  }
+
+  /**
+   * Send one message through its webhook client. Throws on failure
+   * so the queue can retry.
+   *
+   * Edits go to the message the update was posted as. While that message
+   * is still queued the edit waits for it; if the update was never posted
+   * through this webhook (a revision routed it to a new branch webhook),
+   * the edit is posted as a new message.
+   * @override
+   * @param {string} url - Webhook URL
+   * @param {object} payload - Message body from format() or formatEdit()
+   * @param {import('./delivery-queue.js').OutboxEntry} [entry]
+   * @returns {Promise<void>}
+   */
+  async send(url, payload, entry) {
+    const webhook = this.#clientFor(url);
+    if (!webhook) {
+      throw Object.assign(new Error('Invalid webhook URL'), { status: 404 });
+    }
+
+    if (entry?.kind === 'edit') {
+      const messageId = this.#messages.find(entry.appId, entry.changenumber, url);
+      if (messageId) {
+        const { username, avatarURL, ...edit } = payload;
+        await webhook.editMessage(messageId, edit);
+        return;
+      }
+
+      const queued = this.queue.pending().some((pending) => pending.kind === 'update'
+        && pending.sink === entry.sink
+        && pending.webhookUrl === url
+        && pending.appId === entry.appId
+        && String(pending.changenumber) === String(entry.changenumber));
+      if (queued) {
+        throw new Error(`Notification for changelist #${entry.changenumber} not delivered yet`);
+      }
+    }
+
+    const message = await webhook.send(payload);
+    // Only notifications of a single update are edited later
+    if (entry && ['update', 'edit'].includes(entry.kind) && message?.id) {
+      this.#messages.remember({ appId: entry.appId, changenumber: entry.changenumber, webhookUrl: url, messageId: message.id });
     }
   }
 
   /**
    * Build a minimalist embed for Dota 2 app updates.
    *
-   * Clean layout with no emojis, monochrome accent, and
-   * description-based body for a streamlined look.
+   * Clean layout with no emojis, an accent color per release class, and
+   * description-based body for a streamlined look. Lists are trimmed to
+   * their field limit, and shortened further when the embed as a whole
+   * would exceed Discord's limit.
    *
    * @param {object} update - Processed update data
    * @returns {EmbedBuilder}
    */
-  #buildEmbed(update) {
+  buildEmbed(update) {
+    const appUrl = STEAMDB_APP_URL(update.appId);
+    const icon = APP_ICON(update.appId);
+    const movedBranches = alertBranches(update);
+
+    const title = updateTitle(update);
+
     const embed = new EmbedBuilder()
       .setAuthor({
         name: 'SteamDB',
         iconURL: STEAMDB_ICON,
-        url: STEAMDB_APP_URL,
+        url: appUrl,
       })
-      .setTitle(`${update.appName} — App Update`)
-      .setURL(STEAMDB_APP_URL)
-      .setThumbnail(DOTA2_ICON)
-      .setColor(EMBED_COLOR)
+      .setTitle(title)
+      .setURL(appUrl)
+      .setThumbnail(icon)
+      .setColor(RELEASE_CLASS_COLORS[update.releaseClass] ?? EMBED_COLOR)
 
       .setTimestamp(update.timestamp);
 
@@ -114,10 +406,36 @@ export default class DiscordNotifier {
         value: `\`${update.buildId}\``,
         inline: true,
       });
+    } else if (update.missingToken) {
+      embed.addFields({
+        name: 'Build ID',
+        value: UNKNOWN_NO_ACCESS,
+        inline: true,
+      });
+    }
+
+    // ── Missed while offline ──────────────────────────────────────
+    if (update.missedSince != null) {
+      embed.addFields({
+        name: 'Missed while offline',
+        value: `All changes since [#${update.missedSince}](${STEAMDB_CHANGELIST_URL(update.missedSince)})`,
+        inline: false,
+      });
     }
 
     // ── Patch Notes ───────────────────────────────────────────────
-    if (update.buildId) {
+    if (update.patchNotes) {
+      const notes = update.patchNotes;
+      const body = notes.body.length > PATCH_NOTES_PREVIEW
+        ? `${notes.body.slice(0, PATCH_NOTES_PREVIEW - 1).trimEnd()}…`
+        : notes.body;
+      const steamDb = update.buildId ? ` · [SteamDB](${STEAMDB_PATCHNOTES_URL(update.buildId)})` : '';
+      embed.addFields({
+        name: 'Patch Notes',
+        value: `[${notes.title}](${notes.url})${steamDb}${body ? `\n${body}` : ''}`,
+        inline: false,
+      });
+    } else if (update.buildId) {
       embed.addFields({
         name: 'Patch Notes',
         value: `[View on SteamDB](${STEAMDB_PATCHNOTES_URL(update.buildId)})`,
@@ -125,16 +443,143 @@ export default class DiscordNotifier {
       });
     }
 
+    // ── Moved branches ────────────────────────────────────────────
+    if (movedBranches.length > 0) {
+      embed.addFields(listField(
+        movedBranches.length === 1 ? 'Branch' : `Branches (${movedBranches.length})`,
+        movedBranches.map((branch) => {
+          const builds = `\`${branch.oldBuildId ?? 'new'}\` → \`${branch.newBuildId ?? 'removed'}\``;
+          const time = branch.timeUpdated
+            ? ` · <t:${Math.floor(branch.timeUpdated.getTime() / 1000)}:f>`
+            : '';
+          return `**${branch.name}** ${builds}${time}`;
+        }),
+      ));
+    }
 
+    // ── Game file changes ─────────────────────────────────────────
+    if (!isEmptyContentDiff(update.contentDiff)) {
+      embed.addFields(...this.#formatContentDiff(update.contentDiff));
+    }
+
+    // ── Changed depots ────────────────────────────────────────────
+    if (update.changedDepots?.length > 0) {
+      embed.addFields(listField(`Changed depots (${update.depotCount})`, this.#formatDepotChanges(update.changedDepots)));
+    } else if (update.missingToken) {
+      embed.addFields({
+        name: 'Branches and depots',
+        value: UNKNOWN_NO_ACCESS,
+        inline: false,
+      });
+    }
+
+    // ── App info changes ──────────────────────────────────────────
+    if (!isEmptyDiff(update.appInfoDiff)) {
+      const diff = update.appInfoDiff;
+      const name = `App info changes (+${diff.added.length} −${diff.removed.length} ~${diff.changed.length})`;
+      const lines = this.#formatAppInfoDiff(diff);
+      embed.addFields(lines.length > 0
+        ? listField(name, lines)
+        : { name, value: 'Depot and branch keys only', inline: false });
+    }
 
     // ── Footer ────────────────────────────────────────────────────
     embed.setFooter({
-      text: `App ${DOTA2_APP_ID} \u2022 Steam PICS`,
+      text: `App ${update.appId} \u2022 Steam PICS`,
     });
 
+    fitEmbed(embed);
     return embed;
   }
 
+  /**
+   * Render changed depot manifests as one line each.
+   *
+   * @param {Array<object>} changes - changedDepots from UpdateProcessor
+   * @returns {string[]}
+   */
+  #formatDepotChanges(changes) {
+    const lines = changes.map((change) => {
+      const label = change.name ? `${change.id} · ${change.name}` : change.id;
+      const gids = `\`${change.oldGid ?? 'none'}\` → \`${change.newGid ?? 'removed'}\``;
+      const size = change.sizeDelta !== null ? ` (${formatSizeDelta(change.sizeDelta)})` : '';
+      return `[${label}](${STEAMDB_DEPOT_URL(change.id)}) \`${change.branch}\`: ${gids}${size}`;
+    });
+
+    return lines;
+  }
+
+  /**
+   * Render an appinfo KeyValues diff in the SteamDB history style:
+   * one line per added (+), removed (−) or changed (~) key path.
+   * Paths under `depots/` are left to the depot and branch sections.
+   *
+   * @param {import('./appinfo-diff.js').AppInfoDiff} diff
+   * @returns {string[]} Empty when only depot keys changed
+   */
+  #formatAppInfoDiff(diff) {
+    const notDepot = (entry) => !entry.path.startsWith('depots/');
+
+    return [
+      ...diff.added.filter(notDepot).map((e) => `\`+\` ${e.path} = ${previewValue(e.value)}`),
+      ...diff.removed.filter(notDepot).map((e) => `\`−\` ${e.path}`),
+      ...diff.changed.filter(notDepot).map((e) => `\`~\` ${e.path}: ${previewValue(e.oldValue)} → ${previewValue(e.newValue)}`),
+    ];
+  }
+
+  /**
+   * Render a game file diff as embed fields: the patch version, one field
+   * per kind of script entry, and a line on the changed files.
+   *
+   * @param {import('./content-diff.js').ContentDiff} diff
+   * @returns {Array<{name: string, value: string, inline: boolean}>}
+   */
+  #formatContentDiff(diff) {
+    const fields = [];
+
+    if (diff.patchVersion) {
+      fields.push({
+        name: 'Patch',
+        value: `\`${diff.patchVersion.old ?? 'unknown'}\` → \`${diff.patchVersion.new ?? 'unknown'}\``,
+        inline: false,
+      });
+    }
+
+    for (const [label, changes] of [['Heroes', diff.heroes], ['Abilities', diff.abilities], ['Items', diff.items]]) {
+      if (countEntityChanges(changes) === 0) continue;
+      fields.push(listField(`${label} (+${changes.added.length} −${changes.removed.length} ~${changes.changed.length})`, [
+        ...changes.added.map((e) => `\`+\` **${e.name}**`),
+        ...changes.removed.map((e) => `\`−\` **${e.name}**`),
+        ...changes.changed.map((e) => `\`~\` **${e.name}** · ${previewKeys(e.keys)}`),
+      ], CONTENT_FIELD_LIMIT));
+    }
+
+    const localization = diff.localizationChanges > 0
+      ? ` · ${diff.localizationChanges} localization string(s)`
+      : '';
+    fields.push(listField(`Game files (${diff.files.length})`, diff.files.map((path) => `\`${path.split('/').pop()}\``), CONTENT_FIELD_LIMIT, localization));
+
+    return fields;
+  }
+
+  /**
+   * Check that a webhook URL still works, without posting anything: the
+   * webhook is fetched with its token, as Discord allows.
+   * @param {string} url
+   * @returns {Promise<{ok: boolean, webhookId: string|null, name?: string, channelId?: string, error?: string}>}
+   */
+  async verifyWebhook(url) {
+    const client = this.#clientFor(url);
+    if (!client) return { ok: false, webhookId: null, error: 'Not a valid Discord webhook URL' };
+
+    try {
+      const webhook = await client.rest.get(Routes.webhook(client.id, client.token), { auth: false });
+      return { ok: true, webhookId: client.id, name: webhook.name, channelId: webhook.channel_id };
+    } catch (err) {
+      return { ok: false, webhookId: client.id, error: err.message };
+    }
+  }
+
   /**
    * Send a test embed to the webhook to verify formatting.
    * Uses mock data that resembles a real Dota 2 update.
@@ -145,6 +590,7 @@ export default class DiscordNotifier {
       appId: DOTA2_APP_ID,
       appName: 'Dota 2',
       changenumber: 28_453_921,
+      releaseClass: 'public',
       buildId: '16892451',
       timeUpdated: new Date(),
       timestamp: new Date(),
@@ -153,7 +599,7 @@ export default class DiscordNotifier {
       ],
       changedDepots: [],
       depotCount: 0,
-      raw: { missingToken: false },
+      missingToken: false,
     };
 
     logger.info('Sending test embed to Discord...');
@@ -162,12 +608,110 @@ export default class DiscordNotifier {
 
   /**
    * Destroy the webhook clients and clean up.
+   * @override
    */
   destroy() {
-    for (const webhook of this.#webhooks) {
+    super.destroy();
+    for (const webhook of this.#webhooks.values()) {
       webhook.destroy();
     }
-    this.#webhooks = [];
+    this.#webhooks.clear();
     logger.info('Discord webhook clients destroyed');
   }
 }
+
+/**
+ * Format a byte delta as a signed, human-readable size.
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSizeDelta(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB'];
+  let value = Math.abs(bytes);
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  const sign = bytes > 0 ? '+' : bytes < 0 ? '−' : '±';
+  return `${sign}${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+/**
+ * Join lines with newlines, trimmed to fit Discord's field length limit.
+ * @param {string[]} lines
+ * @param {number} [limit=FIELD_VALUE_LIMIT]
+ * @returns {string}
+ */
+function fitLines(lines, limit = FIELD_VALUE_LIMIT) {
+  let value = '';
+  for (const [index, line] of lines.entries()) {
+    const more = `…and ${lines.length - index} more`;
+    if (value.length + line.length + 2 + more.length > limit) {
+      return value ? `${value}\n${more}` : more;
+    }
+    value += (value ? '\n' : '') + line;
+  }
+  return value;
+}
+
+/** Lines behind the list fields of an embed, so fitEmbed() can shorten them further */
+const fieldLines = new WeakMap();
+
+/**
+ * An embed field listing lines, trimmed to its own limit.
+ * @param {string} name
+ * @param {string[]} lines
+ * @param {number} [limit=FIELD_VALUE_LIMIT]
+ * @param {string} [suffix] - Appended after the lines, within the limit
+ * @returns {{name: string, value: string, inline: boolean}}
+ */
+function listField(name, lines, limit = FIELD_VALUE_LIMIT, suffix = '') {
+  const field = { name, value: fitLines(lines, limit - suffix.length) + suffix, inline: false };
+  fieldLines.set(field, { lines, suffix });
+  return field;
+}
+
+/**
+ * Keep an embed within Discord's total of EMBED_LIMIT characters by
+ * shortening its list fields further, lowest priority (TRIM_ORDER) first.
+ * @param {EmbedBuilder} embed
+ */
+function fitEmbed(embed) {
+  let excess = embedLength(embed.data) - EMBED_LIMIT;
+
+  for (const prefix of TRIM_ORDER) {
+    for (const field of embed.data.fields ?? []) {
+      if (excess <= 0) return;
+      const list = fieldLines.get(field);
+      if (!list || !field.name.startsWith(prefix)) continue;
+
+      const value = fitLines(list.lines, field.value.length - excess - list.suffix.length) + list.suffix;
+      excess -= field.value.length - value.length;
+      field.value = value;
+    }
+  }
+}
+
+/**
+ * List the first few changed script keys of an entry.
+ * @param {string[]} keys
+ * @returns {string}
+ */
+function previewKeys(keys) {
+  const shown = keys.slice(0, CONTENT_KEYS_PREVIEW).map((key) => `\`${key}\``).join(', ');
+  return keys.length > CONTENT_KEYS_PREVIEW ? `${shown} +${keys.length - CONTENT_KEYS_PREVIEW}` : shown;
+}
+
+/**
+ * Short inline-code preview of a KeyValues value.
+ * @param {any} value
+ * @returns {string}
+ */
+function previewValue(value) {
+  const text = value !== null && typeof value === 'object'
+    ? JSON.stringify(value)
+    : String(value);
+  const trimmed = text.length > DIFF_VALUE_PREVIEW ? `${text.slice(0, DIFF_VALUE_PREVIEW - 1)}…` : text;
+  return `\`${trimmed.replaceAll('`', "'")}\``;
+}
@@ -0,0 +1,64 @@
+/**
+ * EventRecorder — Captures SteamMonitor events to a JSONL fixture that
+ * ReplayMonitor can play back offline.
+ *
+ * One line per event: `{ type, at, ...payload }` where type is
+ * `changelist`, `productInfo`, `appUpdate` or `missedUpdates`.
+ */
+
+import { appendFileSync } from 'node:fs';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('event-recorder');
+
+/** Monitor events written to the fixture */
+export const RECORDED_EVENTS = ['changelist', 'productInfo', 'appUpdate', 'missedUpdates'];
+
+export default class EventRecorder {
+  /** @type {string} */
+  #file;
+
+  /** Number of events written so far */
+  #count = 0;
+
+  /**
+   * @param {string} file - JSONL fixture path (appended to)
+   */
+  constructor(file) {
+    this.#file = file;
+  }
+
+  /**
+   * Start recording the events of a monitor.
+   * @param {import('node:events').EventEmitter} monitor
+   */
+  attach(monitor) {
+    for (const type of RECORDED_EVENTS) {
+      monitor.on(type, (payload) => this.record(type, payload));
+    }
+    logger.info(`Recording Steam events to ${this.#file}`);
+  }
+
+  /**
+   * Append one event to the fixture.
+   * @param {string} type
+   * @param {object} payload
+   */
+  record(type, payload) {
+    const { timestamp, ...rest } = payload;
+    const line = { type, at: timestamp ?? new Date(), ...rest };
+
+    try {
+      appendFileSync(this.#file, `${JSON.stringify(line)}\n`, 'utf-8');
+      this.#count++;
+      logger.debug(`Recorded ${type} event #${this.#count}`);
+    } catch (err) {
+      logger.error(`Failed to record ${type} event: ${err.message}`);
+    }
+  }
+
+  /** Number of events written so far */
+  get count() {
+    return this.#count;
+  }
+}
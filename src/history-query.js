@@ -0,0 +1,81 @@
+/**
+ * History queries — Listing, filtering and lookups over the HistoryStore.
+ *
+ * Answers questions like "when did build X ship" or "how many updates
+ * this week" from the append-only update history.
+ */
+
+/**
+ * List stored updates, newest first.
+ *
+ * @param {import('./history-store.js').default} store
+ * @param {object} [filter]
+ * @param {number} [filter.appId] - Only updates of this app
+ * @param {Date} [filter.since] - Only updates detected at or after this time
+ * @param {Date} [filter.until] - Only updates detected before this time
+ * @param {string} [filter.branch] - Only updates that moved this branch
+ * @param {number} [filter.limit] - Maximum number of records
+ * @returns {import('./history-store.js').HistoryRecord[]}
+ */
+export function listUpdates(store, { appId, since, until, branch, limit = Infinity } = {}) {
+  const all = store.readAll();
+  const records = [];
+
+  for (let i = all.length - 1; i >= 0 && records.length < limit; i--) {
+    const record = all[i];
+    if (appId !== undefined && record.appId !== appId) continue;
+    if (since && record.timestamp < since) continue;
+    if (until && record.timestamp >= until) continue;
+    if (branch && !record.changedBranches.some((b) => b.name === branch)) continue;
+    records.push(record);
+  }
+  return records;
+}
+
+/**
+ * Look up the update recorded for a changenumber.
+ *
+ * @param {import('./history-store.js').default} store
+ * @param {number} changenumber
+ * @param {number} [appId] - Restrict to one app (a changelist can touch several)
+ * @returns {import('./history-store.js').HistoryRecord|null}
+ */
+export function findByChangenumber(store, changenumber, appId) {
+  return store.readAll().find((record) =>
+    Number(record.changenumber) === Number(changenumber)
+    && (appId === undefined || record.appId === appId)
+  ) ?? null;
+}
+
+/**
+ * Look up the first update in which a build ID appeared on any branch —
+ * i.e. when that build shipped.
+ *
+ * @param {import('./history-store.js').default} store
+ * @param {string|number} buildId
+ * @param {number} [appId] - Restrict to one app
+ * @returns {import('./history-store.js').HistoryRecord|null}
+ */
+export function findByBuildId(store, buildId, appId) {
+  const id = String(buildId);
+  return store.readAll().find((record) =>
+    (appId === undefined || record.appId === appId)
+    && (String(record.buildId) === id
+      || record.changedBranches.some((b) => String(b.newBuildId) === id))
+  ) ?? null;
+}
+
+/**
+ * Count stored updates per app within an optional time window.
+ *
+ * @param {import('./history-store.js').default} store
+ * @param {object} [filter] - Same filters as listUpdates()
+ * @returns {Map<number, number>} App ID → number of updates
+ */
+export function countUpdates(store, filter = {}) {
+  const counts = new Map();
+  for (const record of listUpdates(store, { ...filter, limit: Infinity })) {
+    counts.set(record.appId, (counts.get(record.appId) ?? 0) + 1);
+  }
+  return counts;
+}
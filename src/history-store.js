@@ -0,0 +1,252 @@
+/**
+ * HistoryStore — Append-only JSONL log of every processed update.
+ *
+ * Each line is one processed update from UpdateProcessor together with
+ * its delivery results, so past builds can be looked up long after
+ * state.json has moved on. Outcomes of later delivery retries are appended
+ * as separate `kind: 'delivery'` lines and merged back on read. Richer
+ * revisions of a changelist are appended too and replace the earlier
+ * record on read.
+ *
+ * Parsed records are kept in memory. Each read only parses the lines
+ * appended since the last one (by this process or another, e.g. the admin
+ * CLI), so queries do not re-read the whole file.
+ */
+
+import { appendFileSync, openSync, readSync, closeSync, statSync } from 'node:fs';
+import { createLogger } from './logger.js';
+import { HISTORY_FILE } from '../config.js';
+
+const logger = createLogger('history-store');
+
+/**
+ * @typedef {object} HistoryRecord
+ * @property {number} appId
+ * @property {string} appName
+ * @property {number|string} changenumber
+ * @property {string} [releaseClass] - public, prerelease, branch, depot or metadata
+ * @property {string|null} buildId
+ * @property {Date} timeUpdated
+ * @property {Date} timestamp - When the update was detected
+ * @property {Date} recordedAt - When the record was written
+ * @property {Array<{name: string, buildId: string|null, timeUpdated: Date|null}>} branches
+ * @property {Array<{name: string, oldBuildId: string|null, newBuildId: string|null, timeUpdated: Date|null}>} changedBranches
+ * @property {Array<object>} changedDepots
+ * @property {number} depotCount
+ * @property {object|null} appInfoDiff
+ * @property {boolean} [missingToken] - Product info was withheld for lack of an access token
+ * @property {number|null} [missedSince] - Last changenumber seen before a catch-up after downtime
+ * @property {number} [revision] - How often the changelist was reported again with more detail
+ * @property {boolean} notified - Whether a notification was attempted
+ * @property {Array<{sink?: string, webhookId: string, ok: boolean, error: string|null, pending?: boolean}>} delivery
+ */
+
+export default class HistoryStore {
+  /** @type {string} */
+  #file;
+
+  /** @type {HistoryRecord[]} Records parsed so far, oldest first */
+  #records = [];
+
+  /** @type {number} Bytes of the file parsed into #records */
+  #offset = 0;
+
+  /** @type {number} Lines parsed so far, for corrupt line numbers */
+  #lines = 0;
+
+  /**
+   * @param {string} [file] - JSONL file path (defaults to HISTORY_FILE)
+   */
+  constructor(file = HISTORY_FILE) {
+    this.#file = file;
+  }
+
+  /**
+   * Append a processed update and its delivery results.
+   *
+   * @param {object} update - Processed update from UpdateProcessor.process()
+   * @param {object} [options]
+   * @param {boolean} [options.notified] - Whether a notification was attempted
+   * @param {Array<{sink?: string, webhookId: string, ok: boolean, error: string|null}>} [options.delivery]
+   * @returns {HistoryRecord|null} The stored record, or null if the write failed
+   */
+  append(update, { notified = false, delivery = [] } = {}) {
+    const record = {
+      ...update,
+      recordedAt: new Date(),
+      notified,
+      delivery,
+    };
+
+    try {
+      appendFileSync(this.#file, `${JSON.stringify(record)}\n`, 'utf-8');
+      logger.debug(`History record appended for AppID ${update.appId} changelist #${update.changenumber}`);
+      return record;
+    } catch (err) {
+      logger.error(`Failed to append history record: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Append the outcome of a delivery retry for an already stored update.
+   *
+   * @param {object} delivery
+   * @param {number} delivery.appId
+   * @param {number|string} delivery.changenumber
+   * @param {string} [delivery.sink] - Sink that delivered the message
+   * @param {string} delivery.webhookId
+   * @param {boolean} delivery.ok
+   * @param {string|null} delivery.error
+   */
+  appendDelivery({ appId, changenumber, sink = 'discord', webhookId, ok, error }) {
+    const line = { kind: 'delivery', appId, changenumber, sink, webhookId, ok, error, at: new Date() };
+
+    try {
+      appendFileSync(this.#file, `${JSON.stringify(line)}\n`, 'utf-8');
+    } catch (err) {
+      logger.error(`Failed to append delivery result: ${err.message}`);
+    }
+  }
+
+  /**
+   * Read every stored record, oldest first.
+   * Corrupt lines are skipped with a warning rather than failing the read.
+   *
+   * @returns {HistoryRecord[]}
+   */
+  readAll() {
+    this.#sync();
+    return [...this.#records];
+  }
+
+  /**
+   * Parse the complete lines appended since the last read. A file that
+   * shrank was replaced or truncated, and is parsed again from the start.
+   */
+  #sync() {
+    let size;
+    try {
+      size = statSync(this.#file).size;
+    } catch (err) {
+      if (err.code !== 'ENOENT') logger.error(`Failed to read history file: ${err.message}`);
+      else this.#reset();
+      return;
+    }
+
+    if (size < this.#offset) this.#reset();
+    if (size === this.#offset) return;
+
+    const chunk = Buffer.alloc(size - this.#offset);
+    try {
+      const fd = openSync(this.#file, 'r');
+      try {
+        readSync(fd, chunk, 0, chunk.length, this.#offset);
+      } finally {
+        closeSync(fd);
+      }
+    } catch (err) {
+      logger.error(`Failed to read history file: ${err.message}`);
+      return;
+    }
+
+    // A line still being written is left for the next read
+    const end = chunk.lastIndexOf(0x0a);
+    if (end === -1) return;
+    this.#offset += end + 1;
+
+    for (const line of chunk.toString('utf-8', 0, end).split('\n')) {
+      this.#lines++;
+      if (!line.trim()) continue;
+      try {
+        const parsed = JSON.parse(line);
+        if (parsed.kind === 'delivery') {
+          mergeDelivery(this.#records, parsed);
+        } else if (parsed.revision > 0) {
+          applyRevision(this.#records, reviveRecord(parsed));
+        } else {
+          this.#records.push(reviveRecord(parsed));
+        }
+      } catch (err) {
+        logger.warn(`Skipping corrupt history line ${this.#lines}: ${err.message}`);
+      }
+    }
+  }
+
+  /** Forget the parsed records */
+  #reset() {
+    this.#records = [];
+    this.#offset = 0;
+    this.#lines = 0;
+  }
+
+  /** Path of the backing JSONL file */
+  get file() {
+    return this.#file;
+  }
+}
+
+/**
+ * Turn the ISO date strings of a parsed record back into Date objects.
+ * @param {object} record
+ * @returns {HistoryRecord}
+ */
+export function reviveRecord(record) {
+  const toDate = (value) => (value ? new Date(value) : null);
+
+  return {
+    ...record,
+    timeUpdated: toDate(record.timeUpdated),
+    timestamp: toDate(record.timestamp),
+    recordedAt: toDate(record.recordedAt),
+    branches: (record.branches ?? []).map((b) => ({ ...b, timeUpdated: toDate(b.timeUpdated) })),
+    changedBranches: (record.changedBranches ?? []).map((b) => ({ ...b, timeUpdated: toDate(b.timeUpdated) })),
+    changedDepots: record.changedDepots ?? [],
+    delivery: record.delivery ?? [],
+  };
+}
+
+/**
+ * Apply a delivery retry outcome to the latest matching record,
+ * replacing that target's earlier result. Lines written before sinks
+ * existed are Discord deliveries.
+ * @param {HistoryRecord[]} records
+ * @param {object} delivery - Parsed `kind: 'delivery'` line
+ */
+function mergeDelivery(records, delivery) {
+  const record = records.findLast((r) =>
+    r.appId === delivery.appId && String(r.changenumber) === String(delivery.changenumber)
+  );
+  if (!record) return;
+
+  const sink = delivery.sink ?? 'discord';
+  const result = { sink, webhookId: delivery.webhookId, ok: delivery.ok, error: delivery.error, pending: false };
+  const index = record.delivery.findIndex((d) => (d.sink ?? 'discord') === sink && d.webhookId === delivery.webhookId);
+  if (index === -1) {
+    record.delivery.push(result);
+  } else {
+    record.delivery[index] = result;
+  }
+}
+
+/**
+ * Replace the latest record of a changelist with a richer revision. A
+ * revision of a notified update edits the sent messages, so the original
+ * delivery results still describe where the update went.
+ * @param {HistoryRecord[]} records
+ * @param {HistoryRecord} revision
+ */
+function applyRevision(records, revision) {
+  const index = records.findLastIndex((r) =>
+    r.appId === revision.appId && String(r.changenumber) === String(revision.changenumber)
+  );
+  if (index === -1) {
+    records.push(revision);
+    return;
+  }
+
+  const original = records[index];
+  records[index] = original.notified
+    ? { ...revision, notified: true, delivery: original.delivery }
+    : revision;
+}
@@ -1,21 +1,45 @@
 /**
  * Dota 2 Update Monitor — Entry Point
  *
- * Wires up SteamMonitor → UpdateProcessor → DiscordNotifier.
+ * Wires up SteamMonitor → UpdateProcessor → notification sinks for every watched app.
  * Supports a --test flag to send a test embed without connecting to Steam.
  *
  * Usage:
  *   npm start          # Start monitoring
- *   npm test           # Send a test embed and exit
- *   node src/index.js --test   # Same as npm test
+ *   npm run send-test  # Send a test embed and exit
+ *   node src/index.js --test   # Same as npm run send-test
  */
 
 import 'dotenv/config';
 import logger from './logger.js';
-import { validateConfig, DOTA2_APP_ID } from '../config.js';
+import {
+  validateConfig,
+  WATCHED_APP_IDS,
+  STATUS_ENABLED,
+  BOT_ENABLED,
+  CONTENT_DIFF_ENABLED,
+  RECORD_FILE,
+  PATCH_NOTES_ENABLED,
+  LEADER_ELECTION,
+} from '../config.js';
 import SteamMonitor from './steam-monitor.js';
 import UpdateProcessor from './update-processor.js';
 import DiscordNotifier from './discord-notifier.js';
+import SinkRegistry from './sinks/sink-registry.js';
+import HistoryStore from './history-store.js';
+import StatusServer from './status-server.js';
+import SubscriptionStore from './subscription-store.js';
+import DiscordBot from './discord-bot.js';
+import ContentAnalyzer from './content-analyzer.js';
+import EventRecorder from './event-recorder.js';
+import PatchNotesResolver from './patch-notes.js';
+import AdminAlerts from './admin-alerts.js';
+import Watchdog from './watchdog.js';
+import ConfigWatcher from './config-watcher.js';
+import LeaderElection from './leader-election.js';
+import { createStateBackend } from './state/backends.js';
+import { isLeader } from './metrics.js';
+import { createUpdateHandler, createMissedUpdatesHandler, recordRetries } from './pipeline.js';
 
 // ── CLI flags ──────────────────────────────────────────────────────
 const isTestMode = process.argv.includes('--test');
@@ -23,7 +47,7 @@ const isTestMode = process.argv.includes('--test');
 // ── Banner ─────────────────────────────────────────────────────────
 logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 logger.info('  Dota 2 Update Monitor');
-logger.info(`  Monitoring AppID: ${DOTA2_APP_ID}`);
+logger.info(`  Monitoring AppID(s): ${WATCHED_APP_IDS.join(', ')}`);
 logger.info(`  Mode: ${isTestMode ? 'TEST (send test embed)' : 'LIVE (monitoring Steam PICS)'}`);
 logger.info('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
 
@@ -35,16 +59,17 @@ if (isTestMode) {
 }
 
 /**
- * Fetch the latest Dota 2 update from Steam and send it to Discord.
+ * Fetch the latest update of each watched app from Steam and send it to Discord.
  */
 async function runTestMode() {
   try {
     validateConfig({ isTest: false });
 
-    logger.info('Connecting to Steam to fetch latest Dota 2 data...');
+    logger.info('Connecting to Steam to fetch latest app data...');
     const monitor = new SteamMonitor();
     const processor = new UpdateProcessor();
     const notifier = new DiscordNotifier();
+    await processor.load();
 
     // Wait for Steam connection + PICS cache to be ready
     await new Promise((resolve, reject) => {
@@ -56,42 +81,46 @@ async function runTestMode() {
       monitor.connect();
     });
 
-    // Fetch latest product info for Dota 2
-    logger.info('Fetching latest Dota 2 product info...');
+    // Fetch latest product info for each watched app
+    logger.info('Fetching latest product info for watched apps...');
     const cache = monitor.picsCache;
-    const appData = cache?.apps?.[DOTA2_APP_ID];
 
-    if (!appData) {
-      throw new Error('Could not retrieve Dota 2 data from PICS cache');
-    }
+    for (const appid of WATCHED_APP_IDS) {
+      const appData = cache?.apps?.[appid];
 
-    // Process through the real pipeline
-    const update = processor.process({
-      appid: DOTA2_APP_ID,
-      data: appData,
-      changenumber: appData.changenumber ?? 0,
-      timestamp: new Date(),
-    });
+      if (!appData) {
+        throw new Error(`Could not retrieve AppID ${appid} data from PICS cache`);
+      }
 
-    if (!update) {
-      // Force send even if deduplicated — this is a test
-      logger.warn('Update was deduplicated — sending with mock changenumber for test');
-      const forced = processor.process({
-        appid: DOTA2_APP_ID,
+      // Process through the real pipeline
+      const update = processor.process({
+        appid,
         data: appData,
-        changenumber: (appData.changenumber ?? 0) + 1,
+        changenumber: appData.changenumber ?? 0,
         timestamp: new Date(),
       });
-      if (forced) {
-        await notifier.sendUpdate(forced);
+
+      if (!update) {
+        // Force send even if deduplicated — this is a test
+        logger.warn(`AppID ${appid} update was deduplicated — sending with mock changenumber for test`);
+        const forced = processor.process({
+          appid,
+          data: appData,
+          changenumber: (appData.changenumber ?? 0) + 1,
+          timestamp: new Date(),
+        });
+        if (forced) {
+          await notifier.sendUpdate(forced);
+        }
+      } else {
+        await notifier.sendUpdate(update);
       }
-    } else {
-      await notifier.sendUpdate(update);
     }
 
-    logger.info('✅ Test embed sent with latest Dota 2 data! Check your Discord channel.');
+    logger.info('✅ Test embeds sent with latest app data! Check your Discord channel.');
     monitor.disconnect();
     notifier.destroy();
+    await processor.close();
     process.exit(0);
   } catch (err) {
     logger.error(`Test mode failed: ${err.message}`);
@@ -110,42 +139,128 @@ async function runLiveMode() {
     process.exit(1);
   }
 
-  const monitor = new SteamMonitor();
-  const processor = new UpdateProcessor();
-  const notifier = new DiscordNotifier();
+  const backend = createStateBackend();
+  const processor = new UpdateProcessor({ backend });
+  try {
+    await processor.load();
+  } catch (err) {
+    logger.error(`Cannot load the dedup state: ${err.message}`);
+    process.exit(1);
+  }
+
+  const monitor = new SteamMonitor({ lastChangenumber: (appid) => processor.getLastChangenumber(appid) });
+  const election = LEADER_ELECTION
+    ? new LeaderElection({ backend })
+    : null;
+  const history = new HistoryStore();
+  const sinks = SinkRegistry.fromConfig({ backend, ...(election ? { canSend: () => election.confirm() } : {}) });
+
+  /** Whether this instance notifies: always, or while it holds the leader lease */
+  let active = !election;
+
+  const bot = BOT_ENABLED
+    ? new DiscordBot({
+      monitor,
+      notifier: sinks.get('discord'),
+      history,
+      subscriptions: new SubscriptionStore({ backend }),
+      queue: sinks.queue,
+      isLeader: () => active,
+    })
+    : null;
+  if (bot) sinks.register(bot.sink);
+
+  try {
+    await sinks.load();
+  } catch (err) {
+    logger.error(`Cannot load the outbox: ${err.message}`);
+    process.exit(1);
+  }
+  const analyzer = CONTENT_DIFF_ENABLED
+    ? new ContentAnalyzer({ monitor, processor })
+    : null;
+  const patchNotes = PATCH_NOTES_ENABLED
+    ? new PatchNotesResolver()
+    : null;
+  const alerts = new AdminAlerts();
+  const watchdog = new Watchdog({ monitor, alerts });
+  const statusServer = STATUS_ENABLED
+    ? new StatusServer({ monitor, processor, sinks, history, watchdog, election })
+    : null;
 
   // ── Wire up the pipeline ───────────────────────────────────────
 
   monitor.on('ready', () => {
-    logger.info('🎮 Bot is ready — listening for Dota 2 updates...');
-    if (processor.lastChangenumber) {
-      logger.info(`Last known changenumber: ${processor.lastChangenumber}`);
+    logger.info('🎮 Bot is ready — listening for app updates...');
+    for (const [appid, changenumber] of processor.lastChangenumbers) {
+      logger.info(`Last known changenumber for AppID ${appid}: ${changenumber}`);
     }
   });
 
-  monitor.on('dota2Update', async (event) => {
-    logger.info(`Received update event (changenumber: ${event.changenumber})`);
+  const handleUpdate = createUpdateHandler({ processor, sinks, history, analyzer, patchNotes });
+  const handleMissedUpdates = createMissedUpdatesHandler({ processor, sinks, history });
+  monitor.on('appUpdate', (event) => (active ? handleUpdate(event) : null));
+  monitor.on('missedUpdates', (event) => (active ? handleMissedUpdates(event) : null));
+  recordRetries(sinks, history);
 
-    // Process and deduplicate
-    const update = processor.process(event);
-    if (!update) {
-      logger.debug('Update was a duplicate — skipping notification');
-      return;
-    }
+  // ── Leader election ────────────────────────────────────────────
 
-    // Send to Discord
-    const sent = await notifier.sendUpdate(update);
-    if (!sent) {
-      logger.warn('Failed to deliver update to Discord — will retry on next update');
-    }
-  });
+  if (election) {
+    election.on('elected', async ({ previous }) => {
+      // Continue from the state and outbox the previous leader left behind
+      try {
+        await processor.load();
+        await sinks.load();
+      } catch (err) {
+        logger.error(`Cannot load the shared state: ${err.message} — handing the leader lease back`);
+        await election.stop();
+        return;
+      }
+
+      active = true;
+      sinks.start();
+      if (previous) {
+        alerts.send('warning', 'Leader changed', `Instance ${election.owner} took over notifications from ${previous}.`);
+      }
+
+      // Announce what changed between the last update the previous leader handled and now
+      monitor.catchUp().catch((err) => logger.error(`Catch-up after taking over failed: ${err.message}`));
+    });
+
+    election.on('demoted', () => {
+      active = false;
+      sinks.stop();
+      patchNotes?.stop();
+    });
+  } else {
+    isLeader.set(1);
+  }
+
+  // Apply reloaded routing settings without dropping the Steam session
+  const configWatcher = new ConfigWatcher();
+  configWatcher.on('reload', () => sinks.reload());
+
+  // Capture Steam events for offline replay
+  if (RECORD_FILE) {
+    new EventRecorder(RECORD_FILE).attach(monitor);
+  }
 
   // ── Graceful shutdown ──────────────────────────────────────────
 
-  const shutdown = (signal) => {
+  const shutdown = async (signal) => {
     logger.info(`\nReceived ${signal} — shutting down gracefully...`);
+    watchdog.stop();
+    configWatcher.stop();
     monitor.disconnect();
-    notifier.destroy();
+    patchNotes?.stop();
+    await processor.flush();
+    await election?.stop();
+    sinks.destroy();
+    await sinks.flush();
+    bot?.destroy();
+    alerts.destroy();
+    await processor.close();
+    await statusServer?.stop();
     logger.info('Goodbye! 👋');
     process.exit(0);
   };
@@ -163,6 +278,31 @@ async function runLiveMode() {
     logger.error(`Unhandled rejection: ${reason}`);
   });
 
+  // ── Status API ────────────────────────────────────────────────
+  if (statusServer) {
+    try {
+      await statusServer.start();
+    } catch (err) {
+      logger.error(`Failed to start status API: ${err.message}`);
+    }
+  }
+
+  // ── Discord bot ───────────────────────────────────────────────
+  if (bot) {
+    try {
+      await bot.start();
+    } catch (err) {
+      logger.error(`Failed to start Discord bot: ${err.message}`);
+    }
+  }
+
   // ── Connect to Steam ──────────────────────────────────────────
+  if (election) {
+    await election.start();
+  } else {
+    sinks.start();
+  }
+  watchdog.start();
+  configWatcher.start();
   monitor.connect();
 }
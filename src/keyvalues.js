@@ -0,0 +1,134 @@
+/**
+ * KeyValues — Parser for Valve's text KeyValues format (KV1), used by the
+ * game's script files (`npc_heroes.txt`, `items.txt`, localization), and
+ * for the `key=value` lines of `steam.inf`.
+ *
+ * Duplicate keys keep the last value, `[$PLATFORM]` conditionals are
+ * ignored and `#base` directives are dropped, which is what a diff of
+ * a single file needs.
+ */
+
+/**
+ * Parse a text KeyValues document into nested plain objects.
+ *
+ * @param {string} text
+ * @returns {object}
+ * @throws {Error} On unbalanced braces or a key without a value
+ */
+export function parseKeyValues(text) {
+  const tokens = tokenize(text.replace(/^﻿/, ''));
+  const root = {};
+  const stack = [root];
+
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const current = stack[stack.length - 1];
+
+    if (token.type === 'close') {
+      if (stack.length === 1) throw new Error(`Unexpected "}" on line ${token.line}`);
+      stack.pop();
+      continue;
+    }
+    if (token.type === 'open') {
+      throw new Error(`Unexpected "{" on line ${token.line}`);
+    }
+
+    // #base / #include directives reference other files
+    if (token.type === 'string' && !token.quoted && token.value.startsWith('#')) {
+      i++;
+      continue;
+    }
+
+    const next = tokens[i + 1];
+    if (!next || next.type === 'close') {
+      throw new Error(`Key "${token.value}" on line ${token.line} has no value`);
+    }
+
+    if (next.type === 'open') {
+      const child = {};
+      current[token.value] = child;
+      stack.push(child);
+      i++;
+    } else {
+      current[token.value] = next.value;
+      i++;
+    }
+
+    // Trailing platform conditional, e.g. "key" "value" [$WIN32]
+    if (tokens[i + 1]?.type === 'condition') i++;
+  }
+
+  if (stack.length > 1) throw new Error('Unexpected end of file: missing "}"');
+  return root;
+}
+
+/**
+ * Parse `key=value` lines (as in `steam.inf`).
+ * @param {string} text
+ * @returns {Object<string, string>}
+ */
+export function parseInf(text) {
+  const values = {};
+  for (const line of text.split(/\r?\n/)) {
+    const index = line.indexOf('=');
+    if (index <= 0) continue;
+    values[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+  }
+  return values;
+}
+
+/**
+ * Split a KeyValues document into tokens.
+ * @param {string} text
+ * @returns {Array<{type: 'string'|'open'|'close'|'condition', value?: string, quoted?: boolean, line: number}>}
+ */
+function tokenize(text) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\n') {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === '/' && text[i + 1] === '/') {
+      while (i < text.length && text[i] !== '\n') i++;
+    } else if (char === '{') {
+      tokens.push({ type: 'open', line });
+      i++;
+    } else if (char === '}') {
+      tokens.push({ type: 'close', line });
+      i++;
+    } else if (char === '[') {
+      const end = text.indexOf(']', i);
+      tokens.push({ type: 'condition', value: text.slice(i + 1, end === -1 ? text.length : end), line });
+      i = end === -1 ? text.length : end + 1;
+    } else if (char === '"') {
+      let value = '';
+      i++;
+      while (i < text.length && text[i] !== '"') {
+        if (text[i] === '\\' && i + 1 < text.length) {
+          const escaped = text[i + 1];
+          value += escaped === 'n' ? '\n' : escaped === 't' ? '\t' : escaped;
+          i += 2;
+        } else {
+          if (text[i] === '\n') line++;
+          value += text[i];
+          i++;
+        }
+      }
+      tokens.push({ type: 'string', value, quoted: true, line });
+      i++;
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s{}"]/.test(text[i])) i++;
+      tokens.push({ type: 'string', value: text.slice(start, i), quoted: false, line });
+    }
+  }
+
+  return tokens;
+}
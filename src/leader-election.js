@@ -0,0 +1,212 @@
+/**
+ * LeaderElection — Lets redundant monitor instances run side by side with
+ * only one of them, the leader, sending notifications.
+ *
+ * Every instance follows Steam; the leader is whichever holds a lease in
+ * the shared state backend (STATE_BACKEND). The leader renews the lease
+ * every third of LEADER_LEASE_TTL, and standbys try to take it at the same
+ * pace, which succeeds once a leader has stopped renewing for a full TTL.
+ * A leader that cannot reach the backend steps down after two missed
+ * renewals, before its lease can expire and pass to a standby.
+ *
+ * A leader that was paused (a stopped container, a long GC pause) may
+ * wake up after its lease passed to a standby, before its next renewal.
+ * The outbox therefore calls confirm() before every message it sends,
+ * which renews the lease and compares its fencing token with the one the
+ * instance was elected with; a different token means another instance
+ * may have led in between, so this one steps down and, if it still holds
+ * the lease, is elected again and catches up first. Only a message that
+ * already passed this check when the lease moved can still go out twice.
+ * Writes to the backend are fenced with the same token (see
+ * StateBackend#fence), so such a leader cannot overwrite the state either.
+ *
+ * Events:
+ *   elected {previous}   This instance took the lease; previous is the
+ *                        last known holder (null if none)
+ *   demoted {holder}     This instance lost the lease; holder is the new
+ *                        holder (null if the backend is unreachable)
+ */
+
+import { EventEmitter } from 'node:events';
+import { createLogger } from './logger.js';
+import { isLeader } from './metrics.js';
+import { INSTANCE_ID, LEADER_LEASE_TTL } from '../config.js';
+
+const logger = createLogger('leader-election');
+
+export default class LeaderElection extends EventEmitter {
+  /** @type {import('./state/state-backend.js').default} */
+  #backend;
+
+  /** @type {string} */
+  #owner;
+
+  /** @type {number} Lease duration in ms */
+  #ttl;
+
+  /** @type {NodeJS.Timeout|null} */
+  #timer = null;
+
+  /** Whether this instance holds the lease */
+  #leader = false;
+
+  /** @type {string|null} Last known holder of the lease */
+  #holder = null;
+
+  /** @type {number|null} Fencing token of the lease this instance was elected with */
+  #token = null;
+
+  /** @type {number} When the lease was last taken or renewed */
+  #renewedAt = 0;
+
+  /** @type {Promise<boolean>|null} Lease request in flight */
+  #checking = null;
+
+  /**
+   * @param {object} options
+   * @param {import('./state/state-backend.js').default} options.backend - Shared state backend holding the lease
+   * @param {string} [options.owner] - This instance's ID (defaults to INSTANCE_ID)
+   * @param {number} [options.ttl] - Lease duration in ms (defaults to LEADER_LEASE_TTL)
+   */
+  constructor({ backend, owner = INSTANCE_ID, ttl = LEADER_LEASE_TTL }) {
+    super();
+    this.#backend = backend;
+    this.#owner = owner;
+    this.#ttl = ttl;
+
+    // Standbys must not write the shared state
+    backend.fence(-1);
+  }
+
+  /** Whether this instance holds the lease */
+  get isLeader() {
+    return this.#leader;
+  }
+
+  /** This instance's ID */
+  get owner() {
+    return this.#owner;
+  }
+
+  /** Last known holder of the lease */
+  get holder() {
+    return this.#holder;
+  }
+
+  /**
+   * Try to take the lease now, then keep renewing or retrying it.
+   * @returns {Promise<void>}
+   */
+  async start() {
+    logger.info(`Instance ${this.#owner} joining leader election via ${this.#backend.location} (lease ${this.#ttl / 1000}s)`);
+    this.#timer = setInterval(() => this.check(), this.#ttl / 3);
+    await this.check();
+  }
+
+  /**
+   * Stop renewing and hand the lease over, so a standby takes over without
+   * waiting for it to expire.
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+    if (!this.#leader) return;
+
+    this.#demote(null);
+    try {
+      await this.#backend.releaseLease(this.#owner);
+      logger.info('Leader lease released');
+    } catch (err) {
+      logger.warn(`Failed to release the leader lease: ${err.message}`);
+    }
+  }
+
+  /**
+   * Confirm right before a side effect that this instance still leads:
+   * renew the lease and check that it was not taken in between.
+   * @returns {Promise<boolean>} False when not leading, when the lease changed hands meanwhile, or when the backend cannot tell
+   */
+  async confirm() {
+    if (!this.#leader) return false;
+
+    const token = this.#token;
+    return (await this.check()) && this.#leader && this.#token === token;
+  }
+
+  /**
+   * Take or renew the lease. Calls made while a request is in flight share
+   * its outcome.
+   * @param {number} [now]
+   * @returns {Promise<boolean>} Whether the backend answered
+   */
+  check(now = Date.now()) {
+    this.#checking ??= this.#request(now).finally(() => {
+      this.#checking = null;
+    });
+    return this.#checking;
+  }
+
+  /**
+   * Ask the backend for the lease and follow the answer.
+   * @param {number} now
+   * @returns {Promise<boolean>} Whether the backend answered
+   */
+  async #request(now) {
+    try {
+      const { held, holder, token } = await this.#backend.acquireLease(this.#owner, this.#ttl);
+      const previous = this.#holder;
+      this.#holder = holder;
+
+      if (held) {
+        this.#renewedAt = now;
+        if (this.#leader && token !== this.#token) {
+          // Lost and taken again since the last renewal: someone may have led meanwhile
+          this.#demote(null);
+        }
+        if (!this.#leader) {
+          this.#token = token;
+          this.#backend.fence(token);
+          this.#elect(previous);
+        }
+      } else if (this.#leader) {
+        this.#demote(holder);
+      } else if (holder !== previous) {
+        logger.info(`Standing by — ${holder ?? 'nobody'} holds the leader lease`);
+      }
+      return true;
+    } catch (err) {
+      logger.warn(`Leader lease request failed: ${err.message}`);
+
+      // Step down before the lease can expire and pass to a standby
+      if (this.#leader && now - this.#renewedAt >= (this.#ttl * 2) / 3) {
+        this.#demote(null);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Became the leader.
+   * @param {string|null} previous - Last known holder
+   */
+  #elect(previous) {
+    this.#leader = true;
+    isLeader.set(1);
+    logger.info(`Instance ${this.#owner} is now the leader${previous && previous !== this.#owner ? ` (taking over from ${previous})` : ''}`);
+    this.emit('elected', { previous: previous === this.#owner ? null : previous });
+  }
+
+  /**
+   * Stopped being the leader.
+   * @param {string|null} holder - New holder, if known
+   */
+  #demote(holder) {
+    this.#leader = false;
+    isLeader.set(0);
+    logger.warn(holder
+      ? `Instance ${this.#owner} lost the leader lease to ${holder} — standing by`
+      : `Instance ${this.#owner} stepped down as leader`);
+    this.emit('demoted', { holder });
+  }
+}
@@ -1,7 +1,33 @@
 /**
- * Simple console logger with timestamps and colored log levels.
+ * Console logger with timestamps, levels and contextual fields.
+ *
+ * Lines below LOG_LEVEL are dropped (per module with "module=level"
+ * overrides); a configuration reload that changes it applies at once.
+ * LOG_FORMAT=pretty prints colored lines on a terminal and plain ones
+ * elsewhere; LOG_FORMAT=json prints one JSON object per line.
+ * With LOG_FILE set every line is also appended there as JSON, rotated
+ * once the file reaches LOG_FILE_MAX_SIZE.
+ *
+ * Modules log through a child logger carrying their name, and can add
+ * fields such as the app ID or changenumber for a stretch of work:
+ *
+ *   const logger = createLogger('steam-monitor');
+ *   logger.child({ appId: 570 }).info('Product info fetched');
+ *   logger.info('Delivered', { webhookId });   // Trailing object = fields
  */
 
+import { openSync, writeSync, closeSync, renameSync, rmSync, statSync, existsSync } from 'node:fs';
+import { format, inspect } from 'node:util';
+import {
+  LOG_LEVEL,
+  LOG_LEVELS,
+  LOG_FORMAT,
+  LOG_FILE,
+  LOG_FILE_MAX_SIZE,
+  LOG_FILE_MAX_FILES,
+  parseLogLevel,
+} from '../config.js';
+
 const COLORS = {
   reset:   '\x1b[0m',
   gray:    '\x1b[90m',
@@ -12,35 +38,206 @@ const COLORS = {
   magenta: '\x1b[35m',
 };
 
+/** Printed label, color and severity of each logger method */
+const LEVELS = {
+  debug: { label: 'DEBUG', color: COLORS.cyan,    severity: 'debug' },
+  info:  { label: 'INFO',  color: COLORS.green,   severity: 'info' },
+  steam: { label: 'STEAM', color: COLORS.magenta, severity: 'info' },
+  warn:  { label: 'WARN',  color: COLORS.yellow,  severity: 'warn' },
+  error: { label: 'ERROR', color: COLORS.red,     severity: 'error' },
+};
+
+/** Parsed LOG_LEVEL, and the value it was parsed from */
+let threshold = null;
+let thresholdSource = null;
+const useColor = process.stdout.isTTY && !process.env.NO_COLOR;
+
+/** Console method printing log lines; see logToStderr() */
+let print = console.log;
+
 /**
  * Format a timestamp as ISO-like local time: YYYY-MM-DD HH:mm:ss
+ * @param {Date} now
  * @returns {string}
  */
-function timestamp() {
-  const now = new Date();
+function timestamp(now) {
   const pad = (n) => String(n).padStart(2, '0');
   return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())} ${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
 }
 
 /**
- * Format and print a log line.
- * @param {'INFO'|'WARN'|'ERROR'|'DEBUG'} level
- * @param {string} color
+ * Whether a line of a module passes LOG_LEVEL.
+ * @param {string} severity
+ * @param {string|undefined} module
+ * @returns {boolean}
+ */
+function enabled(severity, module) {
+  if (LOG_LEVEL !== thresholdSource) {
+    // Malformed LOG_LEVEL values are reported by validateConfig()
+    threshold = parseLogLevel(LOG_LEVEL) ?? { level: 'info', modules: {} };
+    thresholdSource = LOG_LEVEL;
+  }
+
+  const minimum = threshold.modules[module] ?? threshold.level;
+  return LOG_LEVELS.indexOf(severity) >= LOG_LEVELS.indexOf(minimum);
+}
+
+/**
+ * Whether a value is a plain object (taken as contextual fields).
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Build the JSON form of a log line.
+ * @param {Date} time
+ * @param {string} method
  * @param {string} message
+ * @param {object} fields
+ * @param {any[]} args - Extra arguments (errors are expanded)
+ * @returns {string}
+ */
+function jsonLine(time, method, message, fields, args) {
+  const { severity } = LEVELS[method];
+  const errors = args.filter((arg) => arg instanceof Error);
+  const rest = args.filter((arg) => !(arg instanceof Error));
+
+  return JSON.stringify({
+    time: time.toISOString(),
+    level: severity,
+    ...(method === 'steam' ? { category: 'steam' } : {}),
+    ...fields,
+    msg: rest.length > 0 ? format(message, ...rest) : String(message),
+    ...(errors.length > 0 ? { error: { message: errors[0].message, stack: errors[0].stack } } : {}),
+  });
+}
+
+/**
+ * Build the human-readable form of a log line.
+ * @param {Date} time
+ * @param {string} method
+ * @param {string} message
+ * @param {object} fields
  * @param {any[]} args
+ * @returns {string}
  */
-function log(level, color, message, ...args) {
-  const ts = `${COLORS.gray}${timestamp()}${COLORS.reset}`;
-  const lvl = `${color}${level.padEnd(5)}${COLORS.reset}`;
-  console.log(`${ts}  ${lvl}  ${message}`, ...args);
+function prettyLine(time, method, message, fields, args) {
+  const { label, color } = LEVELS[method];
+  const paint = (code, text) => (useColor ? `${code}${text}${COLORS.reset}` : text);
+
+  const { module, ...context } = fields;
+  const tag = module ? `${paint(COLORS.gray, `[${module}]`)} ` : '';
+  const pairs = Object.entries(context)
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : inspect(value, { breakLength: Infinity })}`)
+    .join(' ');
+
+  const text = args.length > 0 ? format(message, ...args) : String(message);
+  return `${paint(COLORS.gray, timestamp(time))}  ${paint(color, label.padEnd(5))}  ${tag}${text}${pairs ? `  ${paint(COLORS.gray, pairs)}` : ''}`;
 }
 
-const logger = {
-  info:  (msg, ...args) => log('INFO',  COLORS.green,   msg, ...args),
-  warn:  (msg, ...args) => log('WARN',  COLORS.yellow,  msg, ...args),
-  error: (msg, ...args) => log('ERROR', COLORS.red,     msg, ...args),
-  debug: (msg, ...args) => log('DEBUG', COLORS.cyan,    msg, ...args),
-  steam: (msg, ...args) => log('STEAM', COLORS.magenta, msg, ...args),
-};
+// ── File output ──────────────────────────────────────────────────────
+
+/** Open LOG_FILE descriptor and its current size */
+let file = null;
+
+/**
+ * Append a JSON line to LOG_FILE, rotating it first when full:
+ * LOG_FILE → LOG_FILE.1 → … → LOG_FILE.<LOG_FILE_MAX_FILES> (dropped).
+ * @param {string} line
+ */
+function writeFile(line) {
+  try {
+    if (!file) {
+      file = { fd: openSync(LOG_FILE, 'a'), size: existsSync(LOG_FILE) ? statSync(LOG_FILE).size : 0 };
+    }
+
+    const bytes = Buffer.byteLength(line) + 1;
+    if (file.size > 0 && file.size + bytes > LOG_FILE_MAX_SIZE) {
+      closeSync(file.fd);
+      rmSync(`${LOG_FILE}.${LOG_FILE_MAX_FILES}`, { force: true });
+      for (let n = LOG_FILE_MAX_FILES - 1; n >= 1; n--) {
+        if (existsSync(`${LOG_FILE}.${n}`)) renameSync(`${LOG_FILE}.${n}`, `${LOG_FILE}.${n + 1}`);
+      }
+      renameSync(LOG_FILE, `${LOG_FILE}.1`);
+      file = { fd: openSync(LOG_FILE, 'a'), size: 0 };
+    }
+
+    writeSync(file.fd, `${line}\n`);
+    file.size += bytes;
+  } catch (err) {
+    // Never let logging take the monitor down — report once on the console
+    if (file !== false) console.error(`Failed to write log file ${LOG_FILE}: ${err.message}`);
+    file = false;
+  }
+}
+
+// ── Loggers ──────────────────────────────────────────────────────────
+
+/**
+ * Print one log line.
+ * @param {string} method - Logger method: debug, info, steam, warn or error
+ * @param {object} fields - Contextual fields of the logger
+ * @param {string} message
+ * @param {any[]} args - Extra arguments; a trailing plain object adds fields
+ */
+function log(method, fields, message, args) {
+  if (!enabled(LEVELS[method].severity, fields.module)) return;
+
+  const extra = isPlainObject(args.at(-1)) ? args.pop() : {};
+  const all = { ...fields, ...extra };
+  const time = new Date();
+
+  const json = LOG_FORMAT === 'json' || (LOG_FILE && file !== false) ? jsonLine(time, method, message, all, args) : null;
+  print(LOG_FORMAT === 'json' ? json : prettyLine(time, method, message, all, args));
+  if (LOG_FILE && file !== false) writeFile(json);
+}
+
+/**
+ * @typedef {object} Logger
+ * @property {(message: string, ...args: any[]) => void} debug
+ * @property {(message: string, ...args: any[]) => void} info
+ * @property {(message: string, ...args: any[]) => void} steam - Info level, tagged as Steam activity
+ * @property {(message: string, ...args: any[]) => void} warn
+ * @property {(message: string, ...args: any[]) => void} error
+ * @property {(fields: object) => Logger} child - Logger adding fields to every line
+ */
+
+/**
+ * Build a logger that adds fields to every line.
+ * @param {object} fields
+ * @returns {Logger}
+ */
+function withFields(fields) {
+  return {
+    debug: (msg, ...args) => log('debug', fields, msg, args),
+    info:  (msg, ...args) => log('info',  fields, msg, args),
+    steam: (msg, ...args) => log('steam', fields, msg, args),
+    warn:  (msg, ...args) => log('warn',  fields, msg, args),
+    error: (msg, ...args) => log('error', fields, msg, args),
+    child: (more) => withFields({ ...fields, ...more }),
+  };
+}
+
+/**
+ * Print log lines to stderr from now on, keeping stdout for the output of
+ * a command (e.g. the replay transcript).
+ */
+export function logToStderr() {
+  print = console.error;
+}
+
+/**
+ * Logger for one module; LOG_LEVEL overrides use this name.
+ * @param {string} module - e.g. 'steam-monitor'
+ * @returns {Logger}
+ */
+export function createLogger(module) {
+  return withFields({ module });
+}
+
+const logger = withFields({});
 
 export default logger;
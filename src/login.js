@@ -0,0 +1,127 @@
+/**
+ * Steam login — Interactive one-time login that stores a refresh token,
+ * so the monitor can log in headless without a password or Steam Guard
+ * prompt.
+ *
+ * Usage:
+ *   npm run login              # Prompt for credentials, save STEAM_TOKEN_FILE
+ *   npm run login -- --print   # Also print the token (to set STEAM_REFRESH_TOKEN)
+ *
+ * STEAM_USERNAME / STEAM_PASSWORD are used as defaults when set, and
+ * STEAM_SHARED_SECRET answers authenticator prompts automatically.
+ */
+
+import 'dotenv/config';
+import { createInterface } from 'node:readline/promises';
+import { Writable } from 'node:stream';
+import SteamUser from 'steam-user';
+import logger from './logger.js';
+import { saveRefreshToken, createSteamGuardHandler } from './steam-credentials.js';
+import { STEAM_USERNAME, STEAM_PASSWORD, STEAM_TOKEN_FILE } from '../config.js';
+
+/** Give up if Steam has not issued a token by then */
+const LOGIN_TIMEOUT = 180_000;
+
+const printToken = process.argv.includes('--print');
+
+// Echo is switched off while the password is typed
+let muted = false;
+const output = new Writable({
+  write(chunk, encoding, callback) {
+    if (!muted) process.stdout.write(chunk, encoding);
+    callback();
+  },
+});
+const rl = createInterface({ input: process.stdin, output, terminal: true });
+
+// A question pending when stdin ends would otherwise never be answered
+const inputClosed = new Promise((resolve, reject) => {
+  rl.once('close', () => reject(new Error('input closed before an answer was given')));
+});
+inputClosed.catch(() => {});
+
+process.exit(await runLogin());
+
+/**
+ * Log in interactively and store the refresh token.
+ * @returns {Promise<number>} Process exit code
+ */
+async function runLogin() {
+  const client = new SteamUser({ renewRefreshTokens: true });
+
+  try {
+    const accountName = (await ask(`Steam username${STEAM_USERNAME ? ` [${STEAM_USERNAME}]` : ''}: `)) || STEAM_USERNAME;
+    const password = STEAM_PASSWORD && accountName === STEAM_USERNAME
+      ? STEAM_PASSWORD
+      : await askHidden('Steam password: ');
+
+    if (!accountName || !password) {
+      logger.error('A username and password are required');
+      return 1;
+    }
+
+    const refreshToken = await new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => reject(new Error(`No refresh token within ${LOGIN_TIMEOUT / 1000}s`)), LOGIN_TIMEOUT);
+
+      client.on('steamGuard', createSteamGuardHandler({
+        prompt: ask,
+        onUnavailable: (reason) => {
+          clearTimeout(timeout);
+          reject(new Error(reason));
+        },
+      }));
+      client.once('refreshToken', (token) => {
+        clearTimeout(timeout);
+        resolve(token);
+      });
+      client.once('error', (err) => {
+        clearTimeout(timeout);
+        reject(err);
+      });
+
+      logger.steam(`Logging in as ${accountName}...`);
+      client.logOn({ accountName, password });
+    });
+
+    if (!saveRefreshToken(refreshToken, { accountName })) return 1;
+
+    logger.info(`✅ Refresh token saved to ${STEAM_TOKEN_FILE} (readable by you only)`);
+    logger.info('The monitor now logs in with it and renews it automatically.');
+    if (printToken) {
+      logger.info('For hosts without a persistent disk, set this as STEAM_REFRESH_TOKEN:');
+      console.log(refreshToken);
+    }
+    return 0;
+  } catch (err) {
+    logger.error(`Steam login failed: ${err.message}`);
+    return 1;
+  } finally {
+    client.logOff();
+    rl.close();
+  }
+}
+
+/**
+ * Ask a question on the terminal.
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+async function ask(question) {
+  return (await Promise.race([rl.question(question), inputClosed])).trim();
+}
+
+/**
+ * Ask without echoing the answer.
+ * @param {string} question
+ * @returns {Promise<string>}
+ */
+async function askHidden(question) {
+  process.stdout.write(question);
+  muted = true;
+  try {
+    return await Promise.race([rl.question(''), inputClosed]);
+  } finally {
+    muted = false;
+    process.stdout.write('\n');
+  }
+}
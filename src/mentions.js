@@ -0,0 +1,86 @@
+/**
+ * Mentions — Which Discord roles and users an update notification pings.
+ *
+ * Mention rules (MENTION_ROLE_IDS, MENTION_RULES_FILE) map release
+ * classes, moved branches, changed depots and apps to role and user IDs.
+ * During QUIET_HOURS no one is pinged; the notification is still sent.
+ */
+
+import { alertBranches } from './sinks/notification-sink.js';
+import { QUIET_HOURS, QUIET_HOURS_TZ, parseQuietHours } from '../config.js';
+
+/**
+ * @typedef {object} Mentions
+ * @property {string[]} roles - Role IDs to ping
+ * @property {string[]} users - User IDs to ping
+ */
+
+/**
+ * Whether an update fits every criterion a rule lists. A rule without
+ * criteria matches every update.
+ *
+ * @param {object} rule
+ * @param {object} update - Processed update data
+ * @returns {boolean}
+ */
+export function matchesRule(rule, update) {
+  const any = (list, values) => !list?.length || values.some((value) => list.map(String).includes(String(value)));
+
+  return any(rule.classes, [update.releaseClass])
+    && any(rule.apps, [update.appId])
+    && any(rule.branches, alertBranches(update).map((branch) => branch.name))
+    && any(rule.depots, (update.changedDepots ?? []).map((depot) => depot.id));
+}
+
+/**
+ * Collect the roles and users to ping for an update from every matching rule.
+ *
+ * @param {object} update - Processed update data
+ * @param {Array<object>} rules - From loadMentionRules()
+ * @returns {Mentions}
+ */
+export function resolveMentions(update, rules) {
+  const roles = new Set();
+  const users = new Set();
+
+  for (const rule of rules) {
+    if (!matchesRule(rule, update)) continue;
+    for (const id of rule.roles ?? []) roles.add(String(id));
+    for (const id of rule.users ?? []) users.add(String(id));
+  }
+
+  return { roles: [...roles], users: [...users] };
+}
+
+/**
+ * Whether pings are currently suppressed by QUIET_HOURS.
+ *
+ * @param {Date} [now]
+ * @param {object} [options]
+ * @param {string} [options.window] - "HH:MM-HH:MM" (defaults to QUIET_HOURS)
+ * @param {string} [options.timeZone] - IANA time zone (defaults to QUIET_HOURS_TZ)
+ * @returns {boolean}
+ */
+export function isQuietTime(now = new Date(), { window = QUIET_HOURS, timeZone = QUIET_HOURS_TZ } = {}) {
+  const quiet = window ? parseQuietHours(window) : null;
+  if (!quiet || quiet.start === quiet.end) return false;
+
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', minute: 'numeric', hourCycle: 'h23' })
+    .formatToParts(now);
+  const part = (type) => Number(parts.find((p) => p.type === type)?.value ?? 0);
+  const minutes = part('hour') * 60 + part('minute');
+
+  // Windows like 23:00-07:00 wrap past midnight
+  return quiet.start < quiet.end
+    ? minutes >= quiet.start && minutes < quiet.end
+    : minutes >= quiet.start || minutes < quiet.end;
+}
+
+/**
+ * Message content carrying the pings.
+ * @param {Mentions} mentions
+ * @returns {string}
+ */
+export function mentionContent({ roles, users }) {
+  return [...roles.map((id) => `<@&${id}>`), ...users.map((id) => `<@${id}>`)].join(' ');
+}
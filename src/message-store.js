@@ -0,0 +1,148 @@
+/**
+ * MessageStore — IDs of the webhook messages recent updates were posted
+ * as, so the notifications can be edited in place when richer data for
+ * the same changelist arrives.
+ *
+ * Persisted so edits still reach messages sent before a restart: to a
+ * local JSON file, or to the `messages` document of the state backend,
+ * where an instance taking over as leader finds what the previous one
+ * sent. Only the latest MAX_MESSAGES are kept.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { createLogger } from './logger.js';
+import { MESSAGES_FILE } from '../config.js';
+
+const logger = createLogger('message-store');
+
+/** Sent messages remembered; older ones can no longer be edited */
+const MAX_MESSAGES = 200;
+
+/**
+ * @typedef {object} SentMessage
+ * @property {number} appId
+ * @property {number|string} changenumber
+ * @property {string} webhookUrl - Webhook the message was posted through
+ * @property {string} messageId
+ * @property {string} sentAt - ISO timestamp
+ */
+
+export default class MessageStore {
+  /** @type {SentMessage[]} Oldest first */
+  #messages = [];
+
+  /** @type {string} */
+  #file;
+
+  /** @type {import('./state/state-backend.js').default|null} Holds the messages instead of the file */
+  #backend;
+
+  /** @type {Promise<void>} Tail of the backend write chain */
+  #writing = Promise.resolve();
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - JSON file path (defaults to MESSAGES_FILE)
+   * @param {import('./state/state-backend.js').default} [options.backend] - Keep the messages there (read by load())
+   */
+  constructor({ file = MESSAGES_FILE, backend = null } = {}) {
+    this.#file = file;
+    this.#backend = backend;
+
+    if (!backend) {
+      try {
+        this.#messages = existsSync(file) ? JSON.parse(readFileSync(file, 'utf-8')) : [];
+      } catch (err) {
+        logger.warn(`Failed to load messages file: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Replace the remembered messages with the stored ones, e.g. those the
+   * previous leader sent. Messages never stored in the backend are taken
+   * over from the messages file.
+   * @returns {Promise<void>}
+   * @throws {Error} If the backend cannot be read
+   */
+  async load() {
+    let text = null;
+    if (this.#backend) {
+      text = await this.#backend.readDocument('messages');
+    }
+    if (text === null && existsSync(this.#file)) {
+      text = readFileSync(this.#file, 'utf-8');
+    }
+    this.#messages = text ? JSON.parse(text) : [];
+  }
+
+  /**
+   * Write sent messages to disk or the backend.
+   */
+  #save() {
+    const text = JSON.stringify(this.#messages, null, 2);
+
+    if (!this.#backend) {
+      try {
+        writeFileSync(this.#file, text, 'utf-8');
+      } catch (err) {
+        logger.error(`Failed to save messages: ${err.message}`);
+      }
+      return;
+    }
+
+    this.#writing = this.#writing
+      .then(() => this.#backend.writeDocument('messages', text))
+      .catch((err) => logger.error(`Failed to save messages: ${err.message}`));
+  }
+
+  /**
+   * Wait for writes to the backend.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.#writing;
+  }
+
+  /**
+   * Remember the message an update was posted as.
+   *
+   * @param {object} message
+   * @param {number} message.appId
+   * @param {number|string} message.changenumber
+   * @param {string} message.webhookUrl
+   * @param {string} message.messageId
+   */
+  remember({ appId, changenumber, webhookUrl, messageId }) {
+    this.#messages = this.#messages.filter((m) => !sameTarget(m, appId, changenumber, webhookUrl));
+    this.#messages.push({ appId, changenumber, webhookUrl, messageId, sentAt: new Date().toISOString() });
+    this.#messages = this.#messages.slice(-MAX_MESSAGES);
+    this.#save();
+  }
+
+  /**
+   * Look up the message an update was posted as through a webhook.
+   *
+   * @param {number} appId
+   * @param {number|string} changenumber
+   * @param {string} webhookUrl
+   * @returns {string|null} Message ID
+   */
+  find(appId, changenumber, webhookUrl) {
+    return this.#messages.find((m) => sameTarget(m, appId, changenumber, webhookUrl))?.messageId ?? null;
+  }
+}
+
+/**
+ * Whether a sent message belongs to an update and webhook.
+ * @param {SentMessage} message
+ * @param {number} appId
+ * @param {number|string} changenumber
+ * @param {string} webhookUrl
+ * @returns {boolean}
+ */
+function sameTarget(message, appId, changenumber, webhookUrl) {
+  return message.appId === appId
+    && String(message.changenumber) === String(changenumber)
+    && message.webhookUrl === webhookUrl;
+}
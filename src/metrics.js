@@ -0,0 +1,293 @@
+/**
+ * Metrics — Counters, gauges and histograms exposed in the Prometheus
+ * text format on the status server's `/metrics` endpoint.
+ *
+ * The metrics of the monitor are defined here, so their names and labels
+ * stay in one place; SteamMonitor, UpdateProcessor and the notification
+ * sinks update them as they work.
+ */
+
+/** Prefix of every metric name */
+const PREFIX = 'dota_monitor_';
+
+/** Delivery latency buckets, in seconds */
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 1800];
+
+/**
+ * Escape a label value for the text format.
+ * @param {string|number} value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Render a label set as `{a="1",b="2"}` (empty string for none).
+ * @param {Object<string, string|number>} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base of every metric: name, help text and one value per label set.
+ */
+class Metric {
+  /** @type {string} */
+  name;
+
+  /** @type {string} */
+  help;
+
+  /** @type {string[]} */
+  labelNames;
+
+  /** @type {Map<string, {labels: object, value: any}>} Keyed by the rendered label set */
+  values = new Map();
+
+  /**
+   * @param {object} options
+   * @param {string} options.name - Without PREFIX
+   * @param {string} options.help
+   * @param {string[]} [options.labelNames]
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = `${PREFIX}${name}`;
+    this.help = help;
+    this.labelNames = labelNames;
+  }
+
+  /**
+   * Value slot of a label set, created on first use.
+   * @param {object} labels
+   * @param {() => any} initial
+   * @returns {{labels: object, value: any}}
+   */
+  slot(labels, initial) {
+    const picked = Object.fromEntries(this.labelNames.map((name) => [name, labels[name] ?? '']));
+    const key = formatLabels(picked);
+    if (!this.values.has(key)) this.values.set(key, { labels: picked, value: initial() });
+    return this.values.get(key);
+  }
+
+  /**
+   * Text format lines of the metric.
+   * @param {string} type
+   * @param {string[]} samples
+   * @returns {string}
+   */
+  render(type, samples) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`, ...samples].join('\n');
+  }
+}
+
+/** Monotonic count of events */
+export class Counter extends Metric {
+  /**
+   * @param {object} [labels]
+   * @param {number} [amount=1]
+   */
+  inc(labels = {}, amount = 1) {
+    this.slot(labels, () => 0).value += amount;
+  }
+
+  /** @returns {string} */
+  toString() {
+    return this.render('counter', [...this.values].map(([key, { value }]) => `${this.name}${key} ${value}`));
+  }
+}
+
+/** Value that goes up and down, optionally computed when scraped */
+export class Gauge extends Metric {
+  /** @type {(() => number|null)|null} */
+  #collect;
+
+  /**
+   * @param {object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {string[]} [options.labelNames]
+   * @param {() => number|null} [options.collect] - Unlabelled value computed on every scrape (null = absent)
+   */
+  constructor({ collect = null, ...options }) {
+    super(options);
+    this.#collect = collect;
+  }
+
+  /**
+   * @param {object|number} labels - Label set, or the value of an unlabelled gauge
+   * @param {number} [value]
+   */
+  set(labels, value) {
+    if (typeof labels === 'number') [labels, value] = [{}, labels];
+    this.slot(labels, () => 0).value = value;
+  }
+
+  /**
+   * Current value of an unlabelled gauge.
+   * @returns {number|null}
+   */
+  get() {
+    return this.values.get('')?.value ?? null;
+  }
+
+  /** @returns {string} */
+  toString() {
+    if (this.#collect) {
+      const value = this.#collect();
+      return this.render('gauge', value === null ? [] : [`${this.name} ${value}`]);
+    }
+    return this.render('gauge', [...this.values].map(([key, { value }]) => `${this.name}${key} ${value}`));
+  }
+}
+
+/** Distribution of observed values in cumulative buckets */
+export class Histogram extends Metric {
+  /** @type {number[]} */
+  #buckets;
+
+  /**
+   * @param {object} options
+   * @param {string} options.name
+   * @param {string} options.help
+   * @param {string[]} [options.labelNames]
+   * @param {number[]} options.buckets - Upper bounds, ascending
+   */
+  constructor({ buckets, ...options }) {
+    super(options);
+    this.#buckets = buckets;
+  }
+
+  /**
+   * @param {object} labels
+   * @param {number} value
+   */
+  observe(labels, value) {
+    const slot = this.slot(labels, () => ({ counts: this.#buckets.map(() => 0), sum: 0, count: 0 })).value;
+    this.#buckets.forEach((bound, index) => {
+      if (value <= bound) slot.counts[index]++;
+    });
+    slot.sum += value;
+    slot.count++;
+  }
+
+  /** @returns {string} */
+  toString() {
+    const samples = [...this.values.values()].flatMap(({ labels, value }) => [
+      ...this.#buckets.map((bound, index) => `${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${value.counts[index]}`),
+      `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`,
+      `${this.name}_sum${formatLabels(labels)} ${value.sum}`,
+      `${this.name}_count${formatLabels(labels)} ${value.count}`,
+    ]);
+    return this.render('histogram', samples);
+  }
+}
+
+// ── Monitor metrics ──────────────────────────────────────────────────
+
+/** PICS changelists received from Steam, for any app */
+export const changelistsSeen = new Counter({
+  name: 'pics_changelists_total',
+  help: 'PICS changelists received from Steam',
+});
+
+/** Unix time of the last PICS changelist */
+export const lastChangelistTime = new Gauge({
+  name: 'last_pics_changelist_timestamp_seconds',
+  help: 'Unix time of the last PICS changelist received',
+});
+
+/** Seconds since the last PICS changelist — the signal that Steam traffic stopped */
+export const secondsSinceLastChangelist = new Gauge({
+  name: 'seconds_since_last_pics_changelist',
+  help: 'Seconds since the last PICS changelist was received',
+  collect: () => {
+    const last = lastChangelistTime.get();
+    return last === null ? null : Math.max(0, Math.round(Date.now() / 1000 - last));
+  },
+});
+
+/** Processed updates of watched apps */
+export const updatesDetected = new Counter({
+  name: 'updates_detected_total',
+  help: 'App updates processed, by app and release class',
+  labelNames: ['appid', 'release_class'],
+});
+
+/** Update events dropped as already processed */
+export const duplicatesSkipped = new Counter({
+  name: 'duplicates_skipped_total',
+  help: 'App update events skipped as duplicates',
+  labelNames: ['appid'],
+});
+
+/** Reconnects scheduled after a disconnect or error */
+export const reconnectAttempts = new Counter({
+  name: 'steam_reconnect_attempts_total',
+  help: 'Steam reconnect attempts',
+});
+
+/** 1 while logged into Steam */
+export const steamConnected = new Gauge({
+  name: 'steam_connected',
+  help: 'Whether the bot is logged into Steam (1) or not (0)',
+});
+
+/** Relogins forced by the watchdog after PICS changelists stopped */
+export const watchdogRelogins = new Counter({
+  name: 'watchdog_relogins_total',
+  help: 'Steam relogins forced by the PICS stall watchdog',
+});
+
+/** 1 while PICS changelists have stopped on a live connection */
+export const picsStalled = new Gauge({
+  name: 'pics_stalled',
+  help: 'Whether PICS changelists have stopped arriving while connected (1) or not (0)',
+});
+
+/** 1 while this instance holds the leader lease (always 1 without leader election) */
+export const isLeader = new Gauge({
+  name: 'leader',
+  help: 'Whether this instance sends notifications (1) or stands by (0)',
+});
+
+/** Delivery attempts per target */
+export const deliveries = new Counter({
+  name: 'webhook_deliveries_total',
+  help: 'Message delivery attempts, by sink, target and result',
+  labelNames: ['sink', 'webhook', 'result'],
+});
+
+/** Time from queueing a message to its acceptance */
+export const deliveryLatency = new Histogram({
+  name: 'delivery_latency_seconds',
+  help: 'Seconds from queueing a message until the target accepted it',
+  labelNames: ['sink'],
+  buckets: LATENCY_BUCKETS,
+});
+
+/** Every metric, in exposition order */
+const METRICS = [
+  changelistsSeen,
+  lastChangelistTime,
+  secondsSinceLastChangelist,
+  updatesDetected,
+  duplicatesSkipped,
+  reconnectAttempts,
+  steamConnected,
+  watchdogRelogins,
+  picsStalled,
+  deliveries,
+  deliveryLatency,
+];
+
+/**
+ * Render every metric in the Prometheus text exposition format (0.0.4).
+ * @returns {string}
+ */
+export function renderMetrics() {
+  return `${METRICS.map((metric) => metric.toString()).join('\n')}\n`;
+}
@@ -0,0 +1,275 @@
+/**
+ * PatchNotesResolver — Finds the patch notes of a new public build.
+ *
+ * After a public release, Steam's ISteamNews/GetNewsForApp and, for
+ * Dota 2, the dota2.com patch datafeed are polled until a post dated
+ * within PATCH_NOTES_WINDOW of the build's update time shows up, or the
+ * window has passed. Each request gives up after REQUEST_TIMEOUT, so a
+ * hung server only costs one poll. The HTTP client and both base URLs are
+ * injectable, so the resolver can be run against a local fake server.
+ */
+
+import { createLogger } from './logger.js';
+import { DOTA2_APP_ID, PATCH_NOTES_WINDOW, PATCH_NOTES_POLL_INTERVAL } from '../config.js';
+
+const logger = createLogger('patch-notes');
+
+/** Steam Web API base URL */
+export const STEAM_API_URL = 'https://api.steampowered.com';
+
+/** Dota 2 patch datafeed base URL */
+export const DOTA_DATAFEED_URL = 'https://www.dota2.com/datafeed';
+
+const NEWS_COUNT = 10; // Latest Steam news items checked per poll
+const BODY_LIMIT = 700; // Characters of the patch notes body kept
+const DATAFEED_NOTES = 8; // General datafeed notes listed in the body
+const REQUEST_TIMEOUT = 15_000; // Longest wait for a news or datafeed response, in ms
+
+/**
+ * @typedef {object} PatchNotes
+ * @property {'datafeed'|'steam-news'} source
+ * @property {string} title
+ * @property {string} body - Plain text, trimmed to BODY_LIMIT
+ * @property {string} url
+ * @property {Date} date - When the notes were published
+ */
+
+export default class PatchNotesResolver {
+  /** @type {typeof fetch} */
+  #fetch;
+
+  /** @type {string} */
+  #steamApi;
+
+  /** @type {string} */
+  #datafeedApi;
+
+  /** @type {number} Allowed distance between build and post, in ms */
+  #window;
+
+  /** @type {number} Poll interval in ms */
+  #interval;
+
+  /** @type {number} Request timeout in ms */
+  #timeout;
+
+  /** @type {Map<NodeJS.Timeout, (notes: null) => void>} Scheduled polls and their track() resolvers */
+  #polls = new Map();
+
+  /**
+   * @param {object} [options]
+   * @param {typeof fetch} [options.fetch] - HTTP client (injectable for tests)
+   * @param {string} [options.steamApi] - Steam Web API base URL
+   * @param {string} [options.datafeedApi] - Dota 2 datafeed base URL
+   * @param {number} [options.window] - Defaults to PATCH_NOTES_WINDOW
+   * @param {number} [options.interval] - Defaults to PATCH_NOTES_POLL_INTERVAL
+   * @param {number} [options.timeout] - Per request, in ms (defaults to REQUEST_TIMEOUT)
+   */
+  constructor({
+    fetch = globalThis.fetch,
+    steamApi = STEAM_API_URL,
+    datafeedApi = DOTA_DATAFEED_URL,
+    window = PATCH_NOTES_WINDOW,
+    interval = PATCH_NOTES_POLL_INTERVAL,
+    timeout = REQUEST_TIMEOUT,
+  } = {}) {
+    this.#fetch = fetch;
+    this.#steamApi = steamApi.replace(/\/+$/, '');
+    this.#datafeedApi = datafeedApi.replace(/\/+$/, '');
+    this.#window = window;
+    this.#interval = interval;
+    this.#timeout = timeout;
+  }
+
+  /**
+   * Poll for the patch notes of an update until they are found or the
+   * window after the build has passed.
+   *
+   * @param {object} update - Processed update data
+   * @returns {Promise<PatchNotes|null>}
+   */
+  track(update) {
+    const deadline = releaseTime(update) + this.#window;
+    logger.info(`Waiting for patch notes of AppID ${update.appId} build ${update.buildId ?? 'unknown'}...`);
+
+    return new Promise((resolve) => {
+      const poll = async () => {
+        const notes = await this.find(update);
+        if (notes || Date.now() >= deadline) {
+          if (!notes) logger.info(`No patch notes for AppID ${update.appId} build ${update.buildId ?? 'unknown'} within the window`);
+          resolve(notes);
+          return;
+        }
+
+        const timer = setTimeout(() => {
+          this.#polls.delete(timer);
+          poll();
+        }, this.#interval);
+        this.#polls.set(timer, resolve);
+      };
+      poll();
+    });
+  }
+
+  /**
+   * Look up the patch notes of an update once. Dota 2 prefers the
+   * datafeed, which is published with the gameplay patch itself.
+   *
+   * @param {object} update - Processed update data
+   * @returns {Promise<PatchNotes|null>}
+   */
+  async find(update) {
+    const sources = update.appId === DOTA2_APP_ID
+      ? [() => this.#fromDatafeed(update), () => this.#fromSteamNews(update)]
+      : [() => this.#fromSteamNews(update)];
+
+    for (const source of sources) {
+      try {
+        const notes = await source();
+        if (notes) {
+          logger.info(`Found patch notes for AppID ${update.appId}: "${notes.title}" (${notes.source})`);
+          return notes;
+        }
+      } catch (err) {
+        logger.warn(`Patch notes lookup failed: ${err.message}`);
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Stop polling; pending track() calls resolve with null.
+   */
+  stop() {
+    for (const [timer, resolve] of this.#polls) {
+      clearTimeout(timer);
+      resolve(null);
+    }
+    this.#polls.clear();
+  }
+
+  // ── Sources ────────────────────────────────────────────────────────
+
+  /**
+   * Latest Steam announcement that looks like patch notes.
+   * @param {object} update
+   * @returns {Promise<PatchNotes|null>}
+   */
+  async #fromSteamNews(update) {
+    const url = `${this.#steamApi}/ISteamNews/GetNewsForApp/v2/?appid=${update.appId}&count=${NEWS_COUNT}&maxlength=0&feeds=steam_community_announcements`;
+    const body = await this.#getJson(url);
+
+    const item = (body?.appnews?.newsitems ?? []).find((news) =>
+      (news.tags?.includes('patchnotes') || /\b(patch|update)\b/i.test(news.title ?? ''))
+      && this.#inWindow(news.date * 1000, update));
+    if (!item) return null;
+
+    return {
+      source: 'steam-news',
+      title: item.title,
+      body: trimBody(stripMarkup(item.contents ?? '')),
+      url: item.url,
+      date: new Date(item.date * 1000),
+    };
+  }
+
+  /**
+   * Gameplay patch from the Dota 2 datafeed closest to the build.
+   * @param {object} update
+   * @returns {Promise<PatchNotes|null>}
+   */
+  async #fromDatafeed(update) {
+    const list = await this.#getJson(`${this.#datafeedApi}/patchnoteslist?language=english`);
+    const released = releaseTime(update);
+
+    const patch = (list?.patches ?? [])
+      .filter((p) => this.#inWindow(p.patch_timestamp * 1000, update))
+      .sort((a, b) => Math.abs(a.patch_timestamp * 1000 - released) - Math.abs(b.patch_timestamp * 1000 - released))[0];
+    if (!patch) return null;
+
+    const version = patch.patch_number ?? patch.patch_name;
+    const details = await this.#getJson(`${this.#datafeedApi}/patchnotes?version=${encodeURIComponent(version)}&language=english`);
+
+    const notes = (details?.generic ?? []).map((entry) => entry.note).filter(Boolean);
+    const heroes = details?.heroes?.length ?? 0;
+    const items = (details?.items?.length ?? 0) + (details?.neutral_items?.length ?? 0);
+    const lines = [
+      ...notes.slice(0, DATAFEED_NOTES).map((note) => `• ${stripMarkup(note)}`),
+      ...(notes.length > DATAFEED_NOTES ? [`…and ${notes.length - DATAFEED_NOTES} more general changes`] : []),
+      ...(heroes + items > 0 ? [`${heroes} hero and ${items} item update(s)`] : []),
+    ];
+
+    return {
+      source: 'datafeed',
+      title: `Gameplay Patch ${version}`,
+      body: trimBody(lines.join('\n')),
+      url: `https://www.dota2.com/patches/${encodeURIComponent(version)}`,
+      date: new Date(patch.patch_timestamp * 1000),
+    };
+  }
+
+  /**
+   * GET a JSON document.
+   * @param {string} url
+   * @returns {Promise<any>}
+   * @throws {Error} On an HTTP error, or when the response takes longer than the timeout
+   */
+  async #getJson(url) {
+    const res = await this.#fetch(url, {
+      headers: { Accept: 'application/json' },
+      signal: AbortSignal.timeout(this.#timeout),
+    });
+    if (!res.ok) {
+      throw new Error(`${new URL(url).pathname} returned HTTP ${res.status}`);
+    }
+    return res.json();
+  }
+
+  /**
+   * Whether a post time lies within the window around the build.
+   * @param {number} time - Epoch ms
+   * @param {object} update
+   * @returns {boolean}
+   */
+  #inWindow(time, update) {
+    return Number.isFinite(time) && Math.abs(time - releaseTime(update)) <= this.#window;
+  }
+}
+
+/**
+ * When a build was released: the branch update time, else detection time.
+ * @param {object} update
+ * @returns {number} Epoch ms
+ */
+function releaseTime(update) {
+  return new Date(update.timeUpdated ?? update.timestamp).getTime();
+}
+
+/**
+ * Turn Steam BBCode or HTML into plain text lines.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripMarkup(text) {
+  return text
+    .replace(/\[\*\]/g, '\n• ')
+    .replace(/\[\/?(p|h\d|list|olist|br)\]|<br\s*\/?>|<\/p>/gi, '\n')
+    .replace(/\[[^\]]*\]|<[^>]+>/g, '')
+    .split('\n')
+    .map((line) => line.replace(/\s+/g, ' ').trim())
+    .filter(Boolean)
+    .join('\n');
+}
+
+/**
+ * Cut text to BODY_LIMIT at a line or word boundary.
+ * @param {string} text
+ * @returns {string}
+ */
+function trimBody(text) {
+  if (text.length <= BODY_LIMIT) return text;
+
+  const cut = text.slice(0, BODY_LIMIT - 1);
+  const boundary = Math.max(cut.lastIndexOf('\n'), cut.lastIndexOf(' '));
+  return `${cut.slice(0, boundary > BODY_LIMIT / 2 ? boundary : cut.length).trimEnd()}…`;
+}
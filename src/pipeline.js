@@ -0,0 +1,233 @@
+/**
+ * Pipeline — What happens to every app update event, shared by live
+ * monitoring and the offline replay:
+ *
+ *   process + dedup → game file diff → sinks → history
+ *                                            → patch notes follow-up (public releases)
+ *
+ * A richer revision of an already notified changelist skips the bot
+ * channels and edits the sent notifications instead; one that arrives
+ * while the earlier version is still being analyzed or delivered waits
+ * for it first. Changes missed while offline are announced together in
+ * one summary message.
+ */
+
+import { createLogger } from './logger.js';
+import { findByChangenumber } from './history-query.js';
+
+const logger = createLogger('pipeline');
+
+/** Recent updates kept in memory, so revisions carry over later enrichments */
+const RECENT_UPDATES = 50;
+
+/**
+ * Create the handler for SteamMonitor `appUpdate` events.
+ *
+ * @param {object} components
+ * @param {import('./update-processor.js').default} components.processor
+ * @param {import('./sinks/sink-registry.js').default} components.sinks
+ * @param {import('./history-store.js').default} components.history
+ * @param {import('./content-analyzer.js').default|null} [components.analyzer]
+ * @param {import('./patch-notes.js').default|null} [components.patchNotes]
+ * @returns {(event: object) => Promise<object|null>} Resolves with the processed update, or null for duplicates
+ */
+export function createUpdateHandler({ processor, sinks, history, analyzer = null, patchNotes = null }) {
+  /** @type {Map<string, {update: object, notified: boolean}>} Latest version of recent updates */
+  const recent = new Map();
+
+  /** @type {Map<string, Promise<void>>} Changelists being handled, settled once remembered */
+  const inFlight = new Map();
+
+  const remember = (update, notified) => {
+    const key = `${update.appId}:${update.changenumber}`;
+    recent.delete(key);
+    recent.set(key, { update, notified });
+    if (recent.size > RECENT_UPDATES) recent.delete(recent.keys().next().value);
+  };
+
+  /** Earlier version of a revised changelist: in memory, else from the history */
+  const previousVersion = (update) => {
+    const latest = recent.get(`${update.appId}:${update.changenumber}`);
+    if (latest) return { ...latest.update, notified: latest.notified };
+    return findByChangenumber(history, update.changenumber, update.appId);
+  };
+
+  return async (event) => {
+    const log = logger.child({ appId: event.appid, changenumber: event.changenumber });
+    log.info(`Received update event for AppID ${event.appid} (changenumber: ${event.changenumber})`);
+
+    // Process and deduplicate
+    const update = processor.process(event);
+    if (!update) {
+      log.debug('Update was a duplicate — skipping notification');
+      return null;
+    }
+
+    // Claimed before the first await, so versions of a changelist are handled in processing order
+    const key = `${update.appId}:${update.changenumber}`;
+    const earlier = inFlight.get(key);
+    let settle;
+    const handled = new Promise((resolve) => {
+      settle = resolve;
+    });
+    inFlight.set(key, handled);
+
+    try {
+      // A revision edits what the earlier version sent, so it waits for that to be sent
+      await earlier;
+      return await handleUpdate(update, log);
+    } finally {
+      settle();
+      if (inFlight.get(key) === handled) inFlight.delete(key);
+    }
+  };
+
+  /**
+   * Notify a processed update, or edit the notifications of its earlier
+   * version.
+   * @param {object} update
+   * @param {import('./logger.js').Logger} log
+   * @returns {Promise<object>} The update
+   */
+  async function handleUpdate(update, log) {
+    // Persist the dedup state before notifying, so a crash cannot announce it twice
+    await processor.flush();
+
+    // Richer revision of a changelist: keep what was found for it since
+    const previous = update.revision > 0 ? previousVersion(update) : null;
+    if (previous) {
+      update.contentDiff = previous.contentDiff ?? null;
+      update.patchNotes = previous.patchNotes ?? null;
+    }
+
+    // Game file changes of new public builds (bounded by CONTENT_DIFF_TIMEOUT)
+    if (analyzer && previous?.releaseClass !== 'public') {
+      update.contentDiff = await analyzer.analyze(update);
+    }
+
+    if (previous?.notified) {
+      const delivery = await sinks.reviseUpdate(update);
+      log.info(`Changelist #${update.changenumber} reported again with more detail — edited ${delivery.filter((result) => result.ok).length} sent notification(s)`);
+      history.append(update, { notified: true, delivery });
+      remember(update, true);
+      trackPatchNotes(update, previous);
+      return update;
+    }
+
+    // Bot channels subscribed to a moved branch count too, whatever the alert rules say
+    if (!sinks.shouldNotify(update)) {
+      log.info(`Changelist #${update.changenumber} (${update.releaseClass}) is filtered by NOTIFY_CLASSES or ALERT_BRANCHES — skipping notification`);
+      history.append(update);
+      remember(update, false);
+      return update;
+    }
+
+    // Send to every sink
+    const delivery = await sinks.deliverUpdate(update);
+    history.append(update, { notified: true, delivery });
+    remember(update, true);
+
+    if (delivery.some((result) => result.pending)) {
+      log.warn('Some targets did not accept the update — queued for retry');
+    }
+
+    trackPatchNotes(update, previous);
+    return update;
+  }
+
+  /**
+   * Patch notes are published later — follow up once they show up,
+   * on the latest revision of the update by then.
+   * @param {object} update
+   * @param {object|null} previous - Earlier version of a revised changelist
+   */
+  function trackPatchNotes(update, previous) {
+    if (!patchNotes || update.releaseClass !== 'public' || previous?.releaseClass === 'public') return;
+
+    patchNotes.track(update)
+      .then((notes) => {
+        if (!notes) return;
+        const latest = recent.get(`${update.appId}:${update.changenumber}`)?.update ?? update;
+        latest.patchNotes = notes;
+        return sinks.deliverPatchNotes(latest, notes);
+      })
+      .catch((err) => logger.error(`Patch notes follow-up failed: ${err.message}`, { appId: update.appId, changenumber: update.changenumber }));
+  }
+}
+
+/**
+ * Create the handler for SteamMonitor `missedUpdates` events. Every app
+ * that changed while the bot was offline is processed once, marked with
+ * the changenumber it was last seen at, and the ones passing the alert
+ * rules are announced together in one summary per target.
+ *
+ * @param {object} components
+ * @param {import('./update-processor.js').default} components.processor
+ * @param {import('./sinks/sink-registry.js').default} components.sinks
+ * @param {import('./history-store.js').default} components.history
+ * @returns {(event: object) => Promise<object[]>} Resolves with the processed updates, without duplicates
+ */
+export function createMissedUpdatesHandler({ processor, sinks, history }) {
+  return async ({ since, changenumber, changes, timestamp }) => {
+    logger.info(`Catching up on ${changes.length} app change(s) missed while offline`);
+
+    const updates = changes
+      .map((change) => processor.process({
+        appid: change.appid,
+        data: change.data,
+        changenumber: change.changenumber,
+        timestamp,
+        missedSince: change.lastChangenumber,
+      }))
+      .filter(Boolean);
+    if (updates.length === 0) {
+      logger.debug('Every missed change was already processed — skipping the summary');
+      return [];
+    }
+
+    // Persist the dedup state before notifying, so a crash cannot announce them twice
+    await processor.flush();
+
+    // Bot channels get one summary each too, of the updates of their subscriptions
+    const notify = updates.filter((update) => sinks.shouldNotify(update));
+
+    const delivery = notify.length > 0
+      ? await sinks.deliverMissedUpdates({ since, changenumber, timestamp, updates: notify })
+      : [];
+    for (const update of updates) {
+      if (notify.includes(update)) {
+        history.append(update, { notified: true, delivery });
+      } else {
+        history.append(update);
+      }
+    }
+
+    logger.info(`Announced ${notify.length} of ${updates.length} missed update(s) in one summary`);
+    if (delivery.some((result) => result.pending)) {
+      logger.warn('Some targets did not accept the summary — queued for retry');
+    }
+    return updates;
+  };
+}
+
+/**
+ * Record the outcome of background delivery retries in the history.
+ *
+ * @param {import('./sinks/sink-registry.js').default} sinks
+ * @param {import('./history-store.js').default} history
+ */
+export function recordRetries(sinks, history) {
+  const recordRetry = (ok) => (entry) => {
+    if (entry.attempts <= 1 || entry.kind !== 'update') return;
+    history.appendDelivery({
+      appId: entry.appId,
+      changenumber: entry.changenumber,
+      sink: entry.sink,
+      webhookId: entry.webhookId,
+      ok,
+      error: ok ? null : entry.lastError,
+    });
+  };
+  sinks.queue.on('delivered', recordRetry(true));
+  sinks.queue.on('deadLettered', recordRetry(false));
+}
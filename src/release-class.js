@@ -0,0 +1,67 @@
+/**
+ * Release class — What kind of change a changelist is, judged by which
+ * branches, depots and appinfo sections it touched.
+ *
+ * Ahead of a big patch Valve often moves password-protected branches or
+ * encrypted depot manifests without touching the public build; such
+ * changelists are called out as possible pre-release activity.
+ *
+ *   public      The public branch got a new build
+ *   prerelease  Hidden branches or encrypted depot manifests changed
+ *   branch      Other branches got new builds
+ *   depot       Depot manifests changed without a branch build change
+ *   metadata    Only other appinfo keys changed
+ */
+
+import { isEmptyDiff } from './appinfo-diff.js';
+
+/** Display name of each release class */
+export const RELEASE_CLASS_LABELS = {
+  public: 'Public Release',
+  prerelease: 'Possible Pre-release Activity',
+  branch: 'Branch Update',
+  depot: 'Depot Update',
+  metadata: 'Metadata Update',
+};
+
+/** Appinfo paths of encrypted manifests, published for hidden branches */
+const ENCRYPTED_MANIFEST_PATH = /^depots\/\d+\/encryptedmanifests\//;
+
+/**
+ * Names of the password-protected branches in a PICS `depots.branches` object.
+ * @param {object|undefined} branches
+ * @returns {string[]}
+ */
+export function hiddenBranchNames(branches) {
+  return Object.entries(branches ?? {})
+    .filter(([, info]) => Number(info?.pwdrequired) === 1)
+    .map(([name]) => name);
+}
+
+/**
+ * Classify a changelist.
+ *
+ * @param {object} changes
+ * @param {Array<{name: string}>} changes.changedBranches - Branches whose build changed
+ * @param {Array<{branch: string}>} changes.changedDepots - Depot manifests that changed
+ * @param {import('./appinfo-diff.js').AppInfoDiff|null} changes.appInfoDiff
+ * @param {string[]} [changes.hiddenBranches] - Password-protected branches, before or after the change
+ * @returns {'public'|'prerelease'|'branch'|'depot'|'metadata'}
+ */
+export function classifyChange({ changedBranches, changedDepots, appInfoDiff, hiddenBranches = [] }) {
+  if (changedBranches.some((branch) => branch.name === 'public')) return 'public';
+
+  const hidden = new Set(hiddenBranches);
+  const encrypted = !isEmptyDiff(appInfoDiff) && [...appInfoDiff.added, ...appInfoDiff.removed, ...appInfoDiff.changed]
+    .some((entry) => ENCRYPTED_MANIFEST_PATH.test(entry.path));
+
+  if (encrypted
+    || changedBranches.some((branch) => hidden.has(branch.name))
+    || changedDepots.some((depot) => hidden.has(depot.branch))) {
+    return 'prerelease';
+  }
+
+  if (changedBranches.length > 0) return 'branch';
+  if (changedDepots.length > 0) return 'depot';
+  return 'metadata';
+}
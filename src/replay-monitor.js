@@ -0,0 +1,158 @@
+/**
+ * ReplayMonitor — Offline stand-in for SteamMonitor that plays back a
+ * fixture written by EventRecorder.
+ *
+ * Exposes the same events and getters as SteamMonitor, so the pipeline
+ * can be wired to it unchanged. Unlike a live monitor, play() waits for
+ * every `appUpdate` and `missedUpdates` listener before moving to the
+ * next event, which keeps replays deterministic.
+ */
+
+import { EventEmitter } from 'node:events';
+import { readFileSync } from 'node:fs';
+import { createLogger } from './logger.js';
+import { RECORDED_EVENTS } from './event-recorder.js';
+
+const logger = createLogger('replay-monitor');
+
+export default class ReplayMonitor extends EventEmitter {
+  /** @type {Array<{type: string, at: Date}>} Recorded events, in order */
+  #events;
+
+  /** PICS cache rebuilt from recorded product info */
+  #picsCache = { apps: {} };
+
+  /** Whether connect() was called */
+  #connected = false;
+
+  /** @type {Date|null} Recording time of the last changelist played */
+  #lastActivity = null;
+
+  /** @type {Set<number>} Apps whose last recorded product info was missing an access token */
+  #incompleteApps = new Set();
+
+  /**
+   * @param {string} file - JSONL fixture written by EventRecorder
+   * @throws {Error} If the fixture cannot be read or has a malformed line
+   */
+  constructor(file) {
+    super();
+    this.#events = ReplayMonitor.readFixture(file);
+  }
+
+  /**
+   * Parse a fixture file.
+   * @param {string} file
+   * @returns {Array<object>}
+   */
+  static readFixture(file) {
+    return readFileSync(file, 'utf-8')
+      .split('\n')
+      .filter((line) => line.trim())
+      .map((line, index) => {
+        let event;
+        try {
+          event = JSON.parse(line);
+        } catch (err) {
+          throw new Error(`${file}:${index + 1}: ${err.message}`);
+        }
+        if (!RECORDED_EVENTS.includes(event.type)) {
+          throw new Error(`${file}:${index + 1}: unknown event type "${event.type}"`);
+        }
+        return { ...event, at: new Date(event.at) };
+      });
+  }
+
+  /**
+   * "Connect" — emits ready once the listeners are attached.
+   */
+  connect() {
+    this.#connected = true;
+    queueMicrotask(() => this.emit('ready'));
+  }
+
+  /**
+   * Play every recorded event in order.
+   * @returns {Promise<number>} Number of events played
+   */
+  async play() {
+    logger.info(`Replaying ${this.#events.length} recorded event(s)...`);
+
+    for (const event of this.#events) {
+      const { type, at, ...payload } = event;
+
+      switch (type) {
+        case 'changelist':
+          this.#lastActivity = at;
+          this.emit('changelist', payload);
+          break;
+
+        case 'productInfo':
+          Object.assign(this.#picsCache.apps, payload.apps);
+          for (const [appid, data] of Object.entries(payload.apps ?? {})) {
+            if (data?.missingToken) this.#incompleteApps.add(Number(appid));
+            else this.#incompleteApps.delete(Number(appid));
+          }
+          this.emit('productInfo', payload);
+          break;
+
+        case 'appUpdate':
+        case 'missedUpdates': {
+          const update = { ...payload, timestamp: at };
+          await Promise.all(this.listeners(type).map((listener) => listener(update)));
+          break;
+        }
+      }
+    }
+
+    return this.#events.length;
+  }
+
+  /**
+   * "Disconnect" — nothing to close offline.
+   */
+  disconnect() {
+    this.#connected = false;
+  }
+
+  /**
+   * Depot content is not recorded.
+   * @throws {Error}
+   */
+  async getManifest() {
+    throw new Error('Depot manifests are not available in replay mode');
+  }
+
+  /**
+   * Depot content is not recorded.
+   * @throws {Error}
+   */
+  async downloadChunk() {
+    throw new Error('Depot chunks are not available in replay mode');
+  }
+
+  /** Whether connect() was called */
+  get isConnected() {
+    return this.#connected;
+  }
+
+  /** Recording time of the last changelist played */
+  get lastActivity() {
+    return this.#lastActivity;
+  }
+
+  /** Apps whose last recorded product info was missing an access token */
+  get incompleteApps() {
+    return [...this.#incompleteApps];
+  }
+
+  /** PICS cache rebuilt from the product info played so far */
+  get picsCache() {
+    return this.#picsCache;
+  }
+
+  /** Number of recorded events */
+  get length() {
+    return this.#events.length;
+  }
+}
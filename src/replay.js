@@ -0,0 +1,215 @@
+/**
+ * Offline replay — Plays a fixture recorded with RECORD_FILE through the
+ * real pipeline (UpdateProcessor, sinks, history) against a local webhook
+ * stub, without touching Steam, Discord or the live state files.
+ *
+ * The result is a transcript of every update: whether it was a duplicate,
+ * which branches and depots moved, and the exact webhook messages sent.
+ * Storing a transcript and checking later replays against it turns
+ * recorded fixtures into regression tests for dedup, branch detection and
+ * embed output.
+ *
+ * Usage:
+ *   npm run replay -- <fixture.jsonl>                       # Print the transcript
+ *   npm run replay -- <fixture.jsonl> --write <file.json>   # Store the transcript
+ *   npm run replay -- <fixture.jsonl> --expect <file.json>  # Compare; exit 1 on mismatch
+ *
+ * The replay reads routing settings (APP_*, BRANCH_*, ALERT_BRANCHES,
+ * NOTIFY_CLASSES) from the environment but not from .env, so transcripts
+ * stay reproducible. Logs go to stderr, so the printed transcript can be
+ * redirected to a file.
+ *
+ * `npm test` replays every fixture under fixtures/ that has a stored
+ * transcript (test/replay.test.js).
+ */
+
+import { mkdtempSync, rmSync, readFileSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/** Placeholder webhook used when none is configured — never contacted */
+const REPLAY_WEBHOOK_URL = `https://discord.com/api/webhooks/100000000000000000/${'x'.repeat(68)}`;
+
+// Config is read on import, so the placeholder must be set first
+if (!process.env.DISCORD_WEBHOOK_URLS && !process.env.DISCORD_WEBHOOK_URL) {
+  process.env.DISCORD_WEBHOOK_URLS = REPLAY_WEBHOOK_URL;
+}
+
+// stdout carries the transcript, so logs go to stderr
+const { default: logger, logToStderr } = await import('./logger.js');
+logToStderr();
+
+const { default: ReplayMonitor } = await import('./replay-monitor.js');
+const { default: WebhookStub } = await import('./webhook-stub.js');
+const { default: UpdateProcessor } = await import('./update-processor.js');
+const { default: FileBackend } = await import('./state/file-backend.js');
+const { default: HistoryStore } = await import('./history-store.js');
+const { default: SinkRegistry } = await import('./sinks/sink-registry.js');
+const { default: DiscordNotifier } = await import('./discord-notifier.js');
+const { default: MessageStore } = await import('./message-store.js');
+const { createUpdateHandler, createMissedUpdatesHandler } = await import('./pipeline.js');
+
+// ── CLI arguments ──────────────────────────────────────────────────
+const args = process.argv.slice(2);
+const option = (name) => {
+  const index = args.indexOf(name);
+  return index === -1 ? null : args[index + 1] ?? null;
+};
+const fixture = args.find((arg, index) => !arg.startsWith('--') && !args[index - 1]?.startsWith('--'));
+const expectFile = option('--expect');
+const writeFile = option('--write');
+
+if (!fixture) {
+  logger.error('Usage: npm run replay -- <fixture.jsonl> [--write <transcript.json>] [--expect <transcript.json>]');
+  process.exit(2);
+}
+
+process.exit(await runReplay());
+
+/**
+ * Replay the fixture and report the transcript.
+ * @returns {Promise<number>} Process exit code
+ */
+async function runReplay() {
+  const workDir = mkdtempSync(join(tmpdir(), 'dota-replay-'));
+  const stub = new WebhookStub();
+  let sinks = null;
+
+  try {
+    const monitor = new ReplayMonitor(fixture);
+    await stub.start();
+
+    const processor = new UpdateProcessor({ backend: new FileBackend(join(workDir, 'state.json')) });
+    const history = new HistoryStore(join(workDir, 'history.jsonl'));
+    sinks = new SinkRegistry({ outboxFile: join(workDir, 'outbox.json') });
+    sinks.register(new DiscordNotifier({
+      queue: sinks.queue,
+      api: stub.api,
+      messages: new MessageStore({ file: join(workDir, 'messages.json') }),
+    }));
+
+    const transcript = [];
+    const handleUpdate = createUpdateHandler({ processor, sinks, history });
+    const recordUpdate = async (event) => {
+      const sent = stub.messages.length;
+      const update = await handleUpdate(event);
+      transcript.push(describe(event, update, sinks, stub.messages.slice(sent)));
+      return update;
+    };
+
+    const handleMissedUpdates = createMissedUpdatesHandler({ processor, sinks, history });
+    const recordMissedUpdates = async (event) => {
+      const sent = stub.messages.length;
+      const updates = await handleMissedUpdates(event);
+      transcript.push(describeMissed(event, updates, sinks, stub.messages.slice(sent)));
+      return updates;
+    };
+
+    monitor.on('appUpdate', recordUpdate);
+    monitor.on('missedUpdates', recordMissedUpdates);
+
+    monitor.connect();
+    await monitor.play();
+
+    const output = `${JSON.stringify(transcript, null, 2)}\n`;
+    logger.info(`Replayed ${transcript.length} update(s), ${stub.messages.length} webhook message(s) sent`);
+
+    if (writeFile) {
+      writeFileSync(writeFile, output, 'utf-8');
+      logger.info(`Transcript written to ${writeFile}`);
+    }
+
+    if (expectFile) {
+      return compareTranscript(output, readFileSync(expectFile, 'utf-8'));
+    }
+
+    if (!writeFile) {
+      process.stdout.write(output);
+    }
+    return 0;
+  } catch (err) {
+    logger.error(`Replay failed: ${err.message}`);
+    return 1;
+  } finally {
+    sinks?.destroy();
+    await stub.stop();
+    rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Transcript entry for one replayed app update.
+ *
+ * @param {object} event - Replayed event
+ * @param {object|null} update - Processed update, or null for duplicates
+ * @param {import('./sinks/sink-registry.js').default} sinks
+ * @param {Array<{webhookId: string, editOf?: string, body: object}>} [messages] - Webhook messages sent or edited for it
+ * @returns {object}
+ */
+function describe(event, update, sinks, messages) {
+  if (!update) {
+    return { appId: event.appid, changenumber: event.changenumber, duplicate: true };
+  }
+
+  return {
+    appId: update.appId,
+    changenumber: update.changenumber,
+    duplicate: false,
+    ...(update.missedSince != null ? { missedSince: update.missedSince } : {}),
+    ...(update.revision > 0 ? { revision: update.revision } : {}),
+    releaseClass: update.releaseClass,
+    buildId: update.buildId,
+    changedBranches: update.changedBranches.map(({ name, oldBuildId, newBuildId }) => ({ name, oldBuildId, newBuildId })),
+    changedDepots: update.changedDepots.map(({ id, branch, oldGid, newGid }) => ({ id, branch, oldGid, newGid })),
+    appInfoChanges: update.appInfoDiff
+      ? update.appInfoDiff.added.length + update.appInfoDiff.removed.length + update.appInfoDiff.changed.length
+      : 0,
+    notified: sinks.shouldNotify(update),
+    ...(messages ? { messages } : {}),
+  };
+}
+
+/**
+ * Transcript entry for one replayed catch-up: the missed updates and the
+ * summary messages sent for them.
+ *
+ * @param {object} event - Replayed `missedUpdates` event
+ * @param {object[]} updates - Processed updates, without duplicates
+ * @param {import('./sinks/sink-registry.js').default} sinks
+ * @param {Array<{webhookId: string, editOf?: string, body: object}>} messages - Webhook messages sent for it
+ * @returns {object}
+ */
+function describeMissed(event, updates, sinks, messages) {
+  return {
+    missedSince: event.since,
+    changenumber: event.changenumber,
+    duplicates: event.changes
+      .filter((change) => !updates.some((u) => u.appId === change.appid))
+      .map((change) => ({ appId: change.appid, changenumber: change.changenumber })),
+    updates: updates.map((update) => describe(event, update, sinks)),
+    messages,
+  };
+}
+
+/**
+ * Compare a transcript with the expected one and point at the first difference.
+ * @param {string} actual
+ * @param {string} expected
+ * @returns {number} Process exit code
+ */
+function compareTranscript(actual, expected) {
+  if (actual === expected) {
+    logger.info(`✅ Transcript matches ${expectFile}`);
+    return 0;
+  }
+
+  const actualLines = actual.split('\n');
+  const expectedLines = expected.split('\n');
+  const line = actualLines.findIndex((text, index) => text !== expectedLines[index]);
+  const at = line === -1 ? actualLines.length : line;
+
+  logger.error(`❌ Transcript differs from ${expectFile} at line ${at + 1}:`);
+  logger.error(`  expected: ${expectedLines[at]?.trim() ?? '(end of file)'}`);
+  logger.error(`  actual:   ${actualLines[at]?.trim() ?? '(end of file)'}`);
+  return 1;
+}
@@ -0,0 +1,103 @@
+/**
+ * DiscordChannelSink — Posts updates to the channels subscribed through
+ * the gateway bot's `/dota subscribe`.
+ *
+ * Messages run through the shared DeliveryQueue like every other sink, so
+ * a channel that is briefly unreachable is retried, and with redundant
+ * instances only the confirmed leader posts. Channels subscribed without
+ * a branch follow the alert rules; branch subscriptions receive every
+ * update that moves their branch.
+ */
+
+import NotificationSink from './notification-sink.js';
+
+export default class DiscordChannelSink extends NotificationSink {
+  /** @type {import('discord.js').Client} Gateway client the messages are posted with */
+  #client;
+
+  /** @type {import('../discord-notifier.js').default} Renders the embeds */
+  #notifier;
+
+  /** @type {import('../subscription-store.js').default} */
+  #subscriptions;
+
+  /**
+   * @param {object} options
+   * @param {string} [options.name='discord-bot']
+   * @param {import('discord.js').Client} options.client - Gateway client of the bot
+   * @param {import('../discord-notifier.js').default} options.notifier - Embed builder shared with the webhooks
+   * @param {import('../subscription-store.js').default} options.subscriptions
+   * @param {import('../delivery-queue.js').default} [options.queue]
+   */
+  constructor({ name = 'discord-bot', client, notifier, subscriptions, queue }) {
+    super({ name, queue });
+    this.#client = client;
+    this.#notifier = notifier;
+    this.#subscriptions = subscriptions;
+  }
+
+  /**
+   * Subscribed channels, including branch subscriptions of updates the
+   * alert rules filter out.
+   * @override
+   */
+  shouldNotify(update) {
+    return this.targets(update).length > 0;
+  }
+
+  /** @override */
+  targets(update) {
+    return this.#subscriptions.channelsFor(update, { alert: super.shouldNotify(update) })
+      .map((channelId) => ({ url: channelId, id: channelId }));
+  }
+
+  /**
+   * The webhook embed, without pings.
+   * @override
+   */
+  format(update) {
+    return { embeds: [this.#notifier.buildEmbed(update).toJSON()] };
+  }
+
+  /**
+   * The webhook summary of missed changelists, one per channel.
+   * @override
+   */
+  formatMissedUpdates(missed) {
+    return { embeds: this.#notifier.formatMissedUpdates(missed).embeds };
+  }
+
+  /** @override */
+  async send(channelId, payload) {
+    if (!this.#client.isReady()) {
+      throw new Error('Discord bot is not connected');
+    }
+
+    const channel = await this.#client.channels.fetch(channelId);
+    if (!channel?.isTextBased()) {
+      throw Object.assign(new Error(`Channel ${channelId} is not a text channel`), { status: 404 });
+    }
+    // API errors carry the HTTP status, so deleted channels and lost permissions are dead-lettered
+    await channel.send(payload);
+  }
+
+  /**
+   * Reload the subscriptions too, so a new leader posts to the channels
+   * subscribed on the previous one.
+   * @override
+   * @returns {Promise<void>}
+   */
+  async load() {
+    await super.load();
+    await this.#subscriptions.load();
+  }
+
+  /**
+   * @override
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await super.flush();
+    await this.#subscriptions.flush();
+  }
+}
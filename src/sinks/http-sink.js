@@ -0,0 +1,75 @@
+/**
+ * HttpSink — Generic JSON POST of the processed update, for internal tools.
+ *
+ * Body: { "event": "app.update", "update": <processed update> }
+ */
+
+import NotificationSink, { responseError } from './notification-sink.js';
+
+export default class HttpSink extends NotificationSink {
+  /** @type {string[]} */
+  #urls;
+
+  /** @type {Object<string, string>} Extra request headers (e.g. Authorization) */
+  #headers;
+
+  /** @type {typeof fetch} */
+  #fetch;
+
+  /**
+   * @param {object} options
+   * @param {string} [options.name='http']
+   * @param {string[]} options.urls - Endpoints to POST to
+   * @param {Object<string, string>} [options.headers] - Extra request headers
+   * @param {import('../delivery-queue.js').default} [options.queue]
+   * @param {typeof fetch} [options.fetch] - HTTP client (injectable for tests)
+   */
+  constructor({ name = 'http', urls, headers = {}, queue, fetch = globalThis.fetch }) {
+    super({ name, queue });
+    this.#urls = urls;
+    this.#headers = headers;
+    this.#fetch = fetch;
+  }
+
+  /** @override */
+  targets() {
+    return this.#urls.map((url, index) => ({ url, id: `${this.name}#${index + 1}` }));
+  }
+
+  /**
+   * The processed update, round-tripped through JSON so it can be stored
+   * in the outbox as-is.
+   * @override
+   */
+  format(update) {
+    return JSON.parse(JSON.stringify({ event: 'app.update', update }));
+  }
+
+  /**
+   * The patch notes found for an update, with the update's identifiers.
+   * @override
+   */
+  formatPatchNotes(update, notes) {
+    const { appId, appName, changenumber, buildId } = update;
+    return JSON.parse(JSON.stringify({ event: 'app.patchNotes', update: { appId, appName, changenumber, buildId }, patchNotes: notes }));
+  }
+
+  /**
+   * The changelists missed while offline, with the processed update of
+   * every app announced.
+   * @override
+   */
+  formatMissedUpdates({ since, changenumber, timestamp, updates }) {
+    return JSON.parse(JSON.stringify({ event: 'app.missedUpdates', since, changenumber, timestamp, updates }));
+  }
+
+  /** @override */
+  async send(url, payload) {
+    const res = await this.#fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.#headers },
+      body: JSON.stringify(payload),
+    });
+    if (!res.ok) throw await responseError(res);
+  }
+}
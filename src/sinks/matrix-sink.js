@@ -0,0 +1,112 @@
+/**
+ * MatrixSink — Sends updates to Matrix rooms as m.notice messages
+ * through the client-server API.
+ */
+
+import NotificationSink, { responseError } from './notification-sink.js';
+import { summarizeUpdate, summarizePatchNotes, summarizeMissedUpdates, summaryToText } from './update-summary.js';
+
+export default class MatrixSink extends NotificationSink {
+  /** @type {string} Homeserver base URL */
+  #homeserver;
+
+  /** @type {string} */
+  #accessToken;
+
+  /** @type {string[]} Room IDs (!abc:server) */
+  #roomIds;
+
+  /** @type {typeof fetch} */
+  #fetch;
+
+  /**
+   * @param {object} options
+   * @param {string} [options.name='matrix']
+   * @param {string} options.homeserver - Homeserver base URL
+   * @param {string} options.accessToken - Access token of the bot account
+   * @param {string[]} options.roomIds - Room IDs the bot has joined
+   * @param {import('../delivery-queue.js').default} [options.queue]
+   * @param {typeof fetch} [options.fetch] - HTTP client (injectable for tests)
+   */
+  constructor({ name = 'matrix', homeserver, accessToken, roomIds, queue, fetch = globalThis.fetch }) {
+    super({ name, queue });
+    this.#homeserver = homeserver.replace(/\/+$/, '');
+    this.#accessToken = accessToken;
+    this.#roomIds = roomIds;
+    this.#fetch = fetch;
+  }
+
+  /** @override */
+  targets() {
+    return this.#roomIds.map((roomId) => ({ url: roomId, id: roomId }));
+  }
+
+  /** @override */
+  format(update) {
+    return this.#render(summarizeUpdate(update));
+  }
+
+  /** @override */
+  formatPatchNotes(update, notes) {
+    return this.#render(summarizePatchNotes(update, notes));
+  }
+
+  /** @override */
+  formatMissedUpdates(missed) {
+    return this.#render(summarizeMissedUpdates(missed));
+  }
+
+  /**
+   * Notice event content for a summary.
+   * @param {import('./update-summary.js').UpdateSummary} summary
+   * @returns {object}
+   */
+  #render(summary) {
+    const html = [
+      `<h4><a href="${summary.url}">${escape(summary.title)}</a></h4>`,
+      summary.fields.length > 0
+        ? `<p>${summary.fields.map((f) => `<b>${escape(f.name)}:</b> ${f.url ? `<a href="${f.url}">${escape(f.value)}</a>` : escape(f.value)}`).join('<br>')}</p>`
+        : '',
+      ...summary.lists.map((l) => `<p><b>${escape(l.name)}</b></p><ul>${l.items.map((i) => `<li>${escape(i)}</li>`).join('')}</ul>`),
+    ].join('');
+
+    return {
+      msgtype: 'm.notice',
+      body: summaryToText(summary),
+      format: 'org.matrix.custom.html',
+      formatted_body: html,
+    };
+  }
+
+  /**
+   * The outbox entry ID doubles as the transaction ID, so a retried
+   * send after a lost response is deduplicated by the homeserver.
+   * @override
+   */
+  async send(roomId, payload, entry) {
+    const url = `${this.#homeserver}/_matrix/client/v3/rooms/${encodeURIComponent(roomId)}/send/m.room.message/${encodeURIComponent(entry.id)}`;
+    const res = await this.#fetch(url, {
+      method: 'PUT',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${this.#accessToken}`,
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!res.ok) {
+      // M_LIMIT_EXCEEDED bodies carry retry_after_ms
+      const body = await res.clone().json().catch(() => null);
+      throw await responseError(res, body?.retry_after_ms ?? null);
+    }
+  }
+}
+
+/**
+ * Escape text for Matrix HTML bodies.
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+  return String(text).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
@@ -0,0 +1,346 @@
+/**
+ * NotificationSink — Base class for every notification destination.
+ *
+ * A sink decides where an update goes (targets), how it looks there
+ * (format) and how one message is delivered (send). Delivery itself runs
+ * through the shared DeliveryQueue, so every sink gets retries, rate-limit
+ * handling and dead letters for free.
+ *
+ * Subclasses implement:
+ *   targets(update)          → Array<{url: string, id: string}>
+ *   format(update)           → JSON-serializable payload
+ *   send(url, payload, entry) → Promise<void>, throwing on failure
+ *     (errors may carry `status` and `retryAfter` in ms for the queue)
+ *
+ * and may implement formatPatchNotes(update, notes) to post patch notes
+ * found after a release as a follow-up message, formatEdit(update) to
+ * edit a sent notification when a richer revision of its changelist
+ * arrives, and formatMissedUpdates(missed) to announce the changelists
+ * found by a catch-up after downtime in one message.
+ */
+
+import { createLogger } from '../logger.js';
+import DeliveryQueue from '../delivery-queue.js';
+import { deliveries, deliveryLatency } from '../metrics.js';
+import { isAlertBranch, isNotifyClass } from '../../config.js';
+
+const logger = createLogger('notification-sink');
+
+export default class NotificationSink {
+  /** @type {string} Unique sink name, also stored on outbox entries */
+  #name;
+
+  /** @type {DeliveryQueue} */
+  #queue;
+
+  /** Whether the queue is private to this sink (a shared one is stopped by the registry) */
+  #ownsQueue;
+
+  /** @type {Date|null} When a target last accepted a message */
+  #lastSuccessfulSend = null;
+
+  /**
+   * @param {object} options
+   * @param {string} options.name - Unique sink name
+   * @param {DeliveryQueue} [options.queue] - Shared outbox; a private one is created if omitted
+   */
+  constructor({ name, queue }) {
+    this.#name = name;
+    this.#ownsQueue = !queue;
+    this.#queue = queue ?? new DeliveryQueue({ send: (entry) => this.sendEntry(entry) });
+  }
+
+  /** Unique sink name */
+  get name() {
+    return this.#name;
+  }
+
+  /** The outbox this sink delivers through */
+  get queue() {
+    return this.#queue;
+  }
+
+  /** When a target last accepted a message */
+  get lastSuccessfulSend() {
+    return this.#lastSuccessfulSend;
+  }
+
+  // ── To implement ───────────────────────────────────────────────────
+
+  /**
+   * Targets an update is delivered to.
+   * @param {object} update - Processed update data
+   * @returns {Array<{url: string, id: string}>}
+   */
+  targets(update) {
+    throw new Error(`${this.constructor.name} must implement targets()`);
+  }
+
+  /**
+   * Render an update into this sink's message payload.
+   * @param {object} update - Processed update data
+   * @returns {object}
+   */
+  format(update) {
+    throw new Error(`${this.constructor.name} must implement format()`);
+  }
+
+  /**
+   * Render the follow-up message carrying the patch notes of an update.
+   * Sinks returning null skip the follow-up.
+   * @param {object} update - Processed update data
+   * @param {import('../patch-notes.js').PatchNotes} notes
+   * @returns {object|null}
+   */
+  formatPatchNotes(update, notes) {
+    return null;
+  }
+
+  /**
+   * Render the edit applied to a sent notification when a revision of its
+   * changelist arrives. Sinks returning null leave their messages as sent.
+   * @param {object} update - Processed update data, with `revision` > 0
+   * @returns {object|null}
+   */
+  formatEdit(update) {
+    return null;
+  }
+
+  /**
+   * Render the single message listing the changelists missed while
+   * offline. Sinks returning null do not announce them.
+   * @param {import('./update-summary.js').MissedUpdates} missed - Only the updates routed to the targets
+   * @returns {object|null}
+   */
+  formatMissedUpdates(missed) {
+    return null;
+  }
+
+  /**
+   * Deliver one payload to one target. Throws on failure.
+   * @param {string} url - Target key from targets()
+   * @param {object} payload - Payload from format()
+   * @param {import('../delivery-queue.js').OutboxEntry} entry
+   * @returns {Promise<void>}
+   */
+  async send(url, payload, entry) {
+    throw new Error(`${this.constructor.name} must implement send()`);
+  }
+
+  // ── Delivery ───────────────────────────────────────────────────────
+
+  /**
+   * Whether an update should be announced at all. Release classes outside
+   * NOTIFY_CLASSES and updates that only moved branches outside
+   * ALERT_BRANCHES are suppressed; everything else notifies.
+   *
+   * @param {object} update - Processed update data
+   * @returns {boolean}
+   */
+  shouldNotify(update) {
+    if (update.releaseClass && !isNotifyClass(update.releaseClass)) return false;
+
+    const moved = update.changedBranches ?? [];
+    return moved.length === 0 || alertBranches(update).length > 0;
+  }
+
+  /**
+   * Send an update and report whether at least one target accepted it.
+   * @param {object} update - Processed update data from UpdateProcessor
+   * @returns {Promise<boolean>}
+   */
+  async sendUpdate(update) {
+    const results = await this.deliverUpdate(update);
+    return results.some((result) => result.ok);
+  }
+
+  /**
+   * Queue an update for every target and report the outcome of the first
+   * attempt per target. Failed messages stay in the outbox and are
+   * retried in the background.
+   *
+   * @param {object} update - Processed update data from UpdateProcessor
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async deliverUpdate(update) {
+    return this.#deliver(update, 'update', () => this.format(update));
+  }
+
+  /**
+   * Queue the patch notes follow-up of an update for the targets the
+   * update went to.
+   *
+   * @param {object} update - Processed update data from UpdateProcessor
+   * @param {import('../patch-notes.js').PatchNotes} notes
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async deliverPatchNotes(update, notes) {
+    return this.#deliver(update, 'patchNotes', () => this.formatPatchNotes(update, notes));
+  }
+
+  /**
+   * Queue the edit of a sent notification for the targets the update
+   * went to.
+   *
+   * @param {object} update - Processed update data, with `revision` > 0
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async reviseUpdate(update) {
+    return this.#deliver(update, 'edit', () => this.formatEdit(update));
+  }
+
+  /**
+   * Queue one summary of the changelists missed while offline. Each
+   * target gets the updates routed to it that pass the alert rules, so
+   * a target receives at most one message.
+   *
+   * @param {import('./update-summary.js').MissedUpdates} missed
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async deliverMissedUpdates(missed) {
+    /** @type {Map<string, {target: {url: string, id: string}, updates: object[]}>} */
+    const routes = new Map();
+    for (const update of missed.updates.filter((u) => this.shouldNotify(u))) {
+      for (const target of this.targets(update)) {
+        if (!routes.has(target.url)) routes.set(target.url, { target, updates: [] });
+        routes.get(target.url).updates.push(update);
+      }
+    }
+
+    // Targets receiving the same updates share one queued message
+    const groups = new Map();
+    for (const { target, updates } of routes.values()) {
+      const key = updates.map((u) => `${u.appId}:${u.changenumber}`).join();
+      if (!groups.has(key)) groups.set(key, { updates, targets: [] });
+      groups.get(key).targets.push(target);
+    }
+
+    const results = [];
+    for (const { updates, targets } of groups.values()) {
+      const latest = updates.reduce((a, b) => (Number(b.changenumber) > Number(a.changenumber) ? b : a));
+      results.push(...await this.#deliver(latest, 'missed', () => this.formatMissedUpdates({ ...missed, updates }), targets));
+    }
+    return results;
+  }
+
+  /**
+   * Render a message and queue it for every target of an update.
+   *
+   * @param {object} update - Processed update data (the latest one for a missed updates summary)
+   * @param {'update'|'patchNotes'|'edit'|'missed'} kind
+   * @param {() => object|null} render - Payload, or null to skip this sink
+   * @param {Array<{url: string, id: string}>} [targets] - Defaults to the update's targets
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async #deliver(update, kind, render, targets = this.targets(update)) {
+    if (targets.length === 0) {
+      logger.debug(`No ${this.#name} targets for AppID ${update.appId} — skipping`);
+      return [];
+    }
+
+    let payload;
+    try {
+      payload = render();
+    } catch (err) {
+      logger.error(`Failed to format ${this.#name} message: ${err.message}`);
+      return targets.map((target) => ({ sink: this.#name, webhookId: target.id, ok: false, error: err.message, pending: false }));
+    }
+    if (!payload) return [];
+
+    const results = await this.#queue.enqueue({
+      sink: this.#name,
+      kind,
+      appId: update.appId,
+      changenumber: update.changenumber,
+      payload,
+    }, targets);
+
+    const delivered = results.filter((result) => result.ok).length;
+    const what = { update: 'notification', patchNotes: 'patch notes', edit: 'notification edit', missed: 'missed updates summary' }[kind];
+    logger.info(`${this.#name} ${what} for changelist #${update.changenumber} delivered to ${delivered}/${results.length} target(s)`, {
+      appId: update.appId,
+      changenumber: update.changenumber,
+      sink: this.#name,
+    });
+    return results.map(({ entryId, ...result }) => ({ sink: this.#name, ...result }));
+  }
+
+  /**
+   * Deliver one outbox entry. Called by the queue; throws on failure.
+   * @param {import('../delivery-queue.js').OutboxEntry} entry
+   * @returns {Promise<void>}
+   */
+  async sendEntry(entry) {
+    const labels = { sink: this.#name, webhook: entry.webhookId };
+    try {
+      await this.send(entry.webhookUrl, entry.payload, entry);
+    } catch (err) {
+      deliveries.inc({ ...labels, result: 'failure' });
+      throw err;
+    }
+
+    this.#lastSuccessfulSend = new Date();
+    deliveries.inc({ ...labels, result: 'success' });
+    deliveryLatency.observe({ sink: this.#name }, (this.#lastSuccessfulSend - new Date(entry.createdAt)) / 1000);
+  }
+
+  /**
+   * Reload what the sink keeps between runs (a private outbox, sent message
+   * IDs), e.g. after taking over as leader. Sinks on a shared queue have it
+   * loaded by the registry.
+   * @returns {Promise<void>}
+   */
+  async load() {
+    if (this.#ownsQueue) await this.#queue.load();
+  }
+
+  /**
+   * Start retrying messages left in a private outbox by a previous run.
+   * Sinks on a shared queue are started by the registry.
+   */
+  start() {
+    this.#queue.start();
+  }
+
+  /**
+   * Wait for what the sink is still writing to the state backend.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    if (this.#ownsQueue) await this.#queue.flush();
+  }
+
+  /**
+   * Release any resources held by the sink.
+   */
+  destroy() {
+    if (this.#ownsQueue) this.#queue.stop();
+  }
+}
+
+/**
+ * Moved branches of an update that are configured to alert.
+ * @param {object} update - Processed update data
+ * @returns {Array<object>}
+ */
+export function alertBranches(update) {
+  return (update.changedBranches ?? []).filter((branch) => isAlertBranch(branch.name));
+}
+
+/**
+ * Turn a failed HTTP response into an error the queue understands:
+ * `status` for permanent 4xx detection, `retryAfter` (ms) for rate limits.
+ *
+ * @param {Response} res
+ * @param {number|null} [retryAfterMs] - Sink-specific retry hint from the body
+ * @returns {Promise<Error>}
+ */
+export async function responseError(res, retryAfterMs = null) {
+  const body = await res.text().catch(() => '');
+  const header = Number(res.headers.get('retry-after'));
+
+  return Object.assign(new Error(`HTTP ${res.status}${body ? `: ${body.slice(0, 200)}` : ''}`), {
+    status: res.status,
+    retryAfter: retryAfterMs ?? (Number.isFinite(header) && header > 0 ? header * 1000 : undefined),
+  });
+}
@@ -0,0 +1,292 @@
+/**
+ * SinkRegistry — Fans processed updates out to every configured
+ * notification sink through one shared, persistent DeliveryQueue.
+ *
+ * The Discord webhook notifier is always registered; Slack, Telegram,
+ * Matrix and generic HTTP sinks are added from env vars, SINKS_FILE or the
+ * config file, and rebuilt by reload() when the configuration changes.
+ */
+
+import { createLogger } from '../logger.js';
+import DeliveryQueue from '../delivery-queue.js';
+import DiscordNotifier from '../discord-notifier.js';
+import MessageStore from '../message-store.js';
+import SlackSink from './slack-sink.js';
+import TelegramSink from './telegram-sink.js';
+import MatrixSink from './matrix-sink.js';
+import HttpSink from './http-sink.js';
+import { loadSinkDefinitions, loadMentionRules } from '../../config.js';
+
+const logger = createLogger('sink-registry');
+
+/** Sink classes by definition type */
+const SINK_CLASSES = {
+  slack: SlackSink,
+  telegram: TelegramSink,
+  matrix: MatrixSink,
+  http: HttpSink,
+};
+
+export default class SinkRegistry {
+  /** @type {Map<string, import('./notification-sink.js').default>} */
+  #sinks = new Map();
+
+  /** @type {Set<string>} Names of the sinks built from the configuration, replaced by reload() */
+  #configured = new Set();
+
+  /** @type {DeliveryQueue} Outbox shared by every sink */
+  #queue;
+
+  /** @type {typeof fetch|undefined} HTTP client passed to configured sinks */
+  #fetch;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.outboxFile] - Outbox path (defaults to OUTBOX_FILE)
+   * @param {() => Promise<boolean>} [options.canSend] - Checked before every message (leader election)
+   * @param {import('../state/state-backend.js').default} [options.backend] - Keeps the outbox (see load())
+   */
+  constructor({ outboxFile, canSend, backend } = {}) {
+    this.#queue = new DeliveryQueue({
+      send: (entry) => this.#dispatch(entry),
+      ...(outboxFile ? { file: outboxFile } : {}),
+      ...(canSend ? { canSend } : {}),
+      ...(backend ? { backend } : {}),
+    });
+  }
+
+  /**
+   * Build a registry with the Discord notifier plus every configured sink.
+   *
+   * @param {object} [options]
+   * @param {typeof fetch} [options.fetch] - HTTP client passed to HTTP-based sinks
+   * @param {string} [options.outboxFile] - Outbox path (defaults to OUTBOX_FILE)
+   * @param {() => Promise<boolean>} [options.canSend] - Checked before every message (leader election)
+   * @param {import('../state/state-backend.js').default} [options.backend] - Keeps the outbox and
+   *   sent message IDs, shared between redundant instances; call load() before start()
+   * @returns {SinkRegistry}
+   */
+  static fromConfig({ fetch, outboxFile, canSend, backend } = {}) {
+    const registry = new SinkRegistry({ outboxFile, canSend, backend });
+    registry.#fetch = fetch;
+    registry.register(new DiscordNotifier({
+      queue: registry.queue,
+      ...(backend ? { messages: new MessageStore({ backend }) } : {}),
+    }));
+    registry.#registerConfigured();
+
+    logger.info(`Notification sinks: ${registry.names.join(', ')}`);
+    return registry;
+  }
+
+  /**
+   * Register a sink for every configured sink definition.
+   */
+  #registerConfigured() {
+    for (const definition of loadSinkDefinitions()) {
+      const { type, name, ...options } = definition;
+      const SinkClass = SINK_CLASSES[type];
+      if (!SinkClass) {
+        logger.warn(`Unknown sink type "${type}" — skipping`);
+        continue;
+      }
+
+      const sink = new SinkClass({
+        ...options,
+        name: this.#uniqueName(name ?? type),
+        queue: this.#queue,
+        ...(this.#fetch ? { fetch: this.#fetch } : {}),
+      });
+      this.register(sink);
+      this.#configured.add(sink.name);
+    }
+  }
+
+  /**
+   * Apply a reloaded configuration: rebuild the configured sinks and hand
+   * the Discord notifier its new mention rules. Queued messages of a sink
+   * that keeps its name are sent by its replacement; those of a removed
+   * sink are dead-lettered. Sinks registered by hand (the Discord notifier,
+   * the bot's channels) are kept.
+   */
+  reload() {
+    for (const name of this.#configured) {
+      this.#sinks.get(name).destroy();
+      this.#sinks.delete(name);
+    }
+    this.#configured.clear();
+    this.#registerConfigured();
+    this.get('discord')?.setMentionRules(loadMentionRules());
+
+    logger.info(`Notification sinks reloaded: ${this.names.join(', ')}`);
+  }
+
+  /**
+   * Add a sink. Its name must be unique within the registry.
+   * @param {import('./notification-sink.js').default} sink
+   */
+  register(sink) {
+    if (this.#sinks.has(sink.name)) {
+      throw new Error(`A sink named "${sink.name}" is already registered`);
+    }
+    this.#sinks.set(sink.name, sink);
+  }
+
+  /**
+   * Look up a sink by name.
+   * @param {string} name
+   * @returns {import('./notification-sink.js').default|undefined}
+   */
+  get(name) {
+    return this.#sinks.get(name);
+  }
+
+  /** Registered sink names */
+  get names() {
+    return [...this.#sinks.keys()];
+  }
+
+  /** The shared outbox, for inspecting and replaying dead letters */
+  get queue() {
+    return this.#queue;
+  }
+
+  /** When any sink last delivered a message */
+  get lastSuccessfulSend() {
+    const times = [...this.#sinks.values()]
+      .map((sink) => sink.lastSuccessfulSend)
+      .filter(Boolean);
+    return times.length > 0 ? new Date(Math.max(...times)) : null;
+  }
+
+  /**
+   * Whether an update passes the alert rules (shared by every sink).
+   * @param {object} update - Processed update data
+   * @returns {boolean}
+   */
+  shouldNotify(update) {
+    return [...this.#sinks.values()].some((sink) => sink.shouldNotify(update));
+  }
+
+  /**
+   * Deliver an update through every sink that wants it, or through the
+   * named sinks regardless of the alert rules.
+   * @param {object} update - Processed update data
+   * @param {object} [options]
+   * @param {string[]} [options.only] - Names of the sinks to deliver through
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async deliverUpdate(update, { only } = {}) {
+    const sinks = [...this.#sinks.values()].filter((sink) => (only ? only.includes(sink.name) : sink.shouldNotify(update)));
+    const results = await Promise.all(sinks.map((sink) => sink.deliverUpdate(update)));
+    return results.flat();
+  }
+
+  /**
+   * Deliver the patch notes follow-up of an update through every sink
+   * that announced it.
+   * @param {object} update - Processed update data
+   * @param {import('../patch-notes.js').PatchNotes} notes
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async deliverPatchNotes(update, notes) {
+    const sinks = [...this.#sinks.values()].filter((sink) => sink.shouldNotify(update));
+    const results = await Promise.all(sinks.map((sink) => sink.deliverPatchNotes(update, notes)));
+    return results.flat();
+  }
+
+  /**
+   * Edit the sent notifications of an update with a richer revision,
+   * through every sink that announced it.
+   * @param {object} update - Processed update data, with `revision` > 0
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async reviseUpdate(update) {
+    const sinks = [...this.#sinks.values()].filter((sink) => sink.shouldNotify(update));
+    const results = await Promise.all(sinks.map((sink) => sink.reviseUpdate(update)));
+    return results.flat();
+  }
+
+  /**
+   * Deliver one summary of the changelists missed while offline through
+   * every sink; each sink keeps the updates that pass its alert rules.
+   * @param {import('./update-summary.js').MissedUpdates} missed
+   * @returns {Promise<Array<{sink: string, webhookId: string, ok: boolean, error: string|null, pending: boolean}>>}
+   */
+  async deliverMissedUpdates(missed) {
+    const results = await Promise.all([...this.#sinks.values()].map((sink) => sink.deliverMissedUpdates(missed)));
+    return results.flat();
+  }
+
+  /**
+   * Route a queued entry to the sink that created it.
+   * @param {import('../delivery-queue.js').OutboxEntry} entry
+   * @returns {Promise<void>}
+   */
+  #dispatch(entry) {
+    const sink = this.#sinks.get(entry.sink);
+    if (!sink) {
+      // Permanent: the sink was removed from the configuration
+      return Promise.reject(Object.assign(new Error(`Sink "${entry.sink}" is not configured`), { status: 404 }));
+    }
+    return sink.sendEntry(entry);
+  }
+
+  /**
+   * Derive a unique sink name by suffixing duplicates (http, http-2, …).
+   * @param {string} base
+   * @returns {string}
+   */
+  #uniqueName(base) {
+    let name = base;
+    for (let n = 2; this.#sinks.has(name); n++) {
+      name = `${base}-${n}`;
+    }
+    return name;
+  }
+
+  /**
+   * Reload the outbox and what every sink keeps between runs, e.g. after
+   * taking over as leader. Call while stopped.
+   * @returns {Promise<void>}
+   * @throws {Error} If the state backend cannot be read
+   */
+  async load() {
+    await this.#queue.load();
+    await Promise.all([...this.#sinks.values()].map((sink) => sink.load()));
+  }
+
+  /**
+   * Start retrying messages left in the outbox by a previous run.
+   */
+  start() {
+    this.#queue.start();
+  }
+
+  /**
+   * Pause retries; pending messages stay in the outbox until start().
+   */
+  stop() {
+    this.#queue.stop();
+  }
+
+  /**
+   * Wait for outbox and sink writes to the state backend, e.g. before it
+   * is closed.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.#queue.flush();
+    await Promise.all([...this.#sinks.values()].map((sink) => sink.flush()));
+  }
+
+  /**
+   * Stop the queue and release every sink.
+   */
+  destroy() {
+    for (const sink of this.#sinks.values()) {
+      sink.destroy();
+    }
+    this.#queue.stop();
+  }
+}
@@ -0,0 +1,102 @@
+/**
+ * SlackSink — Posts updates to Slack incoming webhooks using Block Kit.
+ */
+
+import NotificationSink, { responseError } from './notification-sink.js';
+import { summarizeUpdate, summarizePatchNotes, summarizeMissedUpdates, summaryToText } from './update-summary.js';
+
+export default class SlackSink extends NotificationSink {
+  /** @type {string[]} Incoming webhook URLs */
+  #urls;
+
+  /** @type {typeof fetch} */
+  #fetch;
+
+  /**
+   * @param {object} options
+   * @param {string} [options.name='slack']
+   * @param {string[]} options.urls - Incoming webhook URLs
+   * @param {import('../delivery-queue.js').default} [options.queue]
+   * @param {typeof fetch} [options.fetch] - HTTP client (injectable for tests)
+   */
+  constructor({ name = 'slack', urls, queue, fetch = globalThis.fetch }) {
+    super({ name, queue });
+    this.#urls = urls;
+    this.#fetch = fetch;
+  }
+
+  /** @override */
+  targets() {
+    return this.#urls.map((url, index) => ({ url, id: `${this.name}#${index + 1}` }));
+  }
+
+  /** @override */
+  format(update) {
+    return this.#render(summarizeUpdate(update), update);
+  }
+
+  /** @override */
+  formatPatchNotes(update, notes) {
+    return this.#render(summarizePatchNotes(update, notes), update);
+  }
+
+  /** @override */
+  formatMissedUpdates(missed) {
+    return this.#render(summarizeMissedUpdates(missed));
+  }
+
+  /**
+   * Block Kit message for a summary.
+   * @param {import('./update-summary.js').UpdateSummary} summary
+   * @param {object} [update] - Processed update data; omitted for summaries of several updates
+   * @returns {object}
+   */
+  #render(summary, update) {
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: summary.title.slice(0, 150) } },
+    ];
+
+    if (summary.fields.length > 0) {
+      blocks.push({
+        type: 'section',
+        fields: summary.fields.map((f) => ({
+          type: 'mrkdwn',
+          text: `*${f.name}*\n${f.url ? `<${f.url}|${escape(f.value)}>` : escape(f.value)}`,
+        })),
+      });
+    }
+
+    for (const list of summary.lists) {
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: `*${escape(list.name)}*\n${list.items.map((i) => `• ${escape(i)}`).join('\n')}`.slice(0, 3000) },
+      });
+    }
+
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `<${summary.url}|${update ? `App ${update.appId}` : 'Changelist'} on SteamDB> • Steam PICS` }],
+    });
+
+    return { text: summaryToText(summary), blocks };
+  }
+
+  /** @override */
+  async send(url, payload) {
+    const res = await this.#fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+    });
+    if (!res.ok) throw await responseError(res);
+  }
+}
+
+/**
+ * Escape Slack mrkdwn control characters.
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+  return String(text).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
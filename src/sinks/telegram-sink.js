@@ -0,0 +1,99 @@
+/**
+ * TelegramSink — Sends updates to Telegram chats through the Bot API.
+ */
+
+import NotificationSink, { responseError } from './notification-sink.js';
+import { summarizeUpdate, summarizePatchNotes, summarizeMissedUpdates } from './update-summary.js';
+
+/** Telegram message length limit */
+const MESSAGE_LIMIT = 4096;
+
+export default class TelegramSink extends NotificationSink {
+  /** @type {string} Bot API token */
+  #token;
+
+  /** @type {string[]} Chat IDs or @channel usernames */
+  #chatIds;
+
+  /** @type {typeof fetch} */
+  #fetch;
+
+  /**
+   * @param {object} options
+   * @param {string} [options.name='telegram']
+   * @param {string} options.token - Bot API token
+   * @param {string[]} options.chatIds - Chat IDs or @channel usernames
+   * @param {import('../delivery-queue.js').default} [options.queue]
+   * @param {typeof fetch} [options.fetch] - HTTP client (injectable for tests)
+   */
+  constructor({ name = 'telegram', token, chatIds, queue, fetch = globalThis.fetch }) {
+    super({ name, queue });
+    this.#token = token;
+    this.#chatIds = chatIds;
+    this.#fetch = fetch;
+  }
+
+  /** @override */
+  targets() {
+    return this.#chatIds.map((chatId) => ({ url: chatId, id: chatId }));
+  }
+
+  /** @override */
+  format(update) {
+    return this.#render(summarizeUpdate(update));
+  }
+
+  /** @override */
+  formatPatchNotes(update, notes) {
+    return this.#render(summarizePatchNotes(update, notes));
+  }
+
+  /** @override */
+  formatMissedUpdates(missed) {
+    return this.#render(summarizeMissedUpdates(missed));
+  }
+
+  /**
+   * HTML message for a summary.
+   * @param {import('./update-summary.js').UpdateSummary} summary
+   * @returns {object}
+   */
+  #render(summary) {
+    const lines = [
+      `<b><a href="${summary.url}">${escape(summary.title)}</a></b>`,
+      ...summary.fields.map((f) => `${escape(f.name)}: ${f.url ? `<a href="${f.url}">${escape(f.value)}</a>` : escape(f.value)}`),
+      ...summary.lists.flatMap((l) => ['', `<b>${escape(l.name)}</b>`, ...l.items.map((i) => `• ${escape(i)}`)]),
+    ];
+
+    return {
+      text: lines.join('\n').slice(0, MESSAGE_LIMIT),
+      parse_mode: 'HTML',
+      disable_web_page_preview: true,
+    };
+  }
+
+  /** @override */
+  async send(chatId, payload) {
+    const res = await this.#fetch(`https://api.telegram.org/bot${this.#token}/sendMessage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ chat_id: chatId, ...payload }),
+    });
+
+    if (!res.ok) {
+      // 429 bodies carry parameters.retry_after in seconds
+      const body = await res.clone().json().catch(() => null);
+      const retryAfter = body?.parameters?.retry_after;
+      throw await responseError(res, retryAfter ? retryAfter * 1000 : null);
+    }
+  }
+}
+
+/**
+ * Escape text for Telegram's HTML parse mode.
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+  return String(text).replaceAll('&', '&amp;').replaceAll('<', '&lt;').replaceAll('>', '&gt;');
+}
@@ -0,0 +1,236 @@
+/**
+ * Update summary — Markup-neutral description of a processed update.
+ *
+ * Text-based sinks (Slack, Telegram, Matrix) render this structure in
+ * their own markup instead of each re-deriving titles, links and fields.
+ */
+
+import { alertBranches } from './notification-sink.js';
+import { isEmptyDiff } from '../appinfo-diff.js';
+import { isEmptyContentDiff } from '../content-diff.js';
+import { RELEASE_CLASS_LABELS } from '../release-class.js';
+
+/** Maximum list items shown per field before collapsing into "…and N more" */
+const MAX_ITEMS = 10;
+
+/** Value of fields Steam withheld for lack of an access token */
+const UNKNOWN_NO_ACCESS = 'Unknown (access token required)';
+
+/**
+ * @typedef {object} UpdateSummary
+ * @property {string} title
+ * @property {string} url - SteamDB app page
+ * @property {Array<{name: string, value: string, url?: string}>} fields - Single-value facts
+ * @property {Array<{name: string, items: string[]}>} lists - Multi-line sections
+ */
+
+/**
+ * Notification title naming the app and the kind of change, plus the
+ * moved branches when the public build stayed put.
+ * @param {object} update - Processed update data
+ * @returns {string}
+ */
+export function updateTitle(update) {
+  const moved = alertBranches(update);
+  const label = RELEASE_CLASS_LABELS[update.releaseClass] ?? 'App Update';
+  const branches = moved.length > 0 && !moved.some((b) => b.name === 'public')
+    ? ` (${moved.map((b) => b.name).join(', ')})`
+    : '';
+  const missed = update.missedSince != null ? ' (missed while offline)' : '';
+  return `${update.appName} — ${label}${branches}${missed}`;
+}
+
+/**
+ * Summarize a processed update.
+ * @param {object} update - Processed update data
+ * @returns {UpdateSummary}
+ */
+export function summarizeUpdate(update) {
+  const moved = alertBranches(update);
+  const title = updateTitle(update);
+
+  const fields = [];
+  if (update.changenumber !== 'Unknown') {
+    fields.push({
+      name: 'Changelist',
+      value: `#${update.changenumber}`,
+      url: `https://steamdb.info/changelist/${update.changenumber}/`,
+    });
+  }
+  if (update.buildId) {
+    fields.push({
+      name: 'Build ID',
+      value: String(update.buildId),
+      url: `https://steamdb.info/patchnotes/${update.buildId}/`,
+    });
+  } else if (update.missingToken) {
+    fields.push({ name: 'Build ID', value: UNKNOWN_NO_ACCESS });
+  }
+  if (update.missingToken && !(update.changedDepots?.length > 0)) {
+    fields.push({ name: 'Branches and depots', value: UNKNOWN_NO_ACCESS });
+  }
+
+  if (update.missedSince != null) {
+    fields.push({
+      name: 'Missed while offline',
+      value: `All changes since #${update.missedSince}`,
+      url: `https://steamdb.info/changelist/${update.missedSince}/`,
+    });
+  }
+
+  const content = update.contentDiff;
+  if (!isEmptyContentDiff(content) && content.patchVersion) {
+    fields.push({
+      name: 'Patch',
+      value: `${content.patchVersion.old ?? 'unknown'} → ${content.patchVersion.new ?? 'unknown'}`,
+    });
+  }
+
+  const lists = [];
+  if (!isEmptyContentDiff(content)) {
+    for (const [name, changes] of [['Heroes', content.heroes], ['Abilities', content.abilities], ['Items', content.items]]) {
+      lists.push({
+        name,
+        items: [
+          ...changes.added.map((e) => `+ ${e.name}`),
+          ...changes.removed.map((e) => `− ${e.name}`),
+          ...changes.changed.map((e) => `~ ${e.name}: ${e.keys.slice(0, 3).join(', ')}${e.keys.length > 3 ? ', …' : ''}`),
+        ],
+      });
+    }
+  }
+  if (moved.length > 0) {
+    lists.push({
+      name: 'Branches',
+      items: moved.map((b) => `${b.name}: ${b.oldBuildId ?? 'new'} → ${b.newBuildId ?? 'removed'}`),
+    });
+  }
+  if (update.changedDepots?.length > 0) {
+    lists.push({
+      name: `Changed depots (${update.depotCount})`,
+      items: update.changedDepots.map((d) => `${d.id}${d.name ? ` ${d.name}` : ''} (${d.branch}): ${d.oldGid ?? 'none'} → ${d.newGid ?? 'removed'}`),
+    });
+  }
+  if (!isEmptyDiff(update.appInfoDiff)) {
+    const diff = update.appInfoDiff;
+    lists.push({
+      name: 'App info changes',
+      items: [
+        ...diff.added.map((e) => `+ ${e.path}`),
+        ...diff.removed.map((e) => `− ${e.path}`),
+        ...diff.changed.map((e) => `~ ${e.path}`),
+      ].filter((item) => !item.slice(2).startsWith('depots/')),
+    });
+  }
+
+  return {
+    title,
+    url: `https://steamdb.info/app/${update.appId}/`,
+    fields,
+    lists: lists
+      .filter((list) => list.items.length > 0)
+      .map((list) => ({ ...list, items: truncateItems(list.items) })),
+  };
+}
+
+/**
+ * Summarize the patch notes found for an update, for the follow-up message.
+ * @param {object} update - Processed update data
+ * @param {import('../patch-notes.js').PatchNotes} notes
+ * @returns {UpdateSummary}
+ */
+export function summarizePatchNotes(update, notes) {
+  const fields = [{ name: 'Patch notes', value: notes.title, url: notes.url }];
+  if (update.buildId) {
+    fields.push({ name: 'Build ID', value: String(update.buildId) });
+  }
+
+  const items = notes.body.split('\n').map((line) => line.replace(/^• /, '')).filter(Boolean);
+  return {
+    title: `${update.appName} — Patch Notes`,
+    url: `https://steamdb.info/app/${update.appId}/`,
+    fields,
+    lists: items.length > 0 ? [{ name: 'Notes', items: truncateItems(items) }] : [],
+  };
+}
+
+/**
+ * @typedef {object} MissedUpdates
+ * @property {number} since - Changenumber the catch-up looked for changes after
+ * @property {number} changenumber - Current changenumber when it caught up
+ * @property {Date} timestamp - When the changes were found
+ * @property {object[]} updates - Processed updates, one per app that changed
+ */
+
+/**
+ * Group updates by changelist, oldest first.
+ * @param {object[]} updates - Processed update data
+ * @returns {Array<[number, object[]]>} Changenumber and the updates of its apps
+ */
+export function groupByChangelist(updates) {
+  const groups = new Map();
+  for (const update of updates) {
+    if (!groups.has(update.changenumber)) groups.set(update.changenumber, []);
+    groups.get(update.changenumber).push(update);
+  }
+  return [...groups].sort(([a], [b]) => Number(a) - Number(b));
+}
+
+/**
+ * One app's line in a missed updates summary: name, kind of change and build.
+ * @param {object} update - Processed update data
+ * @returns {string}
+ */
+export function describeMissedUpdate(update) {
+  const label = RELEASE_CLASS_LABELS[update.releaseClass] ?? 'App Update';
+  return `${update.appName}: ${label}${update.buildId ? `, build ${update.buildId}` : ''}`;
+}
+
+/**
+ * Summarize the changelists found by a catch-up after downtime, for the
+ * single message announcing them.
+ * @param {MissedUpdates} missed
+ * @returns {UpdateSummary}
+ */
+export function summarizeMissedUpdates(missed) {
+  const changelists = groupByChangelist(missed.updates);
+  const [latest] = changelists.at(-1);
+
+  return {
+    title: `Missed while offline — ${changelists.length} changelist${changelists.length === 1 ? '' : 's'}`,
+    url: `https://steamdb.info/changelist/${latest}/`,
+    fields: [{
+      name: 'Since',
+      value: `#${missed.since}`,
+      url: `https://steamdb.info/changelist/${missed.since}/`,
+    }],
+    lists: [{
+      name: 'Changelists',
+      items: truncateItems(changelists.map(([changenumber, updates]) => `#${changenumber}: ${updates.map(describeMissedUpdate).join('; ')}`)),
+    }],
+  };
+}
+
+/**
+ * Render a summary as plain text (used as the notification fallback body).
+ * @param {UpdateSummary} summary
+ * @returns {string}
+ */
+export function summaryToText(summary) {
+  return [
+    summary.title,
+    ...summary.fields.map((f) => `${f.name}: ${f.value}`),
+    ...summary.lists.flatMap((l) => [`${l.name}:`, ...l.items.map((item) => `  ${item}`)]),
+    summary.url,
+  ].join('\n');
+}
+
+/**
+ * Cap a list, noting how many items were dropped.
+ * @param {string[]} items
+ * @returns {string[]}
+ */
+function truncateItems(items) {
+  if (items.length <= MAX_ITEMS) return items;
+  return [...items.slice(0, MAX_ITEMS), `…and ${items.length - MAX_ITEMS} more`];
+}
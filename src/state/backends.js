@@ -0,0 +1,28 @@
+/**
+ * State backends — Builds the StateBackend selected by STATE_BACKEND.
+ */
+
+import FileBackend from './file-backend.js';
+import SqliteBackend from './sqlite-backend.js';
+import RedisBackend from './redis-backend.js';
+import { STATE_BACKEND } from '../../config.js';
+
+/** Backend classes by STATE_BACKEND value */
+export const STATE_BACKENDS = {
+  file: FileBackend,
+  sqlite: SqliteBackend,
+  redis: RedisBackend,
+};
+
+/**
+ * Create the configured state backend.
+ * @param {string} [name] - Backend name (defaults to STATE_BACKEND)
+ * @returns {import('./state-backend.js').default}
+ */
+export function createStateBackend(name = STATE_BACKEND) {
+  const Backend = STATE_BACKENDS[name];
+  if (!Backend) {
+    throw new Error(`Unknown state backend "${name}" (expected ${Object.keys(STATE_BACKENDS).join(', ')})`);
+  }
+  return new Backend();
+}
@@ -0,0 +1,232 @@
+/**
+ * FileBackend — Keeps the state in a JSON file (STATE_FILE), with the
+ * previous state in `<file>.bak`.
+ *
+ * Each copy is written to a temporary file, flushed to disk and renamed
+ * over the old one, so a crash mid-write never leaves a half-written
+ * state behind. Documents are files of their own: the outbox in
+ * OUTBOX_FILE, sent message IDs in MESSAGES_FILE, bot subscriptions in
+ * SUBSCRIPTIONS_FILE, others `<name>.json` next to the state file.
+ *
+ * The leader lease is `<file>.lock`, holding the owner, expiry and fencing
+ * token; a released lock is kept with an expiry of 0 so the token keeps
+ * growing. It only coordinates instances that share the disk (e.g. on one
+ * host). Lease changes and fenced writes hold `<file>.mutex`, a file only
+ * one instance can create, so a token is never taken over between the
+ * check and the write.
+ */
+
+import { readFileSync, openSync, writeSync, fsyncSync, closeSync, renameSync, rmSync, statSync } from 'node:fs';
+import { resolve, dirname, join } from 'node:path';
+import { randomUUID } from 'node:crypto';
+import { setTimeout as sleep } from 'node:timers/promises';
+import StateBackend, { staleLeaseError } from './state-backend.js';
+import { STATE_FILE, OUTBOX_FILE, MESSAGES_FILE, SUBSCRIPTIONS_FILE } from '../../config.js';
+
+/** A mutex file older than this was left by a crashed instance, in ms */
+const MUTEX_STALE = 10_000;
+
+/** Wait between attempts to take the mutex, in ms */
+const MUTEX_RETRY = 10;
+
+export default class FileBackend extends StateBackend {
+  /** @type {string} Absolute path of the state file */
+  #file;
+
+  /** @type {Object<string, string>} Paths of named documents */
+  #documents;
+
+  /**
+   * @param {string} [file] - State file path (defaults to STATE_FILE)
+   * @param {object} [options]
+   * @param {Object<string, string>} [options.documents] - Paths of named documents
+   */
+  constructor(file = STATE_FILE, { documents = { outbox: OUTBOX_FILE, messages: MESSAGES_FILE, subscriptions: SUBSCRIPTIONS_FILE } } = {}) {
+    super('file');
+    this.#file = resolve(file);
+    this.#documents = documents;
+  }
+
+  /** Path of the state file */
+  get location() {
+    return this.#file;
+  }
+
+  /** @inheritdoc */
+  async read() {
+    return {
+      current: readIfExists(this.#file),
+      backup: readIfExists(`${this.#file}.bak`),
+    };
+  }
+
+  /** @inheritdoc */
+  async write(text, previous) {
+    await this.#fenced(() => {
+      if (previous !== null) writeAtomic(`${this.#file}.bak`, previous);
+      writeAtomic(this.#file, text);
+    });
+  }
+
+  /** @inheritdoc */
+  async readDocument(name) {
+    return readIfExists(this.#documentPath(name));
+  }
+
+  /** @inheritdoc */
+  async writeDocument(name, text) {
+    await this.#fenced(() => writeAtomic(this.#documentPath(name), text));
+  }
+
+  /**
+   * Write right away when unfenced, else under the mutex once the lease
+   * is found to still carry the fencing token.
+   * @param {() => void} write
+   * @returns {Promise<void>}
+   */
+  async #fenced(write) {
+    const token = this.fencingToken;
+    if (token === null) return write();
+
+    await withMutex(`${this.#file}.mutex`, () => {
+      if ((readLease(`${this.#file}.lock`)?.token ?? 0) !== token) throw staleLeaseError(token);
+      write();
+    });
+  }
+
+  /**
+   * Path of a named document.
+   * @param {string} name
+   * @returns {string}
+   */
+  #documentPath(name) {
+    return resolve(this.#documents[name] ?? join(dirname(this.#file), `${name}.json`));
+  }
+
+  /** @inheritdoc */
+  async acquireLease(owner, ttl) {
+    const lock = `${this.#file}.lock`;
+    return withMutex(`${this.#file}.mutex`, () => {
+      const lease = readLease(lock);
+      const now = Date.now();
+      if (lease && lease.owner !== owner && lease.expiresAt > now) {
+        return { held: false, holder: lease.owner, token: lease.token };
+      }
+
+      // An expired, own or unreadable lock is replaced; only a renewal keeps the token
+      const renewal = lease?.owner === owner && lease.expiresAt > now;
+      const token = renewal ? lease.token : (lease?.token ?? 0) + 1;
+      writeAtomic(lock, JSON.stringify({ owner, expiresAt: now + ttl, token }));
+      return { held: true, holder: owner, token };
+    });
+  }
+
+  /** @inheritdoc */
+  async releaseLease(owner) {
+    const lock = `${this.#file}.lock`;
+    await withMutex(`${this.#file}.mutex`, () => {
+      const lease = readLease(lock);
+      if (lease?.owner !== owner) return;
+
+      writeAtomic(lock, JSON.stringify({ ...lease, expiresAt: 0 }));
+    });
+  }
+}
+
+/**
+ * Read a lease file. Locks written before fencing tokens count as token 0.
+ * @param {string} file
+ * @returns {{owner: string, expiresAt: number, token: number}|null} Null when missing or unreadable
+ */
+function readLease(file) {
+  try {
+    const lease = JSON.parse(readIfExists(file));
+    if (typeof lease?.owner !== 'string' || !Number.isFinite(lease.expiresAt)) return null;
+    return { ...lease, token: Number.isInteger(lease.token) ? lease.token : 0 };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Run `fn` while holding a mutex file. Waits while another instance holds
+ * it, and takes over one left behind by a crash.
+ * @template T
+ * @param {string} mutex - Path of the mutex file
+ * @param {() => T} fn
+ * @returns {Promise<T>}
+ */
+async function withMutex(mutex, fn) {
+  for (;;) {
+    try {
+      closeSync(openSync(mutex, 'wx'));
+      break;
+    } catch (err) {
+      if (err.code !== 'EEXIST') throw err;
+    }
+
+    if (Date.now() - (mtimeIfExists(mutex) ?? Date.now()) > MUTEX_STALE) {
+      rmSync(mutex, { force: true });
+    } else {
+      await sleep(MUTEX_RETRY);
+    }
+  }
+
+  try {
+    return fn();
+  } finally {
+    rmSync(mutex, { force: true });
+  }
+}
+
+/**
+ * Modification time of a file, or null when it does not exist.
+ * @param {string} file
+ * @returns {number|null} Epoch ms
+ */
+function mtimeIfExists(file) {
+  try {
+    return statSync(file).mtimeMs;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Read a file, or null when it does not exist.
+ * @param {string} file
+ * @returns {string|null}
+ */
+function readIfExists(file) {
+  try {
+    return readFileSync(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Replace a file in one step: write a temporary file, flush it and rename
+ * it over the target. The temporary name is unique per write, so instances
+ * sharing the directory never write into each other's copy.
+ * @param {string} file
+ * @param {string} text
+ */
+function writeAtomic(file, text) {
+  const temp = `${file}.${process.pid}.${randomUUID()}.tmp`;
+  try {
+    const fd = openSync(temp, 'wx');
+    try {
+      writeSync(fd, text);
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(temp, file);
+  } catch (err) {
+    rmSync(temp, { force: true });
+    throw err;
+  }
+}
@@ -0,0 +1,205 @@
+/**
+ * RedisBackend — Keeps the state in Redis or a compatible server
+ * (REDIS_URL), for hosts whose disk does not survive a redeploy.
+ *
+ * The state lives under STATE_REDIS_KEY and the previous state under
+ * `<key>:backup`; both are set in one MULTI/EXEC transaction. Documents
+ * live under `<key>:<name>`, e.g. `<key>:outbox`. The leader
+ * lease is `<key>:leader`, holding the owner and expiring with the lease,
+ * and its fencing token is the counter `<key>:leader:token`, incremented
+ * whenever the lease is taken rather than renewed. Both are changed by
+ * Lua scripts, so checking the owner and changing the keys happen in one
+ * step; fenced writes are a script too, comparing the counter with the
+ * token before setting their keys.
+ *
+ * Uses the optional redis package (node-redis), loaded on first use so
+ * other backends work where it is not installed. `redis://` and
+ * `rediss://` (TLS) URLs are supported, with an optional
+ * `user:password@` and `/<db>` path. The client connects on the first
+ * command and again after the connection drops or idles out.
+ */
+
+import StateBackend, { staleLeaseError } from './state-backend.js';
+import { REDIS_URL, STATE_REDIS_KEY } from '../../config.js';
+
+/** Longest wait for a connection or a reply, in ms */
+const COMMAND_TIMEOUT = 10_000;
+
+/** Set the lease to ARGV[1] for ARGV[2] ms unless someone else holds it; returns the holder and token */
+const ACQUIRE_SCRIPT = `
+local holder = redis.call('GET', KEYS[1])
+if not holder then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+  return {ARGV[1], redis.call('INCR', KEYS[2])}
+end
+if holder == ARGV[1] then
+  redis.call('SET', KEYS[1], ARGV[1], 'PX', ARGV[2])
+end
+return {holder, tonumber(redis.call('GET', KEYS[2]) or '0')}`;
+
+/** Set KEYS[2..n] to ARGV[2..n] unless the token counter KEYS[1] moved on from ARGV[1]; returns 0 then */
+const FENCED_SET_SCRIPT = `
+if tonumber(redis.call('GET', KEYS[1]) or '0') ~= tonumber(ARGV[1]) then
+  return 0
+end
+for i = 2, #KEYS do
+  redis.call('SET', KEYS[i], ARGV[i])
+end
+return 1`;
+
+/** Delete the lease if ARGV[1] holds it */
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+export default class RedisBackend extends StateBackend {
+  /** @type {URL} */
+  #url;
+
+  /** @type {string} */
+  #key;
+
+  /** @type {Promise<import('redis').RedisClientType>|null} The open (or opening) connection */
+  #client = null;
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.url] - Server URL (defaults to REDIS_URL)
+   * @param {string} [options.key] - Key of the state (defaults to STATE_REDIS_KEY)
+   */
+  constructor({ url = REDIS_URL, key = STATE_REDIS_KEY } = {}) {
+    super('redis');
+    this.#url = new URL(url);
+    if (!['redis:', 'rediss:'].includes(this.#url.protocol)) {
+      throw new Error(`Unsupported Redis URL scheme "${this.#url.protocol}" (expected redis:// or rediss://)`);
+    }
+    this.#key = key;
+  }
+
+  /** Server (without credentials) and key of the state */
+  get location() {
+    const { protocol, hostname, port, pathname } = this.#url;
+    return `${protocol}//${hostname}:${port || 6379}${pathname.length > 1 ? pathname : ''} key ${this.#key}`;
+  }
+
+  /**
+   * Connect unless a connection is open. A dropped connection is not
+   * retried in the background; the next command opens a new one.
+   * @returns {Promise<import('redis').RedisClientType>}
+   */
+  #connect() {
+    if (this.#client) return this.#client;
+
+    const connection = this.#open(() => {
+      if (this.#client === connection) this.#client = null;
+    });
+    this.#client = connection;
+    return connection;
+  }
+
+  /**
+   * Open a connection.
+   * @param {() => void} onClosed - Called when it fails or closes
+   * @returns {Promise<import('redis').RedisClientType>}
+   */
+  async #open(onClosed) {
+    let createClient;
+    try {
+      ({ createClient } = await import('redis'));
+    } catch (err) {
+      onClosed();
+      throw new Error(`STATE_BACKEND=redis needs the redis package (npm install redis): ${err.message}`);
+    }
+
+    const client = createClient({
+      url: this.#url.href,
+      disableOfflineQueue: true,
+      socket: { connectTimeout: COMMAND_TIMEOUT, socketTimeout: COMMAND_TIMEOUT, reconnectStrategy: false },
+    });
+    // Failed commands reject with the cause; the event only needs a listener
+    client.on('error', () => {});
+    client.on('end', onClosed);
+
+    try {
+      await client.connect();
+    } catch (err) {
+      onClosed();
+      throw err;
+    }
+    return client;
+  }
+
+  /** @inheritdoc */
+  async read() {
+    const client = await this.#connect();
+    const [current, backup] = await client.mGet([this.#key, `${this.#key}:backup`]);
+    return { current, backup };
+  }
+
+  /** @inheritdoc */
+  async write(text, previous) {
+    await this.#set([
+      ...(previous !== null ? [[`${this.#key}:backup`, previous]] : []),
+      [this.#key, text],
+    ]);
+  }
+
+  /** @inheritdoc */
+  async readDocument(name) {
+    const client = await this.#connect();
+    return client.get(`${this.#key}:${name}`);
+  }
+
+  /** @inheritdoc */
+  async writeDocument(name, text) {
+    await this.#set([[`${this.#key}:${name}`, text]]);
+  }
+
+  /**
+   * Set keys in one step, checking the fencing token when fenced.
+   * @param {Array<[string, string]>} entries - Keys and values
+   * @returns {Promise<void>}
+   */
+  async #set(entries) {
+    const client = await this.#connect();
+    const token = this.fencingToken;
+    if (token === null) {
+      const transaction = client.multi();
+      for (const [key, value] of entries) transaction.set(key, value);
+      await transaction.exec();
+      return;
+    }
+
+    const written = await client.eval(FENCED_SET_SCRIPT, {
+      keys: [`${this.#key}:leader:token`, ...entries.map(([key]) => key)],
+      arguments: [String(token), ...entries.map(([, value]) => value)],
+    });
+    if (written === 0) throw staleLeaseError(token);
+  }
+
+  /** @inheritdoc */
+  async acquireLease(owner, ttl) {
+    const client = await this.#connect();
+    const [holder, token] = await client.eval(ACQUIRE_SCRIPT, {
+      keys: [`${this.#key}:leader`, `${this.#key}:leader:token`],
+      arguments: [owner, String(Math.round(ttl))],
+    });
+    return { held: holder === owner, holder, token };
+  }
+
+  /** @inheritdoc */
+  async releaseLease(owner) {
+    const client = await this.#connect();
+    await client.eval(RELEASE_SCRIPT, { keys: [`${this.#key}:leader`], arguments: [owner] });
+  }
+
+  /** @inheritdoc */
+  async close() {
+    const pending = this.#client;
+    this.#client = null;
+    const client = await pending?.catch(() => null);
+    if (client?.isOpen) await client.close();
+  }
+}
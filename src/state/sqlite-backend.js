@@ -0,0 +1,155 @@
+/**
+ * SqliteBackend — Keeps the state in a SQLite database (STATE_DB_FILE),
+ * one row holding the current and the previous state.
+ *
+ * Uses the optional better-sqlite3 package, loaded on first use so other
+ * backends work where it is not installed. The row is replaced in a
+ * single statement, and the database runs in WAL mode with full syncs,
+ * so a crash keeps either the old or the new row.
+ *
+ * Documents are rows of the `documents` table.
+ *
+ * The leader lease is a row in the `lease` table, taken or renewed with a
+ * single conditional upsert that also advances its fencing token when the
+ * lease changes hands. A released lease keeps its row with an expiry of 0.
+ * Fenced writes only insert or update their row when the lease row still
+ * carries the token, in the same statement. Like the file backend, it
+ * coordinates instances that share the database file.
+ */
+
+import { resolve } from 'node:path';
+import StateBackend, { staleLeaseError } from './state-backend.js';
+import { STATE_DB_FILE } from '../../config.js';
+
+/** Row key of the dedup state */
+const STATE_KEY = 'state';
+
+/** Row key of the leader lease */
+const LEASE_KEY = 'leader';
+
+/** Lets a write through when unfenced (@token null) or while the lease carries @token */
+const FENCE_CONDITION = '(@token IS NULL OR COALESCE((SELECT token FROM lease WHERE key = @lease), 0) = @token)';
+
+export default class SqliteBackend extends StateBackend {
+  /** @type {string} Absolute path of the database */
+  #file;
+
+  /** @type {import('better-sqlite3').Database|null} */
+  #db = null;
+
+  /**
+   * @param {string} [file] - Database path (defaults to STATE_DB_FILE)
+   */
+  constructor(file = STATE_DB_FILE) {
+    super('sqlite');
+    this.#file = resolve(file);
+  }
+
+  /** Path of the database */
+  get location() {
+    return this.#file;
+  }
+
+  /**
+   * Open the database and create the table on first use.
+   * @returns {Promise<import('better-sqlite3').Database>}
+   */
+  async #open() {
+    if (this.#db) return this.#db;
+
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (err) {
+      throw new Error(`STATE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3): ${err.message}`);
+    }
+
+    const db = new Database(this.#file);
+    db.pragma('journal_mode = WAL');
+    db.pragma('synchronous = FULL');
+    db.exec('CREATE TABLE IF NOT EXISTS state (key TEXT PRIMARY KEY, value TEXT NOT NULL, backup TEXT, updated_at TEXT NOT NULL)');
+    db.exec('CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL)');
+    db.exec('CREATE TABLE IF NOT EXISTS lease (key TEXT PRIMARY KEY, owner TEXT NOT NULL, expires_at INTEGER NOT NULL, token INTEGER NOT NULL DEFAULT 0)');
+    if (!db.prepare('PRAGMA table_info(lease)').all().some((column) => column.name === 'token')) {
+      db.exec('ALTER TABLE lease ADD COLUMN token INTEGER NOT NULL DEFAULT 0');
+    }
+    this.#db = db;
+    return db;
+  }
+
+  /** @inheritdoc */
+  async read() {
+    const db = await this.#open();
+    const row = db.prepare('SELECT value, backup FROM state WHERE key = ?').get(STATE_KEY);
+    return { current: row?.value ?? null, backup: row?.backup ?? null };
+  }
+
+  /** @inheritdoc */
+  async write(text, previous) {
+    const db = await this.#open();
+    const { changes } = db.prepare(`
+      INSERT INTO state (key, value, backup, updated_at)
+      SELECT @key, @text, @previous, @updatedAt WHERE ${FENCE_CONDITION}
+      ON CONFLICT (key) DO UPDATE SET
+        value = excluded.value,
+        backup = COALESCE(excluded.backup, state.backup),
+        updated_at = excluded.updated_at
+    `).run({ key: STATE_KEY, text, previous, updatedAt: new Date().toISOString(), ...this.#fence() });
+    if (changes === 0) throw staleLeaseError(this.fencingToken);
+  }
+
+  /** @inheritdoc */
+  async readDocument(name) {
+    const db = await this.#open();
+    return db.prepare('SELECT value FROM documents WHERE name = ?').get(name)?.value ?? null;
+  }
+
+  /** @inheritdoc */
+  async writeDocument(name, text) {
+    const db = await this.#open();
+    const { changes } = db.prepare(`
+      INSERT INTO documents (name, value, updated_at)
+      SELECT @name, @text, @updatedAt WHERE ${FENCE_CONDITION}
+      ON CONFLICT (name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `).run({ name, text, updatedAt: new Date().toISOString(), ...this.#fence() });
+    if (changes === 0) throw staleLeaseError(this.fencingToken);
+  }
+
+  /**
+   * Parameters of FENCE_CONDITION.
+   * @returns {{lease: string, token: number|null}}
+   */
+  #fence() {
+    return { lease: LEASE_KEY, token: this.fencingToken };
+  }
+
+  /** @inheritdoc */
+  async acquireLease(owner, ttl) {
+    const db = await this.#open();
+    const now = Date.now();
+    db.prepare(`
+      INSERT INTO lease (key, owner, expires_at, token) VALUES (@key, @owner, @expiresAt, 1)
+      ON CONFLICT (key) DO UPDATE SET
+        token = CASE WHEN lease.owner = excluded.owner AND lease.expires_at > @now THEN lease.token ELSE lease.token + 1 END,
+        owner = excluded.owner,
+        expires_at = excluded.expires_at
+      WHERE lease.owner = excluded.owner OR lease.expires_at <= @now
+    `).run({ key: LEASE_KEY, owner, expiresAt: now + ttl, now });
+
+    const lease = db.prepare('SELECT owner, expires_at AS expiresAt, token FROM lease WHERE key = ?').get(LEASE_KEY);
+    const holder = lease && lease.expiresAt > now ? lease.owner : null;
+    return { held: holder === owner, holder, token: lease?.token ?? 0 };
+  }
+
+  /** @inheritdoc */
+  async releaseLease(owner) {
+    const db = await this.#open();
+    db.prepare('UPDATE lease SET expires_at = 0 WHERE key = ? AND owner = ?').run(LEASE_KEY, owner);
+  }
+
+  /** @inheritdoc */
+  async close() {
+    this.#db?.close();
+    this.#db = null;
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * StateBackend — Base class for the stores that persist UpdateProcessor's
+ * dedup state.
+ *
+ * Every backend keeps two copies: the current state and the last good one
+ * before it. load() validates what it reads: a current copy that is
+ * missing or corrupt is skipped in favour of the backup, and when neither
+ * can be used the load fails rather than starting from empty state, which
+ * would announce every app again. save() serializes the state right away
+ * and writes in call order.
+ *
+ * Subclasses implement:
+ *   read()                  → Promise<{current: string|null, backup: string|null}>
+ *   write(text, previous)   → Promise<void>; stores `text` as the current copy
+ *                             and `previous` (when not null) as the backup, so
+ *                             that a crash leaves one of them intact
+ *   close()                 → Promise<void>
+ *   location                → Where the state lives, for logs (no secrets)
+ *
+ * and, for the other state the leader keeps (the outbox and the IDs of
+ * sent messages), named documents stored next to it, so whichever
+ * instance leads next picks them up:
+ *   readDocument(name)       → Promise<string|null>
+ *   writeDocument(name, text) → Promise<void>
+ *
+ * and, for leader election between redundant instances, a lease stored
+ * next to the state:
+ *   acquireLease(owner, ttl) → Promise<{held: boolean, holder: string|null, token: number}>;
+ *                              takes or renews the lease for `ttl` ms unless
+ *                              another owner holds an unexpired one
+ *   releaseLease(owner)      → Promise<void>; gives up the lease if `owner` holds it
+ *
+ * The lease carries a fencing token that grows every time the lease is
+ * taken rather than renewed: by another owner, or by the same owner after
+ * it expired. A holder seeing a different token than the one it was
+ * elected with knows another instance may have led in between.
+ *
+ * Once fence() was called, write() and writeDocument() check the token
+ * in the same step as the write (fencingToken) and reject with
+ * staleLeaseError() when the lease moved on, so a leader that was paused
+ * while another took over cannot overwrite what the new one wrote.
+ */
+
+import { createLogger } from '../logger.js';
+
+const logger = createLogger('state-backend');
+
+export default class StateBackend {
+  /** @type {string} Backend name, as in STATE_BACKEND */
+  #name;
+
+  /** @type {string|null} Last state read or written successfully */
+  #lastGood = null;
+
+  /** @type {Promise<void>} Tail of the write chain */
+  #writing = Promise.resolve();
+
+  /** @type {number|null} Token the lease must carry for writes, null = unfenced */
+  #fencingToken = null;
+
+  /**
+   * @param {string} name - Backend name, as in STATE_BACKEND
+   */
+  constructor(name) {
+    this.#name = name;
+  }
+
+  /** Backend name, as in STATE_BACKEND */
+  get name() {
+    return this.#name;
+  }
+
+  /** Where the state lives, for logs */
+  get location() {
+    throw new Error(`${this.constructor.name} must implement location`);
+  }
+
+  /** Token the lease must carry for writes to go through, or null when writes are not fenced */
+  get fencingToken() {
+    return this.#fencingToken;
+  }
+
+  /**
+   * Only write while the leader lease carries `token`. Leader election
+   * fences with -1, which no lease carries, until the instance leads.
+   * @param {number} token
+   */
+  fence(token) {
+    this.#fencingToken = token;
+  }
+
+  /**
+   * Read the stored state, falling back to the backup copy.
+   * @returns {Promise<object|null>} Parsed state, or null when nothing is stored yet
+   * @throws {Error} If state is stored but neither copy can be used
+   */
+  async load() {
+    const { current, backup } = await this.read();
+    if (current === null && backup === null) return null;
+
+    const state = parseState(current);
+    if (state) {
+      this.#lastGood = current;
+      return state;
+    }
+
+    const restored = parseState(backup);
+    if (restored) {
+      logger.error(`State in ${this.location} is ${current === null ? 'missing' : 'corrupt'} — recovered the previous copy from the backup`);
+      this.#lastGood = backup;
+      return restored;
+    }
+
+    throw new Error(`State in ${this.location} is corrupt and has no usable backup. Fix it, or run \`npm run cli -- reset\` to start over (every app's next update is then announced again).`);
+  }
+
+  /**
+   * Store the state. The previously stored state becomes the backup.
+   * @param {object} state
+   * @returns {Promise<void>} Resolves once this state is written
+   */
+  save(state) {
+    const text = JSON.stringify(state, null, 2);
+
+    // Keep writing after a failed save: the next state supersedes it
+    this.#writing = this.#writing.catch(() => {}).then(async () => {
+      await this.write(text, this.#lastGood);
+      this.#lastGood = text;
+    });
+    return this.#writing;
+  }
+
+  /**
+   * Read both stored copies.
+   * @returns {Promise<{current: string|null, backup: string|null}>}
+   */
+  async read() {
+    throw new Error(`${this.constructor.name} must implement read()`);
+  }
+
+  /**
+   * Store the current copy and the backup.
+   * @param {string} text - New current copy
+   * @param {string|null} previous - New backup (null = keep the stored one)
+   * @returns {Promise<void>}
+   */
+  async write(text, previous) {
+    throw new Error(`${this.constructor.name} must implement write()`);
+  }
+
+  /**
+   * Read a named document, e.g. 'outbox'.
+   * @param {string} name
+   * @returns {Promise<string|null>} Null when it was never written
+   */
+  async readDocument(name) {
+    throw new Error(`${this.constructor.name} must implement readDocument()`);
+  }
+
+  /**
+   * Replace a named document.
+   * @param {string} name
+   * @param {string} text
+   * @returns {Promise<void>}
+   */
+  async writeDocument(name, text) {
+    throw new Error(`${this.constructor.name} must implement writeDocument()`);
+  }
+
+  /**
+   * Take the leader lease, or renew it when `owner` already holds it.
+   * @param {string} owner - Instance ID
+   * @param {number} ttl - Lease duration in ms
+   * @returns {Promise<{held: boolean, holder: string|null, token: number}>} Whether `owner` holds the lease, who does, and its fencing token
+   */
+  async acquireLease(owner, ttl) {
+    throw new Error(`${this.constructor.name} must implement acquireLease()`);
+  }
+
+  /**
+   * Give up the leader lease if `owner` holds it.
+   * @param {string} owner - Instance ID
+   * @returns {Promise<void>}
+   */
+  async releaseLease(owner) {
+    throw new Error(`${this.constructor.name} must implement releaseLease()`);
+  }
+
+  /**
+   * Release connections and handles.
+   * @returns {Promise<void>}
+   */
+  async close() {}
+}
+
+/**
+ * Error for a write refused because the lease was taken since `token`.
+ * @param {number} token - Fencing token the write carried
+ * @returns {Error}
+ */
+export function staleLeaseError(token) {
+  return new Error(token < 0
+    ? 'Not written: this instance does not hold the leader lease'
+    : `Not written: the leader lease was taken by another instance since fencing token ${token}`);
+}
+
+/**
+ * Parse a stored state, checking its shape: the per-app map, or the legacy
+ * single-app `lastChangenumber`.
+ * @param {string|null} text
+ * @returns {object|null} Null when missing or unusable
+ */
+function parseState(text) {
+  if (!text) return null;
+
+  try {
+    const state = JSON.parse(text);
+    const isMap = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!isMap(state)) return null;
+    if (isMap(state.apps) && Object.values(state.apps).every(isMap)) return state;
+    return Number.isInteger(state.lastChangenumber) ? state : null;
+  } catch {
+    return null;
+  }
+}
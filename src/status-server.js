@@ -0,0 +1,267 @@
+/**
+ * StatusServer — Embedded HTTP API for runtime inspection.
+ *
+ * Endpoints (JSON unless noted):
+ *   GET  /health         Steam connection, last PICS activity, PICS stalls, apps
+ *                        missing an access token, last notification send
+ *   GET  /state          Last changenumber, public build and access per watched app
+ *   GET  /updates        Recent processed updates from the history store
+ *                        (?limit=, ?app=, ?branch=, ?since=)
+ *   GET  /outbox         Pending and dead-lettered messages
+ *   POST /outbox/replay  Retry dead-lettered messages (?id= for a single one)
+ *   GET  /metrics        Prometheus metrics (text exposition format)
+ *
+ * POST routes change the bot's state, so they need an
+ * `Authorization: Bearer <ADMIN_TOKEN>` header and are disabled without
+ * ADMIN_TOKEN. Everything else is read-only.
+ */
+
+import { createServer } from 'node:http';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { createLogger } from './logger.js';
+import { listUpdates } from './history-query.js';
+import { renderMetrics } from './metrics.js';
+import { WATCHED_APP_IDS, STATUS_HOST, STATUS_PORT, ADMIN_TOKEN } from '../config.js';
+
+const logger = createLogger('status-server');
+
+/** Default number of records returned by /updates */
+const DEFAULT_UPDATES_LIMIT = 20;
+
+export default class StatusServer {
+  /** @type {import('node:http').Server|null} */
+  #server = null;
+
+  /** Pipeline components inspected by the endpoints */
+  #monitor;
+  #processor;
+  #sinks;
+  #history;
+  #watchdog;
+  #election;
+
+  /** When the server was started, for uptime reporting */
+  #startedAt = new Date();
+
+  /**
+   * @param {object} components
+   * @param {import('./steam-monitor.js').default} components.monitor
+   * @param {import('./update-processor.js').default} components.processor
+   * @param {import('./sinks/sink-registry.js').default} components.sinks
+   * @param {import('./history-store.js').default} components.history
+   * @param {import('./watchdog.js').default} [components.watchdog]
+   * @param {import('./leader-election.js').default} [components.election] - With redundant instances
+   */
+  constructor({ monitor, processor, sinks, history, watchdog = null, election = null }) {
+    this.#monitor = monitor;
+    this.#processor = processor;
+    this.#sinks = sinks;
+    this.#history = history;
+    this.#watchdog = watchdog;
+    this.#election = election;
+  }
+
+  /**
+   * Start listening on STATUS_HOST:STATUS_PORT.
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.#server = createServer((req, res) => this.#handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.#server.once('error', reject);
+      this.#server.listen(STATUS_PORT, STATUS_HOST, () => {
+        this.#server.off('error', reject);
+        this.#server.on('error', (err) => logger.error(`Status server error: ${err.message}`));
+        logger.info(`Status API listening on http://${STATUS_HOST}:${this.port}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop the server and close open connections.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.#server) return Promise.resolve();
+
+    const server = this.#server;
+    this.#server = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  /** Port the server is bound to (useful when STATUS_PORT is 0) */
+  get port() {
+    return this.#server?.address()?.port ?? null;
+  }
+
+  // ── Routing ────────────────────────────────────────────────────────
+
+  /**
+   * Dispatch a request to its endpoint.
+   * @param {import('node:http').IncomingMessage} req
+   * @param {import('node:http').ServerResponse} res
+   */
+  #handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+
+    try {
+      if (url.pathname === '/outbox/replay') {
+        if (req.method !== 'POST') return this.#send(res, 405, { error: 'Method not allowed' });
+        if (!ADMIN_TOKEN) return this.#send(res, 403, { error: 'Set ADMIN_TOKEN to enable this endpoint' });
+        if (!isAdmin(req)) return this.#send(res, 401, { error: 'Unauthorized' });
+        return this.#send(res, 200, this.#replay(url.searchParams));
+      }
+
+      if (req.method !== 'GET') {
+        return this.#send(res, 405, { error: 'Method not allowed' });
+      }
+
+      switch (url.pathname) {
+        case '/health':
+          return this.#health(res);
+        case '/state':
+          return this.#send(res, 200, this.#state());
+        case '/updates':
+          return this.#send(res, 200, this.#updates(url.searchParams));
+        case '/outbox':
+          return this.#send(res, 200, this.#outbox());
+        case '/metrics':
+          res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+          return res.end(renderMetrics());
+        default:
+          return this.#send(res, 404, { error: 'Not found' });
+      }
+    } catch (err) {
+      logger.error(`Status API ${url.pathname} failed: ${err.message}`);
+      return this.#send(res, 500, { error: err.message });
+    }
+  }
+
+  /**
+   * Write a JSON response.
+   * @param {import('node:http').ServerResponse} res
+   * @param {number} status
+   * @param {object} body
+   */
+  #send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body, null, 2));
+  }
+
+  // ── Endpoints ──────────────────────────────────────────────────────
+
+  /**
+   * /health — 200 while connected to Steam, 503 otherwise. Reported as
+   * degraded while Steam withholds product info for lack of an access token
+   * or PICS changelists have stopped arriving.
+   * @param {import('node:http').ServerResponse} res
+   */
+  #health(res) {
+    const connected = this.#monitor.isConnected;
+    const lastActivity = this.#monitor.lastActivity;
+    const incompleteApps = this.#monitor.incompleteApps;
+    const picsStalled = this.#watchdog?.stalled ?? false;
+
+    let status = connected ? 'ok' : 'disconnected';
+    if (connected && (incompleteApps.length > 0 || picsStalled)) status = 'degraded';
+
+    this.#send(res, connected ? 200 : 503, {
+      status,
+      steam: {
+        connected,
+        lastActivity,
+        secondsSinceActivity: lastActivity
+          ? Math.round((Date.now() - lastActivity.getTime()) / 1000)
+          : null,
+        picsStalled,
+        incompleteApps,
+      },
+      notifications: {
+        sinks: this.#sinks.names,
+        lastSuccessfulSend: this.#sinks.lastSuccessfulSend,
+      },
+      leader: this.#election
+        ? { instance: this.#election.owner, isLeader: this.#election.isLeader, holder: this.#election.holder }
+        : null,
+      uptimeSeconds: Math.round((Date.now() - this.#startedAt.getTime()) / 1000),
+    });
+  }
+
+  /**
+   * /state — Last changenumber and public build of every watched app.
+   * @returns {object}
+   */
+  #state() {
+    const incomplete = new Set(this.#monitor.incompleteApps);
+
+    return {
+      apps: WATCHED_APP_IDS.map((appId) => ({
+        appId,
+        lastChangenumber: this.#processor.getLastChangenumber(appId),
+        buildId: this.#processor.getLastBuildId(appId),
+        missingToken: incomplete.has(appId),
+      })),
+    };
+  }
+
+  /**
+   * /updates — Recent processed updates, newest first.
+   * @param {URLSearchParams} params
+   * @returns {object}
+   */
+  #updates(params) {
+    const limit = Number(params.get('limit') ?? DEFAULT_UPDATES_LIMIT);
+    const since = params.get('since') ? new Date(params.get('since')) : undefined;
+
+    const updates = listUpdates(this.#history, {
+      appId: params.get('app') ? Number(params.get('app')) : undefined,
+      branch: params.get('branch') ?? undefined,
+      since: since && !Number.isNaN(since.getTime()) ? since : undefined,
+      limit: Number.isInteger(limit) && limit > 0 ? limit : DEFAULT_UPDATES_LIMIT,
+    });
+
+    return { count: updates.length, updates };
+  }
+
+  /**
+   * /outbox — Pending and dead-lettered messages, without target URLs or tokens.
+   * @returns {object}
+   */
+  #outbox() {
+    const describe = ({ webhookUrl, payload, ...entry }) => entry;
+    const queue = this.#sinks.queue;
+
+    return {
+      pending: queue.pending().map(describe),
+      deadLetters: queue.deadLetters().map(describe),
+    };
+  }
+
+  /**
+   * /outbox/replay — Move dead letters back into the queue.
+   * @param {URLSearchParams} params
+   * @returns {object}
+   */
+  #replay(params) {
+    return { replayed: this.#sinks.queue.replay(params.get('id') ?? undefined) };
+  }
+}
+
+/**
+ * Whether a request carries ADMIN_TOKEN as its bearer token. Both sides
+ * are hashed so the comparison takes the same time whatever the input.
+ * @param {import('node:http').IncomingMessage} req
+ * @returns {boolean}
+ */
+function isAdmin(req) {
+  const [scheme, token] = (req.headers.authorization ?? '').split(' ');
+  if (scheme?.toLowerCase() !== 'bearer' || !token) return false;
+
+  const digest = (value) => createHash('sha256').update(value).digest();
+  return timingSafeEqual(digest(token), digest(ADMIN_TOKEN));
+}
@@ -0,0 +1,132 @@
+/**
+ * Steam credentials — Refresh token storage and Steam Guard handling,
+ * shared by SteamMonitor and the `npm run login` command.
+ *
+ * Refresh tokens are stored in STEAM_TOKEN_FILE with owner-only
+ * permissions (0600). Steam Guard codes are generated from the mobile
+ * authenticator's shared secret (STEAM_SHARED_SECRET) when configured.
+ */
+
+import { readFileSync, writeFileSync, existsSync, chmodSync } from 'node:fs';
+import SteamTotp from 'steam-totp';
+import { createLogger } from './logger.js';
+import { STEAM_REFRESH_TOKEN, STEAM_TOKEN_FILE, STEAM_SHARED_SECRET } from '../config.js';
+
+const logger = createLogger('steam-credentials');
+
+/** Length of a Steam Guard TOTP window in ms */
+const TOTP_PERIOD = 30_000;
+
+/**
+ * @typedef {object} StoredToken
+ * @property {string} refreshToken
+ * @property {string|null} accountName
+ * @property {string} savedAt - ISO timestamp
+ */
+
+/**
+ * The refresh token to log in with: the stored one (kept current by
+ * renewals) or STEAM_REFRESH_TOKEN.
+ *
+ * @param {string} [file] - Token file (defaults to STEAM_TOKEN_FILE)
+ * @returns {string|null}
+ */
+export function loadRefreshToken(file = STEAM_TOKEN_FILE) {
+  try {
+    if (existsSync(file)) {
+      /** @type {StoredToken} */
+      const stored = JSON.parse(readFileSync(file, 'utf-8'));
+      if (stored.refreshToken) return stored.refreshToken;
+    }
+  } catch (err) {
+    logger.warn(`Failed to read Steam token file: ${err.message}`);
+  }
+  return STEAM_REFRESH_TOKEN || null;
+}
+
+/**
+ * Store a refresh token, readable by the owner only.
+ *
+ * @param {string} refreshToken
+ * @param {object} [options]
+ * @param {string|null} [options.accountName]
+ * @param {string} [options.file] - Token file (defaults to STEAM_TOKEN_FILE)
+ * @returns {boolean} Whether the token was written
+ */
+export function saveRefreshToken(refreshToken, { accountName = null, file = STEAM_TOKEN_FILE } = {}) {
+  /** @type {StoredToken} */
+  const stored = { refreshToken, accountName, savedAt: new Date().toISOString() };
+
+  try {
+    writeFileSync(file, JSON.stringify(stored, null, 2), { encoding: 'utf-8', mode: 0o600 });
+    // mode only applies to new files
+    chmodSync(file, 0o600);
+    return true;
+  } catch (err) {
+    logger.error(`Failed to save Steam refresh token: ${err.message}`);
+    return false;
+  }
+}
+
+/**
+ * Forget a stored refresh token (e.g. after Steam rejected it).
+ * @param {string} [file] - Token file (defaults to STEAM_TOKEN_FILE)
+ */
+export function clearRefreshToken(file = STEAM_TOKEN_FILE) {
+  try {
+    if (existsSync(file)) {
+      writeFileSync(file, JSON.stringify({ refreshToken: null, accountName: null, savedAt: new Date().toISOString() }, null, 2), 'utf-8');
+    }
+  } catch (err) {
+    logger.error(`Failed to clear Steam refresh token: ${err.message}`);
+  }
+}
+
+/**
+ * Build a listener for steam-user's `steamGuard` event.
+ *
+ * Authenticator codes come from the shared secret; a code rejected as
+ * wrong is retried in the next TOTP window. Codes the secret cannot
+ * produce (email codes, or no secret) are asked from `prompt`; without
+ * one, or when the prompt fails (e.g. stdin closed), `onUnavailable` is
+ * called so the caller can stop instead of waiting forever.
+ *
+ * @param {object} options
+ * @param {string} [options.sharedSecret] - Defaults to STEAM_SHARED_SECRET
+ * @param {(question: string) => Promise<string>} [options.prompt] - Interactive code input
+ * @param {(reason: string) => void} [options.onUnavailable] - No way to produce a code
+ * @returns {(domain: string|null, callback: (code: string) => void, lastCodeWrong: boolean) => void}
+ */
+export function createSteamGuardHandler({ sharedSecret = STEAM_SHARED_SECRET, prompt = null, onUnavailable = () => {} } = {}) {
+  return (domain, callback, lastCodeWrong) => {
+    // domain is set for email codes, null for the mobile authenticator
+    if (!domain && sharedSecret) {
+      if (!lastCodeWrong) {
+        logger.steam('Answering Steam Guard with an authenticator code');
+        callback(SteamTotp.generateAuthCode(sharedSecret));
+        return;
+      }
+
+      const wait = TOTP_PERIOD - (Date.now() % TOTP_PERIOD) + 1_000;
+      logger.warn(`Steam Guard code rejected — retrying with the next code in ${Math.ceil(wait / 1000)}s`);
+      setTimeout(() => callback(SteamTotp.generateAuthCode(sharedSecret)), wait);
+      return;
+    }
+
+    const question = domain
+      ? `Steam Guard code sent to your email at ${domain}: `
+      : 'Steam Guard code from your mobile authenticator: ';
+
+    if (prompt) {
+      if (lastCodeWrong) logger.warn('That Steam Guard code was wrong — try again');
+      prompt(question)
+        .then((code) => callback(code.trim()))
+        .catch((err) => onUnavailable(`Could not read the Steam Guard code: ${err.message}`));
+      return;
+    }
+
+    onUnavailable(domain
+      ? `Steam Guard sent an email code to ${domain}`
+      : 'Steam Guard requires an authenticator code and STEAM_SHARED_SECRET is not set');
+  };
+}
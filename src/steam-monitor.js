@@ -1,22 +1,64 @@
 /**
  * SteamMonitor — Connects to the Steam network via PICS protocol and
- * emits events when Dota 2 (AppID 570) receives an update.
+ * emits events when any watched app (Dota 2 by default) receives an update.
  *
  * Uses steam-user with enablePicsCache for real-time changelist monitoring.
- * Supports both anonymous and credential-based login.
+ * Supports anonymous, refresh-token (see `npm run login`) and password
+ * login. Steam Guard is answered from STEAM_SHARED_SECRET; renewed refresh
+ * tokens are saved automatically.
+ *
+ * Apps whose product info comes back with `missingToken` are retried with
+ * a PICS access token from getProductAccessToken; granted tokens are
+ * cached for later requests. Apps Steam still withholds data for are
+ * reported through `incompleteApps`.
+ *
+ * After every login the persisted changenumbers are compared with PICS
+ * (getProductChanges), so changelists that landed while the bot was down
+ * or reconnecting are reported as one `missedUpdates` event instead of
+ * being skipped. PICS only reports the latest changelist of each app, so
+ * several missed changelists of one app arrive as a single change.
+ *
+ * relogin() logs off and back on without a disconnect; the Watchdog uses
+ * it when PICS changelists stop arriving on a connection that looks fine.
+ *
+ * Events:
+ *   ready                                   PICS cache primed after login
+ *   disconnected {reason}                   Lost the Steam connection (or login failed)
+ *   changelist  {changenumber, apps}        A changelist touched watched apps
+ *   productInfo {apps}                      Product info fetched for watched apps
+ *   appUpdate   {appid, data, changenumber, timestamp}
+ *   missedUpdates {since, changenumber, changes, timestamp}
+ *                                           Watched apps changed while offline
  */
 
 import { EventEmitter } from 'node:events';
 import SteamUser from 'steam-user';
-import logger from './logger.js';
+import { createLogger } from './logger.js';
+import { changelistsSeen, lastChangelistTime, reconnectAttempts, steamConnected } from './metrics.js';
 import {
-  DOTA2_APP_ID,
+  loadRefreshToken,
+  saveRefreshToken,
+  clearRefreshToken,
+  createSteamGuardHandler,
+} from './steam-credentials.js';
+import {
+  WATCHED_APP_IDS,
   STEAM_ANONYMOUS,
   STEAM_USERNAME,
   STEAM_PASSWORD,
   CHANGELIST_UPDATE_INTERVAL,
 } from '../config.js';
 
+const logger = createLogger('steam-monitor');
+
+/** Log-on results that mean the refresh token is no longer usable */
+const TOKEN_REJECTED = new Set([
+  SteamUser.EResult.AccessDenied,
+  SteamUser.EResult.InvalidPassword,
+  SteamUser.EResult.Expired,
+  SteamUser.EResult.Revoked,
+]);
+
 export default class SteamMonitor extends EventEmitter {
   /** @type {SteamUser} */
   #client;
@@ -24,21 +66,56 @@ export default class SteamMonitor extends EventEmitter {
   /** Whether the monitor is currently connected */
   #connected = false;
 
+  /** Watched app IDs for fast lookup in PICS handlers */
+  #watched = new Set(WATCHED_APP_IDS);
+
+  /** @type {Date|null} When the last PICS changelist (any app) arrived */
+  #lastActivity = null;
+
   /** Reconnect attempt counter for exponential backoff */
   #reconnectAttempts = 0;
 
+  /** Whether the current log-on uses a refresh token */
+  #usingToken = false;
+
+  /** Set once Steam rejected the refresh token — fall back to the password */
+  #tokenRejected = false;
+
+  /** @type {string|null} Why logging in cannot succeed without intervention */
+  #loginBlocked = null;
+
+  /** Whether a relogin() is in progress — steam-user logs back on by itself */
+  #relogging = false;
+
+  /** @type {Map<number, string>} PICS access tokens granted per app */
+  #accessTokens = new Map();
+
+  /** @type {Set<number>} Watched apps whose last product info was missing an access token */
+  #incompleteApps = new Set();
+
+  /** @type {(appid: number) => number|null} Persisted changenumber of an app */
+  #lastChangenumber;
+
   /** Maximum reconnect delay in ms (5 minutes) */
   static MAX_RECONNECT_DELAY = 300_000;
 
   /** Base reconnect delay in ms */
   static BASE_RECONNECT_DELAY = 5_000;
 
-  constructor() {
+  /**
+   * @param {object} [options]
+   * @param {(appid: number) => number|null} [options.lastChangenumber] - Last processed
+   *   changenumber of an app; enables catching up on changelists missed while offline
+   */
+  constructor({ lastChangenumber = () => null } = {}) {
     super();
+    this.#lastChangenumber = lastChangenumber;
+    steamConnected.set(0);
     this.#client = new SteamUser({
       enablePicsCache: true,
       changelistUpdateInterval: CHANGELIST_UPDATE_INTERVAL,
       autoRelogin: true,
+      renewRefreshTokens: true,
     });
 
     this.#setupEventHandlers();
@@ -52,19 +129,23 @@ export default class SteamMonitor extends EventEmitter {
 
     this.#client.on('loggedOn', () => {
       this.#connected = true;
+      this.#relogging = false;
       this.#reconnectAttempts = 0;
+      steamConnected.set(1);
       logger.steam('Logged into Steam successfully');
       logger.steam(
         STEAM_ANONYMOUS
           ? 'Running in anonymous mode'
-          : `Logged in as: ${STEAM_USERNAME}`
+          : `Logged in as: ${STEAM_USERNAME || this.#client.steamID?.getSteamID64()}${this.#usingToken ? ' (refresh token)' : ''}`
       );
 
-      // Prime the PICS cache by requesting Dota 2 info on every login
-      logger.steam('Priming PICS cache with Dota 2 app info...');
-      this.#client.getProductInfo([DOTA2_APP_ID], [], true).then(() => {
-        logger.steam(`PICS cache primed — monitoring Dota 2 (AppID ${DOTA2_APP_ID}) for updates`);
+      // Prime the PICS cache by requesting watched app info on every login
+      logger.steam('Priming PICS cache with watched app info...');
+      this.#requestProductInfo(WATCHED_APP_IDS).then((result) => {
+        this.emit('productInfo', { apps: result.apps });
+        logger.steam(`PICS cache primed — monitoring AppID(s) ${WATCHED_APP_IDS.join(', ')} for updates`);
         this.emit('ready');
+        this.#catchUp(result.apps).catch((err) => logger.error(`Catch-up after login failed: ${err.message}`));
       }).catch((err) => {
         logger.error(`Failed to prime PICS cache: ${err.message}`);
         // Still emit ready — we can monitor without a primed cache
@@ -74,27 +155,58 @@ export default class SteamMonitor extends EventEmitter {
 
     this.#client.on('error', (err) => {
       this.#connected = false;
+      this.#relogging = false;
+      steamConnected.set(0);
       logger.error(`Steam client error: ${err.message}`);
+      this.emit('disconnected', { reason: err.message });
+
+      if (this.#usingToken && TOKEN_REJECTED.has(err.eresult)) {
+        this.#tokenRejected = true;
+        clearRefreshToken();
+        if (STEAM_USERNAME && STEAM_PASSWORD) {
+          logger.warn('Steam rejected the refresh token — falling back to password login');
+        } else {
+          this.#blockLogin('Steam rejected the refresh token — run `npm run login` to get a new one');
+          return;
+        }
+      }
+
       this.#scheduleReconnect();
     });
 
+    // ── Credentials ────────────────────────────────────────────────
+
+    // Issued on password login and whenever steam-user renews the token
+    this.#client.on('refreshToken', (refreshToken) => {
+      if (saveRefreshToken(refreshToken, { accountName: STEAM_USERNAME || null })) {
+        logger.steam('Steam refresh token saved');
+      }
+    });
+
+    this.#client.on('steamGuard', createSteamGuardHandler({
+      onUnavailable: (reason) => this.#blockLogin(`${reason} — run \`npm run login\` once to store a refresh token`),
+    }));
+
     this.#client.on('disconnected', (eresult, msg) => {
       this.#connected = false;
+      steamConnected.set(0);
       logger.warn(`Disconnected from Steam (EResult ${eresult}): ${msg || 'unknown reason'}`);
-      this.#scheduleReconnect();
+      this.emit('disconnected', { reason: msg || `EResult ${eresult}` });
+      if (!this.#loginBlocked && !this.#relogging) this.#scheduleReconnect();
     });
 
     // ── PICS events ────────────────────────────────────────────────
 
     /**
      * Fired when an app already in the PICS cache changes.
-     * We filter for Dota 2 and emit our own event with structured data.
+     * We filter for watched apps and emit our own event with structured data.
      */
     this.#client.on('appUpdate', (appid, data) => {
-      if (appid !== DOTA2_APP_ID) return;
+      if (!this.#watched.has(appid)) return;
 
-      logger.info(`Dota 2 app update detected (AppID ${appid})`);
-      this.emit('dota2Update', {
+      logger.info(`App update detected (AppID ${appid})`);
+      this.#trackAccess(appid, data);
+      this.emit('appUpdate', {
         appid,
         data,
         changenumber: data.changenumber ?? null,
@@ -104,34 +216,44 @@ export default class SteamMonitor extends EventEmitter {
 
     /**
      * Fired when a new changelist is received.
-     * We check if Dota 2 is in the changed apps list.
+     * We check if any watched app is in the changed apps list.
      */
     this.#client.on('changelist', (changenumber, apps, packages) => {
-      if (!apps.includes(DOTA2_APP_ID)) return;
+      this.#lastActivity = new Date();
+      changelistsSeen.inc();
+      lastChangelistTime.set(Math.floor(this.#lastActivity.getTime() / 1000));
+
+      const changed = apps.filter((appid) => this.#watched.has(appid));
+      if (changed.length === 0) return;
 
-      logger.info(`Changelist #${changenumber} includes Dota 2`);
+      logger.info(`Changelist #${changenumber} includes AppID(s) ${changed.join(', ')}`);
+      this.emit('changelist', { changenumber, apps: changed });
 
       // The appUpdate event will fire separately with full data,
       // but we can also request fresh product info immediately.
-      this.#fetchProductInfo(changenumber);
+      this.#fetchProductInfo(changed, changenumber);
     });
   }
 
   /**
-   * Fetch full product info for Dota 2 from Steam.
-   * Called when a changelist includes our app but appUpdate hasn't
+   * Fetch full product info for the given watched apps from Steam.
+   * Called when a changelist includes our apps but appUpdate hasn't
    * fired yet, or to enrich data from the changelist event.
+   * @param {number[]} appids
    * @param {number} changenumber
    */
-  async #fetchProductInfo(changenumber) {
+  async #fetchProductInfo(appids, changenumber) {
     try {
-      const result = await this.#client.getProductInfo([DOTA2_APP_ID], [], true);
-      const appData = result.apps[DOTA2_APP_ID];
+      const result = await this.#requestProductInfo(appids);
+      this.emit('productInfo', { apps: result.apps });
 
-      if (appData) {
-        logger.debug(`Got product info for Dota 2 (changenumber: ${appData.changenumber})`);
-        this.emit('dota2Update', {
-          appid: DOTA2_APP_ID,
+      for (const appid of appids) {
+        const appData = result.apps[appid];
+        if (!appData) continue;
+
+        logger.debug(`Got product info for AppID ${appid} (changenumber: ${appData.changenumber})`);
+        this.emit('appUpdate', {
+          appid,
           data: appData,
           changenumber: appData.changenumber ?? changenumber,
           timestamp: new Date(),
@@ -142,6 +264,162 @@ export default class SteamMonitor extends EventEmitter {
     }
   }
 
+  // ── Catch-up ───────────────────────────────────────────────────────
+
+  /**
+   * Look for changelists missed since the persisted changenumbers now,
+   * rather than at the next login — e.g. after taking over notifications
+   * from another instance. Reported as `missedUpdates` like at login.
+   * @returns {Promise<void>}
+   */
+  async catchUp() {
+    if (!this.#connected) return; // The next login catches up
+
+    const result = await this.#requestProductInfo(WATCHED_APP_IDS);
+    await this.#catchUp(result.apps);
+  }
+
+  /**
+   * Report watched apps that changed since their persisted changenumber —
+   * changelists that arrived while the bot was down or reconnecting, and
+   * which steam-user's cache will never emit as appUpdate.
+   *
+   * @param {Object<string, object>} apps - Product info fetched on login
+   */
+  async #catchUp(apps) {
+    const known = new Map();
+    for (const appid of WATCHED_APP_IDS) {
+      const changenumber = this.#lastChangenumber(appid);
+      if (changenumber != null) known.set(appid, changenumber);
+    }
+    if (known.size === 0) return; // First run — nothing to catch up on
+
+    const since = Math.min(...known.values());
+    let current = null;
+    const latest = new Map();
+
+    try {
+      const { currentChangeNumber, appChanges } = await this.#client.getProductChanges(since);
+      current = currentChangeNumber;
+      for (const change of appChanges ?? []) {
+        if (known.has(change.appid)) latest.set(change.appid, change.change_number);
+      }
+    } catch (err) {
+      logger.warn(`Failed to query changes since changelist #${since}: ${err.message}`);
+    }
+
+    // Steam omits per-app changes when `since` is too old; the fresh
+    // product info still tells whether the app moved
+    for (const [appid] of known) {
+      const changenumber = apps[appid]?.changenumber;
+      if (!latest.has(appid) && changenumber) latest.set(appid, changenumber);
+    }
+
+    const changes = [...known]
+      .filter(([appid, last]) => latest.get(appid) > last && apps[appid])
+      .map(([appid, last]) => ({
+        appid,
+        lastChangenumber: last,
+        changenumber: latest.get(appid),
+        data: apps[appid],
+      }));
+
+    if (changes.length === 0) {
+      logger.steam(`No changelists missed since #${since}`);
+      return;
+    }
+
+    logger.warn(`Missed ${changes.length} app change(s) while offline: ${changes
+      .map((c) => `AppID ${c.appid} #${c.lastChangenumber} → #${c.changenumber}`)
+      .join(', ')}`);
+
+    this.emit('missedUpdates', {
+      since,
+      changenumber: current ?? Math.max(...changes.map((c) => c.changenumber)),
+      changes,
+      timestamp: new Date(),
+    });
+  }
+
+  // ── Access tokens ──────────────────────────────────────────────────
+
+  /**
+   * Request product info with the cached access tokens. Apps that still
+   * come back with `missingToken` get a fresh token and are requested
+   * once more.
+   *
+   * @param {number[]} appids
+   * @returns {Promise<object>} getProductInfo result
+   */
+  async #requestProductInfo(appids) {
+    const result = await this.#client.getProductInfo(appids.map((appid) => this.#withToken(appid)), [], false);
+
+    const missing = appids.filter((appid) => result.apps[appid]?.missingToken);
+    if (missing.length > 0) {
+      const granted = await this.#requestAccessTokens(missing);
+      if (granted.length > 0) {
+        const retry = await this.#client.getProductInfo(granted.map((appid) => this.#withToken(appid)), [], false);
+        Object.assign(result.apps, retry.apps);
+      }
+    }
+
+    for (const appid of appids) {
+      if (result.apps[appid]) this.#trackAccess(appid, result.apps[appid]);
+    }
+    return result;
+  }
+
+  /**
+   * Ask Steam for PICS access tokens and cache the granted ones.
+   * @param {number[]} appids
+   * @returns {Promise<number[]>} Apps a token was granted for
+   */
+  async #requestAccessTokens(appids) {
+    try {
+      const { appTokens, appDeniedTokens } = await this.#client.getProductAccessToken(appids, []);
+
+      for (const [appid, token] of Object.entries(appTokens)) {
+        this.#accessTokens.set(Number(appid), token);
+      }
+      if (appDeniedTokens.length > 0) {
+        logger.debug(`PICS access token denied for AppID(s) ${appDeniedTokens.join(', ')}`);
+      }
+
+      return Object.keys(appTokens).map(Number);
+    } catch (err) {
+      logger.warn(`Failed to request PICS access tokens: ${err.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * App entry for getProductInfo, with its access token when one is cached.
+   * @param {number} appid
+   * @returns {{appid: number, access_token?: string}}
+   */
+  #withToken(appid) {
+    const token = this.#accessTokens.get(appid);
+    return token ? { appid, access_token: token } : { appid };
+  }
+
+  /**
+   * Note whether an app's product info is complete, logging when that changes.
+   * @param {number} appid
+   * @param {object} data - PICS product info
+   */
+  #trackAccess(appid, data) {
+    if (data?.missingToken) {
+      if (this.#incompleteApps.has(appid)) return;
+      this.#incompleteApps.add(appid);
+      logger.warn(
+        `Product info for AppID ${appid} is incomplete — Steam withholds it without an access token. ` +
+        `Build, branch and depot details will be reported as unknown${STEAM_ANONYMOUS ? ' (log in with an account that owns the app)' : ''}`
+      );
+    } else if (this.#incompleteApps.delete(appid)) {
+      logger.steam(`Product info for AppID ${appid} is complete again`);
+    }
+  }
+
   /**
    * Schedule a reconnection with exponential backoff.
    */
@@ -151,6 +429,7 @@ export default class SteamMonitor extends EventEmitter {
       SteamMonitor.MAX_RECONNECT_DELAY
     );
     this.#reconnectAttempts++;
+    reconnectAttempts.inc();
 
     logger.warn(`Reconnecting in ${(delay / 1000).toFixed(0)}s (attempt ${this.#reconnectAttempts})...`);
 
@@ -162,20 +441,63 @@ export default class SteamMonitor extends EventEmitter {
     }, delay);
   }
 
+  /**
+   * Stop logging in until the operator fixes the credentials, instead of
+   * waiting on a Steam Guard prompt nobody can answer.
+   * @param {string} reason
+   */
+  #blockLogin(reason) {
+    this.#loginBlocked = reason;
+    logger.error(`Steam login stopped: ${reason}`);
+    this.#client.logOff();
+  }
+
   /**
    * Connect to the Steam network.
-   * Uses anonymous login unless credentials are provided.
+   * Prefers a stored refresh token, then username and password, and
+   * falls back to anonymous login.
    */
   connect() {
+    if (this.#loginBlocked) {
+      logger.error(`Not connecting to Steam: ${this.#loginBlocked}`);
+      return;
+    }
+
     logger.steam('Connecting to Steam network...');
 
-    if (STEAM_ANONYMOUS) {
-      this.#client.logOn({ anonymous: true });
-    } else {
+    const refreshToken = this.#tokenRejected ? null : loadRefreshToken();
+    this.#usingToken = Boolean(refreshToken);
+
+    if (refreshToken) {
+      this.#client.logOn({ refreshToken });
+    } else if (STEAM_USERNAME && STEAM_PASSWORD) {
       this.#client.logOn({
         accountName: STEAM_USERNAME,
         password: STEAM_PASSWORD,
       });
+    } else {
+      this.#client.logOn({ anonymous: true });
+    }
+  }
+
+  /**
+   * Log off and back on. The login re-primes the PICS cache and catches
+   * up on changelists missed in between, like any other login.
+   * @param {string} reason - Logged with the relogin
+   */
+  relogin(reason) {
+    if (this.#loginBlocked) return;
+    logger.warn(`Relogging into Steam: ${reason}`);
+
+    try {
+      this.#relogging = true;
+      this.#client.relog();
+    } catch (err) {
+      // A login steam-user cannot repeat on its own: log off, and the
+      // 'disconnected' handler schedules the reconnect
+      this.#relogging = false;
+      logger.debug(`relog() unavailable (${err.message}) — reconnecting instead`);
+      this.#client.logOff();
     }
   }
 
@@ -186,6 +508,37 @@ export default class SteamMonitor extends EventEmitter {
     logger.steam('Disconnecting from Steam...');
     this.#client.logOff();
     this.#connected = false;
+    steamConnected.set(0);
+  }
+
+  // ── Depot content ──────────────────────────────────────────────────
+
+  /**
+   * Download and parse a depot manifest. Requires a logged-in account
+   * that owns the depot.
+   *
+   * @param {number} appid
+   * @param {string|number} depotId
+   * @param {string} manifestId
+   * @param {string} [branch='public']
+   * @returns {Promise<object>} Parsed manifest with its `files`
+   */
+  async getManifest(appid, depotId, manifestId, branch = 'public') {
+    const { manifest } = await this.#client.getManifest(appid, Number(depotId), manifestId, branch);
+    return manifest;
+  }
+
+  /**
+   * Download and decompress a single depot chunk.
+   *
+   * @param {number} appid
+   * @param {string|number} depotId
+   * @param {string} sha - Chunk SHA-1 from a manifest file entry
+   * @returns {Promise<Buffer>}
+   */
+  async downloadChunk(appid, depotId, sha) {
+    const { chunk } = await this.#client.downloadChunk(appid, Number(depotId), sha);
+    return chunk;
   }
 
   /** Whether we're currently connected to Steam */
@@ -193,6 +546,21 @@ export default class SteamMonitor extends EventEmitter {
     return this.#connected;
   }
 
+  /** Why logging into Steam was stopped (e.g. rejected refresh token), or null */
+  get loginBlocked() {
+    return this.#loginBlocked;
+  }
+
+  /** When the last PICS changelist was received, from any app */
+  get lastActivity() {
+    return this.#lastActivity;
+  }
+
+  /** Watched apps whose last product info was missing an access token */
+  get incompleteApps() {
+    return [...this.#incompleteApps];
+  }
+
   /** Access the underlying PICS cache */
   get picsCache() {
     return this.#client.picsCache;
@@ -0,0 +1,166 @@
+/**
+ * SubscriptionStore — Channels that receive update notifications from the
+ * gateway bot, managed through `/dota subscribe` and `/dota unsubscribe`.
+ *
+ * Persisted so subscriptions survive restarts independently of the
+ * DISCORD_WEBHOOK_URLS env var: to a local JSON file, or to the
+ * `subscriptions` document of the state backend, where an instance taking
+ * over as leader finds the channels subscribed on the previous one.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { createLogger } from './logger.js';
+import { SUBSCRIPTIONS_FILE } from '../config.js';
+
+const logger = createLogger('subscription-store');
+
+/**
+ * @typedef {object} Subscription
+ * @property {string} guildId
+ * @property {string} channelId
+ * @property {string|null} branch - Only updates moving this branch; null = every notified update
+ * @property {string} createdAt - ISO timestamp
+ */
+
+export default class SubscriptionStore {
+  /** @type {Subscription[]} */
+  #subscriptions = [];
+
+  /** @type {string} */
+  #file;
+
+  /** @type {import('./state/state-backend.js').default|null} Holds the subscriptions instead of the file */
+  #backend;
+
+  /** @type {Promise<void>} Tail of the backend write chain */
+  #writing = Promise.resolve();
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - JSON file path (defaults to SUBSCRIPTIONS_FILE)
+   * @param {import('./state/state-backend.js').default} [options.backend] - Keep the subscriptions there (read by load())
+   */
+  constructor({ file = SUBSCRIPTIONS_FILE, backend = null } = {}) {
+    this.#file = file;
+    this.#backend = backend;
+
+    if (!backend) {
+      try {
+        if (existsSync(file)) {
+          this.#subscriptions = JSON.parse(readFileSync(file, 'utf-8'));
+          logger.info(`Loaded ${this.#subscriptions.length} channel subscription(s)`);
+        }
+      } catch (err) {
+        logger.warn(`Failed to load subscriptions file: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Replace the subscriptions with the stored ones, e.g. those made on the
+   * previous leader. Subscriptions never stored in the backend are taken
+   * over from the subscriptions file.
+   * @returns {Promise<void>}
+   * @throws {Error} If the backend cannot be read
+   */
+  async load() {
+    let text = null;
+    if (this.#backend) {
+      text = await this.#backend.readDocument('subscriptions');
+    }
+    if (text === null && existsSync(this.#file)) {
+      text = readFileSync(this.#file, 'utf-8');
+    }
+    this.#subscriptions = text ? JSON.parse(text) : [];
+  }
+
+  /**
+   * Write subscriptions to disk or the backend.
+   */
+  #save() {
+    const text = JSON.stringify(this.#subscriptions, null, 2);
+
+    if (!this.#backend) {
+      try {
+        writeFileSync(this.#file, text, 'utf-8');
+      } catch (err) {
+        logger.error(`Failed to save subscriptions: ${err.message}`);
+      }
+      return;
+    }
+
+    this.#writing = this.#writing
+      .then(() => this.#backend.writeDocument('subscriptions', text))
+      .catch((err) => logger.error(`Failed to save subscriptions: ${err.message}`));
+  }
+
+  /**
+   * Wait for writes to the backend.
+   * @returns {Promise<void>}
+   */
+  flush() {
+    return this.#writing;
+  }
+
+  /**
+   * Subscribe a channel, optionally to a single branch.
+   *
+   * @param {string} guildId
+   * @param {string} channelId
+   * @param {string|null} [branch]
+   * @returns {boolean} False if the channel already had this subscription
+   */
+  add(guildId, channelId, branch = null) {
+    const exists = this.#subscriptions.some((s) => s.channelId === channelId && s.branch === branch);
+    if (exists) return false;
+
+    this.#subscriptions.push({ guildId, channelId, branch, createdAt: new Date().toISOString() });
+    this.#save();
+    logger.info(`Channel ${channelId} subscribed${branch ? ` to branch ${branch}` : ''}`);
+    return true;
+  }
+
+  /**
+   * Remove a channel's subscriptions.
+   *
+   * @param {string} channelId
+   * @param {string|null} [branch] - Only this branch; every subscription of the channel if omitted
+   * @returns {number} Number of subscriptions removed
+   */
+  remove(channelId, branch) {
+    const before = this.#subscriptions.length;
+    this.#subscriptions = this.#subscriptions.filter((s) =>
+      s.channelId !== channelId || (branch !== undefined && s.branch !== branch)
+    );
+
+    const removed = before - this.#subscriptions.length;
+    if (removed > 0) {
+      this.#save();
+      logger.info(`Channel ${channelId} unsubscribed (${removed} subscription(s) removed)`);
+    }
+    return removed;
+  }
+
+  /**
+   * Channel IDs that should receive an update. Branch subscriptions only
+   * match updates that moved their branch; channels subscribed to
+   * everything follow the same alert rules as the webhooks.
+   *
+   * @param {object} update - Processed update data
+   * @param {object} [options]
+   * @param {boolean} [options.alert=true] - Whether the update passes the webhook alert rules
+   * @returns {string[]}
+   */
+  channelsFor(update, { alert = true } = {}) {
+    const moved = new Set((update.changedBranches ?? []).map((b) => b.name));
+    const channels = this.#subscriptions
+      .filter((s) => (s.branch === null ? alert : moved.has(s.branch)))
+      .map((s) => s.channelId);
+    return [...new Set(channels)];
+  }
+
+  /** @returns {Subscription[]} */
+  all() {
+    return [...this.#subscriptions];
+  }
+}
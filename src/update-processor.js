@@ -1,81 +1,199 @@
 /**
  * UpdateProcessor — Extracts meaningful fields from raw PICS update data,
- * manages state persistence, and deduplicates notifications.
+ * classifies each changelist, manages state persistence, and deduplicates
+ * notifications.
+ *
+ * The same changelist often arrives twice: first from the thin `appUpdate`
+ * payload, then from the full product info fetch. A repeat of the last
+ * changelist is diffed again against the state from before it and passed
+ * on as a revision (`revision` > 0) only when it carries more detail.
+ *
+ * The state is kept by the StateBackend selected with STATE_BACKEND (a
+ * JSON file by default) and written after every processed update.
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
-import logger from './logger.js';
-import { STATE_FILE, DOTA2_APP_ID } from '../config.js';
+import { createLogger } from './logger.js';
+import { createStateBackend } from './state/backends.js';
+import { diffAppInfo, countBySection, isEmptyDiff } from './appinfo-diff.js';
+import { classifyChange, hiddenBranchNames } from './release-class.js';
+import { updatesDetected, duplicatesSkipped } from './metrics.js';
+import { DOTA2_APP_ID, getAppConfig } from '../config.js';
+
+const logger = createLogger('update-processor');
+
+/** Keys under appinfo.depots that are not depot IDs */
+const NON_DEPOT_KEYS = new Set(['branches', 'maxsize', 'depotfromapp', 'baselanguages', 'overridescddb', 'hasdepotsindlc', 'workshopdepot']);
+
+/**
+ * @typedef {object} AppState
+ * @property {number|null} lastChangenumber - Last processed changenumber
+ * @property {Object<string, DepotSnapshot>|null} depots - Manifest snapshot from the last processed update
+ * @property {object|null} appinfo - Full appinfo tree from the last processed update
+ * @property {Object<string, {buildId: string|null, timeUpdated: number|null}>|null} branches - Branch builds from the last processed update
+ * @property {Baseline|null} baseline - Snapshots from before lastChangenumber, to diff revisions against
+ * @property {number} detail - Detail score of the last processed update
+ * @property {number} revision - Revision of the last processed update
+ */
+
+/**
+ * @typedef {object} Baseline
+ * @property {Object<string, DepotSnapshot>|null} depots
+ * @property {object|null} appinfo
+ * @property {Object<string, {buildId: string|null, timeUpdated: number|null}>|null} branches
+ */
+
+/**
+ * @typedef {object} DepotSnapshot
+ * @property {string|null} name
+ * @property {Object<string, {gid: string|null, size: number|null, download: number|null}>} manifests - Keyed by branch
+ */
 
 export default class UpdateProcessor {
-  /** @type {number|null} Last processed changenumber */
-  #lastChangenumber = null;
+  /** @type {Map<number, AppState>} Persisted state per app */
+  #apps = new Map();
+
+  /** @type {import('./state/state-backend.js').default} */
+  #backend;
 
-  constructor() {
-    this.#loadState();
+  /** @type {Promise<void>} Pending state writes */
+  #saving = Promise.resolve();
+
+  /**
+   * Call load() before processing updates.
+   * @param {object} [options]
+   * @param {import('./state/state-backend.js').default} [options.backend] - Where the state is kept (defaults to STATE_BACKEND)
+   */
+  constructor({ backend = createStateBackend() } = {}) {
+    this.#backend = backend;
   }
 
   // ── State Persistence ──────────────────────────────────────────────
 
   /**
-   * Load the last known changenumber from state.json.
+   * Load the per-app state from the backend.
+   * Legacy single-app state is read as Dota 2 state.
+   * @returns {Promise<void>}
+   * @throws {Error} If the stored state and its backup are unusable or the backend is unreachable
    */
-  #loadState() {
-    try {
-      if (existsSync(STATE_FILE)) {
-        const raw = readFileSync(STATE_FILE, 'utf-8');
-        const state = JSON.parse(raw);
-        this.#lastChangenumber = state.lastChangenumber ?? null;
-        logger.info(`Loaded state: last changenumber = ${this.#lastChangenumber}`);
-      } else {
-        logger.info('No previous state found — will process all incoming updates');
+  async load() {
+    const state = await this.#backend.load();
+    this.#apps.clear();
+
+    if (!state) {
+      logger.info(`No previous state found in ${this.#backend.location} — will process all incoming updates`);
+      return;
+    }
+
+    if (state.apps) {
+      for (const [appid, appState] of Object.entries(state.apps)) {
+        this.#apps.set(Number(appid), {
+          lastChangenumber: appState.lastChangenumber ?? null,
+          depots: appState.depots ?? null,
+          appinfo: appState.appinfo ?? null,
+          branches: appState.branches ?? null,
+          baseline: appState.baseline ?? null,
+          detail: appState.detail ?? 0,
+          revision: appState.revision ?? 0,
+        });
       }
-    } catch (err) {
-      logger.warn(`Failed to load state file: ${err.message}`);
-      this.#lastChangenumber = null;
+    } else {
+      this.#apps.set(state.appId ?? DOTA2_APP_ID, {
+        lastChangenumber: state.lastChangenumber,
+        depots: null,
+        appinfo: null,
+        branches: null,
+        baseline: null,
+        detail: 0,
+        revision: 0,
+      });
+    }
+
+    for (const [appid, appState] of this.#apps) {
+      logger.info(`Loaded state: AppID ${appid} last changenumber = ${appState.lastChangenumber}`);
     }
   }
 
   /**
-   * Save the current changenumber to state.json.
-   * @param {number} changenumber
+   * Save the state of every app. The write runs in the background; flush()
+   * waits for it.
    */
-  #saveState(changenumber) {
-    try {
-      const state = {
-        lastChangenumber: changenumber,
-        lastUpdated: new Date().toISOString(),
-        appId: DOTA2_APP_ID,
-      };
-      writeFileSync(STATE_FILE, JSON.stringify(state, null, 2), 'utf-8');
-      logger.debug(`State saved: changenumber = ${changenumber}`);
-    } catch (err) {
-      logger.error(`Failed to save state: ${err.message}`);
+  #saveState() {
+    const state = {
+      apps: Object.fromEntries(this.#apps),
+      lastUpdated: new Date().toISOString(),
+    };
+
+    this.#saving = this.#backend.save(state)
+      .then(() => logger.debug(`State saved for ${this.#apps.size} app(s)`))
+      .catch((err) => logger.error(`Failed to save state to ${this.#backend.location}: ${err.message}`));
+  }
+
+  /**
+   * Wait until every state change so far is written.
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    await this.#saving;
+  }
+
+  /**
+   * Write pending state and release the backend.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    await this.flush();
+    await this.#backend.close();
+  }
+
+  /**
+   * Get (or lazily create) the state record of an app.
+   * @param {number} appid
+   * @returns {AppState}
+   */
+  #stateFor(appid) {
+    if (!this.#apps.has(appid)) {
+      this.#apps.set(appid, { lastChangenumber: null, depots: null, appinfo: null, branches: null, baseline: null, detail: 0, revision: 0 });
     }
+    return this.#apps.get(appid);
   }
 
   // ── Update Processing ──────────────────────────────────────────────
 
   /**
    * Process a raw PICS update event. Returns null if the update
-   * is a duplicate (already processed).
+   * is a duplicate (already processed, and no richer than before).
    *
    * @param {object} updateEvent - The raw event from SteamMonitor
    * @param {number} updateEvent.appid
    * @param {object} updateEvent.data - PICS product info
    * @param {number|null} updateEvent.changenumber
    * @param {Date} updateEvent.timestamp
+   * @param {number} [updateEvent.missedSince] - Last changenumber seen before the bot went offline
    * @returns {object|null} Processed update data, or null if duplicate
    */
   process(updateEvent) {
-    const { data, changenumber, timestamp } = updateEvent;
+    const { appid = DOTA2_APP_ID, data, changenumber, timestamp, missedSince = null } = updateEvent;
+    const appState = this.#stateFor(appid);
+    const lastChangenumber = appState.lastChangenumber;
+    const log = logger.child({ appId: appid, changenumber });
 
     // ── Deduplication ────────────────────────────────────────────
-    if (changenumber && this.#lastChangenumber !== null) {
-      if (changenumber <= this.#lastChangenumber) {
-        logger.debug(`Skipping duplicate changenumber ${changenumber} (last: ${this.#lastChangenumber})`);
+    // A repeat of the last changelist is compared against the state
+    // from before it, so it can be passed on as a richer revision
+    /** @type {Baseline} */
+    let base = appState;
+    let revision = 0;
+    if (changenumber && lastChangenumber !== null) {
+      const repeat = changenumber === lastChangenumber && appState.baseline;
+      if (changenumber < lastChangenumber || (changenumber === lastChangenumber && !repeat)) {
+        log.debug(`Skipping duplicate changenumber ${changenumber} for AppID ${appid} (last: ${lastChangenumber})`);
+        duplicatesSkipped.inc({ appid });
         return null;
       }
+      if (repeat) {
+        base = appState.baseline;
+        revision = appState.revision + 1;
+      }
     }
 
     // ── Extract app info ─────────────────────────────────────────
@@ -88,59 +206,175 @@ export default class UpdateProcessor {
     const publicBranch = branches?.public ?? {};
     const buildId = publicBranch?.buildid ?? null;
     const timeUpdated = publicBranch?.timeupdated ?? null;
+    const branchSnapshot = this.#snapshotBranches(branches);
+    const changedBranches = this.#diffBranches(base.branches, branchSnapshot);
 
-    // Changed depots (depot IDs that have manifests)
-    const changedDepots = this.#extractChangedDepots(depots);
+    // Changed depots (manifests that differ from the previous snapshot)
+    const depotSnapshot = this.#snapshotDepots(depots);
+    const changedDepots = this.#diffDepots(base.depots, depotSnapshot);
+
+    // Without an access token Steam sends a partial tree (or none):
+    // build, branch and depot fields are then unknown rather than absent
+    const missingToken = data?.missingToken ?? false;
+    if (missingToken) {
+      log.warn(`AppID ${appid}: product info is missing an access token — build, branch and depot details are unknown`);
+    }
 
-    // App name
-    const appName = common?.name ?? 'Dota 2';
+    // Full KeyValues diff against the previous appinfo tree
+    // (every visible appinfo tree has a common section; partial trees
+    // are not diffed or stored, so they don't show up as removals)
+    const hasAppInfo = appinfo?.common !== undefined && !missingToken;
+    const appInfoDiff = hasAppInfo && base.appinfo
+      ? diffAppInfo(base.appinfo, appinfo)
+      : null;
+
+    // What kind of change this is — hidden branches count if they were
+    // password-protected before or after the change
+    const releaseClass = classifyChange({
+      changedBranches,
+      changedDepots,
+      appInfoDiff,
+      hiddenBranches: [...hiddenBranchNames(branches), ...hiddenBranchNames(base.appinfo?.depots?.branches)],
+    });
+
+    // App name — configured display name wins over the PICS name
+    const appName = getAppConfig(appid)?.name ?? common?.name ?? `App ${appid}`;
 
     // Construct the processed update
     const processed = {
-      appId: DOTA2_APP_ID,
+      appId: appid,
       appName,
       changenumber: changenumber ?? data?.changenumber ?? 'Unknown',
+      releaseClass,
       buildId,
       timeUpdated: timeUpdated ? new Date(timeUpdated * 1000) : timestamp,
       timestamp,
       branches: this.#extractBranches(branches),
+      changedBranches,
       changedDepots,
-      depotCount: changedDepots.length,
-      raw: {
-        missingToken: data?.missingToken ?? false,
-      },
+      depotCount: new Set(changedDepots.map((d) => d.id)).size,
+      appInfoDiff,
+      contentDiff: null, // filled in by ContentAnalyzer for new public builds
+      missingToken,
+      missedSince, // set when caught up after downtime: changes span several changelists
+      revision, // 0 for the first report of a changelist, counting up for richer repeats
     };
 
+    const detail = detailScore(processed);
+    if (revision > 0 && detail <= appState.detail) {
+      log.debug(`Skipping repeat of changenumber ${changenumber} for AppID ${appid} — no new details`);
+      duplicatesSkipped.inc({ appid });
+      return null;
+    }
+
     // ── Persist state ────────────────────────────────────────────
+    if (revision === 0) {
+      appState.baseline = changenumber
+        ? { depots: appState.depots, appinfo: appState.appinfo, branches: appState.branches }
+        : null;
+    }
+    appState.detail = detail;
+    appState.revision = revision;
+
+    // An empty snapshot means depot info was not visible (e.g. missing
+    // access token) — keep the previous one so the next diff stays honest.
+    if (Object.keys(depotSnapshot).length > 0) {
+      appState.depots = depotSnapshot;
+    }
+
+    if (hasAppInfo) {
+      appState.appinfo = appinfo;
+    }
+
+    if (Object.keys(branchSnapshot).length > 0) {
+      appState.branches = branchSnapshot;
+    }
+
     if (changenumber) {
-      this.#lastChangenumber = changenumber;
-      this.#saveState(changenumber);
+      appState.lastChangenumber = changenumber;
     }
 
-    logger.info(`Processed update: changelist #${processed.changenumber}, build ${processed.buildId ?? 'unknown'}, ${processed.depotCount} depot(s)`);
+    this.#saveState();
+
+    updatesDetected.inc({ appid, release_class: releaseClass });
+    log.info(`Processed ${releaseClass} update for AppID ${appid}: changelist #${processed.changenumber}${revision > 0 ? ` (revision ${revision})` : ''}, build ${processed.buildId ?? 'unknown'}, ${processed.depotCount} changed depot(s)`);
 
     return processed;
   }
 
   /**
-   * Extract changed depot IDs from the depots object.
-   * Filters out non-depot keys (branches, maxsize, etc.)
+   * Snapshot the manifests of every depot in the depots object.
+   * Filters out non-depot keys (branches, maxsize, etc.) and accepts both
+   * the legacy `manifests.<branch> = gid` and the current
+   * `manifests.<branch> = { gid, size, download }` PICS layouts.
+   *
    * @param {object} depots
-   * @returns {Array<{id: string, name: string|null, maxsize: string|null}>}
+   * @returns {Object<string, DepotSnapshot>}
    */
-  #extractChangedDepots(depots) {
-    const nonDepotKeys = new Set(['branches', 'maxsize', 'depotfromapp', 'baselanguages']);
-    const result = [];
+  #snapshotDepots(depots) {
+    const snapshot = {};
 
     for (const [key, value] of Object.entries(depots)) {
-      if (nonDepotKeys.has(key) || typeof value !== 'object') continue;
+      if (NON_DEPOT_KEYS.has(key) || typeof value !== 'object') continue;
 
       // Depot IDs are numeric strings
-      if (/^\d+$/.test(key)) {
+      if (!/^\d+$/.test(key)) continue;
+
+      const manifests = {};
+      for (const [branch, manifest] of Object.entries(value?.manifests ?? {})) {
+        manifests[branch] = typeof manifest === 'object'
+          ? {
+            gid: manifest?.gid ?? null,
+            size: toNumber(manifest?.size),
+            download: toNumber(manifest?.download),
+          }
+          : { gid: String(manifest), size: null, download: null };
+      }
+
+      snapshot[key] = {
+        name: value?.name ?? null,
+        manifests,
+      };
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * Compare two depot snapshots and list every depot branch whose manifest
+   * changed. Without a previous snapshot there is nothing to compare
+   * against, so no depots are reported.
+   *
+   * @param {Object<string, DepotSnapshot>|null} previous
+   * @param {Object<string, DepotSnapshot>} current
+   * @returns {Array<{id: string, name: string|null, branch: string, oldGid: string|null, newGid: string|null, oldSize: number|null, newSize: number|null, sizeDelta: number|null, downloadDelta: number|null}>}
+   */
+  #diffDepots(previous, current) {
+    if (!previous || Object.keys(current).length === 0) return [];
+
+    const result = [];
+    const depotIds = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+    for (const id of depotIds) {
+      const before = previous[id]?.manifests ?? {};
+      const after = current[id]?.manifests ?? {};
+      const branchNames = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+      for (const branch of branchNames) {
+        const oldManifest = before[branch] ?? null;
+        const newManifest = after[branch] ?? null;
+        if (oldManifest?.gid === newManifest?.gid) continue;
+
         result.push({
-          id: key,
-          name: value?.name ?? null,
-          maxsize: value?.maxsize ?? null,
+          id,
+          name: current[id]?.name ?? previous[id]?.name ?? null,
+          branch,
+          oldGid: oldManifest?.gid ?? null,
+          newGid: newManifest?.gid ?? null,
+          oldSize: oldManifest?.size ?? null,
+          newSize: newManifest?.size ?? null,
+          sizeDelta: delta(oldManifest?.size, newManifest?.size),
+          downloadDelta: delta(oldManifest?.download, newManifest?.download),
         });
       }
     }
@@ -148,6 +382,54 @@ export default class UpdateProcessor {
     return result;
   }
 
+  /**
+   * Snapshot the build ID and update time of every branch.
+   * @param {object} branches
+   * @returns {Object<string, {buildId: string|null, timeUpdated: number|null}>}
+   */
+  #snapshotBranches(branches) {
+    const snapshot = {};
+    for (const [name, info] of Object.entries(branches)) {
+      snapshot[name] = {
+        buildId: info?.buildid ?? null,
+        timeUpdated: toNumber(info?.timeupdated),
+      };
+    }
+    return snapshot;
+  }
+
+  /**
+   * List every branch whose build ID changed since the previous snapshot,
+   * including branches that appeared or disappeared. Without a previous
+   * snapshot there is nothing to compare against, so none are reported.
+   *
+   * @param {Object<string, {buildId: string|null, timeUpdated: number|null}>|null} previous
+   * @param {Object<string, {buildId: string|null, timeUpdated: number|null}>} current
+   * @returns {Array<{name: string, oldBuildId: string|null, newBuildId: string|null, timeUpdated: Date|null}>}
+   */
+  #diffBranches(previous, current) {
+    if (!previous || Object.keys(current).length === 0) return [];
+
+    const result = [];
+    const names = new Set([...Object.keys(previous), ...Object.keys(current)]);
+
+    for (const name of names) {
+      const oldBuildId = previous[name]?.buildId ?? null;
+      const newBuildId = current[name]?.buildId ?? null;
+      if (oldBuildId === newBuildId) continue;
+
+      const time = current[name]?.timeUpdated ?? null;
+      result.push({
+        name,
+        oldBuildId,
+        newBuildId,
+        timeUpdated: time ? new Date(time * 1000) : null,
+      });
+    }
+
+    return result;
+  }
+
   /**
    * Extract branch info (name, buildid, timeupdated).
    * @param {object} branches
@@ -172,8 +454,7 @@ export default class UpdateProcessor {
     const parts = [];
 
     if (update.depotCount > 0) {
-      const depotIds = update.changedDepots
-        .map((d) => d.id)
+      const depotIds = [...new Set(update.changedDepots.map((d) => d.id))]
         .join(', ');
       parts.push(`Depots (${depotIds})`);
     }
@@ -183,6 +464,16 @@ export default class UpdateProcessor {
       parts.push(`public, build ${publicBranch.buildId}`);
     }
 
+    const movedBetas = (update.changedBranches ?? []).filter((b) => b.name !== 'public');
+    if (movedBetas.length > 0) {
+      parts.push(`Branches (${movedBetas.map((b) => b.name).join(', ')})`);
+    }
+
+    if (!isEmptyDiff(update.appInfoDiff)) {
+      const sections = [...countBySection(update.appInfoDiff).keys()].join(', ');
+      parts.push(`App info (${sections})`);
+    }
+
     if (parts.length === 0) {
       parts.push('App info updated');
     }
@@ -190,8 +481,135 @@ export default class UpdateProcessor {
     return parts.join(' — ');
   }
 
-  /** Get the last processed changenumber */
-  get lastChangenumber() {
-    return this.#lastChangenumber;
+  /**
+   * Get the last processed changenumber for an app.
+   * @param {number} appid
+   * @returns {number|null}
+   */
+  getLastChangenumber(appid) {
+    return this.#apps.get(appid)?.lastChangenumber ?? null;
+  }
+
+  /**
+   * Get the last known build ID of an app's branch.
+   * @param {number} appid
+   * @param {string} [branch='public']
+   * @returns {string|null}
+   */
+  getLastBuildId(appid, branch = 'public') {
+    return this.#apps.get(appid)?.branches?.[branch]?.buildId ?? null;
+  }
+
+  /**
+   * Get the last known manifest ID of a depot on a branch.
+   * @param {number} appid
+   * @param {string|number} depotId
+   * @param {string} [branch='public']
+   * @returns {string|null}
+   */
+  getDepotManifest(appid, depotId, branch = 'public') {
+    return this.#apps.get(appid)?.depots?.[depotId]?.manifests?.[branch]?.gid ?? null;
+  }
+
+  /**
+   * Summarize the stored state of an app.
+   * @param {number} appid
+   * @returns {{lastChangenumber: number|null, revision: number, branches: Object<string, {buildId: string|null, timeUpdated: number|null}>, depotCount: number}|null}
+   */
+  getAppSummary(appid) {
+    const appState = this.#apps.get(appid);
+    if (!appState) return null;
+
+    return {
+      lastChangenumber: appState.lastChangenumber,
+      revision: appState.revision,
+      branches: appState.branches ?? {},
+      depotCount: Object.keys(appState.depots ?? {}).length,
+    };
+  }
+
+  /**
+   * Override the last processed changenumber of an app, so changelists up
+   * to it are skipped as duplicates (or later ones announced again). The
+   * revision baseline is dropped, as it belongs to the previous changelist;
+   * the build and depot snapshots are kept for the next diff.
+   * @param {number} appid
+   * @param {number} changenumber
+   */
+  setLastChangenumber(appid, changenumber) {
+    const appState = this.#stateFor(appid);
+    appState.lastChangenumber = changenumber;
+    appState.baseline = null;
+    appState.detail = 0;
+    appState.revision = 0;
+    this.#saveState();
+    logger.info(`AppID ${appid} last changenumber set to ${changenumber}`);
+  }
+
+  /**
+   * Forget the state of an app, or of every app: its next update is
+   * processed like the first one ever seen.
+   * @param {number} [appid] - Omit to reset every app
+   */
+  reset(appid) {
+    if (appid === undefined) {
+      this.#apps.clear();
+    } else {
+      this.#apps.delete(appid);
+    }
+    this.#saveState();
+    logger.info(appid === undefined ? 'State reset for every app' : `State reset for AppID ${appid}`);
+  }
+
+  /** Where the state is kept, e.g. the state file's path */
+  get location() {
+    return this.#backend.location;
   }
+
+  /** Get the last processed changenumber of every app, keyed by app ID */
+  get lastChangenumbers() {
+    const result = new Map();
+    for (const [appid, appState] of this.#apps) {
+      if (appState.lastChangenumber !== null) {
+        result.set(appid, appState.lastChangenumber);
+      }
+    }
+    return result;
+  }
+}
+
+/**
+ * How much a processed update tells about its changelist: one point per
+ * known build ID, branch, changed branch or depot and appinfo diff entry.
+ * @param {object} update
+ * @returns {number}
+ */
+function detailScore(update) {
+  const diff = update.appInfoDiff;
+  return (update.buildId ? 1 : 0)
+    + (update.missingToken ? 0 : 1)
+    + update.branches.length
+    + update.changedBranches.length
+    + update.changedDepots.length
+    + (diff ? diff.added.length + diff.removed.length + diff.changed.length : 0);
+}
+
+/**
+ * Coerce a PICS numeric string to a number.
+ * @param {string|number|undefined} value
+ * @returns {number|null}
+ */
+function toNumber(value) {
+  const n = Number(value);
+  return value != null && Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Difference between two optional sizes.
+ * @param {number|null|undefined} before
+ * @param {number|null|undefined} after
+ * @returns {number|null}
+ */
+function delta(before, after) {
+  return before != null && after != null ? after - before : null;
 }
@@ -0,0 +1,101 @@
+/**
+ * VPK — Reader for Valve pack file directories (`pak01_dir.vpk`).
+ *
+ * Most of the game's scripts live inside VPK archives rather than as loose
+ * depot files. The directory file holds a header, a tree of every packed
+ * file and, for some entries, the data itself; other entries point into
+ * the numbered archives (`pak01_000.vpk`, …).
+ */
+
+/** Magic number at the start of every VPK directory */
+const VPK_SIGNATURE = 0x55AA1234;
+
+/** Archive index of entries whose data follows the tree in the directory file */
+export const VPK_DIR_ARCHIVE = 0x7FFF;
+
+/** Bytes to read to be able to parse any supported header */
+export const VPK_MAX_HEADER_SIZE = 28;
+
+/**
+ * @typedef {object} VpkEntry
+ * @property {number} crc - CRC32 of the file contents
+ * @property {Buffer} preload - Bytes stored in the tree itself
+ * @property {number} archiveIndex - Numbered archive, or VPK_DIR_ARCHIVE
+ * @property {number} offset - Offset in the archive (or after the tree)
+ * @property {number} length - Bytes stored in the archive
+ */
+
+/**
+ * Parse a VPK directory header.
+ * @param {Buffer} buffer - At least VPK_MAX_HEADER_SIZE bytes from the start of the file
+ * @returns {{version: number, headerSize: number, treeSize: number}}
+ * @throws {Error} If the buffer is not a supported VPK directory
+ */
+export function parseVpkHeader(buffer) {
+  if (buffer.length < 12 || buffer.readUInt32LE(0) !== VPK_SIGNATURE) {
+    throw new Error('Not a VPK directory file');
+  }
+
+  const version = buffer.readUInt32LE(4);
+  if (version !== 1 && version !== 2) {
+    throw new Error(`Unsupported VPK version ${version}`);
+  }
+
+  return {
+    version,
+    headerSize: version === 1 ? 12 : 28,
+    treeSize: buffer.readUInt32LE(8),
+  };
+}
+
+/**
+ * Parse the file tree that follows the header.
+ * Paths are lowercased and use forward slashes.
+ *
+ * @param {Buffer} tree - The `treeSize` bytes after the header
+ * @returns {Map<string, VpkEntry>}
+ */
+export function parseVpkTree(tree) {
+  const entries = new Map();
+  let offset = 0;
+
+  const readString = () => {
+    const end = tree.indexOf(0, offset);
+    if (end === -1) throw new Error('Truncated VPK tree');
+    const value = tree.toString('utf-8', offset, end);
+    offset = end + 1;
+    return value;
+  };
+
+  for (let extension = readString(); extension !== ''; extension = readString()) {
+    for (let directory = readString(); directory !== ''; directory = readString()) {
+      for (let name = readString(); name !== ''; name = readString()) {
+        const crc = tree.readUInt32LE(offset);
+        const preloadBytes = tree.readUInt16LE(offset + 4);
+        const archiveIndex = tree.readUInt16LE(offset + 6);
+        const entryOffset = tree.readUInt32LE(offset + 8);
+        const length = tree.readUInt32LE(offset + 12);
+        offset += 18; // including the 0xFFFF terminator
+
+        const preload = tree.subarray(offset, offset + preloadBytes);
+        offset += preloadBytes;
+
+        const file = extension === ' ' ? name : `${name}.${extension}`;
+        const path = directory === ' ' ? file : `${directory}/${file}`;
+        entries.set(path.toLowerCase(), { crc, preload, archiveIndex, offset: entryOffset, length });
+      }
+    }
+  }
+
+  return entries;
+}
+
+/**
+ * Name of a numbered archive next to a directory file.
+ * @param {string} dirFile - e.g. `game/dota/pak01_dir.vpk`
+ * @param {number} index
+ * @returns {string} e.g. `game/dota/pak01_003.vpk`
+ */
+export function vpkArchivePath(dirFile, index) {
+  return dirFile.replace(/_dir\.vpk$/i, `_${String(index).padStart(3, '0')}.vpk`);
+}
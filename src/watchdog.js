@@ -0,0 +1,200 @@
+/**
+ * Watchdog — Notices when Steam goes quiet and brings it back.
+ *
+ * Steam produces PICS changelists around the clock, so a gap of
+ * PICS_STALL_TIMEOUT since the last `changelist` event means polling has
+ * silently stopped, even though the connection looks fine. The watchdog
+ * then relogs into Steam, which re-primes the PICS cache and catches up on
+ * the changelists missed in between, and keeps relogging every
+ * PICS_STALL_TIMEOUT until changelists arrive again.
+ *
+ * Stalls, connection losses that outlast OUTAGE_GRACE and their recovery
+ * are reported through AdminAlerts.
+ */
+
+import { createLogger } from './logger.js';
+import { watchdogRelogins, picsStalled } from './metrics.js';
+import { PICS_STALL_TIMEOUT } from '../config.js';
+
+const logger = createLogger('watchdog');
+
+/** How long Steam may stay disconnected before operators are alerted */
+const OUTAGE_GRACE = 120_000;
+
+/** Longest interval between stall checks */
+const MAX_CHECK_INTERVAL = 30_000;
+
+export default class Watchdog {
+  /** @type {import('./steam-monitor.js').default} */
+  #monitor;
+
+  /** @type {import('./admin-alerts.js').default|null} */
+  #alerts;
+
+  /** @type {number} Stall threshold in ms (0 = stall checks off) */
+  #timeout;
+
+  /** @type {NodeJS.Timeout|null} */
+  #timer = null;
+
+  /** @type {number} Start of the quiet period when no changelist arrived yet */
+  #since = Date.now();
+
+  /** @type {number|null} When the current stall was detected */
+  #stalledAt = null;
+
+  /** @type {number} When the watchdog last relogged */
+  #lastRelogin = 0;
+
+  /** @type {number|null} When the current connection loss began */
+  #disconnectedAt = null;
+
+  /** @type {NodeJS.Timeout|null} Fires the outage alert after OUTAGE_GRACE */
+  #outageTimer = null;
+
+  /** Whether the current connection loss was reported */
+  #outageReported = false;
+
+  /**
+   * @param {object} components
+   * @param {import('./steam-monitor.js').default} components.monitor
+   * @param {import('./admin-alerts.js').default|null} [components.alerts]
+   * @param {number} [components.timeout] - Defaults to PICS_STALL_TIMEOUT
+   */
+  constructor({ monitor, alerts = null, timeout = PICS_STALL_TIMEOUT }) {
+    this.#monitor = monitor;
+    this.#alerts = alerts;
+    this.#timeout = timeout;
+  }
+
+  /**
+   * Start watching the monitor.
+   */
+  start() {
+    this.#monitor.on('ready', () => this.#onReady());
+    this.#monitor.on('disconnected', ({ reason }) => this.#onDisconnected(reason));
+
+    if (this.#timeout > 0) {
+      this.#timer = setInterval(() => this.check(), Math.min(this.#timeout / 4, MAX_CHECK_INTERVAL));
+      logger.info(`Watching for PICS stalls longer than ${this.#timeout / 1000}s`);
+    }
+  }
+
+  /**
+   * Stop the stall checks and pending alerts.
+   */
+  stop() {
+    clearInterval(this.#timer);
+    clearTimeout(this.#outageTimer);
+    this.#timer = null;
+    this.#outageTimer = null;
+  }
+
+  /** Whether PICS changelists have currently stopped arriving */
+  get stalled() {
+    return this.#stalledAt !== null;
+  }
+
+  /**
+   * Compare the time since the last changelist with the threshold.
+   * Disconnects are left to SteamMonitor's reconnect logic.
+   * @param {number} [now]
+   */
+  check(now = Date.now()) {
+    if (this.#timeout <= 0 || !this.#monitor.isConnected) return;
+
+    const lastChangelist = this.#monitor.lastActivity?.getTime() ?? 0;
+
+    if (this.#stalledAt !== null) {
+      if (lastChangelist > this.#stalledAt) {
+        this.#recovered(now);
+      } else if (now - this.#lastRelogin >= this.#timeout) {
+        this.#relogin(now, 'PICS changelists still missing after relogging');
+      }
+      return;
+    }
+
+    const quiet = now - Math.max(lastChangelist, this.#since);
+    if (quiet < this.#timeout) return;
+
+    this.#stalledAt = now;
+    picsStalled.set(1);
+    logger.warn(`No PICS changelist for ${Math.round(quiet / 1000)}s — Steam polling looks stalled`);
+    this.#alerts?.send('warning', 'PICS stalled',
+      `No PICS changelist from Steam for ${formatDuration(quiet)} while connected. Relogging to recover.`);
+    this.#relogin(now, `no PICS changelist for ${Math.round(quiet / 1000)}s`);
+  }
+
+  /**
+   * Force a relogin.
+   * @param {number} now
+   * @param {string} reason
+   */
+  #relogin(now, reason) {
+    this.#lastRelogin = now;
+    watchdogRelogins.inc();
+    this.#monitor.relogin(reason);
+  }
+
+  /**
+   * Changelists arrive again after a stall.
+   * @param {number} now
+   */
+  #recovered(now) {
+    const duration = now - this.#stalledAt;
+    this.#stalledAt = null;
+    picsStalled.set(0);
+    logger.info(`PICS changelists are arriving again after ${formatDuration(duration)}`);
+    this.#alerts?.send('resolved', 'PICS recovered', `PICS changelists are arriving again after ${formatDuration(duration)}.`);
+  }
+
+  /**
+   * Logged in and PICS primed: restart the quiet clock and close an outage.
+   */
+  #onReady() {
+    this.#since = Date.now();
+    clearTimeout(this.#outageTimer);
+    this.#outageTimer = null;
+
+    if (this.#outageReported) {
+      const duration = Date.now() - this.#disconnectedAt;
+      this.#alerts?.send('resolved', 'Steam connection restored', `Logged back into Steam after ${formatDuration(duration)}.`);
+    }
+    this.#disconnectedAt = null;
+    this.#outageReported = false;
+  }
+
+  /**
+   * Lost the connection: alert if it is not back within OUTAGE_GRACE.
+   * @param {string} reason
+   */
+  #onDisconnected(reason) {
+    if (this.#disconnectedAt !== null) return;
+
+    this.#disconnectedAt = Date.now();
+    this.#outageTimer = setTimeout(() => {
+      this.#outageTimer = null;
+      this.#outageReported = true;
+
+      const blocked = this.#monitor.loginBlocked;
+      this.#alerts?.send('critical', 'Steam connection lost', blocked
+        ? `Logging into Steam stopped: ${blocked}`
+        : `Disconnected from Steam for ${formatDuration(OUTAGE_GRACE)} (${reason}). Still trying to reconnect.`);
+    }, OUTAGE_GRACE);
+  }
+}
+
+/**
+ * Format a duration as "2h 5m", "5m 30s" or "45s".
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m ${seconds % 60}s`;
+  return `${seconds}s`;
+}
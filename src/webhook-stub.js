@@ -0,0 +1,137 @@
+/**
+ * WebhookStub — Local stand-in for the Discord webhook API, used by the
+ * offline replay. DiscordNotifier is pointed at it through its `api`
+ * option and every executed webhook message is captured instead of posted.
+ *
+ *   GET   /api/v10/webhooks/:id/:token                 Describe the webhook, like Discord
+ *   POST  /api/v10/webhooks/:id/:token                 Capture the message, reply like Discord
+ *   PATCH /api/v10/webhooks/:id/:token/messages/:msg   Capture the edit of a captured message
+ */
+
+import { createServer } from 'node:http';
+import { createLogger } from './logger.js';
+
+const logger = createLogger('webhook-stub');
+
+/** Path of webhook executions under the stub */
+const WEBHOOK_PATH = /^\/api\/v\d+\/webhooks\/(\d+)\/([^/]+)$/;
+
+/** Path of webhook message edits under the stub */
+const EDIT_PATH = /^\/api\/v\d+\/webhooks\/(\d+)\/([^/]+)\/messages\/(\d+)$/;
+
+/**
+ * @typedef {object} CapturedMessage
+ * @property {string} webhookId
+ * @property {string} [editOf] - ID of the message this edit replaced the content of
+ * @property {object} body - JSON message body as sent by discord.js
+ */
+
+export default class WebhookStub {
+  /** @type {import('node:http').Server|null} */
+  #server = null;
+
+  /** @type {CapturedMessage[]} */
+  #messages = [];
+
+  /**
+   * Start listening on a free loopback port.
+   * @returns {Promise<void>}
+   */
+  start() {
+    this.#server = createServer((req, res) => this.#handle(req, res));
+
+    return new Promise((resolve, reject) => {
+      this.#server.once('error', reject);
+      this.#server.listen(0, '127.0.0.1', () => {
+        this.#server.off('error', reject);
+        logger.debug(`Webhook stub listening on ${this.api}`);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop the server and close open connections.
+   * @returns {Promise<void>}
+   */
+  stop() {
+    if (!this.#server) return Promise.resolve();
+
+    const server = this.#server;
+    this.#server = null;
+    return new Promise((resolve) => {
+      server.close(() => resolve());
+      server.closeAllConnections();
+    });
+  }
+
+  /** Base URL to pass as DiscordNotifier's `api` option */
+  get api() {
+    return `http://127.0.0.1:${this.#server?.address()?.port}/api`;
+  }
+
+  /** Every message captured so far, in arrival order */
+  get messages() {
+    return [...this.#messages];
+  }
+
+  /**
+   * Capture a webhook execution, or describe the webhook.
+   * @param {import('node:http').IncomingMessage} req
+   * @param {import('node:http').ServerResponse} res
+   */
+  async #handle(req, res) {
+    const path = new URL(req.url, 'http://localhost').pathname;
+    const lookup = req.method === 'GET' ? path.match(WEBHOOK_PATH) : null;
+    if (lookup) {
+      return this.#send(res, 200, { id: lookup[1], type: 1, name: 'Webhook Stub', channel_id: '0', token: lookup[2] });
+    }
+
+    const match = req.method === 'POST' ? path.match(WEBHOOK_PATH) : null;
+    const edit = req.method === 'PATCH' ? path.match(EDIT_PATH) : null;
+    if (edit && !this.#messages.some((message, index) => !message.editOf && String(index + 1) === edit[3])) {
+      return this.#send(res, 404, { message: 'Unknown Message', code: 10008 });
+    }
+    if (!match && !edit) {
+      return this.#send(res, 404, { message: 'Unknown Webhook', code: 10015 });
+    }
+
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf-8'));
+    } catch {
+      return this.#send(res, 400, { message: 'Cannot send an empty message', code: 50006 });
+    }
+
+    if (edit) {
+      const [, webhookId, , messageId] = edit;
+      this.#messages.push({ webhookId, editOf: messageId, body });
+      return this.#send(res, 200, { id: messageId, webhook_id: webhookId, channel_id: '0', ...body });
+    }
+
+    const [, webhookId] = match;
+    this.#messages.push({ webhookId, body });
+
+    // Shape of the message object returned for `?wait=true`
+    return this.#send(res, 200, {
+      id: String(this.#messages.length),
+      webhook_id: webhookId,
+      channel_id: '0',
+      ...body,
+    });
+  }
+
+  /**
+   * Write a JSON response.
+   * @param {import('node:http').ServerResponse} res
+   * @param {number} status
+   * @param {object} body
+   */
+  #send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
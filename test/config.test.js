@@ -0,0 +1,117 @@
+/**
+ * Configuration tests — Schema checks of the config file, and reloading a
+ * config file in a temporary directory: valid edits take effect, invalid
+ * ones leave the running settings untouched.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { stringify } from 'yaml';
+import { checkConfigFile } from '../src/config-file.js';
+
+const dir = mkdtempSync(join(tmpdir(), 'dota-config-'));
+const file = join(dir, 'config.yml');
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const WEBHOOK = 'https://discord.com/api/webhooks/1/token';
+
+/** A valid config file, with overrides */
+const settings = (overrides = {}) => ({
+  webhooks: [WEBHOOK],
+  notifyClasses: ['public'],
+  mentions: { quietHours: '23:00-07:00', timeZone: 'UTC' },
+  intervals: { changelistUpdate: 60 },
+  ...overrides,
+});
+
+// config.js reads CONFIG_FILE when it is first imported
+writeFileSync(file, stringify(settings()));
+process.env.CONFIG_FILE = file;
+for (const name of ['DISCORD_WEBHOOK_URL', 'DISCORD_WEBHOOK_URLS', 'NOTIFY_CLASSES', 'QUIET_HOURS', 'QUIET_HOURS_TZ', 'SINKS_FILE', 'MENTION_RULES_FILE']) {
+  delete process.env[name];
+}
+const config = await import('../config.js');
+const { default: ConfigWatcher } = await import('../src/config-watcher.js');
+
+test('the schema reports every malformed setting with its path', () => {
+  assert.deepEqual(checkConfigFile({
+    apps: [{ id: 570 }, { name: 'No ID', webhooks: ['ftp://example.com'] }],
+    intervals: { patchNotesPoll: -1 },
+    notifyClasses: 'public',
+    colour: 'red',
+  }), [
+    'apps[1].webhooks[0] must be an http(s) URL',
+    'intervals.patchNotesPoll must be a number of seconds (0 or more)',
+    'notifyClasses must be a list',
+    'colour is not a known setting',
+    'apps[1].id is required',
+  ]);
+  assert.deepEqual(checkConfigFile(settings()), []);
+  assert.deepEqual(checkConfigFile(['webhooks']), ['the file must contain a map of settings']);
+});
+
+test('the config file is read at startup', () => {
+  assert.deepEqual(config.DISCORD_WEBHOOK_URLS, [WEBHOOK]);
+  assert.deepEqual(config.NOTIFY_CLASSES, ['public']);
+  assert.doesNotThrow(() => config.validateConfig());
+});
+
+test('a valid edit takes effect on reload', () => {
+  const other = 'https://discord.com/api/webhooks/2/token';
+  writeFileSync(file, stringify(settings({ webhooks: [other], notifyClasses: ['public', 'branch'], logLevel: 'debug' })));
+
+  assert.deepEqual(config.reloadConfig(), { restartRequired: [] });
+  assert.deepEqual(config.DISCORD_WEBHOOK_URLS, [other]);
+  assert.deepEqual(config.NOTIFY_CLASSES, ['public', 'branch']);
+  assert.equal(config.isNotifyClass('branch'), true);
+  assert.equal(config.LOG_LEVEL, 'debug');
+});
+
+test('settings fixed until restart are reported, not applied', () => {
+  writeFileSync(file, stringify(settings({ intervals: { changelistUpdate: 30 } })));
+
+  assert.deepEqual(config.reloadConfig(), { restartRequired: ['intervals.changelistUpdate'] });
+  assert.equal(config.CHANGELIST_UPDATE_INTERVAL, 60_000);
+});
+
+test('an invalid file is rejected and the previous settings are kept', () => {
+  writeFileSync(file, stringify(settings({ notifyClasses: ['public', 'branch'] })));
+  config.reloadConfig();
+
+  const invalid = [
+    [settings({ webhooks: ['not a url'] }), /webhooks\[0\] must be an http\(s\) URL/],
+    [settings({ notifyClasses: ['public', 'nightly'] }), /contains an unknown class: "nightly"/],
+    [settings({ mentions: { quietHours: '25:00-07:00' } }), /mentions\.quietHours must look like/],
+    [settings({ mentions: { timeZone: 'Mars/Olympus' } }), /not a valid time zone/],
+    [settings({ webhooks: [], notifyClasses: [] }), /DISCORD_WEBHOOK_URL .* is required/],
+  ];
+  for (const [content, error] of invalid) {
+    writeFileSync(file, stringify(content));
+    assert.throws(() => config.reloadConfig(), error);
+    assert.deepEqual(config.DISCORD_WEBHOOK_URLS, [WEBHOOK]);
+    assert.deepEqual(config.NOTIFY_CLASSES, ['public', 'branch']);
+    assert.equal(config.QUIET_HOURS, '23:00-07:00');
+    assert.equal(config.QUIET_HOURS_TZ, 'UTC');
+  }
+
+  writeFileSync(file, 'webhooks: [unclosed');
+  assert.throws(() => config.reloadConfig(), /Failed to read/);
+  assert.deepEqual(config.NOTIFY_CLASSES, ['public', 'branch']);
+});
+
+test('the watcher only announces configurations that were applied', () => {
+  const watcher = new ConfigWatcher({ file });
+  const reloads = [];
+  watcher.on('reload', (result) => reloads.push(result));
+
+  writeFileSync(file, stringify(settings({ notifyClasses: ['nightly'] })));
+  assert.equal(watcher.reload(), false);
+  writeFileSync(file, stringify(settings({ notifyClasses: ['prerelease'] })));
+  assert.equal(watcher.reload(), true);
+
+  assert.deepEqual(reloads, [{ restartRequired: [] }]);
+  assert.deepEqual(config.NOTIFY_CLASSES, ['prerelease']);
+});
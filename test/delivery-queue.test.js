@@ -0,0 +1,169 @@
+/**
+ * Delivery queue tests — Retries, rate limits, dead letters and replay of
+ * an outbox file in a temporary directory, with the retry delays shortened.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync, readFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import DeliveryQueue from '../src/delivery-queue.js';
+
+const webhook = { url: 'https://discord.test/api/webhooks/1/token', id: '1' };
+const message = { appId: 570, changenumber: 1, payload: { content: 'update' } };
+
+const { BASE_RETRY_DELAY } = DeliveryQueue;
+
+let dir;
+/** @type {DeliveryQueue[]} Queues to stop after the test */
+let queues;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'dota-queue-'));
+  queues = [];
+  DeliveryQueue.BASE_RETRY_DELAY = 20;
+});
+
+afterEach(() => {
+  queues.forEach((queue) => queue.stop());
+  rmSync(dir, { recursive: true, force: true });
+  DeliveryQueue.BASE_RETRY_DELAY = BASE_RETRY_DELAY;
+});
+
+/**
+ * A queue on a fresh outbox file whose sends fail with the given errors
+ * in turn, then succeed.
+ * @param {...(Error|null)} failures
+ * @returns {{queue: DeliveryQueue, sent: object[]}}
+ */
+function createQueue(...failures) {
+  const sent = [];
+  const queue = new DeliveryQueue({
+    file: join(dir, 'outbox.json'),
+    send: async (entry) => {
+      sent.push(entry);
+      const failure = failures.shift();
+      if (failure) throw failure;
+    },
+  });
+  queues.push(queue);
+  return { queue, sent };
+}
+
+/**
+ * An error as the sinks raise it for an HTTP response.
+ * @param {number} status
+ * @param {number} [retryAfter] - In ms
+ * @returns {Error}
+ */
+function httpError(status, retryAfter) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, retryAfter });
+}
+
+/** Entries stored in the outbox file */
+const stored = () => JSON.parse(readFileSync(join(dir, 'outbox.json'), 'utf-8'));
+
+test('a failed message stays queued and is retried until it is delivered', async () => {
+  const { queue, sent } = createQueue(httpError(500), httpError(502));
+
+  const [result] = await queue.enqueue(message, [webhook]);
+  assert.deepEqual({ ok: result.ok, pending: result.pending, error: result.error }, { ok: false, pending: true, error: 'HTTP 500' });
+  assert.equal(stored().length, 1);
+
+  const [entry] = await once(queue, 'delivered');
+  assert.equal(entry.attempts, 3);
+  assert.equal(sent.length, 3);
+  assert.deepEqual(queue.pending(), []);
+  assert.deepEqual(stored(), []);
+});
+
+test('a rate-limited message waits for retry_after instead of the backoff', async () => {
+  DeliveryQueue.BASE_RETRY_DELAY = 60_000;
+  const { queue } = createQueue(httpError(429, 50));
+
+  const before = Date.now();
+  await queue.enqueue(message, [webhook]);
+  const [entry] = queue.pending();
+  assert.ok(entry.nextAttemptAt - before < DeliveryQueue.BASE_RETRY_DELAY, `retrying in ${entry.nextAttemptAt - before}ms`);
+
+  const [delivered] = await once(queue, 'delivered');
+  assert.equal(delivered.attempts, 2);
+});
+
+test('a permanent 4xx error dead-letters the message at once', async () => {
+  const { queue, sent } = createQueue(httpError(404));
+  const deadLettered = once(queue, 'deadLettered');
+
+  const [result] = await queue.enqueue(message, [webhook]);
+  assert.deepEqual({ ok: result.ok, pending: result.pending, error: result.error }, { ok: false, pending: false, error: 'HTTP 404' });
+  await deadLettered;
+
+  assert.equal(sent.length, 1);
+  assert.deepEqual(queue.pending(), []);
+  assert.deepEqual(queue.deadLetters().map((entry) => [entry.status, entry.attempts]), [['dead', 1]]);
+  assert.deepEqual(stored().map((entry) => entry.status), ['dead']);
+});
+
+test('a message that keeps failing is dead-lettered after MAX_ATTEMPTS', async () => {
+  const failures = Array.from({ length: DeliveryQueue.MAX_ATTEMPTS }, () => httpError(500));
+  DeliveryQueue.BASE_RETRY_DELAY = 1;
+  const { queue, sent } = createQueue(...failures);
+
+  await queue.enqueue(message, [webhook]);
+  const [entry] = await once(queue, 'deadLettered');
+  assert.equal(entry.attempts, DeliveryQueue.MAX_ATTEMPTS);
+  assert.equal(sent.length, DeliveryQueue.MAX_ATTEMPTS);
+});
+
+test('replaying a dead letter sends it again', async () => {
+  const { queue, sent } = createQueue(httpError(400));
+  await queue.enqueue(message, [webhook]);
+
+  assert.equal(queue.replay('unknown-id'), 0);
+  assert.equal(queue.replay(), 1);
+  assert.deepEqual(queue.deadLetters(), []);
+
+  const [entry] = await once(queue, 'delivered');
+  assert.equal(entry.attempts, 1);
+  assert.equal(sent.length, 2);
+  assert.deepEqual(stored(), []);
+});
+
+test('a stopped queue keeps new messages pending without sending them', async () => {
+  const { queue, sent } = createQueue();
+  queue.stop();
+
+  const [result] = await queue.enqueue(message, [webhook]);
+  assert.deepEqual({ ok: result.ok, pending: result.pending }, { ok: false, pending: true });
+  assert.equal(sent.length, 0);
+  assert.equal(queue.pending().length, 1);
+
+  queue.start();
+  await once(queue, 'delivered');
+  assert.equal(sent.length, 1);
+});
+
+test('stopping the queue resolves messages still waiting for their first attempt', async () => {
+  const { queue, sent } = createQueue();
+
+  const results = queue.enqueue(message, [webhook, { url: 'https://discord.test/api/webhooks/2/token', id: '2' }]);
+  queue.stop();
+
+  assert.deepEqual((await results).map((result) => result.pending), [true, true]);
+  assert.equal(sent.length, 0);
+  assert.deepEqual(stored().map((entry) => entry.webhookId), ['1', '2']);
+});
+
+test('entries left in the outbox file are sent after a restart', async () => {
+  const { queue } = createQueue();
+  queue.stop();
+  await queue.enqueue(message, [webhook]);
+
+  const { queue: restarted, sent } = createQueue();
+  assert.equal(restarted.pending().length, 1);
+  restarted.start();
+  await once(restarted, 'delivered');
+  assert.equal(sent[0].changenumber, 1);
+});
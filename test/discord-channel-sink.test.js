@@ -0,0 +1,174 @@
+/**
+ * Discord channel sink tests — Bot subscriptions kept in a file state
+ * backend in a temporary directory, and channel messages posted through
+ * the delivery queue by a stand-in for the gateway client.
+ */
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+// config.js reads the alert rules when it is first imported
+delete process.env.ALERT_BRANCHES;
+process.env.NOTIFY_CLASSES = 'public,beta';
+const { default: DiscordChannelSink } = await import('../src/sinks/discord-channel-sink.js');
+const { default: SubscriptionStore } = await import('../src/subscription-store.js');
+const { default: DeliveryQueue } = await import('../src/delivery-queue.js');
+const { default: FileBackend } = await import('../src/state/file-backend.js');
+
+const update = { appId: 570, appName: 'Dota 2', changenumber: 100, releaseClass: 'public', changedBranches: [{ name: 'public' }] };
+
+/** Renders the embeds in place of the DiscordNotifier */
+const notifier = {
+  buildEmbed: (u) => ({ toJSON: () => ({ title: `#${u.changenumber}` }) }),
+  formatMissedUpdates: (missed) => ({ username: 'AMT Bot', embeds: [{ title: missed.updates.map((u) => `#${u.changenumber}`).join(' ') }] }),
+};
+
+const { BASE_RETRY_DELAY } = DeliveryQueue;
+
+let dir;
+/** @type {DeliveryQueue[]} Queues to stop after the test */
+let queues;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'dota-channels-'));
+  queues = [];
+  DeliveryQueue.BASE_RETRY_DELAY = 20;
+});
+
+afterEach(() => {
+  queues.forEach((queue) => queue.stop());
+  rmSync(dir, { recursive: true, force: true });
+  DeliveryQueue.BASE_RETRY_DELAY = BASE_RETRY_DELAY;
+});
+
+/**
+ * A backend on the temporary directory, as another instance would open it.
+ * @returns {FileBackend}
+ */
+function openBackend() {
+  return new FileBackend(join(dir, 'state.json'), { documents: {} });
+}
+
+/**
+ * A gateway client stand-in whose channels record what they are sent.
+ * @param {object} [options]
+ * @param {boolean} [options.ready=true] - Whether the client is connected
+ * @param {string[]} [options.voice] - IDs of channels that cannot take messages
+ * @returns {{client: object, posted: Array<[string, object]>}}
+ */
+function createClient({ ready = true, voice = [] } = {}) {
+  const posted = [];
+  const client = {
+    ready,
+    isReady() {
+      return this.ready;
+    },
+    channels: {
+      fetch: async (id) => ({
+        isTextBased: () => !voice.includes(id),
+        send: async (payload) => posted.push([id, payload]),
+      }),
+    },
+  };
+  return { client, posted };
+}
+
+/**
+ * A sink on a fresh queue.
+ * @param {object} client
+ * @param {SubscriptionStore} subscriptions
+ * @returns {DiscordChannelSink}
+ */
+function createSink(client, subscriptions) {
+  const queue = new DeliveryQueue({ file: join(dir, 'outbox.json'), send: (entry) => sink.sendEntry(entry) });
+  const sink = new DiscordChannelSink({ client, notifier, subscriptions, queue });
+  queues.push(queue);
+  return sink;
+}
+
+test('subscriptions made on one instance are loaded by the next leader', async () => {
+  const leader = new SubscriptionStore({ file: join(dir, 'subscriptions.json'), backend: openBackend() });
+  leader.add('1', '10');
+  leader.add('1', '11', 'dota2experimental');
+  leader.remove('10');
+  await leader.flush();
+
+  const { client } = createClient();
+  const standby = new SubscriptionStore({ file: join(dir, 'subscriptions.json'), backend: openBackend() });
+  const sink = createSink(client, standby);
+  assert.deepEqual(standby.all(), []);
+
+  await sink.load();
+  assert.deepEqual(standby.all().map((s) => [s.channelId, s.branch]), [['11', 'dota2experimental']]);
+});
+
+test('channels subscribed to a branch get its updates whatever the alert rules say', async () => {
+  const subscriptions = new SubscriptionStore({ file: join(dir, 'subscriptions.json'), backend: openBackend() });
+  subscriptions.add('1', '10');
+  subscriptions.add('1', '11', 'dota2experimental');
+  const sink = createSink(createClient().client, subscriptions);
+
+  assert.deepEqual(sink.targets(update).map((target) => target.id), ['10']);
+
+  const beta = { ...update, releaseClass: 'beta', changedBranches: [{ name: 'dota2experimental' }] };
+  assert.deepEqual(sink.targets(beta).map((target) => target.id), ['10', '11']);
+
+  const filtered = { ...update, releaseClass: 'branch', changedBranches: [{ name: 'dota2experimental' }] };
+  assert.equal(sink.shouldNotify(filtered), true);
+  assert.deepEqual(sink.targets(filtered).map((target) => target.id), ['11']);
+  assert.equal(sink.shouldNotify({ ...filtered, changedBranches: [{ name: 'staging' }] }), false);
+});
+
+test('a channel message is queued and retried until the bot is connected', async () => {
+  const subscriptions = new SubscriptionStore({ file: join(dir, 'subscriptions.json'), backend: openBackend() });
+  subscriptions.add('1', '10');
+  const { client, posted } = createClient({ ready: false });
+  const sink = createSink(client, subscriptions);
+
+  const [result] = await sink.deliverUpdate(update);
+  assert.deepEqual({ sink: result.sink, ok: result.ok, pending: result.pending }, { sink: 'discord-bot', ok: false, pending: true });
+  assert.deepEqual(posted, []);
+
+  client.ready = true;
+  await once(sink.queue, 'delivered');
+  assert.deepEqual(posted, [['10', { embeds: [{ title: '#100' }] }]]);
+});
+
+test('a channel that cannot take messages is dead-lettered', async () => {
+  const subscriptions = new SubscriptionStore({ file: join(dir, 'subscriptions.json'), backend: openBackend() });
+  subscriptions.add('1', '10');
+  const { client, posted } = createClient({ voice: ['10'] });
+  const sink = createSink(client, subscriptions);
+
+  const [result] = await sink.deliverUpdate(update);
+  assert.deepEqual({ ok: result.ok, pending: result.pending }, { ok: false, pending: false });
+  assert.deepEqual(sink.queue.deadLetters().map((entry) => entry.webhookId), ['10']);
+  assert.deepEqual(posted, []);
+});
+
+test('missed updates reach each channel in one summary of its subscriptions', async () => {
+  const subscriptions = new SubscriptionStore({ file: join(dir, 'subscriptions.json'), backend: openBackend() });
+  subscriptions.add('1', '10');
+  subscriptions.add('1', '11', 'dota2experimental');
+  subscriptions.add('1', '12', 'dota2experimental');
+  const { client, posted } = createClient();
+  const sink = createSink(client, subscriptions);
+
+  const updates = [
+    update,
+    { ...update, changenumber: 101, releaseClass: 'branch', changedBranches: [{ name: 'dota2experimental' }] },
+    { ...update, changenumber: 102, releaseClass: 'beta', changedBranches: [{ name: 'dota2experimental' }] },
+  ];
+  const results = await sink.deliverMissedUpdates({ since: 99, changenumber: 102, timestamp: new Date(), updates });
+
+  assert.equal(results.length, 3);
+  assert.deepEqual(posted.sort(), [
+    ['10', { embeds: [{ title: '#100 #102' }] }],
+    ['11', { embeds: [{ title: '#101 #102' }] }],
+    ['12', { embeds: [{ title: '#101 #102' }] }],
+  ]);
+});
@@ -0,0 +1,109 @@
+/**
+ * Discord notifier tests — Embeds of updates with every list at its
+ * longest stay within Discord's total embed size.
+ */
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { embedLength } from 'discord.js';
+
+// config.js reads the alert rules when it is first imported
+delete process.env.ALERT_BRANCHES;
+const { default: DiscordNotifier } = await import('../src/discord-notifier.js');
+const { default: MessageStore } = await import('../src/message-store.js');
+
+const dir = mkdtempSync(join(tmpdir(), 'dota-notifier-'));
+after(() => rmSync(dir, { recursive: true, force: true }));
+
+const notifier = new DiscordNotifier({ mentionRules: [], messages: new MessageStore({ file: join(dir, 'messages.json') }) });
+after(() => notifier.destroy());
+
+/** Changes to `count` made-up entities */
+const entities = (count, name) => ({
+  added: [],
+  removed: [],
+  changed: Array.from({ length: count }, (_, i) => ({ id: `${name}_${i}`, name: `${name}_${i}`, keys: ['AbilityCooldown', 'AbilityManaCost', 'AbilityCastRange', 'AbilityDamage'] })),
+});
+
+/**
+ * A public release with the given numbers of moved branches and changed
+ * depots, app info keys, heroes, abilities, items and game files.
+ * @param {number} count
+ * @returns {object}
+ */
+function updateWith(count) {
+  return {
+    appId: 570,
+    appName: 'Dota 2',
+    changenumber: 28_453_921,
+    releaseClass: 'public',
+    buildId: '16892451',
+    missedSince: 28_453_900,
+    timestamp: new Date('2026-03-10T17:00:00Z'),
+    changedBranches: Array.from({ length: count }, (_, i) => ({
+      name: i === 0 ? 'public' : `dota2experimental_${i}`,
+      oldBuildId: '16892450',
+      newBuildId: '16892451',
+      timeUpdated: new Date('2026-03-10T17:00:00Z'),
+    })),
+    changedDepots: Array.from({ length: count }, (_, i) => ({
+      id: String(373_300 + i),
+      name: `Dota 2 Win64 Content Depot ${i}`,
+      branch: 'public',
+      oldGid: '1234567890123456789',
+      newGid: '9876543210987654321',
+      sizeDelta: 1024 * i,
+    })),
+    depotCount: count,
+    appInfoDiff: {
+      added: [],
+      removed: [],
+      changed: Array.from({ length: count }, (_, i) => ({ path: `extended/workshop_tags/${i}`, oldValue: 'a'.repeat(50), newValue: 'b'.repeat(50) })),
+    },
+    contentDiff: {
+      patchVersion: { old: '7.40b', new: '7.40c' },
+      heroes: entities(count, 'npc_dota_hero'),
+      abilities: entities(count, 'ability'),
+      items: entities(count, 'item'),
+      localizationChanges: 12,
+      files: Array.from({ length: count }, (_, i) => `game/dota/scripts/npc/heroes/npc_dota_hero_${i}.txt`),
+      errors: [],
+    },
+    patchNotes: {
+      source: 'datafeed',
+      title: `Gameplay Patch 7.40c — ${'The Balance Update '.repeat(16)}`,
+      url: 'https://www.dota2.com/patches/7.40c',
+      body: 'Fixed a crash. '.repeat(40),
+    },
+  };
+}
+
+/** Field values of an embed by the first word of their name */
+const values = (embed) => Object.fromEntries(embed.fields.map((field) => [field.name.split(' ')[0], field.value]));
+
+/** Field values of an update without the patch notes, each list only cut to its own limit */
+const uncut = (update) => values(notifier.buildEmbed({ ...update, patchNotes: null }).toJSON());
+
+test('a small update is left as it is', () => {
+  const embed = notifier.buildEmbed(updateWith(2)).toJSON();
+
+  assert.ok(embedLength(embed) < 6000);
+  assert.ok(Object.values(values(embed)).every((value) => !value.includes('more')));
+});
+
+test('a large update is cut to 6000 characters, starting with the app info changes', () => {
+  const update = updateWith(60);
+  const embed = notifier.buildEmbed(update).toJSON();
+  const fields = values(embed);
+  const full = uncut(update);
+
+  assert.ok(embedLength(embed) <= 6000, `embed is ${embedLength(embed)} characters`);
+  assert.ok(fields.App.length < full.App.length);
+  assert.match(fields.App, /\n…and 5\d more$/);
+  for (const name of ['Branches', 'Heroes', 'Abilities', 'Items', 'Game', 'Changed']) {
+    assert.equal(fields[name], full[name], name);
+  }
+});
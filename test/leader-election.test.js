@@ -0,0 +1,95 @@
+/**
+ * Leader election tests — Two instances sharing a file lease in a
+ * temporary directory, with a short TTL standing in for a paused leader.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import FileBackend from '../src/state/file-backend.js';
+import LeaderElection from '../src/leader-election.js';
+
+const TTL = 200;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run a test body against a fresh file lease.
+ * @param {(backend: FileBackend, open: () => FileBackend) => Promise<void>} body - open() gives
+ *   another instance's backend on the same files
+ * @returns {() => Promise<void>}
+ */
+function withLease(body) {
+  return async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'dota-lease-'));
+    const open = () => new FileBackend(join(dir, 'state.json'), { documents: {} });
+    try {
+      await body(open(), open);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+test('a paused leader cannot confirm once a standby took the lease', withLease(async (backend) => {
+  const leader = new LeaderElection({ backend, owner: 'a', ttl: TTL });
+  const standby = new LeaderElection({ backend, owner: 'b', ttl: TTL });
+
+  await leader.check();
+  assert.equal(await leader.confirm(), true);
+
+  await sleep(TTL * 1.5);
+  await standby.check();
+  assert.equal(standby.isLeader, true);
+
+  assert.equal(await leader.confirm(), false);
+  assert.equal(leader.isLeader, false);
+  assert.equal(await standby.confirm(), true);
+}));
+
+test('a leader whose lease expired unnoticed does not confirm the old term', withLease(async (backend) => {
+  const leader = new LeaderElection({ backend, owner: 'a', ttl: TTL });
+  const terms = [];
+  leader.on('elected', () => terms.push('elected'));
+  leader.on('demoted', () => terms.push('demoted'));
+
+  await leader.check();
+  await sleep(TTL * 1.5);
+
+  assert.equal(await leader.confirm(), false);
+  assert.deepEqual(terms, ['elected', 'demoted', 'elected']);
+  assert.equal(await leader.confirm(), true);
+}));
+
+test('the fencing token grows with every new holder', withLease(async (backend) => {
+  const first = await backend.acquireLease('a', TTL);
+  assert.equal((await backend.acquireLease('a', TTL)).token, first.token);
+  assert.deepEqual(await backend.acquireLease('b', TTL), { held: false, holder: 'a', token: first.token });
+
+  await backend.releaseLease('a');
+  const second = await backend.acquireLease('b', TTL);
+  assert.deepEqual(second, { held: true, holder: 'b', token: first.token + 1 });
+}));
+
+test('a paused leader cannot overwrite what the new leader wrote', withLease(async (backend, open) => {
+  const standbyBackend = open();
+  const leader = new LeaderElection({ backend, owner: 'a', ttl: TTL });
+  const standby = new LeaderElection({ backend: standbyBackend, owner: 'b', ttl: TTL });
+
+  await assert.rejects(standbyBackend.writeDocument('outbox', '[]'), /does not hold the leader lease/);
+
+  await leader.check();
+  await backend.save({ apps: { 570: { lastChangenumber: 1 } } });
+  await backend.writeDocument('messages', '["a"]');
+
+  await sleep(TTL * 1.5);
+  await standby.check();
+  await standbyBackend.save({ apps: { 570: { lastChangenumber: 2 } } });
+
+  await assert.rejects(backend.save({ apps: { 570: { lastChangenumber: 1 } } }), /taken by another instance/);
+  await assert.rejects(backend.writeDocument('messages', '["stale"]'), /taken by another instance/);
+  assert.deepEqual((await open().load()).apps, { 570: { lastChangenumber: 2 } });
+  assert.equal(await open().readDocument('messages'), '["a"]');
+}));
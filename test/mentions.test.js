@@ -0,0 +1,93 @@
+/**
+ * Mentions tests — Which rules match an update, and when quiet hours
+ * suppress pings, including windows that wrap past midnight and time zones
+ * other than UTC.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// config.js reads ALERT_BRANCHES when it is first imported
+delete process.env.ALERT_BRANCHES;
+const { matchesRule, resolveMentions, isQuietTime, mentionContent } = await import('../src/mentions.js');
+
+/** A processed update, with overrides */
+const update = (overrides = {}) => ({
+  appId: 570,
+  releaseClass: 'public',
+  changedBranches: [{ name: 'public' }],
+  changedDepots: [{ id: 373301 }],
+  ...overrides,
+});
+
+test('a rule matches when every criterion it lists fits the update', () => {
+  assert.equal(matchesRule({}, update()), true);
+  assert.equal(matchesRule({ classes: ['public'], apps: [570] }, update()), true);
+  assert.equal(matchesRule({ classes: ['public'], apps: [730] }, update()), false);
+  assert.equal(matchesRule({ classes: ['prerelease', 'public'] }, update()), true);
+  assert.equal(matchesRule({ apps: ['570'] }, update()), true, 'IDs from YAML may be strings');
+  assert.equal(matchesRule({ depots: ['373301'] }, update()), true);
+  assert.equal(matchesRule({ depots: [373302] }, update()), false);
+  assert.equal(matchesRule({ depots: [373301] }, update({ changedDepots: undefined })), false);
+  assert.equal(matchesRule({ branches: ['beta'] }, update({ changedBranches: [{ name: 'public' }, { name: 'beta' }] })), true);
+  assert.equal(matchesRule({ branches: ['beta'] }, update()), false);
+});
+
+test('the pings of every matching rule are collected once each', () => {
+  const rules = [
+    { roles: ['1'], users: [10] },
+    { classes: ['public'], roles: ['1', '2'] },
+    { classes: ['prerelease'], roles: ['3'], users: ['30'] },
+  ];
+
+  const mentions = resolveMentions(update(), rules);
+  assert.deepEqual(mentions, { roles: ['1', '2'], users: ['10'] });
+  assert.equal(mentionContent(mentions), '<@&1> <@&2> <@10>');
+  assert.deepEqual(resolveMentions(update(), []), { roles: [], users: [] });
+  assert.equal(mentionContent({ roles: [], users: [] }), '');
+});
+
+test('a daytime window is quiet from its start up to, not including, its end', () => {
+  const quiet = (time) => isQuietTime(new Date(`2026-03-10T${time}:00Z`), { window: '09:00-17:30', timeZone: 'UTC' });
+
+  assert.equal(quiet('08:59'), false);
+  assert.equal(quiet('09:00'), true);
+  assert.equal(quiet('12:00'), true);
+  assert.equal(quiet('17:29'), true);
+  assert.equal(quiet('17:30'), false);
+});
+
+test('a window crossing midnight is quiet on both sides of it', () => {
+  const quiet = (time) => isQuietTime(new Date(`2026-03-10T${time}:00Z`), { window: '23:00-07:00', timeZone: 'UTC' });
+
+  assert.equal(quiet('22:59'), false);
+  assert.equal(quiet('23:00'), true);
+  assert.equal(quiet('00:00'), true);
+  assert.equal(quiet('06:59'), true);
+  assert.equal(quiet('07:00'), false);
+  assert.equal(quiet('12:00'), false);
+});
+
+test('the window is read in its time zone, daylight saving included', () => {
+  const window = '23:00-07:00';
+
+  // 04:30 UTC is 23:30 in New York in winter (UTC-5), 00:30 in summer (UTC-4)
+  assert.equal(isQuietTime(new Date('2026-01-15T04:30:00Z'), { window, timeZone: 'America/New_York' }), true);
+  assert.equal(isQuietTime(new Date('2026-07-15T04:30:00Z'), { window, timeZone: 'America/New_York' }), true);
+  // 03:30 UTC is 22:30 in New York in winter, before the window starts
+  assert.equal(isQuietTime(new Date('2026-01-15T03:30:00Z'), { window, timeZone: 'America/New_York' }), false);
+  // 22:00 UTC is 07:00 in Tokyo (UTC+9), when the window has just ended
+  assert.equal(isQuietTime(new Date('2026-03-10T22:00:00Z'), { window, timeZone: 'Asia/Tokyo' }), false);
+  assert.equal(isQuietTime(new Date('2026-03-10T21:59:00Z'), { window, timeZone: 'Asia/Tokyo' }), true);
+  // 18:30 UTC is 00:00 in Kolkata (UTC+5:30)
+  assert.equal(isQuietTime(new Date('2026-03-10T18:30:00Z'), { window: '00:00-06:00', timeZone: 'Asia/Kolkata' }), true);
+  assert.equal(isQuietTime(new Date('2026-03-10T18:29:00Z'), { window: '00:00-06:00', timeZone: 'Asia/Kolkata' }), false);
+});
+
+test('no window, an empty window or a malformed one never silences pings', () => {
+  const now = new Date('2026-03-10T12:00:00Z');
+
+  assert.equal(isQuietTime(now, { window: '', timeZone: 'UTC' }), false);
+  assert.equal(isQuietTime(now, { window: '12:00-12:00', timeZone: 'UTC' }), false);
+  assert.equal(isQuietTime(now, { window: '25:00-07:00', timeZone: 'UTC' }), false);
+});
@@ -0,0 +1,121 @@
+/**
+ * Patch notes tests — The resolver against a local fake server standing in
+ * for Steam News and the Dota 2 datafeed.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import PatchNotesResolver from '../src/patch-notes.js';
+
+/** Release time of the builds looked up below */
+const RELEASED = Date.parse('2026-03-10T17:00:00Z');
+
+const WINDOW = 3 * 60 * 60_000;
+
+/** Unix seconds, as both APIs date their posts */
+const seconds = (ms) => Math.floor(ms / 1000);
+
+/** Responses by path; a missing path answers 404 */
+const routes = {
+  '/ISteamNews/GetNewsForApp/v2/': {
+    appnews: {
+      newsitems: [
+        { title: 'Community spotlight', date: seconds(RELEASED + 10 * 60_000), contents: 'Fan art', url: 'https://steam.test/spotlight' },
+        { title: 'Old patch', tags: ['patchnotes'], date: seconds(RELEASED - 2 * WINDOW), contents: 'Old', url: 'https://steam.test/old' },
+        {
+          title: 'Client update',
+          date: seconds(RELEASED + 20 * 60_000),
+          contents: `[h1]Fixes[/h1][list][*]${'Fixed a crash. '.repeat(80)}[/list]`,
+          url: 'https://steam.test/client-update',
+        },
+      ],
+    },
+  },
+  '/datafeed/patchnoteslist': {
+    patches: [
+      { patch_number: '7.40', patch_timestamp: seconds(RELEASED - 2 * WINDOW) },
+      { patch_number: '7.40b', patch_timestamp: seconds(RELEASED + 90 * 60_000) },
+      { patch_number: '7.40c', patch_timestamp: seconds(RELEASED + 5 * 60_000) },
+    ],
+  },
+  '/datafeed/patchnotes': {
+    generic: Array.from({ length: 10 }, (_, i) => ({ note: `<b>Change ${i + 1}</b>` })),
+    heroes: [{}, {}],
+    items: [{}],
+    neutral_items: [{}],
+  },
+};
+
+/** @type {import('node:http').Server} */
+let server;
+let base;
+const requests = [];
+
+before(async () => {
+  server = createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push(`${url.pathname}${url.search}`);
+    if (url.pathname === '/hang/patchnoteslist') return;
+
+    const body = routes[url.pathname];
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body ?? {}));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.closeAllConnections();
+  server.close();
+});
+
+/**
+ * A resolver against the fake server.
+ * @param {object} [options] - Overrides
+ * @returns {PatchNotesResolver}
+ */
+function createResolver(options = {}) {
+  return new PatchNotesResolver({ steamApi: base, datafeedApi: `${base}/datafeed`, window: WINDOW, interval: 10_000, ...options });
+}
+
+test('Dota 2 takes the datafeed patch closest to the build', async () => {
+  requests.length = 0;
+  const notes = await createResolver().find({ appId: 570, buildId: '1', timeUpdated: new Date(RELEASED) });
+
+  assert.equal(notes.source, 'datafeed');
+  assert.equal(notes.title, 'Gameplay Patch 7.40c');
+  assert.equal(notes.url, 'https://www.dota2.com/patches/7.40c');
+  assert.deepEqual(notes.body.split('\n'), [
+    ...Array.from({ length: 8 }, (_, i) => `• Change ${i + 1}`),
+    '…and 2 more general changes',
+    '2 hero and 2 item update(s)',
+  ]);
+  assert.ok(requests.includes('/datafeed/patchnotes?version=7.40c&language=english'));
+});
+
+test('other apps take the Steam announcement within the window, trimmed', async () => {
+  const notes = await createResolver().find({ appId: 1234, buildId: '1', timeUpdated: new Date(RELEASED) });
+
+  assert.equal(notes.source, 'steam-news');
+  assert.equal(notes.title, 'Client update');
+  assert.ok(notes.body.startsWith('Fixes\n• Fixed a crash.'));
+  assert.ok(notes.body.length <= 700);
+  assert.ok(notes.body.endsWith('crash.…'));
+});
+
+test('nothing is found for a build outside every post window', async () => {
+  const update = { appId: 570, buildId: '1', timeUpdated: new Date(RELEASED + 4 * WINDOW) };
+  assert.equal(await createResolver().find(update), null);
+  assert.equal(await createResolver().track(update), null);
+});
+
+test('a hung request gives up after the timeout', async () => {
+  const started = Date.now();
+  const notes = await createResolver({ datafeedApi: `${base}/hang`, steamApi: `${base}/missing`, timeout: 200 })
+    .find({ appId: 570, buildId: '1', timeUpdated: new Date(RELEASED) });
+
+  assert.equal(notes, null);
+  assert.ok(Date.now() - started < 5000);
+});
@@ -0,0 +1,70 @@
+/**
+ * Pipeline tests — The update handler against stand-ins for the processor,
+ * sinks and history, controlling when deliveries finish.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUpdateHandler } from '../src/pipeline.js';
+
+/**
+ * Sinks recording what is sent; deliverUpdate() waits until release().
+ * @returns {object}
+ */
+function createSinks() {
+  let release;
+  const delivered = new Promise((resolve) => {
+    release = resolve;
+  });
+  return {
+    sent: [],
+    release,
+    shouldNotify: () => true,
+    async deliverUpdate(update) {
+      this.sent.push(['deliver', update.revision]);
+      await delivered;
+      return [{ ok: true, pending: false }];
+    },
+    async reviseUpdate(update) {
+      this.sent.push(['revise', update.revision]);
+      return [{ ok: true, pending: false }];
+    },
+  };
+}
+
+test('a revision arriving while the first version is delivered edits it', async () => {
+  const versions = [
+    { appId: 570, changenumber: 100, revision: 0, releaseClass: 'public' },
+    { appId: 570, changenumber: 100, revision: 1, releaseClass: 'public' },
+  ];
+  const processor = { process: () => versions.shift(), flush: async () => {} };
+  const sinks = createSinks();
+  const history = { append() {}, readAll: () => [] };
+  const handle = createUpdateHandler({ processor, sinks, history });
+
+  const first = handle({ appid: 570, changenumber: 100 });
+  const revision = handle({ appid: 570, changenumber: 100 });
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(sinks.sent, [['deliver', 0]]);
+
+  sinks.release();
+  await Promise.all([first, revision]);
+  assert.deepEqual(sinks.sent, [['deliver', 0], ['revise', 1]]);
+});
+
+test('updates of different changelists do not wait for each other', async () => {
+  const versions = [
+    { appId: 570, changenumber: 100, revision: 0, releaseClass: 'public' },
+    { appId: 570, changenumber: 101, revision: 0, releaseClass: 'public' },
+  ];
+  const processor = { process: () => versions.shift(), flush: async () => {} };
+  const sinks = createSinks();
+  const handle = createUpdateHandler({ processor, sinks, history: { append() {}, readAll: () => [] } });
+
+  const updates = [handle({ appid: 570, changenumber: 100 }), handle({ appid: 570, changenumber: 101 })];
+  await new Promise((resolve) => setImmediate(resolve));
+  assert.deepEqual(sinks.sent, [['deliver', 0], ['deliver', 0]]);
+
+  sinks.release();
+  await Promise.all(updates);
+});
@@ -0,0 +1,93 @@
+/**
+ * Redis backend tests — Run the backend against a real server. Skipped
+ * unless REDIS_TEST_URL points at one; every run uses its own key.
+ *
+ *   docker run --rm -p 6379:6379 redis
+ *   REDIS_TEST_URL=redis://localhost:6379 npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomUUID } from 'node:crypto';
+import RedisBackend from '../src/state/redis-backend.js';
+
+const url = process.env.REDIS_TEST_URL;
+const skip = url ? false : 'set REDIS_TEST_URL to run against a Redis server';
+
+test('state is written with its backup and read back', { skip }, async () => {
+  const backend = new RedisBackend({ url, key: `dota-2-updater:test:${randomUUID()}` });
+  try {
+    assert.deepEqual(await backend.read(), { current: null, backup: null });
+
+    await backend.write('{"version":1}', null);
+    await backend.write('{"version":2}', '{"version":1}');
+    assert.deepEqual(await backend.read(), { current: '{"version":2}', backup: '{"version":1}' });
+  } finally {
+    await backend.close();
+  }
+});
+
+test('the leader lease has one holder until it is released, and a new token per holder', { skip }, async () => {
+  const backend = new RedisBackend({ url, key: `dota-2-updater:test:${randomUUID()}` });
+  try {
+    assert.deepEqual(await backend.acquireLease('a', 5000), { held: true, holder: 'a', token: 1 });
+    assert.deepEqual(await backend.acquireLease('b', 5000), { held: false, holder: 'a', token: 1 });
+    assert.deepEqual(await backend.acquireLease('a', 5000), { held: true, holder: 'a', token: 1 });
+
+    await backend.releaseLease('b');
+    assert.deepEqual(await backend.acquireLease('b', 5000), { held: false, holder: 'a', token: 1 });
+
+    await backend.releaseLease('a');
+    assert.deepEqual(await backend.acquireLease('b', 5000), { held: true, holder: 'b', token: 2 });
+  } finally {
+    await backend.close();
+  }
+});
+
+test('a lease taken again after it expired gets a new token', { skip }, async () => {
+  const backend = new RedisBackend({ url, key: `dota-2-updater:test:${randomUUID()}` });
+  try {
+    await backend.acquireLease('a', 100);
+    await new Promise((resolve) => setTimeout(resolve, 250));
+    assert.deepEqual(await backend.acquireLease('a', 5000), { held: true, holder: 'a', token: 2 });
+  } finally {
+    await backend.close();
+  }
+});
+
+test('documents are written and read back by name', { skip }, async () => {
+  const backend = new RedisBackend({ url, key: `dota-2-updater:test:${randomUUID()}` });
+  try {
+    assert.equal(await backend.readDocument('outbox'), null);
+
+    await backend.writeDocument('outbox', '[]');
+    await backend.writeDocument('messages', '[{"messageId":"1"}]');
+    assert.equal(await backend.readDocument('outbox'), '[]');
+    assert.equal(await backend.readDocument('messages'), '[{"messageId":"1"}]');
+  } finally {
+    await backend.close();
+  }
+});
+
+test('fenced writes are refused once the lease has a new holder', { skip }, async () => {
+  const key = `dota-2-updater:test:${randomUUID()}`;
+  const leader = new RedisBackend({ url, key });
+  const next = new RedisBackend({ url, key });
+  try {
+    leader.fence((await leader.acquireLease('a', 5000)).token);
+    await leader.write('{"version":1}', null);
+    await leader.writeDocument('outbox', '[]');
+
+    await leader.releaseLease('a');
+    next.fence((await next.acquireLease('b', 5000)).token);
+    await next.write('{"version":2}', '{"version":1}');
+
+    await assert.rejects(leader.write('{"version":1}', '{"version":2}'), /taken by another instance/);
+    await assert.rejects(leader.writeDocument('outbox', '["stale"]'), /taken by another instance/);
+    assert.deepEqual(await next.read(), { current: '{"version":2}', backup: '{"version":1}' });
+    assert.equal(await next.readDocument('outbox'), '[]');
+  } finally {
+    await leader.close();
+    await next.close();
+  }
+});
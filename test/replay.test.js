@@ -0,0 +1,93 @@
+/**
+ * Replay tests — Plays every recorded fixture under fixtures/ through the
+ * offline replay and checks the transcript against the stored one
+ * (`<fixture>.expected.json`), covering dedup, branch detection and the
+ * exact webhook messages.
+ *
+ * After an intended change, store the new transcript and review its diff:
+ *
+ *   npm run replay -- fixtures/patch.jsonl --write fixtures/patch.expected.json
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'node:child_process';
+import { readdirSync, readFileSync, existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { join } from 'node:path';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+const FIXTURES = join(ROOT, 'fixtures');
+
+/**
+ * Replay a fixture with none of the caller's settings, so the result does
+ * not depend on the shell the tests run in.
+ * @param {string} fixture
+ * @param {Object<string, string>} [env] - Settings for this replay only
+ * @returns {Array<object>} The transcript
+ */
+function replay(fixture, env = {}) {
+  const result = spawnSync(process.execPath, [join(ROOT, 'src/replay.js'), fixture], {
+    cwd: ROOT,
+    env: { PATH: process.env.PATH, NO_COLOR: '1', LOG_LEVEL: 'warn', ...env },
+    encoding: 'utf-8',
+    timeout: 60_000,
+  });
+  assert.equal(result.status, 0, `Replay of ${fixture} failed:\n${result.stderr}`);
+  return JSON.parse(result.stdout);
+}
+
+const fixtures = readdirSync(FIXTURES)
+  .filter((name) => name.endsWith('.jsonl'))
+  .filter((name) => existsSync(join(FIXTURES, name.replace(/\.jsonl$/, '.expected.json'))));
+
+for (const name of fixtures) {
+  test(`replay of ${name} matches its stored transcript`, () => {
+    const expected = JSON.parse(readFileSync(join(FIXTURES, name.replace(/\.jsonl$/, '.expected.json')), 'utf-8'));
+    assert.deepEqual(replay(join(FIXTURES, name)), expected);
+  });
+}
+
+test('repeats of processed changelists are reported as duplicates', () => {
+  const transcript = replay(join(FIXTURES, 'patch.jsonl'));
+  const duplicates = transcript.filter((entry) => entry.duplicate).map((entry) => entry.changenumber);
+  assert.deepEqual(duplicates, [30412803, 30412750]);
+});
+
+test('a richer report of a notified changelist edits its message', () => {
+  const revision = replay(join(FIXTURES, 'patch.jsonl')).find((entry) => entry.revision === 1);
+  assert.equal(revision.releaseClass, 'public');
+  assert.equal(revision.messages.length, 1);
+  assert.equal(revision.messages[0].editOf, '2');
+});
+
+test('edits never carry mentions, even when the revision matches a mention rule', () => {
+  const revision = replay(join(FIXTURES, 'patch.jsonl'), { MENTION_ROLE_IDS: '123456789012345678' })
+    .find((entry) => entry.revision === 1);
+  const [edit] = revision.messages;
+  assert.equal(edit.body.content, undefined);
+  assert.deepEqual(edit.body.allowed_mentions, { parse: [] });
+});
+
+test('branch builds are classified by branch', () => {
+  const transcript = replay(join(FIXTURES, 'branches.jsonl'));
+  assert.deepEqual(
+    transcript.map((entry) => [entry.releaseClass, entry.changedBranches.map((branch) => branch.name)]),
+    [
+      ['metadata', []],
+      ['branch', ['dota2experimental']],
+      ['prerelease', ['dota2test']],
+      ['depot', []],
+      ['metadata', []],
+    ],
+  );
+});
+
+test('changes missed while offline are announced in one summary', () => {
+  const [, catchUp, repeat] = replay(join(FIXTURES, 'missed.jsonl'));
+  assert.deepEqual(catchUp.updates.map((update) => [update.appId, update.changenumber]), [[570, 30412803]]);
+  assert.equal(catchUp.messages.length, 1);
+  assert.match(catchUp.messages[0].body.embeds[0].title, /^Missed while offline/);
+  assert.equal(repeat.updates.length, 0);
+  assert.equal(repeat.messages.length, 0);
+});
@@ -0,0 +1,89 @@
+/**
+ * Shared outbox tests — Two queues standing in for redundant instances,
+ * sharing a file backend in a temporary directory.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import FileBackend from '../src/state/file-backend.js';
+import DeliveryQueue from '../src/delivery-queue.js';
+import MessageStore from '../src/message-store.js';
+
+const webhook = { url: 'https://discord.test/api/webhooks/1/token', id: '1' };
+
+/**
+ * Run a test body against a fresh file backend.
+ * @param {(backend: FileBackend, dir: string) => Promise<void>} body
+ * @returns {() => Promise<void>}
+ */
+function withBackend(body) {
+  return async () => {
+    const dir = mkdtempSync(join(tmpdir(), 'dota-outbox-'));
+    try {
+      await body(new FileBackend(join(dir, 'state.json'), {
+        documents: { outbox: join(dir, 'outbox.json'), messages: join(dir, 'messages.json') },
+      }), dir);
+    } finally {
+      rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+/**
+ * A queue whose sends always fail, as on a leader that lost its webhook.
+ * @param {FileBackend} backend
+ * @param {string} dir
+ * @returns {DeliveryQueue}
+ */
+function createQueue(backend, dir) {
+  return new DeliveryQueue({
+    backend,
+    file: join(dir, 'missing.json'),
+    canSend: async () => true,
+    send: async () => { throw new Error('unreachable'); },
+  });
+}
+
+test('a new leader takes over what the previous one left pending', withBackend(async (backend, dir) => {
+  const leader = createQueue(backend, dir);
+  const standby = createQueue(backend, dir);
+  await standby.load();
+
+  leader.start();
+  await leader.enqueue({ appId: 570, changenumber: 1, payload: { content: 'update' } }, [webhook]);
+  leader.stop();
+  await leader.flush();
+
+  assert.equal(standby.pending().length, 0);
+  await standby.load();
+  assert.deepEqual(standby.pending().map((e) => e.changenumber), [1]);
+}));
+
+test('a queue that is not leading leaves the shared outbox alone', withBackend(async (backend, dir) => {
+  const leader = createQueue(backend, dir);
+  leader.start();
+  await leader.enqueue({ appId: 570, changenumber: 1, payload: { content: 'update' } }, [webhook]);
+  leader.stop();
+  await leader.flush();
+
+  const standby = createQueue(backend, dir);
+  await standby.enqueue({ appId: 570, changenumber: 2, payload: { content: 'update' } }, [webhook]);
+  await standby.flush();
+
+  const stored = JSON.parse(await backend.readDocument('outbox'));
+  assert.deepEqual(stored.map((e) => e.changenumber), [1]);
+}));
+
+test('sent message IDs are shared through the backend', withBackend(async (backend) => {
+  const leader = new MessageStore({ backend });
+  leader.remember({ appId: 570, changenumber: 1, webhookUrl: webhook.url, messageId: '42' });
+  await leader.flush();
+
+  const next = new MessageStore({ backend });
+  assert.equal(next.find(570, 1, webhook.url), null);
+  await next.load();
+  assert.equal(next.find(570, 1, webhook.url), '42');
+}));